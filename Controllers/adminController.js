@@ -1,8 +1,13 @@
 import User from '../Models/User.js';
 import Chat from '../Models/Chat.js';
 import Message from '../Models/Message.js';
-import jwt from 'jsonwebtoken';
+import Session from '../Models/Session.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createSessionToken } from '../utils/jwt.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import twoFactorService from '../services/twoFactorService.js';
 import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
 
 // Admin login
 export const adminLogin = async (req, res) => {
@@ -16,6 +21,17 @@ export const adminLogin = async (req, res) => {
       });
     }
 
+    // Reject early while this IP is locked out
+    const ipLock = await loginProtectionService.getLockStatus({ ip: req.ip });
+    if (ipLock.locked) {
+      res.set('Retry-After', String(ipLock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter: ipLock.retryAfter
+      });
+    }
+
     // Find user with admin or moderator role
     const user = await User.findOne({ 
       email: email.toLowerCase(),
@@ -23,7 +39,10 @@ export const adminLogin = async (req, res) => {
       isActive: true
     }).select('+password');
 
-    if (!user) {
+    // A locked account gets the same answer as an unknown one, so neither reveals which emails exist
+    const accountLock = user ? await loginProtectionService.getLockStatus({ userId: user._id }) : null;
+    if (!user || accountLock.locked) {
+      await loginProtectionService.recordFailure({ ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials or insufficient privileges'
@@ -33,28 +52,63 @@ export const adminLogin = async (req, res) => {
     // Check password
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      await loginProtectionService.recordFailure({ user, ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate admin token
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
+    if (user.isBanned) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended'
+      });
+    }
+
+    // Second factor, when enrolled
+    const twoFactorEnabled = !!user.twoFactor?.enabled;
+    if (twoFactorEnabled) {
+      const { totpCode, recoveryCode } = req.body;
+
+      if (!totpCode && !recoveryCode) {
+        return res.status(401).json({
+          success: false,
+          twoFactorRequired: true,
+          message: 'Two-factor code required'
+        });
+      }
+
+      const challenge = await twoFactorService.verifyChallenge(user._id, { code: totpCode, recoveryCode });
+      if (!challenge.valid) {
+        await loginProtectionService.recordFailure({ user, ip: req.ip });
+        return res.status(401).json({
+          success: false,
+          twoFactorRequired: true,
+          message: 'Invalid two-factor code'
+        });
+      }
+    }
+
+    await loginProtectionService.recordSuccess(user._id);
+
+    // Generate admin token bound to a new session
+    const { token, refreshToken } = await createSessionToken(user._id, req, {
+      claims: {
         role: user.role,
         type: 'admin'
       },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+      mfaVerified: twoFactorEnabled
+    });
 
     res.status(200).json({
       success: true,
       message: 'Admin login successful',
       data: {
         token,
+        refreshToken,
+        // Admin routes stay closed until two-factor is set up via /api/auth/2fa
+        twoFactorSetupRequired: !twoFactorEnabled,
         user: {
           id: user._id,
           email: user.email,
@@ -239,6 +293,10 @@ export const banUser = async (req, res) => {
       });
     }
 
+    // Revoke all outstanding sessions so the ban takes effect immediately
+    await Session.revokeAllForUser(user._id, 'banned');
+    req.app.get('socketService')?.disconnectUser(user.id);
+
     res.status(200).json({
       success: true,
       message: 'User banned successfully',
@@ -315,6 +373,10 @@ export const deleteUser = async (req, res) => {
       { new: true }
     ).select('-password');
 
+    // Revoke all outstanding sessions of the deleted account
+    await Session.revokeAllForUser(user._id, 'deleted');
+    req.app.get('socketService')?.disconnectUser(user.id);
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
@@ -339,11 +401,8 @@ export const getAnalytics = async (req, res) => {
     const totalChats = await Chat.countDocuments({ isActive: true });
     const totalMessages = await Message.countDocuments({ isDeleted: false });
     
-    // Get flagged messages count (assuming you have a flagged field)
-    const flaggedMessages = await Message.countDocuments({ 
-      isDeleted: false, 
-      flagged: true 
-    });
+    // Messages and images caught by moderation
+    const flaggedMessages = await ModerationIncident.countDocuments();
 
     // Get total incidents (banned users + flagged messages)
     const totalIncidents = bannedUsers + flaggedMessages;
@@ -367,8 +426,12 @@ export const getAnalytics = async (req, res) => {
       isDeleted: false
     });
 
-    // Get user registration trend (last 7 days)
+    // Moderation breakdown for the last 30 days
+    const moderation = await ModerationIncident.getSummary(thirtyDaysAgo);
+
+    // Get user registration and moderation incident trends (last 7 days)
     const userTrend = [];
+    const incidentTrend = [];
     for (let i = 6; i >= 0; i--) {
       const date = new Date();
       date.setDate(date.getDate() - i);
@@ -384,6 +447,13 @@ export const getAnalytics = async (req, res) => {
         date: date.toISOString().split('T')[0],
         count
       });
+
+      incidentTrend.push({
+        date: date.toISOString().split('T')[0],
+        count: await ModerationIncident.countDocuments({
+          createdAt: { $gte: date, $lt: nextDate }
+        })
+      });
     }
 
     res.status(200).json({
@@ -400,8 +470,10 @@ export const getAnalytics = async (req, res) => {
           newUsersLast30Days,
           messagesToday
         },
+        moderationLast30Days: moderation,
         trends: {
-          userRegistrations: userTrend
+          userRegistrations: userTrend,
+          moderationIncidents: incidentTrend
         }
       }
     });
@@ -432,3 +504,124 @@ export const getUserMessageCount = async (req, res) => {
     });
   }
 };
+
+// Clear a login lockout for a user (and optionally an IP address)
+export const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { ip } = req.body;
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const clearedLocks = await loginProtectionService.clearLock({ userId: user._id, ip });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login lock cleared successfully',
+      data: { userId, clearedLocks }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear login lock'
+    });
+  }
+};
+
+// Get moderation incidents with filters and pagination
+export const getModerationIncidents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    for (const field of ['user', 'chat']) {
+      if (req.query[field] && !mongoose.Types.ObjectId.isValid(req.query[field])) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field} ID`
+        });
+      }
+    }
+
+    const query = ModerationIncident.buildFilter(req.query);
+
+    const incidents = await ModerationIncident.find(query)
+      .populate('user', 'username fullName email age')
+      .populate('chat', 'name chatType')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalIncidents = await ModerationIncident.countDocuments(query);
+    const totalPages = Math.ceil(totalIncidents / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalIncidents,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation incidents'
+    });
+  }
+};
+
+// Get a single moderation incident
+export const getModerationIncident = async (req, res) => {
+  try {
+    const { incidentId } = req.params;
+
+    const incident = mongoose.Types.ObjectId.isValid(incidentId)
+      ? await ModerationIncident.findById(incidentId)
+        .populate('user', 'username fullName email age parentEmail isBanned')
+        .populate('chat', 'name chatType')
+      : null;
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    // The same content caught before, matched by hash
+    const repeatCount = incident.contentHash
+      ? await ModerationIncident.countDocuments({ contentHash: incident.contentHash, _id: { $ne: incident._id } })
+      : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incident,
+        repeatCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation incident'
+    });
+  }
+};
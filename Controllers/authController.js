@@ -1,7 +1,24 @@
 import User from '../Models/User.js';
 import Verification from '../Models/Verification.js';
+import Session from '../Models/Session.js';
+import AccountRecovery from '../Models/AccountRecovery.js';
 import emailService from '../services/emailService.js';
-import { createSendToken, createSendTokenWithVerification, generateToken, verifyToken } from '../utils/jwt.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import fieldModerationService from '../services/fieldModerationService.js';
+import imageService from '../services/imageService.js';
+import { createSendToken, createSendTokenWithVerification, createSessionToken, rotateSessionTokens } from '../utils/jwt.js';
+import { validatePassword, sendPasswordPolicyErrors } from '../utils/passwordPolicy.js';
+
+// Respond to a field that failed moderation
+const sendFieldRejection = (res, check) => res.status(check.statusCode).json({
+  status: check.statusCode >= 500 ? 'error' : 'fail',
+  message: check.message,
+  moderation: {
+    field: check.field,
+    reason: check.reason,
+    category: check.category
+  }
+});
 
 // Register new user
 export const signup = async (req, res) => {
@@ -36,6 +53,18 @@ export const signup = async (req, res) => {
       });
     }
 
+    // Enforce the password policy
+    const passwordErrors = validatePassword(password, { username, email, fullName });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    // Names are shown to other children, so they are moderated like messages
+    const nameCheck = await fieldModerationService.checkTextFields({ username, fullName });
+    if (!nameCheck.allowed) {
+      return sendFieldRejection(res, nameCheck);
+    }
+
     // Determine role based on age
     const userRole = age < 18 ? 'children' : 'user';
 
@@ -100,11 +129,15 @@ export const signup = async (req, res) => {
       }
     }
 
+    // Start a session for the new account
+    const { token, refreshToken } = await createSessionToken(newUser._id, req);
+
     // Send success response with token and verification info
     res.status(201).json({
       status: 'success',
       message: 'User created successfully. Please check your email for verification codes.',
-      token: generateToken(newUser._id),
+      token,
+      refreshToken,
       data: {
         user: newUser.getPublicProfile(),
         verificationResults,
@@ -140,6 +173,29 @@ export const signup = async (req, res) => {
   }
 };
 
+// Respond to a login attempt while the account or IP is locked
+const sendLoginLocked = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    status: 'fail',
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(lock.retryAfter / 60)} minute(s).`,
+    retryAfter: lock.retryAfter
+  });
+};
+
+// Respond to wrong credentials - also used for a locked account, so the response
+// doesn't reveal which emails and usernames exist
+const sendLoginFailed = (res) => res.status(401).json({
+  status: 'fail',
+  message: 'Incorrect email/username or password'
+});
+
+// Refuse a change for a child under 13 whose parent can't approve it yet
+const sendParentNotVerified = (res) => res.status(403).json({
+  status: 'fail',
+  message: 'Your parent needs to verify their email address before this can be changed.'
+});
+
 // Login user
 export const login = async (req, res) => {
   try {
@@ -153,6 +209,12 @@ export const login = async (req, res) => {
       });
     }
 
+    // Reject early while this IP is locked out
+    const ipLock = await loginProtectionService.getLockStatus({ ip: req.ip });
+    if (ipLock.locked) {
+      return sendLoginLocked(res, ipLock);
+    }
+
     // Find user by email or username and include password
     const user = await User.findOne({
       $or: [
@@ -161,10 +223,27 @@ export const login = async (req, res) => {
       ]
     }).select('+password');
 
+    if (user) {
+      const accountLock = await loginProtectionService.getLockStatus({ userId: user._id });
+      if (accountLock.locked) {
+        // The owner was emailed about the lock; count it against the IP like an unknown account
+        await loginProtectionService.recordFailure({ ip: req.ip });
+        return sendLoginFailed(res);
+      }
+    }
+
     if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({
+      await loginProtectionService.recordFailure({ user, ip: req.ip });
+      return sendLoginFailed(res);
+    }
+
+    await loginProtectionService.recordSuccess(user._id);
+
+    // Banned or deleted accounts cannot start new sessions
+    if (user.isBanned || !user.isActive) {
+      return res.status(403).json({
         status: 'fail',
-        message: 'Incorrect email/username or password'
+        message: 'Your account has been suspended. Please contact support.'
       });
     }
 
@@ -178,7 +257,7 @@ export const login = async (req, res) => {
     const needsParentVerification = user.age < 18 && user.parentEmail && !user.parentEmailVerified;
     
     // Send token with verification status
-    createSendTokenWithVerification(user, 200, res, {
+    await createSendTokenWithVerification(user, 200, res, {
       needsVerification,
       needsParentVerification,
       verificationStatus: user.verificationStatus || 'pending'
@@ -192,6 +271,19 @@ export const login = async (req, res) => {
   }
 };
 
+// Clear auth cookies on the client
+const clearAuthCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+
+  res.cookie('refreshToken', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+};
+
 // Logout user
 export const logout = async (req, res) => {
   try {
@@ -202,20 +294,46 @@ export const logout = async (req, res) => {
       await req.user.save({ validateBeforeSave: false });
     }
 
+    // Revoke the current session so its tokens stop working immediately
+    if (req.authSession) {
+      await Session.revokeSession(req.authSession.jti, 'logout');
+      req.app.get('socketService')?.disconnectSession(req.authSession.jti);
+    }
+
     // Clear cookies
-    res.cookie('jwt', 'loggedout', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    clearAuthCookies(res);
 
-    res.cookie('refreshToken', 'loggedout', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
     });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong during logout'
+    });
+  }
+};
+
+// Logout user from all devices
+export const logoutAll = async (req, res) => {
+  try {
+    req.user.isOnline = false;
+    req.user.lastSeen = new Date();
+    await req.user.save({ validateBeforeSave: false });
+
+    // Revoke every outstanding session and drop live socket connections
+    const revokedSessions = await Session.revokeAllForUser(req.user._id, 'logout_all');
+    req.app.get('socketService')?.disconnectUser(req.user.id);
+
+    clearAuthCookies(res);
 
     res.status(200).json({
       status: 'success',
-      message: 'Logged out successfully'
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -265,6 +383,31 @@ export const updateMe = async (req, res) => {
       });
     }
 
+    // Pictures are set through the upload endpoint, where they are moderated.
+    // Here one can only be removed.
+    const currentUser = await User.findById(req.user.id);
+    let removedPicture = null;
+
+    if (updates.profilePicture !== undefined && updates.profilePicture !== currentUser.profilePicture) {
+      if (updates.profilePicture !== '') {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Upload a profile picture with POST /api/auth/profile-picture'
+        });
+      }
+
+      removedPicture = currentUser.profileImage?.key ? currentUser.toObject().profileImage : null;
+      updates.profileImage = { key: null, preview: null, thumbnail: null };
+    }
+
+    const nameCheck = await fieldModerationService.checkTextFields(
+      { username: updates.username, fullName: updates.fullName },
+      { userId: req.user.id }
+    );
+    if (!nameCheck.allowed) {
+      return sendFieldRejection(res, nameCheck);
+    }
+
     // If updating username, check if it's already taken
     if (updates.username) {
       const existingUser = await User.findOne({ 
@@ -289,6 +432,10 @@ export const updateMe = async (req, res) => {
       }
     );
 
+    if (removedPicture) {
+      await imageService.removePicture(removedPicture);
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -321,6 +468,50 @@ export const updateMe = async (req, res) => {
   }
 };
 
+// Upload a new profile picture. It is checked like an image message and only
+// replaces the current one if it passes.
+export const uploadProfilePicture = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'No image file provided'
+      });
+    }
+
+    const check = await fieldModerationService.checkImage('profilePicture', req.file.buffer, { userId: req.user.id });
+    if (!check.allowed) {
+      await imageService.discardUpload(req.file);
+      return sendFieldRejection(res, check);
+    }
+
+    const user = await User.findById(req.user.id);
+    const previous = user.profileImage?.key ? user.toObject().profileImage : null;
+
+    user.profileImage = imageService.toPicture(req.file);
+    user.profilePicture = imageService.getPictureUrl(`/api/images/profile/${user._id}`, user.profileImage);
+    await user.save({ validateBeforeSave: false });
+
+    if (previous && previous.key !== user.profileImage.key) {
+      await imageService.removePicture(previous);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Upload profile picture error:', error);
+    await imageService.discardUpload(req.file);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while uploading the profile picture'
+    });
+  }
+};
+
 // Change password
 export const changePassword = async (req, res) => {
   try {
@@ -351,12 +542,21 @@ export const changePassword = async (req, res) => {
       });
     }
 
+    // Enforce the password policy
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
-    // Send new token
-    createSendToken(user, 200, res);
+    // Sign out every other device before handing out the new token
+    const tokens = await createSessionToken(user._id, req);
+    await Session.revokeAllForUser(user._id, 'password_changed', tokens.sessionId);
+
+    await createSendToken(user, 200, res, tokens);
 
   } catch (error) {
     res.status(500).json({
@@ -369,33 +569,50 @@ export const changePassword = async (req, res) => {
 // Refresh token
 export const refreshToken = async (req, res) => {
   try {
-    let refreshToken;
+    // Browsers send the cookie, mobile clients send the token in the body
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
 
-    if (req.cookies.refreshToken) {
-      refreshToken = req.cookies.refreshToken;
+    if (!refreshToken || refreshToken === 'loggedout') {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'No refresh token provided'
+      });
     }
 
-    if (!refreshToken) {
+    // Exchange the single-use refresh token for a new token pair
+    const rotation = await rotateSessionTokens(refreshToken);
+
+    if (rotation.status === 'reused') {
+      console.warn('⚠️ Refresh token reuse detected - session revoked:', {
+        userId: rotation.userId,
+        sessionId: rotation.sessionId
+      });
+      req.app.get('socketService')?.disconnectSession(rotation.sessionId);
+
       return res.status(401).json({
         status: 'fail',
-        message: 'No refresh token provided'
+        message: 'Refresh token has already been used. Please log in again.'
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken);
+    if (rotation.status !== 'rotated') {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Session has expired or been revoked'
+      });
+    }
     
     // Check if user still exists
-    const user = await User.findById(decoded.userId);
-    if (!user) {
+    const user = await User.findById(rotation.userId);
+    if (!user || user.isBanned || !user.isActive) {
       return res.status(401).json({
         status: 'fail',
         message: 'User no longer exists'
       });
     }
 
-    // Generate new tokens
-    createSendToken(user, 200, res);
+    // Send the rotated tokens
+    await createSendToken(user, 200, res, rotation);
 
   } catch (error) {
     res.status(401).json({
@@ -404,3 +621,396 @@ export const refreshToken = async (req, res) => {
     });
   }
 };
+
+// Request a password reset code (local accounts only)
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide your email address'
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      status: 'success',
+      message: 'If an account exists for this email, a password reset code has been sent.'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    // OAuth-only, banned and deleted accounts can't reset a password. Nor can children
+    // under 13 until their parent has verified their email, as nobody could approve it;
+    // they get the same response so the account can't be probed.
+    if (!user || !user.password || user.isBanned || !user.isActive || user.lacksParentApprover()) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Children under 13 need their parent to approve the reset
+    const parentApproval = user.requiresParentApproval();
+    const approverEmail = parentApproval ? user.parentEmail : user.email;
+
+    let verification;
+    try {
+      verification = await Verification.resendVerification(approverEmail, 'password_reset', user._id);
+    } catch (resendError) {
+      // A code was sent less than 2 minutes ago - keep that one
+      if (resendError.message.includes('wait')) {
+        return res.status(200).json(genericResponse);
+      }
+      throw resendError;
+    }
+
+    await AccountRecovery.recordRequest(user._id, 'password_reset', {
+      approver: parentApproval ? 'parent' : 'account_owner',
+      approverEmail,
+      requestedFromIp: req.ip
+    });
+
+    if (parentApproval) {
+      try {
+        await emailService.sendParentApprovalEmail(
+          user.parentEmail,
+          user.fullName || user.username,
+          user.email,
+          verification.code,
+          'password_reset'
+        );
+      } catch (emailError) {
+        console.error('Error sending parent approval email:', emailError);
+      }
+
+      return res.status(200).json(genericResponse);
+    }
+
+    try {
+      await emailService.sendPasswordResetEmail(
+        user.email,
+        verification.code,
+        user.fullName || user.username
+      );
+    } catch (emailError) {
+      console.error('Error sending password reset email:', emailError);
+    }
+
+    // Send a copy of the notice to the parent of a child account
+    if (user.parentEmail && user.age < 18) {
+      try {
+        await emailService.sendParentPasswordResetNotice(
+          user.parentEmail,
+          user.fullName || user.username,
+          user.email
+        );
+      } catch (emailError) {
+        console.error('Error sending parent password reset notice:', emailError);
+      }
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while requesting a password reset'
+    });
+  }
+};
+
+// Reset password with an emailed code
+export const resetPassword = async (req, res) => {
+  try {
+    const { email, code, newPassword, confirmPassword } = req.body;
+
+    if (!email || !code || !newPassword || !confirmPassword) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide email, reset code, new password, and confirm password'
+      });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'New password and confirm password do not match'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+    if (!user || !user.password || user.lacksParentApprover()) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Verification code not found'
+      });
+    }
+
+    // Check the code first (handles expiry and attempt limits), so the password
+    // policy can't be probed without one
+    const approverEmail = user.requiresParentApproval() ? user.parentEmail : user.email;
+    const verification = await Verification.verifyCode(approverEmail, code, 'password_reset', user._id, { consume: false });
+
+    // A weak new password doesn't use up the code
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    verification.verified = true;
+    await verification.save();
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every device that used the old password
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password_reset');
+    req.app.get('socketService')?.disconnectUser(user.id);
+
+    await AccountRecovery.recordCompletion(user._id, 'password_reset', revokedSessions);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.message.includes('not found') ||
+        error.message.includes('expired') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('Too many')) {
+      return res.status(400).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while resetting password'
+    });
+  }
+};
+
+// Request an email address change (parent approval for children under 13)
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the new email address'
+      });
+    }
+
+    const normalizedEmail = newEmail.toLowerCase().trim();
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'New email must be different from your current email'
+      });
+    }
+
+    if (user.parentEmail && normalizedEmail === user.parentEmail) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Parent email must be different from child email address'
+      });
+    }
+
+    // Local accounts confirm the change with their password
+    if (user.password && (!password || !(await user.comparePassword(password)))) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Email is already in use'
+      });
+    }
+
+    if (user.lacksParentApprover()) {
+      return sendParentNotVerified(res);
+    }
+
+    // Children under 13 need their parent to approve, others prove they own the new address
+    const parentApproval = user.requiresParentApproval();
+    const approverEmail = parentApproval ? user.parentEmail : normalizedEmail;
+
+    const verification = await Verification.resendVerification(
+      approverEmail,
+      'email_change',
+      user._id,
+      { newEmail: normalizedEmail }
+    );
+
+    await AccountRecovery.recordRequest(user._id, 'email_change', {
+      approver: parentApproval ? 'parent' : 'account_owner',
+      approverEmail,
+      previousEmail: user.email,
+      newEmail: normalizedEmail,
+      requestedFromIp: req.ip
+    });
+
+    if (parentApproval) {
+      await emailService.sendParentApprovalEmail(
+        user.parentEmail,
+        user.fullName || user.username,
+        user.email,
+        verification.code,
+        'email_change',
+        { newEmail: normalizedEmail }
+      );
+    } else {
+      await emailService.sendEmailChangeEmail(
+        normalizedEmail,
+        verification.code,
+        user.fullName || user.username
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: parentApproval
+        ? 'An approval code has been sent to your parent'
+        : 'A confirmation code has been sent to your new email address',
+      data: {
+        approvalRequiredFrom: parentApproval ? 'parent' : 'new_email'
+      }
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+
+    if (error.message.includes('wait')) {
+      return res.status(429).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while requesting an email change'
+    });
+  }
+};
+
+// Confirm an email address change with the emailed code
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the confirmation code'
+      });
+    }
+
+    const pendingChange = await Verification.findOne({
+      userId: req.user.id,
+      type: 'email_change',
+      verified: false
+    });
+
+    if (!pendingChange) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Verification code not found'
+      });
+    }
+
+    // A code the child was sent themselves can't approve the change
+    const user = await User.findById(req.user.id);
+    if (user.lacksParentApprover() ||
+        (user.requiresParentApproval() && pendingChange.email !== user.parentEmail)) {
+      return sendParentNotVerified(res);
+    }
+
+    // Verify the code (handles expiry and attempt limits)
+    await Verification.verifyCode(pendingChange.email, code, 'email_change', req.user.id);
+
+    // Make sure nobody claimed the address in the meantime
+    const existingUser = await User.findOne({ email: pendingChange.newEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Email is already in use'
+      });
+    }
+
+    const approvedByParent = pendingChange.email !== pendingChange.newEmail;
+
+    user.email = pendingChange.newEmail;
+    // A code sent to the new address proves ownership; a parent approval does not
+    user.emailVerified = !approvedByParent;
+    await user.save();
+
+    // Sign out every device after the account email changes
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'email_changed');
+    req.app.get('socketService')?.disconnectUser(user.id);
+
+    await AccountRecovery.recordCompletion(user._id, 'email_change', revokedSessions);
+
+    // Ask the child to verify the parent-approved address
+    if (approvedByParent) {
+      try {
+        const userVerification = await Verification.createVerification(user.email, 'user_email', user._id);
+        await emailService.sendVerificationEmail(
+          user.email,
+          userVerification.code,
+          user.fullName || user.username
+        );
+      } catch (emailError) {
+        console.error('Error sending user verification email:', emailError);
+      }
+    }
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email changed successfully. Please log in again.',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+
+    if (error.message.includes('not found') ||
+        error.message.includes('expired') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('Too many')) {
+      return res.status(400).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while changing email'
+    });
+  }
+};
@@ -0,0 +1,177 @@
+import Block from '../Models/Block.js';
+import Mute from '../Models/Mute.js';
+import blockService from '../services/blockService.js';
+
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  fullName: user.fullName,
+  profilePicture: user.profilePicture
+});
+
+// List users the current user has blocked
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.user.id })
+      .populate('blocked', 'username fullName profilePicture')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: blocks.length,
+      data: {
+        blocked: blocks
+          .filter(block => block.blocked)
+          .map(block => ({
+            user: formatUser(block.blocked),
+            reason: block.reason,
+            blockedAt: block.createdAt
+          }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting blocked users'
+    });
+  }
+};
+
+// Block a user
+export const blockUser = async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    if (typeof reason !== 'string' || reason.length > 200) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Reason must be text of at most 200 characters'
+      });
+    }
+
+    const result = await blockService.block(req.user.id, req.params.id, reason.trim());
+    if (!result) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      status: 'success',
+      message: 'User blocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while blocking the user'
+    });
+  }
+};
+
+// Unblock a user
+export const unblockUser = async (req, res) => {
+  try {
+    const removed = await blockService.unblock(req.user.id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User is not blocked'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while unblocking the user'
+    });
+  }
+};
+
+// List users the current user has muted
+export const getMutedUsers = async (req, res) => {
+  try {
+    const mutes = await Mute.getActiveMutes(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      results: mutes.length,
+      data: {
+        muted: mutes
+          .filter(mute => mute.muted)
+          .map(mute => ({
+            user: formatUser(mute.muted),
+            expiresAt: mute.expiresAt,
+            mutedAt: mute.createdAt
+          }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting muted users'
+    });
+  }
+};
+
+// Mute a user, optionally for a number of minutes
+export const muteUser = async (req, res) => {
+  try {
+    const { durationMinutes = null } = req.body;
+
+    if (durationMinutes !== null && (!Number.isInteger(durationMinutes) || durationMinutes < 1)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Duration must be a whole number of minutes'
+      });
+    }
+
+    const mute = await blockService.mute(req.user.id, req.params.id, durationMinutes);
+    if (!mute) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User muted',
+      data: {
+        expiresAt: mute.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while muting the user'
+    });
+  }
+};
+
+// Unmute a user
+export const unmuteUser = async (req, res) => {
+  try {
+    const removed = await blockService.unmute(req.user.id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User is not muted'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User unmuted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while unmuting the user'
+    });
+  }
+};
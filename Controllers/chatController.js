@@ -1,6 +1,36 @@
 import Chat from '../Models/Chat.js';
 import Message from '../Models/Message.js';
 import User from '../Models/User.js';
+import Contact from '../Models/Contact.js';
+import Block from '../Models/Block.js';
+import contactPolicyService from '../services/contactPolicyService.js';
+import blockService from '../services/blockService.js';
+import imageService from '../services/imageService.js';
+import fieldModerationService from '../services/fieldModerationService.js';
+
+// Reject a chat change that would connect users who have blocked each other,
+// or a child with a contact their parent hasn't allowed
+const sendContactError = (res, contactCheck) => {
+  return res.status(403).json({
+    success: false,
+    code: contactCheck.code,
+    message: contactCheck.message,
+    blocked: contactCheck.blocked
+  });
+};
+
+// Reject a chat name, description or picture that failed moderation
+const sendFieldRejection = (res, check) => {
+  return res.status(check.statusCode).json({
+    success: false,
+    message: check.message,
+    moderation: {
+      field: check.field,
+      reason: check.reason,
+      category: check.category
+    }
+  });
+};
 
 // Create a new group chat
 export const createGroupChat = async (req, res) => {
@@ -32,6 +62,27 @@ export const createGroupChat = async (req, res) => {
       });
     }
 
+    // Nobody can be grouped with someone they blocked or who blocked them
+    const blockCheck = await blockService.checkGroupMembers([], participantIds);
+    if (!blockCheck.allowed) {
+      return sendContactError(res, blockCheck);
+    }
+
+    // Children may only be grouped with contacts their parent allowed
+    const contactCheck = await contactPolicyService.checkGroupMembers([], participantIds, userId);
+    if (!contactCheck.allowed) {
+      return sendContactError(res, contactCheck);
+    }
+
+    // The name and description are shown to every member
+    const fieldCheck = await fieldModerationService.checkTextFields(
+      { chatName: name, chatDescription: description },
+      { userId, memberIds: participantIds }
+    );
+    if (!fieldCheck.allowed) {
+      return sendFieldRejection(res, fieldCheck);
+    }
+
     // Create chat
     const newChat = new Chat({
       name: name.trim(),
@@ -111,6 +162,38 @@ export const createDirectChat = async (req, res) => {
       });
     }
 
+    if (await Block.existsBetween(userId, participantId)) {
+      return res.status(403).json({
+        success: false,
+        code: 'USER_BLOCKED',
+        message: 'You can\'t start a chat with this user'
+      });
+    }
+
+    // New direct chats are only for accepted contacts
+    const existingChat = await Chat.findOne({
+      chatType: 'direct',
+      $and: [
+        { 'participants.user': userId },
+        { 'participants.user': participantId }
+      ],
+      isActive: true
+    }).select('_id');
+
+    if (!existingChat && !(await Contact.areContacts(userId, participantId))) {
+      return res.status(403).json({
+        success: false,
+        code: 'CONTACT_REQUIRED',
+        message: 'Send a contact request and wait for it to be accepted before starting a chat'
+      });
+    }
+
+    // Children may only chat with contacts their parent allowed
+    const contactCheck = await contactPolicyService.checkContacts(userId, [participantId]);
+    if (!contactCheck.allowed) {
+      return sendContactError(res, contactCheck);
+    }
+
     // Create or get existing direct chat
     const chat = await Chat.createDirectChat(userId, participantId);
     await chat.populate([
@@ -276,6 +359,20 @@ export const addParticipants = async (req, res) => {
       });
     }
 
+    // New members must be allowed contacts of every child already in the group
+    const existingIds = chat.participants.filter(p => p.isActive).map(p => p.user.toString());
+    const newIds = participants.filter(id => !existingIds.includes(id.toString()));
+
+    const blockCheck = await blockService.checkGroupMembers(existingIds, newIds);
+    if (!blockCheck.allowed) {
+      return sendContactError(res, blockCheck);
+    }
+
+    const contactCheck = await contactPolicyService.checkGroupMembers(existingIds, newIds, userId);
+    if (!contactCheck.allowed) {
+      return sendContactError(res, contactCheck);
+    }
+
     // Add participants
     const addedParticipants = [];
     for (const participantId of participants) {
@@ -412,9 +509,39 @@ export const updateChatSettings = async (req, res) => {
       }
     }
 
+    // Pictures are set through the upload endpoint, where they are moderated.
+    // Here one can only be removed.
+    let removedAvatar = null;
+    if (updateData.avatar !== undefined && updateData.avatar !== chat.avatar) {
+      if (updateData.avatar) {
+        return res.status(400).json({
+          success: false,
+          message: `Upload a chat picture with POST /api/chats/${chat._id}/avatar`
+        });
+      }
+
+      removedAvatar = chat.avatarImage?.key ? chat.toObject().avatarImage : null;
+      updateData.avatar = null;
+    }
+
+    const fieldCheck = await fieldModerationService.checkTextFields(
+      { chatName: updateData.name, chatDescription: updateData.description },
+      { userId, chatId: chat._id }
+    );
+    if (!fieldCheck.allowed) {
+      return sendFieldRejection(res, fieldCheck);
+    }
+
     Object.assign(chat, updateData);
+    if (removedAvatar) {
+      chat.avatarImage = { key: null, preview: null, thumbnail: null };
+    }
     await chat.save();
 
+    if (removedAvatar) {
+      await imageService.removePicture(removedAvatar);
+    }
+
     // Emit to all participants
     const io = req.app.get('io');
     chat.participants.forEach(participant => {
@@ -442,6 +569,83 @@ export const updateChatSettings = async (req, res) => {
   }
 };
 
+// Upload a new chat picture. It is checked like an image message and only
+// replaces the current one if it passes.
+export const uploadChatAvatar = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat || !chat.isActive) {
+      await imageService.discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    if (!chat.canModerate(userId)) {
+      await imageService.discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and moderators can update chat settings'
+      });
+    }
+
+    const check = await fieldModerationService.checkImage('chatAvatar', req.file.buffer, { userId, chatId: chat._id });
+    if (!check.allowed) {
+      await imageService.discardUpload(req.file);
+      return sendFieldRejection(res, check);
+    }
+
+    const previous = chat.avatarImage?.key ? chat.toObject().avatarImage : null;
+
+    chat.avatarImage = imageService.toPicture(req.file);
+    chat.avatar = imageService.getPictureUrl(`/api/images/chat/${chat._id}`, chat.avatarImage);
+    await chat.save();
+
+    if (previous && previous.key !== chat.avatarImage.key) {
+      await imageService.removePicture(previous);
+    }
+
+    // Emit to all participants
+    const io = req.app.get('io');
+    if (io) {
+      chat.participants.forEach(participant => {
+        if (participant.isActive) {
+          io.to(`user_${participant.user}`).emit('chatUpdated', {
+            chatId: chat._id,
+            updates: { avatar: chat.avatar }
+          });
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat picture updated successfully',
+      data: chat
+    });
+
+  } catch (error) {
+    console.error('Upload chat avatar error:', error);
+    await imageService.discardUpload(req.file);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update chat picture',
+      error: error.message
+    });
+  }
+};
+
 // Leave chat
 export const leaveChat = async (req, res) => {
   try {
@@ -539,7 +743,8 @@ export const deleteChat = async (req, res) => {
     chat.deletedBy = userId;
     await chat.save();
 
-    // Also soft delete all messages in this chat
+    // Also soft delete all messages in this chat, removing their images
+    const imageMessages = await Message.find({ chat: chatId, isDeleted: false, messageType: 'image' });
     await Message.updateMany(
       { chat: chatId, isDeleted: false },
       { 
@@ -548,6 +753,7 @@ export const deleteChat = async (req, res) => {
         deletedBy: userId 
       }
     );
+    await Promise.all(imageMessages.map(message => imageService.removeMessageImage(message)));
 
     // Emit to all participants
     const io = req.app.get('io');
@@ -0,0 +1,371 @@
+import mongoose from 'mongoose';
+import Contact from '../Models/Contact.js';
+import Block from '../Models/Block.js';
+import User from '../Models/User.js';
+import contactPolicyService from '../services/contactPolicyService.js';
+
+// Days before someone whose request was declined can ask the same person again
+const DECLINE_COOLDOWN_DAYS = parseInt(process.env.CONTACT_DECLINE_COOLDOWN_DAYS) || 7;
+
+const USER_FIELDS = 'username fullName profilePicture isOnline lastSeen';
+
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  fullName: user.fullName,
+  profilePicture: user.profilePicture,
+  isOnline: user.isOnline,
+  lastSeen: user.lastSeen
+});
+
+const formatRequest = (contact) => ({
+  id: contact._id,
+  requester: formatUser(contact.requester),
+  recipient: formatUser(contact.recipient),
+  status: contact.status,
+  message: contact.message,
+  createdAt: contact.createdAt,
+  respondedAt: contact.respondedAt
+});
+
+const notifyUser = (req, userId, event, data) => {
+  req.app.get('socketService')?.emitToUser(userId.toString(), event, data);
+};
+
+// Load a pending request the current user is allowed to act on
+const findPendingRequest = async (req, res, side) => {
+  const { requestId } = req.params;
+
+  const contact = mongoose.Types.ObjectId.isValid(requestId)
+    ? await Contact.findOne({ _id: requestId, [side]: req.user.id, status: 'pending' })
+    : null;
+
+  if (!contact) {
+    res.status(404).json({
+      success: false,
+      message: 'Contact request not found'
+    });
+    return null;
+  }
+
+  return contact;
+};
+
+// Accept a pending request and tell the requester
+const acceptRequest = async (req, contact) => {
+  contact.status = 'accepted';
+  contact.respondedAt = new Date();
+  await contact.save();
+  await contact.populate([
+    { path: 'requester', select: USER_FIELDS },
+    { path: 'recipient', select: USER_FIELDS }
+  ]);
+
+  notifyUser(req, contact.requester._id, 'contactRequestAccepted', {
+    request: formatRequest(contact)
+  });
+
+  return contact;
+};
+
+// List the current user's contacts
+export const getContacts = async (req, res) => {
+  try {
+    const contacts = await Contact.getContacts(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contacts: contacts.map(contact => ({
+          id: contact._id,
+          user: formatUser(contact.getOtherUser(req.user.id)),
+          since: contact.respondedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get contacts',
+      error: error.message
+    });
+  }
+};
+
+// List pending requests sent to (incoming) or by (outgoing) the current user
+export const getContactRequests = async (req, res) => {
+  try {
+    const { direction = 'incoming' } = req.query;
+
+    if (!['incoming', 'outgoing'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Direction must be incoming or outgoing'
+      });
+    }
+
+    const requests = await Contact.getPendingRequests(req.user.id, direction);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requests: requests.map(formatRequest)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get contact requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get contact requests',
+      error: error.message
+    });
+  }
+};
+
+// Send a contact request by user id or username
+export const sendContactRequest = async (req, res) => {
+  try {
+    const { userId, username, message = '' } = req.body;
+    const currentUserId = req.user.id;
+
+    if (!userId && !username) {
+      return res.status(400).json({
+        success: false,
+        message: 'User ID or username is required'
+      });
+    }
+
+    const recipient = userId
+      ? (mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null)
+      : await User.findOne({ username: String(username) });
+
+    if (!recipient || !recipient.isActive || recipient.isBanned) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (recipient._id.toString() === currentUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot send a contact request to yourself'
+      });
+    }
+
+    // Looks the same as a missing user so a block isn't revealed
+    if (await Block.existsBetween(currentUserId, recipient._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    let contact = await Contact.findBetween(currentUserId, recipient._id);
+
+    if (contact?.status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already contacts'
+      });
+    }
+
+    if (contact?.status === 'pending') {
+      // They already asked us - treat this as accepting their request
+      if (contact.recipient.toString() === currentUserId.toString()) {
+        contact = await acceptRequest(req, contact);
+        return res.status(200).json({
+          success: true,
+          message: 'Contact request accepted',
+          data: { request: formatRequest(contact) }
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Contact request already sent'
+      });
+    }
+
+    if (contact?.status === 'declined' && contact.requester.toString() === currentUserId.toString()) {
+      const retryAt = new Date(contact.respondedAt.getTime() + DECLINE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+      if (retryAt > new Date()) {
+        return res.status(429).json({
+          success: false,
+          message: 'This user declined your request. Please try again later.'
+        });
+      }
+    }
+
+    // A parent-blocked contact can't even be requested; a pending approval goes ahead
+    const contactCheck = await contactPolicyService.checkContacts(currentUserId, [recipient._id]);
+    if (!contactCheck.allowed && contactCheck.code !== 'CONTACT_APPROVAL_PENDING') {
+      return res.status(403).json({
+        success: false,
+        code: contactCheck.code,
+        message: contactCheck.message
+      });
+    }
+
+    if (!contact) {
+      contact = new Contact({ pairKey: Contact.getPairKey(currentUserId, recipient._id) });
+    }
+
+    contact.requester = currentUserId;
+    contact.recipient = recipient._id;
+    contact.status = 'pending';
+    contact.message = message;
+    contact.respondedAt = null;
+    await contact.save();
+    await contact.populate([
+      { path: 'requester', select: USER_FIELDS },
+      { path: 'recipient', select: USER_FIELDS }
+    ]);
+
+    notifyUser(req, recipient._id, 'contactRequestReceived', {
+      request: formatRequest(contact)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact request sent',
+      data: {
+        request: formatRequest(contact),
+        parentApprovalPending: !contactCheck.allowed
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Send contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send contact request',
+      error: error.message
+    });
+  }
+};
+
+// Accept a request sent to the current user
+export const acceptContactRequest = async (req, res) => {
+  try {
+    const contact = await findPendingRequest(req, res, 'recipient');
+    if (!contact) return;
+
+    await acceptRequest(req, contact);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact request accepted',
+      data: { request: formatRequest(contact) }
+    });
+
+  } catch (error) {
+    console.error('Accept contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept contact request',
+      error: error.message
+    });
+  }
+};
+
+// Decline a request sent to the current user (the requester is not notified)
+export const declineContactRequest = async (req, res) => {
+  try {
+    const contact = await findPendingRequest(req, res, 'recipient');
+    if (!contact) return;
+
+    contact.status = 'declined';
+    contact.respondedAt = new Date();
+    await contact.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact request declined'
+    });
+
+  } catch (error) {
+    console.error('Decline contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline contact request',
+      error: error.message
+    });
+  }
+};
+
+// Cancel a request the current user sent
+export const cancelContactRequest = async (req, res) => {
+  try {
+    const contact = await findPendingRequest(req, res, 'requester');
+    if (!contact) return;
+
+    contact.status = 'cancelled';
+    contact.respondedAt = new Date();
+    await contact.save();
+
+    notifyUser(req, contact.recipient, 'contactRequestCancelled', {
+      requestId: contact._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact request cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel contact request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel contact request',
+      error: error.message
+    });
+  }
+};
+
+// Remove an accepted contact
+export const removeContact = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const contact = mongoose.Types.ObjectId.isValid(userId)
+      ? await Contact.findOne({ pairKey: Contact.getPairKey(req.user.id, userId), status: 'accepted' })
+      : null;
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    await contact.deleteOne();
+
+    notifyUser(req, userId, 'contactRemoved', {
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact removed'
+    });
+
+  } catch (error) {
+    console.error('Remove contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove contact',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,258 @@
+import { getIdentityProvider, listIdentityProviders, IdentityProviderError } from '../services/identityProviders/index.js';
+import identityService from '../services/identityService.js';
+import { createSendToken, createSessionToken } from '../utils/jwt.js';
+
+// Resolve the provider named in the route (or fixed by a legacy route)
+const getProvider = (req, res) => {
+  const name = req.params.provider || req.identityProviderName;
+  const provider = getIdentityProvider(name);
+
+  if (!provider) {
+    res.status(404).json({
+      status: 'fail',
+      message: `Unknown sign-in provider: ${name}`
+    });
+    return null;
+  }
+
+  if (!provider.isEnabled()) {
+    res.status(503).json({
+      status: 'error',
+      message: `${provider.label} sign-in is not configured on this server`
+    });
+    return null;
+  }
+
+  return provider;
+};
+
+// Provider ID token from the body (older app builds send it as firebaseIdToken or a Bearer header)
+const getIdToken = (req, { allowBearer = false } = {}) => {
+  if (req.body.idToken || req.body.firebaseIdToken) {
+    return req.body.idToken || req.body.firebaseIdToken;
+  }
+
+  if (allowBearer && req.headers.authorization?.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+const requireIdToken = (req, res, options) => {
+  const idToken = getIdToken(req, options);
+  if (!idToken) {
+    res.status(400).json({
+      status: 'fail',
+      message: 'Identity token is required'
+    });
+  }
+  return idToken;
+};
+
+const handleIdentityError = (res, error, message) => {
+  if (error instanceof IdentityProviderError) {
+    return res.status(error.statusCode).json({
+      status: error.statusCode >= 500 ? 'error' : 'fail',
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation Error',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue)[0];
+    return res.status(400).json({
+      status: 'fail',
+      message: `${field} already exists`
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message: `Something went wrong during ${message.toLowerCase()}`
+  });
+};
+
+// Send the response for a newly registered account
+const sendRegistration = async (req, res, user, verificationResults) => {
+  const { token, refreshToken } = await createSessionToken(user._id, req);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'User created successfully. Please check your email for verification codes.',
+    token,
+    refreshToken,
+    data: {
+      user: user.getPublicProfile(),
+      verificationResults,
+      requiresVerification: true,
+      requiresParentVerification: !!(user.parentEmail && user.age < 18)
+    }
+  });
+};
+
+// List available sign-in providers
+export const getIdentityProviders = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: listIdentityProviders()
+    }
+  });
+};
+
+// Sign in with a provider identity
+export const identityLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req, res);
+    if (!provider) return;
+
+    const idToken = requireIdToken(req, res, { allowBearer: true });
+    if (!idToken) return;
+
+    const identity = await provider.verify(idToken);
+    const user = await identityService.resolveSignIn(identity);
+
+    if (!user) {
+      // Older app builds send the registration details with the first sign-in
+      if (req.body.additionalUserInfo) {
+        const { user: newUser, verificationResults } = await identityService.register(identity, req.body.additionalUserInfo);
+        return await sendRegistration(req, res, newUser, verificationResults);
+      }
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Additional user information required for child safety',
+        needsRegistration: true,
+        required: ['age', 'parentEmail', 'fullName'],
+        identity: {
+          provider: identity.provider,
+          email: identity.email,
+          name: identity.name,
+          picture: identity.picture
+        }
+      });
+    }
+
+    if (user.isBanned || !user.isActive) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    await createSendToken(user, 200, res);
+
+  } catch (error) {
+    handleIdentityError(res, error, 'Provider sign-in');
+  }
+};
+
+// Create an account for a new provider identity
+export const registerWithIdentity = async (req, res) => {
+  try {
+    const provider = getProvider(req, res);
+    if (!provider) return;
+
+    const idToken = requireIdToken(req, res);
+    if (!idToken) return;
+
+    const identity = await provider.verify(idToken);
+    const { age, parentEmail, fullName } = req.body;
+
+    const { user, verificationResults } = await identityService.register(identity, { age, parentEmail, fullName });
+
+    await sendRegistration(req, res, user, verificationResults);
+
+  } catch (error) {
+    handleIdentityError(res, error, 'Provider registration');
+  }
+};
+
+// Describe a provider identity and whether it already has an account
+export const getIdentityInfo = async (req, res) => {
+  try {
+    const provider = getProvider(req, res);
+    if (!provider) return;
+
+    const idToken = requireIdToken(req, res);
+    if (!idToken) return;
+
+    const identity = await provider.verify(idToken);
+    const existingUser = await identityService.findExistingAccount(identity);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        identity: {
+          provider: identity.provider,
+          uid: identity.providerUid,
+          email: identity.email,
+          name: identity.name,
+          picture: identity.picture,
+          emailVerified: identity.emailVerified
+        },
+        existsInSystem: !!existingUser,
+        needsAdditionalInfo: !existingUser
+      }
+    });
+
+  } catch (error) {
+    handleIdentityError(res, error, 'Provider user info');
+  }
+};
+
+// Link a provider identity to the current account
+export const linkIdentity = async (req, res) => {
+  try {
+    const provider = getProvider(req, res);
+    if (!provider) return;
+
+    const idToken = requireIdToken(req, res);
+    if (!idToken) return;
+
+    const identity = await provider.verify(idToken);
+    const user = await identityService.link(req.user, identity);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${provider.label} account linked successfully`,
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    handleIdentityError(res, error, 'Provider linking');
+  }
+};
+
+// Unlink a provider identity from the current account
+export const unlinkIdentity = async (req, res) => {
+  try {
+    const name = req.params.provider || req.identityProviderName;
+    const provider = getIdentityProvider(name);
+
+    const user = await identityService.unlink(req.user._id, name);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${provider?.label || name} account unlinked successfully`,
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    handleIdentityError(res, error, 'Provider unlinking');
+  }
+};
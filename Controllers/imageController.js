@@ -1,13 +1,18 @@
 import Message from '../Models/Message.js';
 import Chat from '../Models/Chat.js';
+import User from '../Models/User.js';
 import contentMonitoringService from '../services/contentMonitoringService.js';
+import contactPolicyService from '../services/contactPolicyService.js';
+import blockService from '../services/blockService.js';
+import imageService from '../services/imageService.js';
+import fieldModerationService from '../services/fieldModerationService.js';
+import mongoose from 'mongoose';
 import path from 'path';
-import fs from 'fs';
 
 // Upload image and send as message
 export const uploadImage = async (req, res) => {
   try {
-    const { chatId } = req.body;
+    const { chatId, caption } = req.body;
     const userId = req.user.id;
 
     // Validate input
@@ -41,15 +46,53 @@ export const uploadImage = async (req, res) => {
       });
     }
 
-    // Create file URL
-    const fileUrl = `/uploads/images/${req.file.filename}`;
-    const fullImagePath = path.join(process.cwd(), 'uploads', 'images', req.file.filename);
-    
+    const blockCheck = await blockService.checkChatSend(chat, userId);
+    if (!blockCheck.allowed) {
+      imageService.discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        code: blockCheck.code,
+        message: blockCheck.message
+      });
+    }
+
+    // Children may only send images to contacts their parent allowed
+    const contactCheck = await contactPolicyService.checkChatRecipients(chat, userId);
+    if (!contactCheck.allowed) {
+      imageService.discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        code: contactCheck.code,
+        message: contactCheck.message
+      });
+    }
+
+    // Captions are moderated like messages
+    const captionCheck = await fieldModerationService.checkText('caption', caption, { userId, chatId });
+    if (!captionCheck.allowed) {
+      imageService.discardUpload(req.file);
+      return res.status(captionCheck.statusCode).json({
+        success: false,
+        message: captionCheck.message,
+        moderation: {
+          blocked: true,
+          field: captionCheck.field,
+          reason: captionCheck.reason,
+          category: captionCheck.category
+        }
+      });
+    }
+
+    // The filename is shown in the chat too; one that isn't allowed is replaced rather than refusing the image
+    const fileNameCheck = await fieldModerationService.checkText('fileName', req.file.originalname, { userId, chatId });
+    const fileName = fileNameCheck.allowed ? req.file.originalname : 'image.jpg';
+
     // 🛡️ MONITOR IMAGE CONTENT FOR INAPPROPRIATE MATERIAL
+    let held = false;
     try {
       console.log('🔍 Monitoring uploaded image for inappropriate content...');
       const monitoring = await contentMonitoringService.monitorImageContent(
-        fullImagePath, 
+        req.file.buffer,
         userId, 
         chatId
       );
@@ -58,20 +101,17 @@ export const uploadImage = async (req, res) => {
         console.log('❌ Inappropriate image blocked:', {
           userId,
           chatId,
-          filename: req.file.filename,
+          key: req.file.key,
           reason: monitoring.reason,
           parentNotified: monitoring.parentNotified
         });
         
-        // Delete the uploaded file since it's inappropriate
-        try {
-          fs.unlinkSync(fullImagePath);
-          console.log('🗑️ Inappropriate image file deleted');
-        } catch (deleteError) {
-          console.error('❌ Failed to delete inappropriate image file:', deleteError);
-        }
+        // Delete the uploaded files since they're inappropriate
+        imageService.discardUpload(req.file);
+        console.log('🗑️ Inappropriate image files deleted');
         
-        return res.status(400).json({
+        // Images that couldn't be checked under a fail-closed policy may be sent again later
+        return res.status(monitoring.reason === 'moderation_unavailable' ? 503 : 400).json({
           success: false,
           message: monitoring.message,
           moderation: {
@@ -81,25 +121,36 @@ export const uploadImage = async (req, res) => {
           }
         });
       }
+
+      // Held while moderation is down; delivered or rejected once it has been checked
+      held = !!monitoring.held;
       
-      console.log('✅ Image content approved by monitoring system');
+      console.log(held ? '⏸️ Image held until moderation recovers' : '✅ Image content approved by monitoring system');
     } catch (monitoringError) {
       console.error('⚠️ Image content monitoring failed:', monitoringError);
-      // In production, you might want to block images if monitoring fails
-      // For now, we'll allow the image but log the error
-      console.warn('⚠️ Allowing image due to monitoring service error (fail-safe)');
+      imageService.discardUpload(req.file);
+      return res.status(503).json({
+        success: false,
+        message: 'We can\'t check images right now. Please try again in a few minutes.'
+      });
     }
     
-    // Create image message
+    // Create image message, served only through the access-checked image route
     const newMessage = new Message({
-      content: req.file.originalname, // Store original filename as content
+      content: fileName, // Store original filename as content
       messageType: 'image',
       sender: userId,
       chat: chatId,
-      fileUrl: fileUrl,
-      fileName: req.file.originalname,
-      fileSize: req.file.size
+      fileKey: req.file.key,
+      fileName,
+      caption: typeof caption === 'string' && caption.trim() ? caption : null,
+      fileSize: req.file.size,
+      imageWidth: req.file.width,
+      imageHeight: req.file.height,
+      imageVariants: req.file.variants,
+      moderationStatus: held ? 'pending' : 'approved'
     });
+    newMessage.fileUrl = `/api/images/${newMessage._id}`;
 
     await newMessage.save();
     await newMessage.populate([
@@ -109,6 +160,15 @@ export const uploadImage = async (req, res) => {
       }
     ]);
 
+    if (held) {
+      return res.status(202).json({
+        success: true,
+        message: 'Image will be sent as soon as it has been checked',
+        data: newMessage,
+        held: true
+      });
+    }
+
     // Update chat's last message and activity
     chat.lastMessage = newMessage._id;
     chat.lastActivity = new Date();
@@ -131,13 +191,9 @@ export const uploadImage = async (req, res) => {
   } catch (error) {
     console.error('Upload image error:', error);
     
-    // Clean up uploaded file if message creation failed
+    // Clean up uploaded files if message creation failed
     if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Failed to clean up file:', unlinkError);
-      }
+      imageService.discardUpload(req.file);
     }
 
     res.status(500).json({
@@ -148,31 +204,102 @@ export const uploadImage = async (req, res) => {
   }
 };
 
+// Find the image message behind a request
+const findImageMessage = async (req, res) => {
+  const { messageId } = req.params;
+
+  // Older clients still ask for the stored filename from the old public URL
+  const message = mongoose.Types.ObjectId.isValid(messageId)
+    ? await Message.findById(messageId)
+    : await Message.findOne({ fileUrl: `/uploads/images/${path.basename(messageId)}` });
+
+  // Images the user can't see look the same as missing ones
+  if (!message || message.messageType !== 'image' || !(await imageService.canView(message, req.user, req.authSession))) {
+    res.status(404).json({
+      success: false,
+      message: 'Image not found'
+    });
+    return null;
+  }
+
+  return message;
+};
+
+// Get a short-lived signed link to an image
+export const getImageUrl = async (req, res) => {
+  try {
+    const message = await findImageMessage(req, res);
+    if (!message) return;
+
+    res.status(200).json({
+      success: true,
+      data: imageService.getSignedUrl(message._id, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get image URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create image link'
+    });
+  }
+};
+
+// Sizes that can be requested with ?size=
+const IMAGE_SIZES = ['original', 'preview', 'thumbnail'];
+
+// Check the ?size= of a request, responding if it isn't valid
+const getRequestedSize = (req, res) => {
+  const { size = 'original' } = req.query;
+
+  if (!IMAGE_SIZES.includes(size)) {
+    res.status(400).json({
+      success: false,
+      message: `Size must be one of: ${IMAGE_SIZES.join(', ')}`
+    });
+    return null;
+  }
+
+  return size;
+};
+
+// Send a stored image, or 404 if there isn't one
+const sendImage = async (res, image) => {
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      message: 'Image not found'
+    });
+  }
+
+  // Set appropriate headers
+  res.setHeader('Content-Type', (await imageService.detectContentType(image)) || 'application/octet-stream');
+  res.setHeader('Content-Length', image.length);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  // Access is per user, so only the viewer's own client may cache it
+  res.setHeader('Cache-Control', 'private, max-age=300');
+
+  res.end(image);
+};
+
 // Get image file
 export const getImage = async (req, res) => {
   try {
-    const { filename } = req.params;
-    const imagePath = path.join(process.cwd(), 'uploads', 'images', filename);
+    const size = getRequestedSize(req, res);
+    if (!size) return;
 
-    // Check if file exists
-    if (!fs.existsSync(imagePath)) {
-      return res.status(404).json({
+    const message = await findImageMessage(req, res);
+    if (!message) return;
+
+    // Removed after the retention period
+    if (message.fileRemovedAt) {
+      return res.status(410).json({
         success: false,
-        message: 'Image not found'
+        message: 'This image is no longer available'
       });
     }
 
-    // Get file stats for content length
-    const stats = fs.statSync(imagePath);
-    
-    // Set appropriate headers
-    res.setHeader('Content-Type', 'image/jpeg'); // You might want to detect actual type
-    res.setHeader('Content-Length', stats.size);
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(imagePath);
-    fileStream.pipe(res);
+    await sendImage(res, await imageService.loadImage(message, size));
 
   } catch (error) {
     console.error('Get image error:', error);
@@ -182,3 +309,46 @@ export const getImage = async (req, res) => {
     });
   }
 };
+
+// Get a user's uploaded profile picture
+export const getProfilePicture = async (req, res) => {
+  try {
+    const size = getRequestedSize(req, res);
+    if (!size) return;
+
+    const { userId } = req.params;
+    const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId).select('profileImage') : null;
+
+    await sendImage(res, await imageService.loadPicture(user?.profileImage, size));
+
+  } catch (error) {
+    console.error('Get profile picture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve image'
+    });
+  }
+};
+
+// Get a chat's picture (participants only)
+export const getChatAvatar = async (req, res) => {
+  try {
+    const size = getRequestedSize(req, res);
+    if (!size) return;
+
+    const { chatId } = req.params;
+    const chat = mongoose.Types.ObjectId.isValid(chatId) ? await Chat.findById(chatId) : null;
+
+    // Chats the user isn't in look the same as missing pictures
+    const picture = chat?.isParticipant(req.user.id) ? chat.avatarImage : null;
+
+    await sendImage(res, await imageService.loadPicture(picture, size));
+
+  } catch (error) {
+    console.error('Get chat avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve image'
+    });
+  }
+};
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import ImageHash from '../Models/ImageHash.js';
+import Message from '../Models/Message.js';
+import imageHashService from '../services/imageHashService.js';
+import imageService from '../services/imageService.js';
+
+// Largest hash list accepted in one import
+const MAX_IMPORT = 10000;
+
+// Get known-bad image hashes with filters and pagination
+export const getImageHashes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, source, category } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (source) query.source = String(source);
+    if (category) query.category = String(category);
+
+    const hashes = await ImageHash.find(query)
+      .populate('addedBy', 'username fullName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalHashes = await ImageHash.countDocuments(query);
+    const totalPages = Math.ceil(totalHashes / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hashes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalHashes,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get image hashes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch image hashes'
+    });
+  }
+};
+
+// Add a known-bad image, by its hashes or by an image message
+export const addImageHash = async (req, res) => {
+  try {
+    const { pHash, dHash, messageId, category, note } = req.body;
+    const options = { category, note, source: 'admin', addedBy: req.user.id };
+    let result;
+
+    if (messageId) {
+      const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+      const image = message?.messageType === 'image' ? await imageService.loadImage(message) : null;
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      result = await imageHashService.addImage(image, options);
+    } else {
+      if (!pHash && !dHash) {
+        return res.status(400).json({
+          success: false,
+          message: 'A pHash, dHash or messageId is required'
+        });
+      }
+
+      result = await imageHashService.addHashes({ ...options, pHash, dHash });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Image hash added' : 'Image hash already in the index',
+      data: result.hash
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Add image hash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add image hash'
+    });
+  }
+};
+
+// Import a shared list of known-bad image hashes
+export const importImageHashes = async (req, res) => {
+  try {
+    const { hashes } = req.body;
+
+    if (!Array.isArray(hashes) || hashes.length === 0 || hashes.length > MAX_IMPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `hashes must be a list of 1 to ${MAX_IMPORT} entries`
+      });
+    }
+
+    const result = await imageHashService.importHashes(hashes, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.added} image hash(es)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import image hashes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import image hashes'
+    });
+  }
+};
+
+// Remove an image hash, e.g. one that caught harmless images
+export const deleteImageHash = async (req, res) => {
+  try {
+    const { hashId } = req.params;
+
+    const hash = mongoose.Types.ObjectId.isValid(hashId) ? await imageHashService.removeHash(hashId) : null;
+    if (!hash) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image hash not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Image hash removed'
+    });
+
+  } catch (error) {
+    console.error('Delete image hash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove image hash'
+    });
+  }
+};
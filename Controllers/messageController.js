@@ -1,6 +1,9 @@
 import Message from '../Models/Message.js';
 import Chat from '../Models/Chat.js';
 import User from '../Models/User.js';
+import contactPolicyService from '../services/contactPolicyService.js';
+import blockService from '../services/blockService.js';
+import imageService from '../services/imageService.js';
 
 // Send a message
 export const sendMessage = async (req, res) => {
@@ -33,6 +36,25 @@ export const sendMessage = async (req, res) => {
       });
     }
 
+    const blockCheck = await blockService.checkChatSend(chat, userId);
+    if (!blockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        code: blockCheck.code,
+        message: blockCheck.message
+      });
+    }
+
+    // Children may only message contacts their parent allowed
+    const contactCheck = await contactPolicyService.checkChatRecipients(chat, userId);
+    if (!contactCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        code: contactCheck.code,
+        message: contactCheck.message
+      });
+    }
+
     // Validate reply message if provided
     let replyToMessage = null;
     if (replyTo) {
@@ -45,13 +67,17 @@ export const sendMessage = async (req, res) => {
       }
     }
 
+    // Held while moderation is down; delivered or rejected once it has been checked
+    const held = !!req.moderation?.held;
+
     // Create message
     const newMessage = new Message({
       content: content.trim(),
       messageType,
       sender: userId,
       chat: chatId,
-      replyTo: replyTo || null
+      replyTo: replyTo || null,
+      moderationStatus: held ? 'pending' : 'approved'
     });
 
     await newMessage.save();
@@ -70,6 +96,15 @@ export const sendMessage = async (req, res) => {
       }
     ]);
 
+    if (held) {
+      return res.status(202).json({
+        success: true,
+        message: req.moderation.message,
+        data: { message: newMessage },
+        held: true
+      });
+    }
+
     // Update chat's last message and activity
     chat.lastMessage = newMessage._id;
     chat.lastActivity = new Date();
@@ -88,7 +123,9 @@ export const sendMessage = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: { message: newMessage }
+      data: { message: newMessage },
+      // Set by the moderation middleware when the message is allowed with a warning
+      ...(req.moderation?.warning && { warning: req.moderation.warning })
     });
 
   } catch (error) {
@@ -127,7 +164,8 @@ export const getChatMessages = async (req, res) => {
     // Build query
     const query = { 
       chat: chatId,
-      isDeleted: false
+      isDeleted: false,
+      ...Message.visibleTo(userId)
     };
 
     // Add before filter for pagination
@@ -191,13 +229,17 @@ export const getChatMessages = async (req, res) => {
     // Get total count for pagination
     const totalMessages = await Message.countDocuments({
       chat: chatId,
-      isDeleted: false
+      isDeleted: false,
+      ...Message.visibleTo(userId)
     });
 
     res.status(200).json({
       success: true,
       message: 'Messages retrieved successfully',
-      data: messages, // Keep newest first order
+      // Keep newest first order; images get a signed link for clients that can't send an auth header
+      data: messages.map(message => (message.messageType === 'image'
+        ? { ...message.toJSON(), signedUrl: imageService.getSignedUrl(message._id, userId) }
+        : message)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -253,6 +295,21 @@ export const editMessage = async (req, res) => {
       });
     }
 
+    if (message.moderationStatus === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit a message that was not delivered'
+      });
+    }
+
+    // Others have already seen an approved message, so an edit to it can't wait for moderation
+    if (req.moderation?.held && message.moderationStatus === 'approved') {
+      return res.status(503).json({
+        success: false,
+        message: 'Edits can\'t be checked right now. Please try again in a few minutes.'
+      });
+    }
+
     // Check if message is within edit time limit (15 minutes)
     const editTimeLimit = 15 * 60 * 1000; // 15 minutes
     if (Date.now() - message.createdAt.getTime() > editTimeLimit) {
@@ -278,7 +335,7 @@ export const editMessage = async (req, res) => {
     // Get chat participants for real-time update (only if io exists)
     const chat = await Chat.findById(message.chat);
     const io = req.app.get('io');
-    if (io) {
+    if (io && message.moderationStatus === 'approved') {
       chat.participants.forEach(participant => {
         if (participant.isActive) {
           io.to(`user_${participant.user}`).emit('messageEdited', message);
@@ -289,7 +346,8 @@ export const editMessage = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Message updated successfully',
-      data: { message }
+      data: { message },
+      ...(req.moderation?.warning && { warning: req.moderation.warning })
     });
 
   } catch (error) {
@@ -342,6 +400,9 @@ export const deleteMessage = async (req, res) => {
     message.deletedBy = userId;
     await message.save();
 
+    // Deleted images are removed from storage, unless a report still needs them
+    await imageService.removeMessageImage(message);
+
     // Emit to chat participants (only if io exists)
     const io = req.app.get('io');
     if (io) {
@@ -468,7 +529,8 @@ export const getUnreadCount = async (req, res) => {
       chat: { $in: chatIds },
       sender: { $ne: userId },
       'readBy.user': { $ne: userId },
-      isDeleted: false
+      isDeleted: false,
+      moderationStatus: { $nin: ['pending', 'rejected'] }
     });
 
     res.status(200).json({
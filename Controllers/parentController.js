@@ -0,0 +1,474 @@
+import parentService from '../services/parentService.js';
+import contactPolicyService from '../services/contactPolicyService.js';
+import ContactApproval from '../Models/ContactApproval.js';
+import User from '../Models/User.js';
+import { generateParentToken } from '../utils/jwt.js';
+
+// Load the child named in the route, or send 404 if it isn't linked to this parent
+const getLinkedChild = async (req, res) => {
+  const child = await req.parent.findChild(req.params.childId);
+
+  if (!child) {
+    res.status(404).json({
+      status: 'fail',
+      message: 'Child account not found'
+    });
+    return null;
+  }
+
+  return child;
+};
+
+// Email a magic sign-in link to a parent
+export const requestSignInLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide your email address'
+      });
+    }
+
+    try {
+      await parentService.requestSignInLink(email);
+    } catch (error) {
+      // Don't reveal throttling or mail errors for this address
+      console.error('Parent sign-in link error:', error.message);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If this email is linked to a child account, a sign-in link has been sent.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while sending the sign-in link'
+    });
+  }
+};
+
+// Exchange the token from the sign-in link for a parent token
+export const verifySignInLink = async (req, res) => {
+  try {
+    const { email, token } = req.body;
+
+    if (!email || !token) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide your email address and the sign-in token'
+      });
+    }
+
+    let parent;
+    try {
+      parent = await parentService.completeSignIn(email, token);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'fail',
+        message: error.message === 'Verification code not found'
+          ? 'Invalid or expired sign-in link'
+          : error.message
+      });
+    }
+
+    const children = await parent.getChildren();
+
+    res.status(200).json({
+      status: 'success',
+      token: generateParentToken(parent),
+      data: {
+        parent: parent.getPublicProfile(),
+        children: children.map(child => parentService.formatChild(child))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while signing in'
+    });
+  }
+};
+
+// Sign the parent out on every device
+export const signOut = async (req, res) => {
+  try {
+    await parentService.signOut(req.parent);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Signed out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while signing out'
+    });
+  }
+};
+
+// Get the signed-in parent with their linked children
+export const getMe = async (req, res) => {
+  try {
+    const children = await req.parent.getChildren();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        parent: req.parent.getPublicProfile(),
+        children: children.map(child => parentService.formatChild(child))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting your account'
+    });
+  }
+};
+
+// Update the parent's own profile
+export const updateMe = async (req, res) => {
+  try {
+    const { fullName } = req.body;
+
+    if (fullName !== undefined) {
+      req.parent.fullName = fullName;
+    }
+
+    await req.parent.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        parent: req.parent.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while updating your account'
+    });
+  }
+};
+
+// List the children linked to this parent
+export const getChildren = async (req, res) => {
+  try {
+    const children = await req.parent.getChildren();
+
+    res.status(200).json({
+      status: 'success',
+      results: children.length,
+      data: {
+        children: children.map(child => parentService.formatChild(child))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting children'
+    });
+  }
+};
+
+// Get one child's profile and account settings
+export const getChild = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        child: parentService.formatChild(child),
+        settings: parentService.getChildSettings(child)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting the child account'
+    });
+  }
+};
+
+// List the people a child chats with directly
+export const getChildContacts = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const contacts = await parentService.getChildContacts(child._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: contacts.length,
+      data: {
+        contacts
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting contacts'
+    });
+  }
+};
+
+// List a child's chats (participants only, no message content)
+export const getChildChats = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const chats = await parentService.getChildChats(child._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: chats.length,
+      data: {
+        chats
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting chats'
+    });
+  }
+};
+
+// List moderation incidents for content a child sent
+export const getChildIncidents = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { incidents, total } = await parentService.getChildIncidents(child._id, page, limit);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: incidents.length,
+      data: {
+        incidents,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalIncidents: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting moderation incidents'
+    });
+  }
+};
+
+// Update a child's settings (currently who they may talk to)
+export const updateChildSettings = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const { contactPolicy } = req.body;
+
+    if (contactPolicy !== undefined) {
+      child.contactPolicy = contactPolicy;
+    }
+
+    await child.save({ validateModifiedOnly: true });
+
+    console.log('⚙️ Child settings updated by parent:', { childId: child._id.toString(), contactPolicy: child.contactPolicy });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        settings: parentService.getChildSettings(child)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while updating settings'
+    });
+  }
+};
+
+// List contact requests for a child (pending by default)
+export const getContactRequests = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'denied', 'all'].includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Status must be pending, approved, denied or all'
+      });
+    }
+
+    const requests = await ContactApproval.getForChild(child._id, status === 'all' ? null : status);
+
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: {
+        requests: requests.map(entry => contactPolicyService.formatEntry(entry))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting contact requests'
+    });
+  }
+};
+
+// Approve or deny a contact request
+const decideContactRequest = (status) => async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const entry = await contactPolicyService.decide(child, req.params.requestId, status);
+    if (!entry) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Contact request not found'
+      });
+    }
+
+    // Let both sides know they can (or can't) chat now. Clients built before contact
+    // requests existed listen for contactRequestUpdated, so it is sent under both names.
+    const socketService = req.app.get('socketService');
+    const update = {
+      requestId: entry._id,
+      childId: entry.child,
+      contactId: entry.contact,
+      status: entry.status
+    };
+    [entry.child, entry.contact].forEach(userId => {
+      ['contactApprovalUpdated', 'contactRequestUpdated'].forEach(event => {
+        socketService?.emitToUser(userId.toString(), event, update);
+      });
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: status === 'approved' ? 'Contact approved' : 'Contact denied',
+      data: {
+        request: contactPolicyService.formatEntry(entry)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while updating the contact request'
+    });
+  }
+};
+
+export const approveContactRequest = decideContactRequest('approved');
+export const denyContactRequest = decideContactRequest('denied');
+
+// Add someone to a child's approved contacts by user id or username
+export const addApprovedContact = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const { userId, username } = req.body;
+
+    let contactId = userId;
+    if (!contactId && username) {
+      const contact = await User.findOne({ username: String(username) }).select('_id');
+      contactId = contact?._id;
+    }
+
+    if (!contactId) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide a user id or username'
+      });
+    }
+
+    const entry = await contactPolicyService.addToAllowlist(child, contactId);
+    if (!entry) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    await entry.populate('contact', 'username fullName profilePicture age role');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Contact approved',
+      data: {
+        request: contactPolicyService.formatEntry(entry)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while adding the contact'
+    });
+  }
+};
+
+// Remove someone from a child's approved contacts
+export const removeApprovedContact = async (req, res) => {
+  try {
+    const child = await getLinkedChild(req, res);
+    if (!child) return;
+
+    const removed = await contactPolicyService.removeFromAllowlist(child, req.params.contactId);
+    if (!removed) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Contact not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Contact removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while removing the contact'
+    });
+  }
+};
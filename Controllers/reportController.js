@@ -0,0 +1,400 @@
+import mongoose from 'mongoose';
+import Report from '../Models/Report.js';
+import Message from '../Models/Message.js';
+import Chat from '../Models/Chat.js';
+import User from '../Models/User.js';
+import imageService from '../services/imageService.js';
+
+const USER_FIELDS = 'username fullName profilePicture';
+
+// Summary shown to the user who made the report
+const formatOwnReport = (report) => ({
+  id: report._id,
+  targetType: report.targetType,
+  category: report.category,
+  status: report.status,
+  createdAt: report.createdAt
+});
+
+// Load a report for a moderator action
+const findReport = async (req, res) => {
+  const { reportId } = req.params;
+
+  const report = mongoose.Types.ObjectId.isValid(reportId)
+    ? await Report.findById(reportId)
+    : null;
+
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+    return null;
+  }
+
+  return report;
+};
+
+// Work out what is being reported, checking the reporter can see it
+const resolveTarget = async (targetType, targetId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return { error: 'Report target not found', status: 404 };
+  }
+
+  if (targetType === 'message') {
+    const message = await Message.findById(targetId).populate('sender', 'username');
+    if (!message || message.isDeleted) {
+      return { error: 'Message not found', status: 404 };
+    }
+
+    const chat = await Chat.findById(message.chat);
+    if (!chat || !chat.isParticipant(userId)) {
+      return { error: 'Message not found', status: 404 };
+    }
+
+    if (message.sender._id.toString() === userId.toString()) {
+      return { error: 'You cannot report your own message', status: 400 };
+    }
+
+    return {
+      message: message._id,
+      reportedUser: message.sender._id,
+      chat: chat._id,
+      messageSnapshot: Report.snapshotMessage(message)
+    };
+  }
+
+  if (targetType === 'user') {
+    if (targetId.toString() === userId.toString()) {
+      return { error: 'You cannot report yourself', status: 400 };
+    }
+
+    const user = await User.findById(targetId).select('_id');
+    if (!user) {
+      return { error: 'User not found', status: 404 };
+    }
+
+    return { reportedUser: user._id };
+  }
+
+  const chat = await Chat.findById(targetId);
+  if (!chat || !chat.isParticipant(userId)) {
+    return { error: 'Chat not found', status: 404 };
+  }
+
+  return { chat: chat._id };
+};
+
+// Report a message, user or chat
+export const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, category, details = '' } = req.body;
+    const userId = req.user.id;
+
+    if (!['message', 'user', 'chat'].includes(targetType) || !targetId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A message, user or chat to report is required'
+      });
+    }
+
+    const target = await resolveTarget(targetType, targetId, userId);
+    if (target.error) {
+      return res.status(target.status).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    // One open report per reporter and target is enough
+    const existing = await Report.findOne({
+      reporter: userId,
+      targetType,
+      message: target.message || null,
+      reportedUser: target.reportedUser || null,
+      chat: target.chat || null,
+      status: { $in: ['open', 'in_review'] }
+    });
+
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'You have already reported this. A moderator will look at it soon.',
+        data: { report: formatOwnReport(existing) }
+      });
+    }
+
+    const report = await Report.create({
+      reporter: userId,
+      targetType,
+      category,
+      details: typeof details === 'string' ? details : '',
+      ...target
+    });
+
+    console.log('🚩 Report created:', { reportId: report._id.toString(), targetType, category });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for telling us. A moderator will look at your report.',
+      data: { report: formatOwnReport(report) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create report',
+      error: error.message
+    });
+  }
+};
+
+// List the current user's reports
+export const getMyReports = async (req, res) => {
+  try {
+    const reports = await Report.find({ reporter: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports: reports.map(formatOwnReport)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reports',
+      error: error.message
+    });
+  }
+};
+
+// Moderator queue, oldest first
+export const getReports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open', category = '', targetType = '', assigned = '' } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {
+      status: { $in: String(status).split(',') }
+    };
+    if (category) {
+      query.category = String(category);
+    }
+    if (targetType) {
+      query.targetType = String(targetType);
+    }
+    if (assigned === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assigned === 'unassigned') {
+      query.assignedTo = null;
+    }
+
+    const reports = await Report.find(query)
+      .populate('reporter', USER_FIELDS)
+      .populate('reportedUser', USER_FIELDS)
+      .populate('assignedTo', 'username fullName')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalReports = await Report.countDocuments(query);
+    const totalPages = Math.ceil(totalReports / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReports,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reports'
+    });
+  }
+};
+
+// Full report, with the current state of the reported message
+export const getReport = async (req, res) => {
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    await report.populate([
+      { path: 'reporter', select: USER_FIELDS },
+      { path: 'reportedUser', select: `${USER_FIELDS} isBanned` },
+      { path: 'assignedTo', select: 'username fullName' },
+      { path: 'resolution.resolvedBy', select: 'username fullName' },
+      { path: 'message', select: 'isDeleted deletedAt isEdited editedAt' },
+      { path: 'chat', select: 'name chatType' }
+    ]);
+
+    // Other reports about the same user help spot a pattern
+    const otherReports = report.reportedUser
+      ? await Report.countDocuments({ reportedUser: report.reportedUser._id, _id: { $ne: report._id } })
+      : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report,
+        otherReports
+      }
+    });
+
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report'
+    });
+  }
+};
+
+// Claim an open report for review
+export const claimReport = async (req, res) => {
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    const claimed = await Report.findOneAndUpdate(
+      {
+        _id: report._id,
+        $or: [
+          { status: 'open' },
+          { status: 'in_review', assignedTo: req.user._id }
+        ]
+      },
+      {
+        status: 'in_review',
+        assignedTo: req.user._id,
+        claimedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report has already been claimed or resolved'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Report claimed',
+      data: { report: claimed }
+    });
+
+  } catch (error) {
+    console.error('Claim report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim report'
+    });
+  }
+};
+
+// Resolve a report as actioned or dismissed
+export const resolveReport = async (req, res) => {
+  try {
+    const { status, action, note = '' } = req.body;
+
+    if (!['actioned', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be actioned or dismissed'
+      });
+    }
+
+    const actions = Report.schema.path('resolution.action').enumValues;
+    if (status === 'actioned' && (!actions.includes(action) || action === 'none')) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${actions.filter(a => a !== 'none').join(', ')}`
+      });
+    }
+
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    if (!report.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report has already been resolved'
+      });
+    }
+
+    if (report.assignedTo && report.assignedTo.toString() !== req.user._id.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report is being reviewed by another moderator'
+      });
+    }
+
+    report.status = status;
+    report.assignedTo = req.user._id;
+    report.resolution = {
+      action: status === 'actioned' ? action : 'none',
+      note,
+      resolvedBy: req.user._id,
+      resolvedAt: new Date()
+    };
+    await report.save();
+
+    console.log('✅ Report resolved:', { reportId: report._id.toString(), status, action: report.resolution.action });
+
+    // An image kept as evidence after its message was deleted can go now
+    if (report.message) {
+      await imageService.releaseReportedImage(report.message);
+    }
+
+    // Let the reporter know their report was looked at
+    req.app.get('socketService')?.emitToUser(report.reporter.toString(), 'reportUpdated', {
+      reportId: report._id,
+      status
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Report resolved',
+      data: { report }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Resolve report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve report'
+    });
+  }
+};
@@ -0,0 +1,128 @@
+import sessionService from '../services/sessionService.js';
+
+// List the devices the current user is logged in on
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user._id, {
+      currentSessionId: req.authSession.jti,
+      socketService: req.app.get('socketService')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting sessions'
+    });
+  }
+};
+
+// Log out one of the current user's devices
+export const revokeMySession = async (req, res) => {
+  try {
+    const session = await sessionService.revokeUserSession(
+      req.user._id,
+      req.params.id,
+      'revoked_by_user',
+      req.app.get('socketService')
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked',
+      data: {
+        isCurrent: session.jti === req.authSession.jti
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while revoking the session'
+    });
+  }
+};
+
+// List the devices a child is logged in on (parent)
+export const getChildSessions = async (req, res) => {
+  try {
+    const child = await req.parent.findChild(req.params.childId);
+    if (!child) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Child account not found'
+      });
+    }
+
+    const sessions = await sessionService.listActiveSessions(child._id, {
+      socketService: req.app.get('socketService')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        child: {
+          id: child._id,
+          username: child.username,
+          fullName: child.fullName
+        },
+        sessions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting sessions'
+    });
+  }
+};
+
+// Log a child out of one device (parent)
+export const revokeChildSession = async (req, res) => {
+  try {
+    const child = await req.parent.findChild(req.params.childId);
+    if (!child) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Child account not found'
+      });
+    }
+
+    const session = await sessionService.revokeUserSession(
+      child._id,
+      req.params.sessionId,
+      'revoked_by_parent',
+      req.app.get('socketService')
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while revoking the session'
+    });
+  }
+};
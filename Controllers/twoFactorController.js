@@ -0,0 +1,257 @@
+import User from '../Models/User.js';
+import Session from '../Models/Session.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+
+// Only staff accounts can enrol in two-factor authentication
+const ensurePrivilegedRole = (req, res) => {
+  if (!req.user.requiresTwoFactor()) {
+    res.status(403).json({
+      status: 'fail',
+      message: 'Two-factor authentication is only available for admin and moderator accounts'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Check a TOTP or recovery code. Wrong codes count as failed logins, so guessing
+// codes locks the account just like guessing passwords. Responds and returns null
+// when the code isn't accepted.
+const checkChallenge = async (req, res) => {
+  const lock = await loginProtectionService.getLockStatus({ userId: req.user._id, ip: req.ip });
+  if (lock.locked) {
+    res.set('Retry-After', String(lock.retryAfter));
+    res.status(429).json({
+      status: 'fail',
+      message: `Too many failed attempts. Please try again in ${Math.ceil(lock.retryAfter / 60)} minute(s).`,
+      retryAfter: lock.retryAfter
+    });
+    return null;
+  }
+
+  const { code, recoveryCode } = req.body;
+  const result = await twoFactorService.verifyChallenge(req.user._id, { code, recoveryCode });
+
+  if (!result.valid) {
+    await loginProtectionService.recordFailure({ user: req.user, ip: req.ip });
+    res.status(401).json({
+      status: 'fail',
+      message: 'Invalid two-factor code'
+    });
+    return null;
+  }
+
+  await loginProtectionService.recordSuccess(req.user._id);
+  return result;
+};
+
+// Get two-factor status for the current user and session
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        required: req.user.requiresTwoFactor(),
+        enabled: !!req.user.twoFactor?.enabled,
+        enabledAt: req.user.twoFactor?.enabledAt || null,
+        sessionVerified: !!req.authSession?.mfaVerifiedAt,
+        stepUpAt: req.authSession?.stepUpAt || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while getting two-factor status'
+    });
+  }
+};
+
+// Start enrolment - returns the secret and provisioning URI for the QR code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (!ensurePrivilegedRole(req, res)) return;
+
+    const { password } = req.body;
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Confirm the password before issuing a secret (Google accounts have none)
+    const user = await User.findById(req.user._id).select('+password');
+    if (user.password && (!password || !(await user.comparePassword(password)))) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while setting up two-factor authentication'
+    });
+  }
+};
+
+// Finish enrolment with the first code from the authenticator app
+export const enableTwoFactor = async (req, res) => {
+  try {
+    if (!ensurePrivilegedRole(req, res)) return;
+
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the code from your authenticator app'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid code or no two-factor setup in progress'
+      });
+    }
+
+    // The current session just proved the second factor
+    await Session.markTwoFactorVerified(req.authSession.jti);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they are shown only once.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while enabling two-factor authentication'
+    });
+  }
+};
+
+// Pass the two-factor challenge for the current session
+export const verifyTwoFactor = async (req, res) => {
+  try {
+    const result = await checkChallenge(req, res);
+    if (!result) return;
+
+    await Session.markTwoFactorVerified(req.authSession.jti);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor verification successful',
+      data: {
+        method: result.method,
+        remainingRecoveryCodes: result.remainingRecoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while verifying two-factor code'
+    });
+  }
+};
+
+// Fresh challenge required before destructive actions (see requireStepUp)
+export const stepUpTwoFactor = async (req, res) => {
+  try {
+    const result = await checkChallenge(req, res);
+    if (!result) return;
+
+    const session = await Session.markTwoFactorVerified(req.authSession.jti, { stepUp: true });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Action confirmed',
+      data: {
+        stepUpAt: session.stepUpAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while confirming two-factor code'
+    });
+  }
+};
+
+// Replace recovery codes (requires a current code)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await checkChallenge(req, res);
+    if (!result) return;
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while generating recovery codes'
+    });
+  }
+};
+
+// Turn two-factor off (requires password and a current code)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (user.password && (!password || !(await user.comparePassword(password)))) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const result = await checkChallenge(req, res);
+    if (!result) return;
+
+    await twoFactorService.disable(req.user._id);
+
+    // Sessions can no longer count as two-factor verified
+    await Session.updateMany(
+      { userId: req.user._id, revokedAt: null },
+      { mfaVerifiedAt: null, stepUpAt: null }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while disabling two-factor authentication'
+    });
+  }
+};
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Audit trail of password resets and email changes, including who approved them
+const accountRecoverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_change'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  // Who had to approve the request with the emailed code
+  approver: {
+    type: String,
+    enum: ['parent', 'account_owner'],
+    required: true
+  },
+  approverEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  previousEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  newEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  requestedFromIp: {
+    type: String,
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  sessionsRevoked: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+accountRecoverySchema.index({ userId: 1, type: 1, status: 1 });
+
+// Static method to open a recovery request
+accountRecoverySchema.statics.recordRequest = async function(userId, type, details = {}) {
+  return await this.create({
+    userId,
+    type,
+    approver: details.approver,
+    approverEmail: details.approverEmail,
+    previousEmail: details.previousEmail || null,
+    newEmail: details.newEmail || null,
+    requestedFromIp: details.requestedFromIp || null
+  });
+};
+
+// Static method to mark the latest pending request as approved and completed
+accountRecoverySchema.statics.recordCompletion = async function(userId, type, sessionsRevoked = 0) {
+  return await this.findOneAndUpdate(
+    { userId, type, status: 'pending' },
+    {
+      status: 'completed',
+      approvedAt: new Date(),
+      sessionsRevoked
+    },
+    { new: true, sort: { createdAt: -1 } }
+  );
+};
+
+const AccountRecovery = mongoose.model('AccountRecovery', accountRecoverySchema);
+
+export default AccountRecovery;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// One user blocking another. Blocks are enforced in both directions for direct chats.
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocker is required']
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocked user is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// One block per pair and direction
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// Static method to check if either user has blocked the other
+blockSchema.statics.existsBetween = async function(userId1, userId2) {
+  return !!(await this.exists({
+    $or: [
+      { blocker: userId1, blocked: userId2 },
+      { blocker: userId2, blocked: userId1 }
+    ]
+  }));
+};
+
+// Static method to get everyone a user has blocked or been blocked by
+blockSchema.statics.getHiddenUserIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked');
+
+  return blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ).toString());
+};
+
+// Static method to get which of the given users have blocked a user
+blockSchema.statics.getBlockersAmong = async function(userId, userIds) {
+  const blocks = await this.find({ blocked: userId, blocker: { $in: userIds } }).select('blocker');
+  return blocks.map(block => block.blocker.toString());
+};
+
+// Static method to check for a block in either direction between one user and a list
+blockSchema.statics.findAnyBetween = function(userId, userIds) {
+  return this.findOne({
+    $or: [
+      { blocker: userId, blocked: { $in: userIds } },
+      { blocked: userId, blocker: { $in: userIds } }
+    ]
+  });
+};
+
+const Block = mongoose.model('Block', blockSchema);
+
+export default Block;
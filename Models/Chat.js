@@ -45,6 +45,21 @@ const chatSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage keys of an uploaded, moderated chat picture; avatar is the URL it is served from
+  avatarImage: {
+    key: {
+      type: String,
+      default: null
+    },
+    preview: {
+      type: String,
+      default: null
+    },
+    thumbnail: {
+      type: String,
+      default: null
+    }
+  },
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Contact request between two users; once accepted the two are contacts
+const contactSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requester is required']
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  // Both user ids in sorted order, so a pair has a single document whoever asked first
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Message cannot exceed 200 characters'],
+    default: ''
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+contactSchema.index({ requester: 1, status: 1 });
+contactSchema.index({ recipient: 1, status: 1 });
+
+const USER_FIELDS = 'username fullName profilePicture isOnline lastSeen';
+
+contactSchema.statics.getPairKey = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join(':');
+};
+
+// Static method to find the document for a pair of users
+contactSchema.statics.findBetween = function(userId1, userId2) {
+  return this.findOne({ pairKey: this.getPairKey(userId1, userId2) });
+};
+
+// Static method to check if two users are contacts
+contactSchema.statics.areContacts = async function(userId1, userId2) {
+  return !!(await this.exists({ pairKey: this.getPairKey(userId1, userId2), status: 'accepted' }));
+};
+
+// Static method to get the ids of a user's accepted contacts
+contactSchema.statics.getContactIds = async function(userId) {
+  const contacts = await this.find({
+    $or: [{ requester: userId }, { recipient: userId }],
+    status: 'accepted'
+  }).select('requester recipient');
+
+  return contacts.map(contact => (
+    contact.requester.toString() === userId.toString() ? contact.recipient : contact.requester
+  ).toString());
+};
+
+// Static method to get a user's accepted contacts
+contactSchema.statics.getContacts = function(userId) {
+  return this.find({
+    $or: [{ requester: userId }, { recipient: userId }],
+    status: 'accepted'
+  })
+  .populate('requester', USER_FIELDS)
+  .populate('recipient', USER_FIELDS)
+  .sort({ respondedAt: -1 });
+};
+
+// Static method to get pending requests sent to or by a user
+contactSchema.statics.getPendingRequests = function(userId, direction = 'incoming') {
+  const filter = direction === 'outgoing' ? { requester: userId } : { recipient: userId };
+
+  return this.find({ ...filter, status: 'pending' })
+    .populate('requester', USER_FIELDS)
+    .populate('recipient', USER_FIELDS)
+    .sort({ createdAt: -1 });
+};
+
+// Method to get the other user in the pair
+contactSchema.methods.getOtherUser = function(userId) {
+  const requesterId = this.requester._id || this.requester;
+  return requesterId.toString() === userId.toString() ? this.recipient : this.requester;
+};
+
+const Contact = mongoose.model('Contact', contactSchema);
+
+export default Contact;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// A parent's decision about one person their child may talk to
+const contactApprovalSchema = new mongoose.Schema({
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Child is required']
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Contact is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  // How the entry was created
+  source: {
+    type: String,
+    enum: ['request', 'parent', 'existing_chat'],
+    default: 'request'
+  },
+  // User whose action triggered the request (the child or the other person)
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per child and contact
+contactApprovalSchema.index({ child: 1, contact: 1 }, { unique: true });
+contactApprovalSchema.index({ child: 1, status: 1 });
+
+// Static method to get a child's entries with the contact populated
+contactApprovalSchema.statics.getForChild = function(childId, status = null) {
+  return this.find({ child: childId, ...(status && { status }) })
+    .populate('contact', 'username fullName profilePicture age role')
+    .populate('requestedBy', 'username fullName')
+    .sort({ createdAt: -1 });
+};
+
+const ContactApproval = mongoose.model('ContactApproval', contactApprovalSchema);
+
+export default ContactApproval;
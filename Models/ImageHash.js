@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const HASH_PATTERN = [/^[0-9a-f]{16}$/, 'Hashes must be 16 hex characters'];
+
+// Perceptual hashes of known-bad images; uploads that look like one are blocked without a remote check
+const imageHashSchema = new mongoose.Schema({
+  pHash: {
+    type: String,
+    lowercase: true,
+    match: HASH_PATTERN,
+    default: null
+  },
+  dHash: {
+    type: String,
+    lowercase: true,
+    match: HASH_PATTERN,
+    default: null
+  },
+  // What the image was blocked for, e.g. 'sexual'
+  category: {
+    type: String,
+    trim: true,
+    default: 'inappropriate'
+  },
+  // blocked: caught by moderation; import: from a shared hash list; admin: added by hand
+  source: {
+    type: String,
+    enum: ['blocked', 'import', 'admin'],
+    required: [true, 'Source is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+    default: ''
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+imageHashSchema.pre('validate', function(next) {
+  if (!this.pHash && !this.dHash) {
+    this.invalidate('pHash', 'A pHash or dHash is required');
+  }
+  next();
+});
+
+// Index for better query performance
+imageHashSchema.index({ pHash: 1 });
+imageHashSchema.index({ dHash: 1 });
+imageHashSchema.index({ createdAt: -1 });
+
+const ImageHash = mongoose.model('ImageHash', imageHashSchema);
+
+export default ImageHash;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Failed login counters, stored so lockouts survive restarts and are shared between instances
+const loginAttemptSchema = new mongoose.Schema({
+  // "account:<userId>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for automatic cleanup once failures are old enough to forget and any lock has ended
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for faster queries
+loginAttemptSchema.index({ userId: 1 });
+
+// Method to check if the key is currently locked
+loginAttemptSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && new Date() < this.lockedUntil;
+};
+
+// Static method to atomically count a failed attempt
+// expiresAt only moves later, so a running lock is never cleaned up early
+loginAttemptSchema.statics.registerFailure = async function(key, scope, userId, expiresAt) {
+  return await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: new Date() },
+      $max: { expiresAt },
+      $setOnInsert: { scope, userId: userId || null }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+// Static method to lock a key until the given date, keeping the record at least that long
+loginAttemptSchema.statics.lockUntil = async function(key, lockedUntil) {
+  return await this.findOneAndUpdate(
+    { key },
+    {
+      $set: { lockedUntil },
+      $max: { expiresAt: lockedUntil }
+    },
+    { new: true }
+  );
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
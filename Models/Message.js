@@ -26,6 +26,17 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage key of an image (see services/storage); it is only served through the access-checked image route.
+  // Keys come from the image's content, so several messages may share one.
+  fileKey: {
+    type: String,
+    default: null
+  },
+  // When this message stopped holding its image, after deletion, rejection or retention
+  fileRemovedAt: {
+    type: Date,
+    default: null
+  },
   fileName: {
     type: String,
     default: null
@@ -34,6 +45,38 @@ const messageSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Text sent with an image
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Caption cannot exceed 500 characters'],
+    default: null
+  },
+  // Dimensions of the processed image, and the storage keys of its smaller sizes
+  imageWidth: {
+    type: Number,
+    default: null
+  },
+  imageHeight: {
+    type: Number,
+    default: null
+  },
+  imageVariants: {
+    preview: {
+      type: String,
+      default: null
+    },
+    thumbnail: {
+      type: String,
+      default: null
+    }
+  },
+  // Pending messages were held while moderation was down and are only shown to their sender
+  moderationStatus: {
+    type: String,
+    enum: ['approved', 'pending', 'rejected'],
+    default: 'approved'
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -87,6 +130,8 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ chat: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ createdAt: -1 });
+messageSchema.index({ moderationStatus: 1, createdAt: 1 });
+messageSchema.index({ fileKey: 1 });
 
 // Method to get message with populated fields
 messageSchema.methods.getPopulatedMessage = function() {
@@ -110,11 +155,22 @@ messageSchema.methods.getPopulatedMessage = function() {
   ]);
 };
 
+// Query filter for the messages a user can see: approved ones, and their own held or rejected ones
+messageSchema.statics.visibleTo = function(userId) {
+  return {
+    $or: [
+      { moderationStatus: { $nin: ['pending', 'rejected'] } },
+      { sender: userId }
+    ]
+  };
+};
+
 // Static method to get messages for a chat
-messageSchema.statics.getMessagesForChat = function(chatId, page = 1, limit = 50) {
+messageSchema.statics.getMessagesForChat = function(chatId, page = 1, limit = 50, userId = null) {
   return this.find({ 
     chat: chatId, 
-    isDeleted: false 
+    isDeleted: false,
+    ...(userId ? this.visibleTo(userId) : { moderationStatus: { $nin: ['pending', 'rejected'] } })
   })
   .populate([
     {
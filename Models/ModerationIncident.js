@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+const moderationIncidentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  contentType: {
+    type: String,
+    enum: ['text', 'image'],
+    required: true
+  },
+  // What the content was caught for, e.g. 'sexual' (the most severe when several fired)
+  category: {
+    type: String,
+    required: [true, 'Category is required']
+  },
+  // Every category that fired, with its score
+  categories: [{
+    _id: false,
+    category: String,
+    score: Number
+  }],
+  // Provider confidence, when the provider reports one
+  score: {
+    type: Number,
+    default: null
+  },
+  // Which check caught it, e.g. 'text_moderation_service'
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  action: {
+    type: String,
+    enum: ['blocked', 'warned', 'flagged', 'masked'],
+    default: 'blocked'
+  },
+  // Profile or chat field the content was in, e.g. 'username'; null for messages
+  field: {
+    type: String,
+    default: null
+  },
+  // SHA-256 of the full text or image, so repeat content can be matched without keeping it
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Short preview of blocked text, never the full message
+  contentSnippet: {
+    type: String,
+    maxlength: 120,
+    default: null
+  },
+  parentNotified: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+moderationIncidentSchema.index({ user: 1, createdAt: -1 });
+moderationIncidentSchema.index({ createdAt: -1 });
+moderationIncidentSchema.index({ category: 1, createdAt: -1 });
+moderationIncidentSchema.index({ contentHash: 1 });
+
+// Static method to get a page of incidents for one user
+moderationIncidentSchema.statics.getIncidentsForUser = function(userId, page = 1, limit = 20) {
+  return this.find({ user: userId })
+    .populate('chat', 'name chatType')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit);
+};
+
+// Static method to build a query from admin filters
+moderationIncidentSchema.statics.buildFilter = function(filters = {}) {
+  const query = {};
+
+  for (const field of ['user', 'chat', 'contentType', 'category', 'provider', 'action', 'contentHash', 'field']) {
+    if (filters[field]) {
+      query[field] = String(filters[field]);
+    }
+  }
+
+  if (filters.parentNotified === 'true' || filters.parentNotified === 'false') {
+    query.parentNotified = filters.parentNotified === 'true';
+  }
+
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  if (from && !isNaN(from)) {
+    query.createdAt = { ...query.createdAt, $gte: from };
+  }
+  if (to && !isNaN(to)) {
+    query.createdAt = { ...query.createdAt, $lte: to };
+  }
+
+  return query;
+};
+
+// Static method to summarise incidents since a date for analytics
+moderationIncidentSchema.statics.getSummary = async function(since) {
+  const match = since ? { createdAt: { $gte: since } } : {};
+
+  const [byCategory, byContentType, byAction, parentNotified] = await Promise.all([
+    this.aggregate([{ $match: match }, { $group: { _id: '$category', count: { $sum: 1 } } }]),
+    this.aggregate([{ $match: match }, { $group: { _id: '$contentType', count: { $sum: 1 } } }]),
+    this.aggregate([{ $match: match }, { $group: { _id: '$action', count: { $sum: 1 } } }]),
+    this.countDocuments({ ...match, parentNotified: true })
+  ]);
+
+  const toObject = (groups) => Object.fromEntries(groups.map(group => [group._id, group.count]));
+
+  return {
+    byCategory: toObject(byCategory),
+    byContentType: toObject(byContentType),
+    byAction: toObject(byAction),
+    parentNotified
+  };
+};
+
+const ModerationIncident = mongoose.model('ModerationIncident', moderationIncidentSchema);
+
+export default ModerationIncident;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One user muting another: messages still arrive, but presence, typing and
+// notifications from the muted user are silenced
+const muteSchema = new mongoose.Schema({
+  muter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Muter is required']
+  },
+  muted: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Muted user is required']
+  },
+  // Null mutes until the user unmutes
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+muteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+muteSchema.index({ muted: 1 });
+
+// Index for automatic cleanup of expired mutes
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Mutes still in effect (the TTL monitor only runs once a minute)
+const activeFilter = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Static method to get which of the given users have muted a user
+muteSchema.statics.getMutersAmong = async function(userId, userIds) {
+  const mutes = await this.find({ muted: userId, muter: { $in: userIds }, ...activeFilter() }).select('muter');
+  return mutes.map(mute => mute.muter.toString());
+};
+
+// Static method to get everyone who has muted a user
+muteSchema.statics.getMuterIds = async function(userId) {
+  const mutes = await this.find({ muted: userId, ...activeFilter() }).select('muter');
+  return mutes.map(mute => mute.muter.toString());
+};
+
+// Static method to get a user's active mutes
+muteSchema.statics.getActiveMutes = function(userId) {
+  return this.find({ muter: userId, ...activeFilter() })
+    .populate('muted', 'username fullName profilePicture')
+    .sort({ createdAt: -1 });
+};
+
+const Mute = mongoose.model('Mute', muteSchema);
+
+export default Mute;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+
+const parentSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  fullName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Full name cannot exceed 50 characters'],
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped on sign-out so every parent token issued before it stops working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Children are linked through the parentEmail they registered with,
+// so a child who changes parent email drops off this account immediately
+parentSchema.methods.getChildren = function(select = 'username fullName age profilePicture isOnline lastSeen') {
+  return User.find({ parentEmail: this.email }).select(select).sort({ createdAt: 1 });
+};
+
+// Find one linked child, or null if the child isn't linked to this parent
+parentSchema.methods.findChild = function(childId) {
+  if (!mongoose.Types.ObjectId.isValid(childId)) {
+    return Promise.resolve(null);
+  }
+
+  return User.findOne({ _id: childId, parentEmail: this.email });
+};
+
+// Method to get public profile
+parentSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    fullName: this.fullName,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+const Parent = mongoose.model('Parent', parentSchema);
+
+export default Parent;
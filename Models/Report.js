@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+const REPORT_CATEGORIES = [
+  'bullying',
+  'inappropriate_content',
+  'spam',
+  'scam',
+  'impersonation',
+  'self_harm',
+  'stranger_danger',
+  'other'
+];
+
+const REPORT_STATUSES = ['open', 'in_review', 'actioned', 'dismissed'];
+
+const REPORT_ACTIONS = ['none', 'message_removed', 'user_warned', 'user_banned', 'chat_closed', 'other'];
+
+// Copy of a reported message, kept so the report still shows it after the sender deletes it
+const messageSnapshotSchema = new mongoose.Schema({
+  content: String,
+  messageType: String,
+  fileUrl: String,
+  fileName: String,
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  senderUsername: String,
+  isEdited: Boolean,
+  sentAt: Date
+}, { _id: false });
+
+// A user's report about a message, another user or a chat, reviewed by moderators
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  targetType: {
+    type: String,
+    enum: ['message', 'user', 'chat'],
+    required: [true, 'Report target is required']
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  messageSnapshot: {
+    type: messageSnapshotSchema,
+    default: null
+  },
+  category: {
+    type: String,
+    enum: {
+      values: REPORT_CATEGORIES,
+      message: 'Invalid report category'
+    },
+    required: [true, 'Report category is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Resolution note cannot exceed 1000 characters'],
+      default: ''
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the moderator queue and for finding repeat reports
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, message: 1, reportedUser: 1, chat: 1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+// Method to check if the report is still waiting on a moderator
+reportSchema.methods.isOpen = function() {
+  return this.status === 'open' || this.status === 'in_review';
+};
+
+// Static method to snapshot a message at the time it was reported
+reportSchema.statics.snapshotMessage = function(message) {
+  return {
+    content: message.content,
+    messageType: message.messageType,
+    fileUrl: message.fileUrl,
+    fileName: message.fileName,
+    sender: message.sender._id || message.sender,
+    senderUsername: message.sender.username,
+    isEdited: message.isEdited,
+    sentAt: message.createdAt
+  };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const sessionSchema = new mongoose.Schema({
+  // Token id (JWT "jti") shared by every token issued for this login
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceLabel: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device label cannot exceed 100 characters'],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  // Id of the only refresh token that may currently be exchanged
+  refreshTokenId: {
+    type: String,
+    default: null
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastRotatedAt: {
+    type: Date,
+    default: null
+  },
+  // Extra claims the login's access tokens carry (e.g. admin logins), kept for token rotation
+  claims: {
+    type: Object,
+    default: {}
+  },
+  // When this login passed a two-factor challenge (privileged roles only)
+  mfaVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Last fresh two-factor challenge, required before destructive actions
+  stepUpAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_changed', 'password_reset', 'email_changed', 'banned', 'deleted', 'refresh_token_reuse', 'revoked_by_user', 'revoked_by_parent', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for automatic cleanup of expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for faster queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+// Static method to generate a new session id
+sessionSchema.statics.generateJti = function() {
+  return crypto.randomUUID();
+};
+
+// Static method to create session
+sessionSchema.statics.createSession = async function(userId, jti, details = {}) {
+  const session = new this({
+    jti,
+    userId,
+    deviceLabel: details.deviceLabel || null,
+    userAgent: details.userAgent || null,
+    ipAddress: details.ipAddress || null,
+    refreshTokenId: details.refreshTokenId || null,
+    claims: details.claims || {},
+    mfaVerifiedAt: details.mfaVerifiedAt || null,
+    expiresAt: details.expiresAt
+  });
+
+  return await session.save();
+};
+
+// Static method to find a session that has not been revoked or expired
+sessionSchema.statics.findActive = function(jti) {
+  if (!jti) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    jti,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to swap the current refresh token for a new one (single use)
+sessionSchema.statics.rotateRefreshToken = async function(jti, presentedTokenId, nextTokenId, expiresAt) {
+  const rotated = await this.findOneAndUpdate(
+    {
+      jti,
+      refreshTokenId: presentedTokenId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenId: nextTokenId,
+      lastRotatedAt: new Date(),
+      lastSeenAt: new Date(),
+      expiresAt,
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (rotated) {
+    return { status: 'rotated', session: rotated };
+  }
+
+  // A valid token that is no longer current has been replayed: kill the whole family
+  const session = await this.findActive(jti);
+  if (session) {
+    await this.revokeSession(jti, 'refresh_token_reuse');
+    return { status: 'reused', session };
+  }
+
+  return { status: 'invalid', session: null };
+};
+
+// Static method to list the sessions a user is still logged in with
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to record activity, at most once per interval to limit writes
+sessionSchema.statics.touch = async function(jti, minIntervalMs = 5 * 60 * 1000) {
+  const now = new Date();
+  return await this.updateOne(
+    { jti, lastSeenAt: { $lt: new Date(now.getTime() - minIntervalMs) } },
+    { lastSeenAt: now }
+  );
+};
+
+// Static method to record a passed two-factor challenge on a session
+sessionSchema.statics.markTwoFactorVerified = async function(jti, { stepUp = false } = {}) {
+  const now = new Date();
+  const update = { mfaVerifiedAt: now };
+  if (stepUp) {
+    update.stepUpAt = now;
+  }
+
+  return await this.findOneAndUpdate({ jti, revokedAt: null }, update, { new: true });
+};
+
+// Static method to revoke a single session
+sessionSchema.statics.revokeSession = async function(jti, reason = 'logout') {
+  return await this.findOneAndUpdate(
+    { jti, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Static method to revoke every outstanding session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all', exceptJti = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptJti) {
+    query.jti = { $ne: exceptJti };
+  }
+
+  const result = await this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
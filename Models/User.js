@@ -1,12 +1,30 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
-const userSchema = new mongoose.Schema({
-  firebaseUid: {
+// Sign-in identity from an external provider (Google, Firebase email link, ...)
+const identitySchema = new mongoose.Schema({
+  provider: {
     type: String,
-    unique: true,
-    sparse: true // Allow null values but enforce uniqueness when present
+    required: true
+  },
+  // Subject id issued by the provider
+  providerUid: {
+    type: String,
+    required: true
   },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const userSchema = new mongoose.Schema({
   username: {
     type: String,
     required: [true, 'Username is required'],
@@ -27,7 +45,7 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() {
-      return !this.firebaseUid; // Password not required for Firebase users
+      return !this.identities?.length; // Password not required for users signing in with a provider
     },
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
@@ -53,10 +71,9 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid parent email']
   },
-  authProvider: {
-    type: String,
-    enum: ['local', 'google'],
-    default: 'local'
+  identities: {
+    type: [identitySchema],
+    default: []
   },
   isVerified: {
     type: Boolean,
@@ -79,6 +96,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Storage keys of an uploaded, moderated profile picture; profilePicture is the URL it is served from
+  profileImage: {
+    key: {
+      type: String,
+      default: null
+    },
+    preview: {
+      type: String,
+      default: null
+    },
+    thumbnail: {
+      type: String,
+      default: null
+    }
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -97,6 +129,15 @@ const userSchema = new mongoose.Schema({
     enum: ['children', 'user', 'moderator', 'admin'],
     default: 'user'
   },
+  // Who a child account may talk to, chosen by the parent:
+  //   open              - anyone
+  //   approval_required - new contacts are sent to the parent to approve
+  //   allowlist_only    - only contacts the parent added
+  contactPolicy: {
+    type: String,
+    enum: ['open', 'approval_required', 'allowlist_only'],
+    default: 'approval_required'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -126,6 +167,40 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
+  },
+  // TOTP two-factor authentication (required for admins and moderators)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret waiting to be confirmed with a first code during enrolment
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -134,12 +209,16 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
-userSchema.index({ firebaseUid: 1 });
+// A provider identity can only belong to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerUid': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerUid': { $exists: true } } }
+);
 
 // Hash password before saving (only for local auth)
 userSchema.pre('save', async function(next) {
-  // Skip password hashing for Firebase users or if password hasn't been modified
-  if (!this.password || !this.isModified('password') || this.firebaseUid) {
+  // Skip password hashing for provider-only users or if password hasn't been modified
+  if (!this.password || !this.isModified('password')) {
     return next();
   }
 
@@ -156,9 +235,9 @@ userSchema.pre('save', async function(next) {
 // Compare password method (only for local auth)
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
-    // Skip password comparison for Firebase users
-    if (this.firebaseUid) {
-      throw new Error('Password comparison not available for OAuth users');
+    // Provider-only users have no password to compare
+    if (!this.password) {
+      return false;
     }
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -166,6 +245,62 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Method to find a linked provider identity
+userSchema.methods.getIdentity = function(provider) {
+  return this.identities.find(identity => identity.provider === provider) || null;
+};
+
+// Static method to find the account linked to a provider identity
+userSchema.statics.findByIdentity = function(provider, providerUid) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, providerUid } }
+  });
+};
+
+// Static method to move accounts from the old firebaseUid/authProvider fields to identities
+userSchema.statics.migrateLegacyIdentities = async function() {
+  const result = await this.collection.updateMany(
+    { firebaseUid: { $type: 'string' } },
+    [
+      {
+        $set: {
+          identities: {
+            $concatArrays: [
+              { $ifNull: ['$identities', []] },
+              [{ provider: 'google', providerUid: '$firebaseUid', email: '$email', linkedAt: '$createdAt' }]
+            ]
+          }
+        }
+      },
+      { $unset: ['firebaseUid', 'authProvider'] }
+    ]
+  );
+
+  return result.modifiedCount;
+};
+
+// Method to check if account changes must be approved by the parent (children under 13
+// whose parent has verified their email)
+userSchema.methods.requiresParentApproval = function() {
+  return this.age < 13 && !!this.parentEmail && !!this.parentEmailVerified;
+};
+
+// Method to check if nobody can approve account changes yet: children under 13 can't
+// approve their own, and their parent hasn't verified their email
+userSchema.methods.lacksParentApprover = function() {
+  return this.age < 13 && !this.requiresParentApproval();
+};
+
+// Method to check if new contacts need to be on the parent's approved list
+userSchema.methods.requiresContactApproval = function() {
+  return this.role === 'children' && this.contactPolicy !== 'open';
+};
+
+// Method to check if the role must use two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+  return ['admin', 'moderator'].includes(this.role);
+};
+
 // Method to get public user data (without sensitive info)
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -179,11 +314,16 @@ userSchema.methods.getPublicProfile = function() {
     isOnline: this.isOnline,
     lastSeen: this.lastSeen,
     role: this.role,
-    authProvider: this.authProvider,
+    identities: this.identities.map(identity => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    })),
     isVerified: this.isVerified,
     emailVerified: this.emailVerified,
     parentEmailVerified: this.parentEmailVerified,
     verificationStatus: this.verificationStatus,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
     createdAt: this.createdAt
   };
 };
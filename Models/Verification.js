@@ -14,13 +14,24 @@ const verificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['user_email', 'parent_email'],
+    enum: ['user_email', 'parent_email', 'password_reset', 'email_change', 'parent_login'],
     required: true
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Parent sign-in links belong to an email address, not a user account
+    required: function() {
+      return this.type !== 'parent_login';
+    },
+    default: null
+  },
+  // Requested address for email_change codes
+  newEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
   },
   expiresAt: {
     type: Date,
@@ -58,7 +69,7 @@ verificationSchema.methods.isValid = function() {
 };
 
 // Static method to create verification
-verificationSchema.statics.createVerification = async function(email, type, userId) {
+verificationSchema.statics.createVerification = async function(email, type, userId, extra = {}) {
   // Remove any existing verification for this email and type
   await this.deleteMany({ email, type, userId });
   
@@ -70,14 +81,15 @@ verificationSchema.statics.createVerification = async function(email, type, user
     email,
     code,
     type,
-    userId
+    userId,
+    ...extra
   });
   
   return await verification.save();
 };
 
 // Static method to verify code
-verificationSchema.statics.verifyCode = async function(email, code, type, userId) {
+verificationSchema.statics.verifyCode = async function(email, code, type, userId, { consume = true } = {}) {
   const verification = await this.findOne({
     email,
     type,
@@ -97,14 +109,18 @@ verificationSchema.statics.verifyCode = async function(email, code, type, userId
     throw new Error('Too many failed attempts. Please request a new code');
   }
   
-  // Increment attempt count
-  verification.attempts += 1;
-  await verification.save();
-  
   if (verification.code !== code) {
+    // Count the failed attempt
+    verification.attempts += 1;
+    await verification.save();
     throw new Error('Invalid verification code');
   }
   
+  // Checking only: the code stays usable
+  if (!consume) {
+    return verification;
+  }
+  
   // Mark as verified
   verification.verified = true;
   await verification.save();
@@ -113,7 +129,7 @@ verificationSchema.statics.verifyCode = async function(email, code, type, userId
 };
 
 // Static method to resend verification
-verificationSchema.statics.resendVerification = async function(email, type, userId) {
+verificationSchema.statics.resendVerification = async function(email, type, userId, extra = {}) {
   // Check if there's a recent verification (within 2 minutes)
   const recentVerification = await this.findOne({
     email,
@@ -126,7 +142,7 @@ verificationSchema.statics.resendVerification = async function(email, type, user
     throw new Error('Please wait 2 minutes before requesting a new code');
   }
   
-  return await this.createVerification(email, type, userId);
+  return await this.createVerification(email, type, userId, extra);
 };
 
 const Verification = mongoose.model('Verification', verificationSchema);
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, adminOnly, moderatorOnly, requireStepUp } from '../middleware/auth.js';
 import {
   adminLogin,
   getAllUsers,
@@ -9,14 +9,35 @@ import {
   unbanUser,
   deleteUser,
   getAnalytics,
-  getUserMessageCount
+  getUserMessageCount,
+  unlockUser,
+  getModerationIncidents,
+  getModerationIncident
 } from '../Controllers/adminController.js';
+import {
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport
+} from '../Controllers/reportController.js';
+import {
+  getImageHashes,
+  addImageHash,
+  importImageHashes,
+  deleteImageHash
+} from '../Controllers/imageHashController.js';
 
 const router = express.Router();
 
 // Public admin routes
 router.post('/login', adminLogin);
 
+// Report review queue (admins and moderators)
+router.get('/reports', protect, moderatorOnly, getReports);
+router.get('/reports/:reportId', protect, moderatorOnly, getReport);
+router.post('/reports/:reportId/claim', protect, moderatorOnly, claimReport);
+router.post('/reports/:reportId/resolve', protect, moderatorOnly, resolveReport);
+
 // Protected admin routes (require admin authentication)
 router.use(protect);
 router.use(adminOnly);
@@ -25,11 +46,22 @@ router.use(adminOnly);
 router.get('/users', getAllUsers);
 router.get('/users/:userId', getUserById);
 router.put('/users/:userId', updateUser);
-router.delete('/users/:userId', deleteUser);
+router.delete('/users/:userId', requireStepUp, deleteUser);
 router.post('/users/:userId/ban', banUser);
 router.post('/users/:userId/unban', unbanUser);
+router.post('/users/:userId/unlock', unlockUser);
 router.get('/users/:userId/message-count', getUserMessageCount);
 
+// Moderation incidents
+router.get('/moderation/incidents', getModerationIncidents);
+router.get('/moderation/incidents/:incidentId', getModerationIncident);
+
+// Known-bad image hashes
+router.get('/moderation/image-hashes', getImageHashes);
+router.post('/moderation/image-hashes', addImageHash);
+router.post('/moderation/image-hashes/import', importImageHashes);
+router.delete('/moderation/image-hashes/:hashId', deleteImageHash);
+
 // Analytics
 router.get('/analytics', getAnalytics);
 
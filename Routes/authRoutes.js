@@ -3,32 +3,56 @@ import {
   signup,
   login,
   logout,
+  logoutAll,
   getMe,
   updateMe,
+  uploadProfilePicture,
   changePassword,
-  refreshToken
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  requestEmailChange,
+  confirmEmailChange
 } from '../Controllers/authController.js';
 import { adminLogin } from '../Controllers/adminController.js';
+import { getMySessions, revokeMySession } from '../Controllers/sessionController.js';
 import { protect } from '../middleware/auth.js';
-import googleAuthRoutes from './firebaseAuthRoutes.js'; // Renamed but still using Firebase for Google OAuth
+import { rateLimit } from '../middleware/rateLimit.js';
+import upload, { processImageUpload } from '../middleware/upload.js';
+import identityRoutes, { legacyGoogleRoutes } from './identityRoutes.js';
+import twoFactorRoutes from './twoFactorRoutes.js';
 
 const router = express.Router();
 
-// Google OAuth authentication routes (through Firebase)
-router.use('/google', googleAuthRoutes);
+// External sign-in providers (Google, Firebase email link, ...)
+router.use('/identity', identityRoutes);
+router.use('/google', legacyGoogleRoutes);
+
+// Two-factor authentication for admin and moderator accounts
+router.use('/2fa', twoFactorRoutes);
 
 // Public routes
 router.post('/signup', signup);
 router.post('/login', login);
 router.post('/admin-login', adminLogin);
 router.post('/refresh-token', refreshToken);
+router.post('/forgot-password', rateLimit('passwordReset'), forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // Protected routes (require authentication)
 router.use(protect); // All routes after this middleware are protected
 
 router.post('/logout', logout);
+router.post('/logout-all', logoutAll);
 router.get('/me', getMe);
 router.patch('/updateMe', updateMe);
+router.post('/profile-picture', rateLimit('imageUpload'), upload.single('image'), processImageUpload, uploadProfilePicture);
 router.patch('/changePassword', changePassword);
+router.post('/change-email', requestEmailChange);
+router.post('/confirm-email-change', confirmEmailChange);
+
+// Device/session management
+router.get('/sessions', getMySessions);
+router.delete('/sessions/:id', revokeMySession);
 
 export default router;
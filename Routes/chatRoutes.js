@@ -1,5 +1,7 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import upload, { processImageUpload } from '../middleware/upload.js';
 import {
   createGroupChat,
   createDirectChat,
@@ -8,6 +10,7 @@ import {
   addParticipants,
   removeParticipant,
   updateChatSettings,
+  uploadChatAvatar,
   leaveChat,
   deleteChat
 } from '../Controllers/chatController.js';
@@ -37,6 +40,7 @@ router.get('/:chatId', getChatDetails);
 router.post('/:chatId/participants', addParticipants);
 router.delete('/:chatId/participants/:participantId', removeParticipant);
 router.put('/:chatId/settings', updateChatSettings);
+router.post('/:chatId/avatar', rateLimit('imageUpload'), upload.single('image'), processImageUpload, uploadChatAvatar);
 router.post('/:chatId/leave', leaveChat);
 router.delete('/:chatId', deleteChat);
 
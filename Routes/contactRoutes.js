@@ -0,0 +1,30 @@
+import express from 'express';
+import { protect, requireVerification } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  getContacts,
+  getContactRequests,
+  sendContactRequest,
+  acceptContactRequest,
+  declineContactRequest,
+  cancelContactRequest,
+  removeContact
+} from '../Controllers/contactController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Contact requests
+router.get('/requests', getContactRequests);
+router.post('/requests', requireVerification, rateLimit('contactRequests'), sendContactRequest);
+router.post('/requests/:requestId/accept', acceptContactRequest);
+router.post('/requests/:requestId/decline', declineContactRequest);
+router.delete('/requests/:requestId', cancelContactRequest);
+
+// Contacts
+router.get('/', getContacts);
+router.delete('/:userId', removeContact);
+
+export default router;
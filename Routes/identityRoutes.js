@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getIdentityProviders,
+  identityLogin,
+  registerWithIdentity,
+  getIdentityInfo,
+  linkIdentity,
+  unlinkIdentity
+} from '../Controllers/identityController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public provider routes
+router.get('/providers', getIdentityProviders);
+router.post('/:provider/login', identityLogin);
+router.post('/:provider/register', registerWithIdentity);
+router.post('/:provider/info', getIdentityInfo);
+
+// Protected routes (require existing authentication)
+router.post('/:provider/link', protect, linkIdentity);
+router.delete('/:provider/link', protect, unlinkIdentity);
+
+// Google endpoints used by released app builds, served by the same controller
+export const legacyGoogleRoutes = express.Router();
+
+legacyGoogleRoutes.use((req, res, next) => {
+  req.identityProviderName = 'google';
+  next();
+});
+
+legacyGoogleRoutes.post('/google-login', identityLogin);
+legacyGoogleRoutes.post('/google-register', registerWithIdentity);
+legacyGoogleRoutes.post('/google-user-info', getIdentityInfo);
+legacyGoogleRoutes.post('/link-google', protect, linkIdentity);
+legacyGoogleRoutes.delete('/unlink-google', protect, unlinkIdentity);
+
+export default router;
@@ -1,14 +1,22 @@
 import express from 'express';
-import { uploadImage, getImage } from '../Controllers/imageController.js';
-import { protect } from '../middleware/auth.js';
-import upload from '../middleware/upload.js';
+import { uploadImage, getImage, getImageUrl, getProfilePicture, getChatAvatar } from '../Controllers/imageController.js';
+import { protect, protectImage } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import upload, { processImageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Upload image
-router.post('/upload', protect, upload.single('image'), uploadImage);
+router.post('/upload', protect, rateLimit('imageUpload'), upload.single('image'), processImageUpload, uploadImage);
 
-// Get image
-router.get('/:filename', getImage);
+// Uploaded profile and chat pictures; ?size=preview|thumbnail for smaller copies
+router.get('/profile/:userId', protect, getProfilePicture);
+router.get('/chat/:chatId', protect, getChatAvatar);
+
+// Get a short-lived signed link to an image
+router.get('/:messageId/url', protect, getImageUrl);
+
+// Get image (chat participants only, with a login or a signed link); ?size=preview|thumbnail for smaller copies
+router.get('/:messageId', protectImage, getImage);
 
 export default router;
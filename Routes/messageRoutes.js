@@ -1,6 +1,7 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
-import { sexualContentMiddleware } from '../middleware/moderationMiddleware.js';
+import { contentModerationMiddleware } from '../middleware/moderationMiddleware.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import {
   sendMessage,
   getChatMessages,
@@ -15,10 +16,10 @@ const router = express.Router();
 // All routes require authentication
 router.use(protect);
 
-// Message operations (with sexual content moderation for sending messages)
-router.post('/', sexualContentMiddleware, sendMessage);
+// Message operations (with content moderation for sending messages)
+router.post('/', rateLimit('sendMessage'), contentModerationMiddleware, sendMessage);
 router.get('/chat/:chatId', getChatMessages);
-router.put('/:messageId', sexualContentMiddleware, editMessage); // Also check edited messages
+router.put('/:messageId', contentModerationMiddleware, editMessage); // Also check edited messages
 router.delete('/:messageId', deleteMessage);
 router.post('/:messageId/reaction', addReaction);
 router.get('/unread/count', getUnreadCount);
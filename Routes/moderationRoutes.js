@@ -24,6 +24,7 @@ router.post('/test-sexual-content', protect, async (req, res) => {
       data: {
         text: text,
         is_sexual: result.is_sexual,
+        scores: result.scores,
         message: result.message,
         service_response: result.raw_response
       }
@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  requestSignInLink,
+  verifySignInLink,
+  signOut,
+  getMe,
+  updateMe,
+  getChildren,
+  getChild,
+  getChildContacts,
+  getChildChats,
+  getChildIncidents,
+  updateChildSettings,
+  getContactRequests,
+  approveContactRequest,
+  denyContactRequest,
+  addApprovedContact,
+  removeApprovedContact
+} from '../Controllers/parentController.js';
+import { getChildSessions, revokeChildSession } from '../Controllers/sessionController.js';
+import { protectParent } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Public routes - parents sign in with a magic link sent to the parent email
+router.post('/auth/request-link', rateLimit('parentSignInLink'), requestSignInLink);
+router.post('/auth/verify', verifySignInLink);
+
+// Protected parent routes
+router.use(protectParent);
+
+router.post('/auth/logout', signOut);
+router.get('/me', getMe);
+router.patch('/me', updateMe);
+
+// Child dashboard
+router.get('/children', getChildren);
+router.get('/children/:childId', getChild);
+router.get('/children/:childId/contacts', getChildContacts);
+router.get('/children/:childId/chats', getChildChats);
+router.get('/children/:childId/incidents', getChildIncidents);
+router.patch('/children/:childId/settings', updateChildSettings);
+
+// Contact approval
+router.get('/children/:childId/contact-requests', getContactRequests);
+router.post('/children/:childId/contact-requests/:requestId/approve', approveContactRequest);
+router.post('/children/:childId/contact-requests/:requestId/deny', denyContactRequest);
+router.post('/children/:childId/approved-contacts', addApprovedContact);
+router.delete('/children/:childId/approved-contacts/:contactId', removeApprovedContact);
+
+// Child device management
+router.get('/children/:childId/sessions', getChildSessions);
+router.delete('/children/:childId/sessions/:sessionId', revokeChildSession);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { createReport, getMyReports } from '../Controllers/reportController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/', rateLimit('reports'), createReport);
+router.get('/mine', getMyReports);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  stepUpTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../Controllers/twoFactorController.js';
+import { protect } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// All two-factor routes require a logged in user
+router.use(protect);
+
+// Enrolment
+router.get('/status', getTwoFactorStatus);
+router.post('/setup', setupTwoFactor);
+router.post('/enable', rateLimit('twoFactor'), enableTwoFactor);
+
+// Challenges
+router.post('/verify', rateLimit('twoFactor'), verifyTwoFactor);
+router.post('/step-up', rateLimit('twoFactor'), stepUpTwoFactor);
+
+// Management
+router.post('/recovery-codes', rateLimit('twoFactor'), regenerateRecoveryCodes);
+router.post('/disable', rateLimit('twoFactor'), disableTwoFactor);
+
+export default router;
@@ -1,6 +1,16 @@
 import express from 'express';
 import User from '../Models/User.js';
-import { protect, restrictTo, requireVerification, requireMinAge } from '../middleware/auth.js';
+import Block from '../Models/Block.js';
+import { protect, restrictTo, requireVerification, requireMinAge, requireStepUp } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  getMutedUsers,
+  muteUser,
+  unmuteUser
+} from '../Controllers/blockController.js';
 
 const router = express.Router();
 
@@ -32,9 +42,11 @@ router.get('/', restrictTo('admin', 'moderator'), async (req, res) => {
 // Get online users (requires verification)
 router.get('/online', requireVerification, async (req, res) => {
   try {
+    const hiddenIds = await Block.getHiddenUserIds(req.user.id);
+
     const onlineUsers = await User.find({ 
       isOnline: true,
-      _id: { $ne: req.user.id } // Exclude current user
+      _id: { $ne: req.user.id, $nin: hiddenIds } // Exclude current user and blocked users
     }).select('username fullName profilePicture lastSeen');
 
     res.status(200).json({
@@ -53,7 +65,7 @@ router.get('/online', requireVerification, async (req, res) => {
 });
 
 // Search users (requires verification)
-router.get('/search', requireVerification, async (req, res) => {
+router.get('/search', requireVerification, rateLimit('userSearch'), async (req, res) => {
   try {
     const { q } = req.query;
     
@@ -64,9 +76,11 @@ router.get('/search', requireVerification, async (req, res) => {
       });
     }
 
+    const hiddenIds = await Block.getHiddenUserIds(req.user.id);
+
     const searchUsers = await User.find({
       $and: [
-        { _id: { $ne: req.user.id } }, // Exclude current user
+        { _id: { $ne: req.user.id, $nin: hiddenIds } }, // Exclude current user and blocked users
         {
           $or: [
             { username: { $regex: q, $options: 'i' } },
@@ -93,6 +107,14 @@ router.get('/search', requireVerification, async (req, res) => {
   }
 });
 
+// Block and mute other users
+router.get('/blocked', getBlockedUsers);
+router.get('/muted', getMutedUsers);
+router.post('/:id/block', blockUser);
+router.delete('/:id/block', unblockUser);
+router.post('/:id/mute', muteUser);
+router.delete('/:id/mute', unmuteUser);
+
 // Get user by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -152,7 +174,7 @@ router.patch('/:id/verify', restrictTo('admin'), async (req, res) => {
 });
 
 // Delete user (admin only)
-router.delete('/:id', restrictTo('admin'), async (req, res) => {
+router.delete('/:id', restrictTo('admin'), requireStepUp, async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
 
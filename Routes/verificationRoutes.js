@@ -6,13 +6,14 @@ import {
   getVerificationStatus
 } from '../Controllers/verificationController.js';
 import { protect } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Public routes (no authentication required for verification)
-router.post('/send-codes', sendVerificationCodes);
+router.post('/send-codes', rateLimit('verificationCodes'), sendVerificationCodes);
 router.post('/verify-email', verifyEmail);
-router.post('/resend-code', resendVerificationCode);
+router.post('/resend-code', rateLimit('resendVerificationCode'), resendVerificationCode);
 router.get('/status/:userId', getVerificationStatus);
 
 export default router;
@@ -15,6 +15,9 @@ import imageRoutes from "./Routes/imageRoutes.js";
 import moderationRoutes from "./Routes/moderationRoutes.js";
 import verificationRoutes from "./Routes/verificationRoutes.js";
 import adminRoutes from "./Routes/adminRoutes.js";
+import parentRoutes from "./Routes/parentRoutes.js";
+import contactRoutes from "./Routes/contactRoutes.js";
+import reportRoutes from "./Routes/reportRoutes.js";
 
 ;
 
@@ -23,6 +26,18 @@ dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy or load balancer, set TRUST_PROXY so req.ip (and so the
+// per-IP rate limits) uses the client's address instead of the proxy's: "true",
+// a hop count such as "1", or addresses such as "loopback, 10.0.0.0/8".
+// Leave it unset when clients connect to the app directly.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -97,9 +112,9 @@ app.use('/api/images', imageRoutes);
 app.use('/api/moderation', moderationRoutes);
 app.use('/api/verification', verificationRoutes);
 app.use('/api/admin', adminRoutes);
-
-// Serve static files (uploaded images)
-app.use('/uploads', express.static('uploads'));
+app.use('/api/parent', parentRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
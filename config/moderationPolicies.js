@@ -0,0 +1,188 @@
+// Text moderation categories and what to do when each is detected, per age band.
+// A category fires when its score reaches the threshold. Actions:
+//   block - reject the message
+//   warn  - deliver it, but warn the sender
+//   flag  - deliver it and log it for review
+//   allow - ignore
+// notifyParent emails the sender's parent whenever the rule fires.
+
+const categories = ['sexual', 'bullying', 'self_harm', 'hate', 'violence', 'drugs', 'grooming'];
+
+// A user belongs to the first band they are younger than
+const ageBands = [
+  { name: 'under10', maxAge: 10 },
+  { name: 'under13', maxAge: 13 },
+  { name: 'teen', maxAge: 18 },
+  { name: 'adult', maxAge: Infinity }
+];
+
+const rule = (action, notifyParent = false, threshold = 0.7) => ({ action, notifyParent, threshold });
+
+const bands = {
+  under10: {
+    sexual: rule('block', true, 0.5),
+    bullying: rule('block', true, 0.6),
+    self_harm: rule('warn', true, 0.5),
+    hate: rule('block', true, 0.6),
+    violence: rule('block', true, 0.6),
+    drugs: rule('block', true, 0.6),
+    grooming: rule('block', true, 0.5)
+  },
+  under13: {
+    sexual: rule('block', true, 0.5),
+    bullying: rule('block', true),
+    self_harm: rule('warn', true, 0.5),
+    hate: rule('block', true),
+    violence: rule('warn', true),
+    drugs: rule('block', true),
+    grooming: rule('block', true, 0.5)
+  },
+  teen: {
+    sexual: rule('block', true),
+    bullying: rule('warn'),
+    self_harm: rule('warn', true, 0.6),
+    hate: rule('block'),
+    violence: rule('warn'),
+    drugs: rule('flag'),
+    grooming: rule('block', true, 0.6)
+  },
+  adult: {
+    sexual: rule('block'),
+    bullying: rule('warn'),
+    self_harm: rule('warn'),
+    hate: rule('block'),
+    violence: rule('flag'),
+    drugs: rule('flag'),
+    grooming: rule('block')
+  }
+};
+
+// What happens to content the moderation service couldn't check, per content type and age band:
+//   open   - deliver it unchecked
+//   closed - reject it, the sender can try again later
+//   hold   - keep it pending, then deliver or reject it once moderation recovers
+// Everyone in a chat receives the content, so the youngest participant's band applies.
+// Images are never delivered unchecked to a chat with an under-10, whatever is set here.
+const outage = {
+  text: {
+    under10: 'hold',
+    under13: 'hold',
+    teen: 'open',
+    adult: 'open'
+  },
+  image: {
+    under10: 'hold',
+    under13: 'hold',
+    teen: 'hold',
+    adult: 'open'
+  }
+};
+
+// Personal information in a sender's message, per age band (see utils/personalInfo.js). Actions:
+//   block - reject the message
+//   mask  - replace the information with a placeholder before it is stored or sent
+//   warn  - deliver it unchanged, but warn the sender
+//   allow - ignore
+// notifyParent emails the sender's parent whenever the rule fires.
+const personalInfo = {
+  under10: {
+    phone: rule('block', true),
+    email: rule('block', true),
+    url: rule('block'),
+    address: rule('block', true),
+    social_handle: rule('block', true),
+    school: rule('mask', true)
+  },
+  under13: {
+    phone: rule('mask', true),
+    email: rule('mask', true),
+    url: rule('warn'),
+    address: rule('mask', true),
+    social_handle: rule('mask'),
+    school: rule('mask')
+  },
+  teen: {
+    phone: rule('warn'),
+    email: rule('warn'),
+    url: rule('allow'),
+    address: rule('warn'),
+    social_handle: rule('allow'),
+    school: rule('allow')
+  },
+  adult: {
+    phone: rule('allow'),
+    email: rule('allow'),
+    url: rule('allow'),
+    address: rule('allow'),
+    social_handle: rule('allow'),
+    school: rule('allow')
+  }
+};
+
+// Names, descriptions, captions and pictures, which are shown outside a single message.
+// Text is scored like a message, using the band of the youngest person who can see it:
+//   everyone - anyone on the app, so the strictest band
+//   members  - the youngest member of the chat
+// There is no message to warn about, so anything that would not be allowed in a message
+// (block, warn or flag) rejects the field. personalInfo lists the types rejected too.
+// outage: 'open' accepts text that passed the local rules while the moderation service is
+// down; 'closed' rejects the change until it recovers. Pictures are always closed.
+const fields = {
+  username: {
+    label: 'username',
+    audience: 'everyone',
+    personalInfo: ['phone', 'email', 'url', 'address', 'social_handle'],
+    outage: 'open'
+  },
+  fullName: {
+    label: 'name',
+    audience: 'everyone',
+    personalInfo: ['phone', 'email', 'url', 'address', 'social_handle'],
+    outage: 'open'
+  },
+  chatName: {
+    label: 'chat name',
+    audience: 'members',
+    personalInfo: ['phone', 'email', 'url', 'address', 'social_handle'],
+    outage: 'open'
+  },
+  chatDescription: {
+    label: 'chat description',
+    audience: 'members',
+    personalInfo: ['phone', 'email', 'address', 'social_handle'],
+    outage: 'open'
+  },
+  caption: {
+    label: 'caption',
+    audience: 'members',
+    personalInfo: ['phone', 'email', 'address', 'social_handle'],
+    outage: 'open'
+  },
+  fileName: {
+    label: 'file name',
+    audience: 'members',
+    personalInfo: ['phone', 'email', 'url', 'address', 'social_handle'],
+    outage: 'open'
+  },
+  profilePicture: {
+    label: 'profile picture',
+    audience: 'everyone',
+    outage: 'closed'
+  },
+  chatAvatar: {
+    label: 'chat picture',
+    audience: 'members',
+    outage: 'closed'
+  }
+};
+
+const moderationPolicies = {
+  categories,
+  ageBands,
+  bands,
+  outage,
+  personalInfo,
+  fields
+};
+
+export default moderationPolicies;
@@ -0,0 +1,81 @@
+import fs from 'fs';
+
+// Local text moderation rules, checked in-process by utils/moderationRules.js.
+// They run before the remote moderation service and take over when it is down.
+// Extra words and patterns can be merged in from a JSON file at MODERATION_RULES_FILE
+// with the same shape as `wordlists` and `patterns` below.
+const toBoolean = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+// Word and phrase lists per language and category. Entries are matched as whole words
+// after normalisation, so leetspeak, lookalike letters and stretched words still match.
+const wordlists = {
+  en: {
+    sexual: ['sex', 'sexy', 'nude', 'nudes', 'naked', 'porn', 'boobs', 'horny', 'send nudes'],
+    bullying: ['stupid', 'idiot', 'loser', 'ugly', 'fatso', 'retard', 'nobody likes you', 'everyone hates you', 'go away freak'],
+    self_harm: ['kill myself', 'want to die', 'cut myself', 'hurt myself', 'suicide', 'end my life'],
+    hate: ['go back to your country', 'your kind', 'subhuman'],
+    violence: ['kill you', 'beat you up', 'stab you', 'shoot you', 'punch you'],
+    drugs: ['weed', 'cocaine', 'meth', 'heroin', 'ecstasy', 'get high', 'vape'],
+    grooming: ['our little secret', 'dont tell your parents', 'dont tell anyone', 'delete this chat']
+  },
+  si: {
+    bullying: ['modaya', 'modayo', 'pissa', 'pissu', 'මෝඩයා', 'පිස්සා']
+  }
+};
+
+// Regular expressions, matched against the normalised text: lowercase, apostrophes dropped
+// and other punctuation turned into spaces, so "Don't" is matched as "dont"
+const patterns = [
+  { category: 'grooming', pattern: '\\b(dont|do not) tell (your )?(mom|mum|mother|dad|father|parents?|teacher)\\b', score: 0.9 },
+  { category: 'grooming', pattern: '\\b(are|r) (you|u) (home )?alone\\b', score: 0.7 },
+  { category: 'grooming', pattern: '\\bsend (me )?(a |some )?(pic|pics|photo|photos|picture|pictures|selfie)( of (you|yourself))?\\b', score: 0.7 },
+  { category: 'grooming', pattern: '\\b(meet|see) (me )?(in person|irl|alone|somewhere)\\b', score: 0.8 },
+  { category: 'grooming', pattern: '\\b(what|wat) (are|r) (you|u) wearing\\b', score: 0.9 },
+  { category: 'self_harm', pattern: '\\b(i|im|i am) (going to|gonna|want to|wanna) (die|kill myself|hurt myself)\\b', score: 0.95 },
+  { category: 'violence', pattern: '\\b(i|im|i am|ill|i will) (going to |gonna )?(kill|hurt|stab|shoot) (you|u)\\b', score: 0.9 }
+];
+
+// Merge lists from MODERATION_RULES_FILE over the bundled ones
+const loadExtraRules = () => {
+  const file = process.env.MODERATION_RULES_FILE;
+  if (!file) {
+    return { wordlists: {}, patterns: [] };
+  }
+
+  try {
+    const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { wordlists: extra.wordlists || {}, patterns: extra.patterns || [] };
+  } catch (error) {
+    console.error('❌ Failed to load moderation rules file:', error.message);
+    return { wordlists: {}, patterns: [] };
+  }
+};
+
+const extra = loadExtraRules();
+
+for (const [language, categories] of Object.entries(extra.wordlists)) {
+  wordlists[language] = wordlists[language] || {};
+  for (const [category, words] of Object.entries(categories)) {
+    wordlists[language][category] = [...(wordlists[language][category] || []), ...words];
+  }
+}
+
+const moderationRules = {
+  enabled: toBoolean(process.env.LOCAL_MODERATION_ENABLED, true),
+
+  // Languages whose lists are checked (all bundled languages by default)
+  languages: process.env.MODERATION_LANGUAGES
+    ? process.env.MODERATION_LANGUAGES.split(',').map(language => language.trim())
+    : Object.keys(wordlists),
+
+  // Score given to a wordlist match
+  wordScore: 0.9,
+
+  // A local match at or above this score is trusted without asking the remote service
+  skipRemoteScore: 0.9,
+
+  wordlists,
+  patterns: [...patterns, ...extra.patterns]
+};
+
+export default moderationRules;
@@ -0,0 +1,22 @@
+// Password rules applied at signup, password change and password reset.
+// Each rule can be tuned with an environment variable.
+const toBoolean = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+const passwordPolicy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+
+  // Character classes
+  requireLetter: toBoolean(process.env.PASSWORD_REQUIRE_LETTER, true),
+  requireNumber: toBoolean(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireUppercase: toBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+  requireSymbol: toBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+
+  // Reject passwords containing the username, the email name or a word of the full name (4+ letters)
+  disallowPersonalInfo: toBoolean(process.env.PASSWORD_DISALLOW_PERSONAL_INFO, true),
+
+  // Reject passwords from the bundled common passwords list (config/commonPasswords.txt)
+  disallowCommon: toBoolean(process.env.PASSWORD_DISALLOW_COMMON, true)
+};
+
+export default passwordPolicy;
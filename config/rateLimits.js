@@ -0,0 +1,67 @@
+// Rate limit policies for REST routes and socket events.
+// Each policy can limit per authenticated user, per IP address, or both.
+const MINUTE = 60 * 1000;
+
+const rateLimitPolicies = {
+  // REST routes
+  sendMessage: {
+    windowMs: MINUTE,
+    perUser: 30,
+    perIp: 120
+  },
+  imageUpload: {
+    windowMs: MINUTE,
+    perUser: 10,
+    perIp: 30
+  },
+  // Sending the email and phone codes after signup
+  verificationCodes: {
+    windowMs: 15 * MINUTE,
+    perIp: 5
+  },
+  resendVerificationCode: {
+    windowMs: 15 * MINUTE,
+    perIp: 5
+  },
+  // Parent magic-link emails; parents often sign in from a shared home network
+  parentSignInLink: {
+    windowMs: 15 * MINUTE,
+    perIp: 10
+  },
+  passwordReset: {
+    windowMs: 15 * MINUTE,
+    perIp: 5
+  },
+  // Two-factor code checks; wrong codes also lock the account like wrong passwords
+  twoFactor: {
+    windowMs: 15 * MINUTE,
+    perUser: 10,
+    perIp: 30
+  },
+  userSearch: {
+    windowMs: MINUTE,
+    perUser: 30,
+    perIp: 60
+  },
+  contactRequests: {
+    windowMs: 60 * MINUTE,
+    perUser: 20
+  },
+  reports: {
+    windowMs: 60 * MINUTE,
+    perUser: 20
+  },
+
+  // Socket events
+  'socket:sendMessage': {
+    windowMs: MINUTE,
+    perUser: 30,
+    perIp: 120
+  },
+  'socket:typing': {
+    windowMs: MINUTE,
+    perUser: 60
+  }
+};
+
+export default rateLimitPolicies;
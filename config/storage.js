@@ -0,0 +1,43 @@
+import path from 'path';
+
+const HOUR = 60 * 60 * 1000;
+
+const toBoolean = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value === undefined || Number.isNaN(number) ? fallback : number;
+};
+
+// Where uploads are stored. Read when storage is first used, so values from .env apply.
+const getStorageConfig = () => ({
+  // 'local' keeps files on this server's disk; 's3' works with AWS S3, MinIO and other S3-compatible stores
+  driver: process.env.STORAGE_DRIVER || 'local',
+
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'uploads')
+  },
+
+  s3: {
+    // e.g. http://localhost:9000 for MinIO; AWS is used when unset
+    endpoint: process.env.S3_ENDPOINT || null,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // bucket in the path (http://host/bucket/key) rather than the host name, as MinIO expects
+    forcePathStyle: toBoolean(process.env.S3_FORCE_PATH_STYLE, true),
+    timeoutMs: 10000
+  },
+
+  retention: {
+    // Images are deleted this many days after they were sent; 0 keeps them forever
+    imageDays: toNumber(process.env.IMAGE_RETENTION_DAYS, 0),
+    sweepIntervalMs: HOUR
+  }
+});
+
+export default getStorageConfig;
@@ -1,5 +1,7 @@
-import { verifyToken } from '../utils/jwt.js';
+import { verifyToken, verifyParentToken, verifyImageToken } from '../utils/jwt.js';
 import User from '../Models/User.js';
+import Session from '../Models/Session.js';
+import Parent from '../Models/Parent.js';
 
 // Protect middleware - check if user is authenticated
 export const protect = async (req, res, next) => {
@@ -24,6 +26,15 @@ export const protect = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
 
+    // Check if the session behind this token is still active
+    const session = await Session.findActive(decoded.jti);
+    if (!session || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your session has expired or been revoked. Please log in again.'
+      });
+    }
+
     // Check if user still exists
     const currentUser = await User.findById(decoded.userId);
     if (!currentUser) {
@@ -33,8 +44,20 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Check if user has been banned or deactivated since logging in
+    if (currentUser.isBanned || !currentUser.isActive) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    // Keep "last seen" on the device list fresh
+    Session.touch(session.jti).catch(() => {});
+
     // Grant access to protected route
     req.user = currentUser;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -44,6 +67,31 @@ export const protect = async (req, res, next) => {
   }
 };
 
+const STEP_UP_MAX_AGE_MS = (parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 5) * 60 * 1000;
+
+// Admins and moderators must have two-factor enabled and passed on this session
+const getTwoFactorError = (user, session) => {
+  if (!user.requiresTwoFactor()) {
+    return null;
+  }
+
+  if (!user.twoFactor?.enabled) {
+    return {
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      message: 'Two-factor authentication must be set up before using this account.'
+    };
+  }
+
+  if (!session?.mfaVerifiedAt) {
+    return {
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'Please verify your two-factor code to continue.'
+    };
+  }
+
+  return null;
+};
+
 // Restrict to certain roles
 export const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -53,10 +101,34 @@ export const restrictTo = (...roles) => {
         message: 'You do not have permission to perform this action'
       });
     }
+
+    const twoFactorError = getTwoFactorError(req.user, req.authSession);
+    if (twoFactorError) {
+      return res.status(403).json({
+        status: 'fail',
+        ...twoFactorError
+      });
+    }
+
     next();
   };
 };
 
+// Require a recent two-factor challenge (step-up) before destructive actions
+export const requireStepUp = (req, res, next) => {
+  const stepUpAt = req.authSession?.stepUpAt;
+
+  if (!stepUpAt || Date.now() - stepUpAt.getTime() > STEP_UP_MAX_AGE_MS) {
+    return res.status(403).json({
+      status: 'fail',
+      code: 'STEP_UP_REQUIRED',
+      message: 'Please confirm this action with your two-factor code.'
+    });
+  }
+
+  next();
+};
+
 // Check if user is verified (for child safety)
 export const requireVerification = (req, res, next) => {
   if (!req.user.isVerified) {
@@ -81,8 +153,8 @@ export const requireMinAge = (minAge) => {
   };
 };
 
-// Admin only middleware - check if user is an admin
-export const adminOnly = async (req, res, next) => {
+// Staff middleware - check the admin session token and that the user has one of the given roles
+const requireStaffRole = (roles, roleLabel) => async (req, res, next) => {
   try {
     let token;
 
@@ -101,25 +173,44 @@ export const adminOnly = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
 
+    // Check if the admin session is still active
+    const session = await Session.findActive(decoded.jti);
+    if (!session || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Admin session has expired or been revoked.'
+      });
+    }
+
     // Check if user still exists and is an admin
     const currentUser = await User.findById(decoded.userId);
-    if (!currentUser) {
+    if (!currentUser || currentUser.isBanned || !currentUser.isActive) {
       return res.status(401).json({
         status: 'fail',
         message: 'Invalid admin token.'
       });
     }
 
-    // Check if user has admin role
-    if (currentUser.role !== 'admin') {
+    // Check if user has a staff role allowed here
+    if (!roles.includes(currentUser.role)) {
       return res.status(403).json({
         status: 'fail',
-        message: 'Access denied. Admin privileges required.'
+        message: `Access denied. ${roleLabel} privileges required.`
+      });
+    }
+
+    // Check two-factor authentication for this session
+    const twoFactorError = getTwoFactorError(currentUser, session);
+    if (twoFactorError) {
+      return res.status(403).json({
+        status: 'fail',
+        ...twoFactorError
       });
     }
 
     // Grant access to admin route
     req.user = currentUser;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -128,3 +219,73 @@ export const adminOnly = async (req, res, next) => {
     });
   }
 };
+
+// Admin only middleware - check if user is an admin
+export const adminOnly = requireStaffRole(['admin'], 'Admin');
+
+// Moderator middleware - admins and moderators, e.g. for the report queue
+export const moderatorOnly = requireStaffRole(['admin', 'moderator'], 'Moderator');
+
+// Image middleware - accept a signed image link in place of a login, for image loaders
+// that can't send an auth header. The link only works for the message it was made for.
+export const protectImage = async (req, res, next) => {
+  if (!req.query.token) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyImageToken(req.query.token, req.params.messageId);
+
+    const currentUser = await User.findById(decoded.userId);
+    if (!currentUser || currentUser.isBanned || !currentUser.isActive) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'This image link is no longer valid.'
+      });
+    }
+
+    req.user = currentUser;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      status: 'fail',
+      message: 'Invalid or expired image link.'
+    });
+  }
+};
+
+// Parent middleware - check the parent token issued after magic-link sign-in
+export const protectParent = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Parent access token required.'
+      });
+    }
+
+    const decoded = verifyParentToken(token);
+
+    const parent = await Parent.findById(decoded.parentId);
+    if (!parent || !parent.isActive || parent.tokenVersion !== decoded.ver) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Parent session has ended. Please sign in again.'
+      });
+    }
+
+    req.parent = parent;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      status: 'fail',
+      message: 'Invalid or expired parent access. Please request a new sign-in link.'
+    });
+  }
+};
@@ -1,4 +1,42 @@
 import axios from 'axios';
+import contentMonitoringService from '../services/contentMonitoringService.js';
+import moderationRules from '../config/moderationRules.js';
+import { checkTextRules } from '../utils/moderationRules.js';
+
+// Provider label names that map onto our own category names
+const CATEGORY_ALIASES = {
+  sexual_content: 'sexual',
+  harassment: 'bullying',
+  'self-harm': 'self_harm',
+  selfharm: 'self_harm',
+  hate_speech: 'hate',
+  drug: 'drugs',
+  grooming_pattern: 'grooming'
+};
+
+/**
+ * Turn a moderation service response into { category: score }.
+ * Accepts { categories: { label: score } }, { labels: [{ label, score }] }
+ * or the original { result: true|false } sexual-only response.
+ */
+const normaliseScores = (result = {}) => {
+  const scores = {};
+  const add = (label, score) => {
+    const category = CATEGORY_ALIASES[label] || label;
+    const value = Number(score) || 0;
+    scores[category] = Math.max(scores[category] || 0, value);
+  };
+
+  if (result.categories && !Array.isArray(result.categories)) {
+    Object.entries(result.categories).forEach(([label, score]) => add(label, score));
+  } else if (Array.isArray(result.labels)) {
+    result.labels.forEach(({ label, score }) => add(label, score));
+  } else if (typeof result.result === 'boolean') {
+    add('sexual', result.result ? (result.confidence ?? 1) : 0);
+  }
+
+  return scores;
+};
 
 /**
  * Custom Content Moderation Service Client
@@ -28,21 +66,31 @@ class ContentModerationService {
   }
 
   /**
-   * Check if text contains sexual content
+   * Score text against every moderation category
    * @param {string} text - The text to check
-   * @returns {Promise<Object>} Moderation result
+   * @returns {Promise<Object>} { scores, providers, available, localMatches, raw_response, error }
    */
-  async checkSexualContent(text) {
-    try {
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        return {
-          is_sexual: false,
-          message: 'Empty text - approved',
-          error: null
-        };
-      }
+  async checkText(text) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return { scores: {}, providers: {}, available: true, error: null };
+    }
 
-      console.log(`🔍 Checking sexual content: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+    // First pass: local rules, which also stand in for the service when it is down
+    const local = checkTextRules(text);
+    const localProviders = Object.fromEntries(Object.keys(local.scores).map(category => [category, 'rule_engine']));
+
+    if (Object.values(local.scores).some(score => score >= moderationRules.skipRemoteScore)) {
+      console.log('🧾 Local moderation rules matched:', local.scores);
+      return {
+        scores: local.scores,
+        providers: localProviders,
+        available: true,
+        localMatches: local.matches
+      };
+    }
+
+    try {
+      console.log(`🔍 Checking text content: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
 
       const response = await axios.post(`${this.baseUrl}/v1/api/check-mzg`, {
         text: text.trim()
@@ -53,40 +101,72 @@ class ContentModerationService {
         }
       });
 
-      const result = response.data;
-      const is_sexual = result.result === true;
-      
-      console.log(`${is_sexual ? '❌' : '✅'} Sexual content check result:`, {
-        is_sexual,
-        original_result: result.result
-      });
+      const scores = { ...local.scores };
+      const providers = { ...localProviders };
+      for (const [category, score] of Object.entries(normaliseScores(response.data))) {
+        if (score > (scores[category] || 0)) {
+          scores[category] = score;
+          providers[category] = 'text_moderation_service';
+        }
+      }
+      console.log('✅ Text moderation scores:', scores);
 
       return {
-        is_sexual,
-        message: is_sexual ? 'Sexual content detected - blocked' : 'Content approved',
-        raw_response: result
+        scores,
+        providers,
+        available: true,
+        localMatches: local.matches,
+        raw_response: response.data
       };
 
     } catch (error) {
-      console.error('❌ Sexual content check error:', error.message);
-      
-      // If moderation service is down, log but don't block the message (fail-safe)
-      if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-        console.warn('⚠️ Content moderation service unavailable - allowing message');
-        return {
-          is_sexual: false,
-          message: 'Moderation service unavailable - approved',
-          error: 'service_unavailable'
-        };
-      }
+      console.error('❌ Text moderation check error:', error.message);
+      return {
+        scores: local.scores,
+        providers: localProviders,
+        available: false,
+        localOnly: true,
+        localMatches: local.matches,
+        error: error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT' ? 'service_unavailable' : error.message
+      };
+    }
+  }
+
+  /**
+   * Check if text contains sexual content
+   * @param {string} text - The text to check
+   * @returns {Promise<Object>} Moderation result
+   */
+  async checkSexualContent(text) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return {
+        is_sexual: false,
+        message: 'Empty text - approved',
+        error: null
+      };
+    }
 
-      // For other errors, also allow but log
+    const result = await this.checkText(text);
+    const is_sexual = (result.scores.sexual || 0) >= 0.5;
+
+    // If moderation service is down, only the local rules can block the message
+    if (!result.available && !is_sexual) {
+      console.warn('⚠️ Content moderation service unavailable - allowing message');
       return {
         is_sexual: false,
-        message: 'Moderation error - approved',
-        error: error.message
+        message: result.error === 'service_unavailable' ? 'Moderation service unavailable - approved' : 'Moderation error - approved',
+        scores: result.scores,
+        unmoderated: true,
+        error: result.error
       };
     }
+
+    return {
+      is_sexual,
+      message: is_sexual ? 'Sexual content detected - blocked' : 'Content approved',
+      scores: result.scores,
+      raw_response: result.raw_response
+    };
   }
 }
 
@@ -94,53 +174,59 @@ class ContentModerationService {
 const contentModerationService = new ContentModerationService();
 
 /**
- * Express middleware for sexual content moderation
+ * Express middleware for text moderation across all categories.
+ * Blocked content is rejected; warnings and outage holds are left on req.moderation for the handler.
  */
-export const sexualContentMiddleware = async (req, res, next) => {
+export const contentModerationMiddleware = async (req, res, next) => {
+  const { content } = req.body;
+
+  // Skip moderation if no content or not a string
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    return next();
+  }
+
+  console.log('🛡️ Running content moderation middleware...');
+
+  const chatId = req.params.chatId || req.body.chatId || null;
+  let moderation;
+
   try {
-    const { content } = req.body;
-    
-    // Skip moderation if no content or not a string
-    if (!content || typeof content !== 'string' || content.trim().length === 0) {
-      return next();
-    }
-    
-    console.log('🛡️ Running sexual content moderation middleware...');
-    
-    // Check for sexual content using your custom service
-    const moderation = await contentModerationService.checkSexualContent(content);
-    
-    if (moderation.is_sexual) {
-      console.log('❌ Sexual content detected and blocked:', {
-        text: content.substring(0, 50) + '...',
-        service_response: moderation.raw_response
-      });
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Your message contains inappropriate content and has been blocked. Please keep conversations appropriate.',
-        moderation: {
-          blocked: true,
-          reason: 'sexual_content',
-          detected: true
-        }
-      });
-    }
-    
-    console.log('✅ Content approved - no sexual content detected');
-    
-    // Add moderation result to request for logging
-    req.moderation = moderation;
-    next();
-    
+    // Scores the text, applies the sender's age band policy, logs and notifies as needed
+    moderation = await contentMonitoringService.monitorTextContent(content, req.user.id, chatId);
   } catch (error) {
-    console.error('⚠️ Sexual content moderation middleware error:', error.message);
-    
-    // In case of moderation service failure, log the error but allow the content (fail-safe)
-    // This ensures your app doesn't break if the moderation service is down
-    console.warn('⚠️ Allowing content due to moderation service error');
-    next();
+    console.error('⚠️ Content moderation middleware error:', error.message);
+
+    // Content that couldn't be checked gets the same treatment as a moderation outage
+    moderation = await contentMonitoringService.applyOutagePolicy('text', req.user.id, chatId);
+  }
+
+  if (moderation.blocked) {
+    console.log('❌ Content blocked:', {
+      text: content.substring(0, 50) + '...',
+      category: moderation.category
+    });
+
+    // Content that couldn't be checked under a fail-closed policy may be sent again later
+    return res.status(moderation.reason === 'moderation_unavailable' ? 503 : 400).json({
+      success: false,
+      message: moderation.message,
+      moderation: {
+        blocked: true,
+        reason: moderation.reason,
+        category: moderation.category,
+        detected: !moderation.unmoderated
+      }
+    });
+  }
+
+  // Store and broadcast the message with personal information hidden
+  if (moderation.maskedContent) {
+    req.body.content = moderation.maskedContent;
   }
+
+  // Add moderation result to request for logging and warnings
+  req.moderation = moderation;
+  next();
 };
 
 /**
@@ -195,7 +281,8 @@ export const checkModerationHealth = async () => {
 
 // Legacy exports for backward compatibility
 export const moderateText = checkSexualContent;
-export const textModerationMiddleware = sexualContentMiddleware;
+export const sexualContentMiddleware = contentModerationMiddleware;
+export const textModerationMiddleware = contentModerationMiddleware;
 export const checkModerationService = checkModerationHealth;
 
 export default contentModerationService;
@@ -0,0 +1,67 @@
+import rateLimitService from '../services/rateLimitService.js';
+
+/**
+ * Express middleware enforcing a rate limit policy from config/rateLimits.js.
+ * Counts per authenticated user (when protect ran first) and per IP.
+ */
+export const rateLimit = (policyName) => {
+  return async (req, res, next) => {
+    try {
+      const result = await rateLimitService.consume(policyName, {
+        userId: req.user?.id,
+        ip: req.ip
+      });
+
+      if (result.limit !== null) {
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil((result.resetAt - Date.now()) / 1000)));
+      }
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          status: 'fail',
+          message: 'Too many requests. Please slow down and try again shortly.',
+          retryAfter: result.retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block traffic because the limiter itself failed
+      console.error('⚠️ Rate limit check failed:', error.message);
+      next();
+    }
+  };
+};
+
+/**
+ * Socket.IO rate limit helper - emits `rateLimited` and returns false when over the limit
+ * @param {Object} socket - Authenticated socket
+ * @param {string} policyName - Name of the policy in config/rateLimits.js
+ * @param {string} event - Event being limited (sent back to the client)
+ * @returns {Promise<boolean>} Whether the event may be handled
+ */
+export const checkSocketRateLimit = async (socket, policyName, event) => {
+  try {
+    const result = await rateLimitService.consume(policyName, {
+      userId: socket.userId,
+      ip: socket.handshake?.address
+    });
+
+    if (!result.allowed) {
+      socket.emit('rateLimited', {
+        event,
+        retryAfter: result.retryAfter,
+        message: 'You are doing that too fast. Please slow down.'
+      });
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('⚠️ Socket rate limit check failed:', error.message);
+    return true;
+  }
+};
@@ -1,26 +1,9 @@
 import multer from 'multer';
 import path from 'path';
-import fs from 'fs';
-
-// Ensure uploads directory exists
-const uploadsDir = 'uploads/images';
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-userid-originalname
-    const uniqueSuffix = Date.now() + '-' + req.user.id;
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
-  }
-});
+import imageService from '../services/imageService.js';
+
+// Keep uploads in memory; they are only stored once processed (see services/storage)
+const storage = multer.memoryStorage();
 
 // File filter for images only
 const fileFilter = (req, file, cb) => {
@@ -44,4 +27,42 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+/**
+ * Re-encode an uploaded image before it is stored: only real images get through,
+ * with their metadata (including GPS location) stripped and preview and thumbnail
+ * sizes alongside. req.file then describes the stored image.
+ */
+export const processImageUpload = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const processed = await imageService.processUpload(req.file.buffer);
+
+    if (!processed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only image files are allowed (jpeg, jpg, png, gif, webp)'
+      });
+    }
+
+    req.file.key = processed.key;
+    req.file.buffer = processed.data;
+    req.file.size = processed.size;
+    req.file.mimetype = 'image/jpeg';
+    req.file.width = processed.width;
+    req.file.height = processed.height;
+    req.file.variants = processed.variants;
+
+    next();
+  } catch (error) {
+    console.error('❌ Image processing failed:', error.message);
+    res.status(400).json({
+      success: false,
+      message: 'This image could not be read. Please try a different one.'
+    });
+  }
+};
+
 export default upload;
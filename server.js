@@ -3,6 +3,10 @@ import { createServer } from 'http';
 import app from './app.js';
 import dotenv from 'dotenv';
 import SocketService from './services/socketService.js';
+import User from './Models/User.js';
+import contactPolicyService from './services/contactPolicyService.js';
+import heldMessageService from './services/heldMessageService.js';
+import imageService from './services/imageService.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,6 +19,18 @@ const connectDB = async () => {
   try {
     await mongoose.connect(MONGODB_URI);
     console.log('MongoDB connected successfully');
+
+    // One-off move of Google accounts to the identities list
+    const migrated = await User.migrateLegacyIdentities();
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} users to linked identities`);
+    }
+
+    // One-off approval of existing chat partners for children created before contact approval
+    const grandfathered = await contactPolicyService.grandfatherExistingContacts();
+    if (grandfathered > 0) {
+      console.log(`Approved existing contacts for ${grandfathered} child accounts`);
+    }
   } catch (error) {
     console.error('MongoDB connection error:', error.message);
     process.exit(1);
@@ -48,6 +64,12 @@ const startServer = async () => {
     // Make Socket.IO instance available to routes
     app.set('io', socketService.io);
     app.set('socketService', socketService);
+
+    // Deliver or reject messages held while moderation was down
+    heldMessageService.start(socketService);
+
+    // Delete images older than IMAGE_RETENTION_DAYS
+    imageService.startRetention();
     
     // Add Socket.IO status logging
     socketService.io.engine.on("connection_error", (err) => {
@@ -65,6 +87,8 @@ const startServer = async () => {
     // Graceful shutdown
     const gracefulShutdown = () => {
       console.log('Shutting down gracefully...');
+      heldMessageService.stop();
+      imageService.stopRetention();
       server.close(() => {
         console.log('HTTP server closed');
         mongoose.connection.close(() => {
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import User from '../Models/User.js';
+import Block from '../Models/Block.js';
+import Mute from '../Models/Mute.js';
+import Contact from '../Models/Contact.js';
+import { sendParentBlockNotification } from './emailService.js';
+
+const BLOCKED_MESSAGE = 'You can\'t message this user.';
+
+class BlockService {
+  /**
+   * Block a user. Any contact or pending contact request between the two is
+   * removed, and a child's parent is told who was blocked.
+   * @param {string} blockerId - User doing the blocking
+   * @param {string} blockedId - User to block
+   * @param {string} reason - Optional reason shared with the parent
+   * @returns {Promise<Object|null>} { block, created }, or null if the user doesn't exist
+   */
+  async block(blockerId, blockedId, reason = '') {
+    if (!mongoose.Types.ObjectId.isValid(blockedId) || blockedId.toString() === blockerId.toString()) {
+      return null;
+    }
+
+    const blocker = await User.findById(blockerId).select('username fullName role parentEmail');
+    const blocked = await User.findById(blockedId).select('username fullName');
+    if (!blocked) {
+      return null;
+    }
+
+    const existing = await Block.findOne({ blocker: blocker._id, blocked: blocked._id });
+    if (existing) {
+      return { block: existing, created: false };
+    }
+
+    const block = await Block.create({ blocker: blocker._id, blocked: blocked._id, reason });
+
+    await Contact.deleteOne({ pairKey: Contact.getPairKey(blocker._id, blocked._id) });
+
+    console.log('🚫 User blocked:', { blockerId: blocker._id.toString(), blockedId: blocked._id.toString() });
+
+    if (blocker.role === 'children' && blocker.parentEmail) {
+      sendParentBlockNotification(blocker.parentEmail, blocker.fullName || blocker.username, blocked, reason)
+        .catch(error => {
+          console.error('❌ Failed to send block notification to parent:', error.message);
+        });
+    }
+
+    return { block, created: true };
+  }
+
+  // Remove a block; returns whether one existed
+  async unblock(blockerId, blockedId) {
+    if (!mongoose.Types.ObjectId.isValid(blockedId)) {
+      return false;
+    }
+
+    const result = await Block.deleteOne({ blocker: blockerId, blocked: blockedId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Check that a block doesn't stop a message being sent to a chat.
+   * Direct chats are closed by a block in either direction; in a group the
+   * sender is stopped only when another member has blocked them.
+   * @param {Object} chat - Chat document
+   * @param {string} senderId - Sender user id
+   * @returns {Promise<Object>} { allowed, code, message }
+   */
+  async checkChatSend(chat, senderId) {
+    const others = chat.participants
+      .filter(p => p.isActive)
+      .map(p => (p.user._id || p.user).toString())
+      .filter(id => id !== senderId.toString());
+
+    if (others.length === 0) {
+      return { allowed: true };
+    }
+
+    const blocked = chat.chatType === 'direct'
+      ? !!(await Block.findAnyBetween(senderId, others))
+      : (await Block.getBlockersAmong(senderId, others)).length > 0;
+
+    return blocked
+      ? { allowed: false, code: 'USER_BLOCKED', message: BLOCKED_MESSAGE }
+      : { allowed: true };
+  }
+
+  /**
+   * Check that no new group member has blocked, or is blocked by, another member
+   * @param {Array<string>} existingIds - Current active members
+   * @param {Array<string>} newIds - Members being added
+   * @returns {Promise<Object>} { allowed, code, message }
+   */
+  async checkGroupMembers(existingIds, newIds) {
+    const allIds = [...existingIds, ...newIds];
+
+    const block = await Block.findOne({
+      $or: [
+        { blocker: { $in: newIds }, blocked: { $in: allIds } },
+        { blocked: { $in: newIds }, blocker: { $in: allIds } }
+      ]
+    });
+
+    return block
+      ? { allowed: false, code: 'USER_BLOCKED', message: 'Some participants can\'t be added to this chat.' }
+      : { allowed: true };
+  }
+
+  /**
+   * Mute a user, optionally for a limited time
+   * @param {string} muterId - User muting
+   * @param {string} mutedId - User to mute
+   * @param {number} durationMinutes - Length of the mute, or nothing to mute until unmuted
+   * @returns {Promise<Object|null>} Mute, or null if the user doesn't exist
+   */
+  async mute(muterId, mutedId, durationMinutes = null) {
+    if (!mongoose.Types.ObjectId.isValid(mutedId) || mutedId.toString() === muterId.toString()) {
+      return null;
+    }
+
+    if (!(await User.exists({ _id: mutedId }))) {
+      return null;
+    }
+
+    const expiresAt = durationMinutes ? new Date(Date.now() + durationMinutes * 60 * 1000) : null;
+
+    return await Mute.findOneAndUpdate(
+      { muter: muterId, muted: mutedId },
+      { expiresAt },
+      { new: true, upsert: true }
+    );
+  }
+
+  // Remove a mute; returns whether one existed
+  async unmute(muterId, mutedId) {
+    if (!mongoose.Types.ObjectId.isValid(mutedId)) {
+      return false;
+    }
+
+    const result = await Mute.deleteOne({ muter: muterId, muted: mutedId });
+    return result.deletedCount > 0;
+  }
+}
+
+// Create singleton instance
+const blockService = new BlockService();
+
+export default blockService;
+
+// Named exports for convenience
+export {
+  BlockService
+};
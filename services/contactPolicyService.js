@@ -0,0 +1,305 @@
+import mongoose from 'mongoose';
+import User from '../Models/User.js';
+import Chat from '../Models/Chat.js';
+import ContactApproval from '../Models/ContactApproval.js';
+import { sendContactRequestEmail } from './emailService.js';
+
+// Parent dashboard base address used in contact request emails
+const PARENT_DASHBOARD_URL = process.env.PARENT_DASHBOARD_URL || 'http://localhost:3000/parent';
+
+const CONTACT_ERRORS = {
+  CONTACT_APPROVAL_PENDING: 'This contact is waiting for a parent to approve it.',
+  CONTACT_DENIED: 'A parent has not allowed this contact.',
+  CONTACT_NOT_ALLOWED: 'Only contacts added by a parent can be messaged.'
+};
+
+const USER_FIELDS = 'username fullName age role contactPolicy parentEmail isActive';
+
+class ContactPolicyService {
+  /**
+   * Check whether a user may talk to each of the given users.
+   * A pair needs an approved entry for every child in it whose parent has not
+   * chosen the "open" policy. Under "approval_required" a missing entry is
+   * turned into a pending request and the parent is emailed.
+   * @param {string} initiatorId - User starting the chat or sending the message
+   * @param {Array<string>} targetIds - Users on the other side
+   * @param {Object} options - { requestMissing, requestedBy }
+   *   requestMissing - create pending requests (default true)
+   *   requestedBy    - user recorded on new requests (default the initiator)
+   * @returns {Promise<Object>} { allowed, code, message, blocked: [{ userId, code }] }
+   */
+  async checkContacts(initiatorId, targetIds, { requestMissing = true, requestedBy = initiatorId } = {}) {
+    const ids = [...new Set(targetIds.map(id => id.toString()))]
+      .filter(id => id !== initiatorId.toString());
+
+    if (ids.length === 0) {
+      return { allowed: true, blocked: [] };
+    }
+
+    const users = await User.find({ _id: { $in: [initiatorId, ...ids] } }).select(USER_FIELDS);
+    const initiator = users.find(user => user._id.toString() === initiatorId.toString());
+    if (!initiator) {
+      return this.summarise([{ userId: initiatorId, code: 'CONTACT_NOT_ALLOWED' }]);
+    }
+
+    // Every (child, contact) pair that needs an approved entry
+    const pairs = [];
+    for (const target of users) {
+      if (target === initiator) continue;
+
+      if (initiator.requiresContactApproval()) {
+        pairs.push({ child: initiator, contact: target, target });
+      }
+      if (target.requiresContactApproval()) {
+        pairs.push({ child: target, contact: initiator, target });
+      }
+    }
+
+    if (pairs.length === 0) {
+      return { allowed: true, blocked: [] };
+    }
+
+    const entries = await ContactApproval.find({
+      $or: pairs.map(pair => ({ child: pair.child._id, contact: pair.contact._id }))
+    });
+    const findEntry = (pair) => entries.find(entry =>
+      entry.child.toString() === pair.child._id.toString() &&
+      entry.contact.toString() === pair.contact._id.toString()
+    );
+
+    const blocked = [];
+    for (const pair of pairs) {
+      const entry = findEntry(pair);
+      if (entry?.status === 'approved') continue;
+
+      let code;
+      if (pair.child.contactPolicy === 'allowlist_only') {
+        code = 'CONTACT_NOT_ALLOWED';
+      } else if (entry?.status === 'denied') {
+        code = 'CONTACT_DENIED';
+      } else {
+        code = 'CONTACT_APPROVAL_PENDING';
+        if (!entry && requestMissing) {
+          await this.requestApproval(pair.child, pair.contact, requestedBy);
+        }
+      }
+
+      blocked.push({ userId: pair.target._id, code });
+    }
+
+    return this.summarise(blocked);
+  }
+
+  /**
+   * Check every pair a group change would create: each new member against the
+   * existing members and the other new members
+   * @param {Array<string>} existingIds - Current active members
+   * @param {Array<string>} newIds - Members being added
+   * @param {string} requestedById - User creating the group or adding members
+   * @returns {Promise<Object>} { allowed, code, message, blocked: [{ userId, contactId, code }] }
+   */
+  async checkGroupMembers(existingIds, newIds, requestedById) {
+    const blocked = [];
+    const checked = new Set();
+
+    for (const memberId of newIds.map(id => id.toString())) {
+      checked.add(memberId);
+      const others = [...existingIds, ...newIds]
+        .map(id => id.toString())
+        .filter(id => !checked.has(id));
+
+      const result = await this.checkContacts(memberId, others, { requestedBy: requestedById });
+      blocked.push(...result.blocked.map(item => ({ userId: memberId, contactId: item.userId, code: item.code })));
+    }
+
+    return this.summarise(blocked);
+  }
+
+  // Overall result for a list of blocked pairs, strictest reason first
+  summarise(blocked) {
+    if (blocked.length === 0) {
+      return { allowed: true, blocked };
+    }
+
+    const order = ['CONTACT_NOT_ALLOWED', 'CONTACT_DENIED', 'CONTACT_APPROVAL_PENDING'];
+    const code = order.find(candidate => blocked.some(item => item.code === candidate));
+
+    return { allowed: false, code, message: CONTACT_ERRORS[code], blocked };
+  }
+
+  /**
+   * Check that a sender may message every other active participant of a chat
+   * @param {Object} chat - Chat document
+   * @param {string} senderId - Sender user id
+   * @returns {Promise<Object>} Result of checkContacts
+   */
+  async checkChatRecipients(chat, senderId) {
+    const recipients = chat.participants
+      .filter(p => p.isActive)
+      .map(p => (p.user._id || p.user).toString());
+
+    return await this.checkContacts(senderId, recipients);
+  }
+
+  /**
+   * Create a pending request for the parent and email them.
+   * Mail errors are logged; the request stays visible in the parent API.
+   * @param {Object} child - Child user
+   * @param {Object} contact - User the child wants to talk to
+   * @param {string} requestedById - User whose action triggered the request
+   * @returns {Promise<Object|null>} Pending entry, or null if one already existed
+   */
+  async requestApproval(child, contact, requestedById) {
+    let entry;
+    try {
+      entry = await ContactApproval.create({
+        child: child._id,
+        contact: contact._id,
+        requestedBy: requestedById,
+        source: 'request'
+      });
+    } catch (error) {
+      // Another request created the entry first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    console.log('🤝 Contact approval requested:', {
+      childId: child._id.toString(),
+      contactId: contact._id.toString()
+    });
+
+    if (child.parentEmail) {
+      sendContactRequestEmail(child.parentEmail, child.fullName || child.username, contact, {
+        requestedByChild: requestedById.toString() === child._id.toString(),
+        reviewUrl: `${PARENT_DASHBOARD_URL}/children/${child._id}/contact-requests`
+      }).catch(error => {
+        console.error('❌ Failed to send contact request email:', error.message);
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Approve or deny a pending request (or change an earlier decision)
+   * @param {Object} child - Child user
+   * @param {string} requestId - ContactApproval id
+   * @param {string} status - 'approved' or 'denied'
+   * @returns {Promise<Object|null>} Updated entry, or null if not found
+   */
+  async decide(child, requestId, status) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return null;
+    }
+
+    return await ContactApproval.findOneAndUpdate(
+      { _id: requestId, child: child._id },
+      { status, decidedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Add a user to a child's approved contacts directly
+   * @param {Object} child - Child user
+   * @param {string} contactId - User to approve
+   * @returns {Promise<Object|null>} Approved entry, or null if the user doesn't exist
+   */
+  async addToAllowlist(child, contactId) {
+    if (!mongoose.Types.ObjectId.isValid(contactId) || contactId.toString() === child._id.toString()) {
+      return null;
+    }
+
+    const contact = await User.findOne({ _id: contactId, isActive: true }).select('_id');
+    if (!contact) {
+      return null;
+    }
+
+    return await ContactApproval.findOneAndUpdate(
+      { child: child._id, contact: contact._id },
+      {
+        status: 'approved',
+        decidedAt: new Date(),
+        $setOnInsert: { source: 'parent' }
+      },
+      { new: true, upsert: true }
+    );
+  }
+
+  // Remove a contact from a child's approved list
+  async removeFromAllowlist(child, contactId) {
+    if (!mongoose.Types.ObjectId.isValid(contactId)) {
+      return false;
+    }
+
+    const result = await ContactApproval.deleteOne({ child: child._id, contact: contactId });
+    return result.deletedCount > 0;
+  }
+
+  // Shape of a ContactApproval entry returned to parents
+  formatEntry(entry) {
+    const formatUser = (user) => (user?._id ? {
+      id: user._id,
+      username: user.username,
+      fullName: user.fullName,
+      ...(user.age !== undefined && { age: user.age }),
+      ...(user.role !== undefined && { role: user.role })
+    } : user);
+
+    return {
+      id: entry._id,
+      contact: formatUser(entry.contact),
+      requestedBy: formatUser(entry.requestedBy),
+      status: entry.status,
+      source: entry.source,
+      decidedAt: entry.decidedAt,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * One-off setup for children created before contact approval existed:
+   * people they already have a direct chat with are approved so existing
+   * conversations keep working, then the default policy is stored.
+   * @returns {Promise<number>} Number of children migrated
+   */
+  async grandfatherExistingContacts() {
+    const children = await User.collection
+      .find({ role: 'children', contactPolicy: { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+
+    for (const { _id: childId } of children) {
+      const chats = await Chat.find({ chatType: 'direct', 'participants.user': childId }).select('participants');
+
+      const contactIds = chats
+        .flatMap(chat => chat.participants.map(p => p.user.toString()))
+        .filter(id => id !== childId.toString());
+
+      if (contactIds.length > 0) {
+        await ContactApproval.bulkWrite([...new Set(contactIds)].map(contactId => ({
+          updateOne: {
+            filter: { child: childId, contact: contactId },
+            update: { $setOnInsert: { status: 'approved', source: 'existing_chat', decidedAt: new Date() } },
+            upsert: true
+          }
+        })));
+      }
+
+      await User.collection.updateOne({ _id: childId }, { $set: { contactPolicy: 'approval_required' } });
+    }
+
+    return children.length;
+  }
+}
+
+// Create singleton instance
+const contactPolicyService = new ContactPolicyService();
+
+export default contactPolicyService;
+
+// Named exports for convenience
+export {
+  ContactPolicyService,
+  CONTACT_ERRORS
+};
@@ -1,43 +1,242 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import mongoose from 'mongoose';
 import User from '../Models/User.js';
 import Chat from '../Models/Chat.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
 import { sendParentContentAlert } from './emailService.js';
-import { checkSexualContent } from '../middleware/moderationMiddleware.js';
+import contentModerationService from '../middleware/moderationMiddleware.js';
+import imageHashService from './imageHashService.js';
+import moderationPolicies from '../config/moderationPolicies.js';
+import { detectPersonalInfo, maskPersonalInfo } from '../utils/personalInfo.js';
 
+const SNIPPET_LENGTH = 120;
+
+// Most severe first; a message gets the most severe action of any category that fires
+const ACTION_SEVERITY = ['block', 'warn', 'flag', 'allow'];
+
+// Incident action recorded for each policy action
+const INCIDENT_ACTIONS = {
+  block: 'blocked',
+  warn: 'warned',
+  flag: 'flagged'
+};
+
+// How each incident action is described to parents
+const ACTION_DESCRIPTIONS = {
+  blocked: 'Content has been blocked and not delivered',
+  warned: 'Message delivered, and your child was shown a safety warning',
+  flagged: 'Message delivered and flagged for review by our moderators',
+  masked: 'Message delivered with the personal information hidden'
+};
+
+// What the sender sees when a category blocks or warns
+const CATEGORY_MESSAGES = {
+  sexual: 'Your message contains inappropriate content. Please keep conversations appropriate.',
+  bullying: 'Your message looks unkind. Please be kind to others.',
+  self_harm: 'It sounds like things might be hard right now. Please talk to a trusted adult, or contact a helpline - you don\'t have to deal with it alone.',
+  hate: 'Your message contains hateful language. Everyone deserves respect.',
+  violence: 'Your message contains violent language. Please keep conversations safe.',
+  drugs: 'Your message mentions drugs, which isn\'t allowed here.',
+  grooming: 'Your message has been stopped for safety reasons.'
+};
+
+// Incident action and what the sender sees for each personal information action
+const PERSONAL_INFO_ACTIONS = {
+  block: 'blocked',
+  mask: 'masked',
+  warn: 'warned'
+};
+
+const PERSONAL_INFO_MESSAGES = {
+  block: 'Your message has personal information like a phone number or address. Keep it private to stay safe online.',
+  mask: 'We hid some personal information in your message. Keep things like phone numbers and addresses private.',
+  warn: 'Your message has personal information. Only share it with people you know and trust in real life.'
+};
+
+// What the sender sees when moderation is down, per outage action
+const OUTAGE_MESSAGES = {
+  closed: 'We can\'t check this right now. Please try again in a few minutes.',
+  hold: 'This will be delivered as soon as it has been checked.'
+};
+
+// SHA-256 of a text message, or of an image's bytes (given directly or as a file path)
+const hashContent = async (content, contentType) => {
+  const data = contentType === 'image' && !Buffer.isBuffer(content) ? await fs.promises.readFile(content) : content;
+  return crypto.createHash('sha256').update(data).digest('hex');
+};
 
 class ContentMonitoringService {
   constructor() {
     console.log('Content Monitoring Service initialized');
   }
 
+  /**
+   * Get the moderation age band for an age. Unknown ages get the strictest band.
+   * @param {number} age - User's age
+   * @returns {string} Band name
+   */
+  getAgeBand(age) {
+    if (typeof age !== 'number') {
+      return moderationPolicies.ageBands[0].name;
+    }
+    return moderationPolicies.ageBands.find(band => age < band.maxAge).name;
+  }
+
+  /**
+   * Get the age band of the youngest active participant in a chat.
+   * Falls back to the sender's band without a chat, and to the strictest band on error.
+   * @param {string} chatId - Chat ID
+   * @param {string} senderId - ID of the user sending the content
+   * @returns {Promise<string>} Band name
+   */
+  async getChatAgeBand(chatId, senderId) {
+    try {
+      const chat = mongoose.isValidObjectId(chatId) ? await Chat.findById(chatId).select('participants') : null;
+      const userIds = chat
+        ? chat.participants.filter(participant => participant.isActive).map(participant => participant.user)
+        : [senderId];
+
+      return await this.getYoungestAgeBand(userIds);
+    } catch (error) {
+      console.error('❌ Error getting chat age band:', error);
+      return moderationPolicies.ageBands[0].name;
+    }
+  }
+
+  /**
+   * Get the age band of the youngest of some users, or the strictest band if none are found
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<string>} Band name
+   */
+  async getYoungestAgeBand(userIds) {
+    const bandNames = moderationPolicies.ageBands.map(band => band.name);
+
+    const users = await User.find({ _id: { $in: userIds } }).select('age');
+    if (users.length === 0) {
+      return bandNames[0];
+    }
+
+    return bandNames[Math.min(...users.map(user => bandNames.indexOf(this.getAgeBand(user.age))))];
+  }
+
+  /**
+   * Get the outage action for content that couldn't be moderated
+   * @param {string} contentType - 'text' or 'image'
+   * @param {string} band - Age band name
+   * @returns {string} 'open', 'closed' or 'hold'
+   */
+  getOutageAction(contentType, band) {
+    const action = moderationPolicies.outage[contentType]?.[band] || 'hold';
+
+    // Under-10s never receive unchecked images
+    if (contentType === 'image' && band === moderationPolicies.ageBands[0].name && action === 'open') {
+      return 'hold';
+    }
+
+    return action;
+  }
+
+  /**
+   * Decide what happens to content the moderation service couldn't check
+   * @param {string} contentType - 'text' or 'image'
+   * @param {string} senderId - ID of the user sending the content
+   * @param {string} chatId - ID of the chat the content was sent to
+   * @returns {Promise<Object>} Monitoring result, always with unmoderated: true
+   */
+  async applyOutagePolicy(contentType, senderId, chatId) {
+    const band = await this.getChatAgeBand(chatId, senderId);
+    const action = this.getOutageAction(contentType, band);
+
+    console.warn(`⚠️ Moderation unavailable - ${contentType} ${action} (${band})`);
+
+    if (action === 'open') {
+      return { blocked: false, approved: true, action: 'allow', unmoderated: true };
+    }
+
+    return {
+      blocked: action === 'closed',
+      held: action === 'hold',
+      action: action === 'closed' ? 'block' : 'hold',
+      reason: 'moderation_unavailable',
+      unmoderated: true,
+      message: OUTAGE_MESSAGES[action]
+    };
+  }
+
+  /**
+   * Apply the age band policy to per-category scores
+   * @param {Object} scores - { category: score }
+   * @param {string} band - Age band name
+   * @returns {Object} { action, notifyParent, matches } with matches sorted most severe first
+   */
+  applyTextPolicy(scores, band) {
+    const rules = moderationPolicies.bands[band] || {};
+
+    const matches = Object.entries(scores)
+      .filter(([category, score]) => rules[category] && score >= rules[category].threshold)
+      .map(([category, score]) => ({ category, score, ...rules[category] }))
+      .filter(match => match.action !== 'allow')
+      .sort((a, b) => ACTION_SEVERITY.indexOf(a.action) - ACTION_SEVERITY.indexOf(b.action) || b.score - a.score);
+
+    return {
+      action: matches[0]?.action || 'allow',
+      notifyParent: matches.some(match => match.notifyParent),
+      matches
+    };
+  }
+
   /**
    * Quick content check - Returns immediately without sending emails
    * @param {string} content - The text content to monitor
    * @param {string} senderId - ID of the user sending the content
+   * @param {string} chatId - ID of the chat; its youngest participant picks the age band
    * @returns {Promise<Object>} Quick moderation result
    */
-  async quickContentCheck(content, senderId) {
+  async quickContentCheck(content, senderId, chatId) {
     try {
       console.log('Quick content check for immediate UI response...');
       
-      // Check for sexual content using fast moderation
-      const moderationResult = await checkSexualContent(content);
-      
-      if (moderationResult.is_sexual) {
-        console.log('Sexual content detected - blocking immediately');
-        
-        return {
-          blocked: true,
-          reason: 'sexual_content',
-          message: 'Your message contains inappropriate content and has been blocked. Please keep conversations appropriate.'
-        };
+      const [moderationResult, band] = await Promise.all([
+        contentModerationService.checkText(content),
+        this.getChatAgeBand(chatId, senderId)
+      ]);
+
+      const policy = this.applyTextPolicy(moderationResult.scores, band);
+
+      if (policy.action === 'allow') {
+        // Nothing fired locally, but the moderation service couldn't be asked
+        if (!moderationResult.available) {
+          return { blocked: false, approved: true, action: 'allow', unmoderated: true };
+        }
+
+        console.log('Content approved in quick check');
+        return { blocked: false, approved: true, action: 'allow' };
+      }
+
+      const top = policy.matches[0];
+      const result = {
+        blocked: policy.action === 'block',
+        action: policy.action,
+        reason: top.category === 'sexual' ? 'sexual_content' : top.category,
+        category: top.category,
+        score: top.score,
+        categories: policy.matches.map(({ category, score }) => ({ category, score })),
+        provider: moderationResult.providers?.[top.category] || 'text_moderation_service',
+        notifyParent: policy.notifyParent,
+        message: CATEGORY_MESSAGES[top.category] || 'Your message has been blocked.'
+      };
+
+      if (policy.action === 'warn') {
+        result.warning = { category: top.category, message: result.message };
       }
 
-      console.log('Content approved in quick check');
-      return { blocked: false, approved: true };
+      console.log(`${result.blocked ? '❌' : '⚠️'} Content ${policy.action} (${band}):`, result.categories);
+      return result;
 
     } catch (error) {
       console.error('Error in quick content check:', error);
-      return { blocked: false, error: error.message };
+      return { blocked: false, unmoderated: true, error: error.message };
     }
   }
 
@@ -47,11 +246,28 @@ class ContentMonitoringService {
    * @param {string} senderId - ID of the user who sent content
    * @param {string} chatId - ID of the chat
    * @param {string} contentType - Type of content ('text' or 'image')
+   * @param {Object} details - Category, score, provider and hash for the incident log
    */
-  async sendParentNotificationAsync(content, senderId, chatId, contentType = 'text') {
+  async sendParentNotificationAsync(content, senderId, chatId, contentType = 'text', details = {}) {
     // Run this asynchronously without blocking the main flow
     setImmediate(async () => {
       try {
+        // Log the incident first so it is kept even if the email fails or hangs
+        const incident = await this.logContentIncident({
+          type: contentType,
+          userId: senderId,
+          chatId,
+          content: contentType === 'text' ? content : null,
+          ...details,
+          parentNotified: false,
+          timestamp: new Date()
+        });
+
+        if (details.notifyParent === false) {
+          console.log('ℹ️ Parent notification not required by moderation policy');
+          return;
+        }
+
         console.log('📧 Sending parent notification asynchronously...');
         
         // Get sender information
@@ -64,45 +280,39 @@ class ContentMonitoringService {
         // Only send notification if user has parent email (children under 13)
         if (!sender.parentEmail) {
           console.log('ℹ️ No parent email found - notification skipped');
-          return;
-        }
+        } else {
+          // Get chat information for context
+          const chat = await Chat.findById(chatId).populate('participants.user', 'username email');
+          
+          try {
+            const chatParticipants = chat ? chat.participants
+              .filter(p => p.user._id.toString() !== senderId)
+              .map(p => p.user.username)
+              .join(', ') : 'Unknown';
 
-        // Get chat information for context
-        const chat = await Chat.findById(chatId).populate('participants.user', 'username email');
-        
-        try {
-          const chatParticipants = chat ? chat.participants
-            .filter(p => p.user._id.toString() !== senderId)
-            .map(p => p.user.username)
-            .join(', ') : 'Unknown';
-
-          await sendParentContentAlert(
-            sender.parentEmail,
-            sender.fullName || sender.username,
-            sender.email,
-            contentType,
-            {
-              chatType: chat?.chatType || 'unknown',
-              otherParticipants: chatParticipants,
-              contentPreview: contentType === 'text' ? content.substring(0, 50) + '...' : 'Image content'
+            await sendParentContentAlert(
+              sender.parentEmail,
+              sender.fullName || sender.username,
+              sender.email,
+              contentType,
+              {
+                chatType: chat?.chatType || 'unknown',
+                otherParticipants: chatParticipants,
+                contentPreview: contentType === 'text' ? content.substring(0, 50) + '...' : 'Image content',
+                category: details.category,
+                actionTaken: ACTION_DESCRIPTIONS[details.action || 'blocked']
+              }
+            );
+            
+            if (incident) {
+              await ModerationIncident.updateOne({ _id: incident._id }, { parentNotified: true });
             }
-          );
-          
-          console.log('✅ Parent notification sent successfully (async)');
-        } catch (emailError) {
-          console.error('❌ Failed to send parent notification (async):', emailError);
+            console.log('✅ Parent notification sent successfully (async)');
+          } catch (emailError) {
+            console.error('❌ Failed to send parent notification (async):', emailError);
+          }
         }
 
-        // Log the incident for admin review
-        this.logContentIncident({
-          type: contentType,
-          userId: senderId,
-          chatId,
-          content: contentType === 'text' ? content.substring(0, 100) + '...' : 'Image content',
-          parentNotified: true,
-          timestamp: new Date()
-        });
-
       } catch (error) {
         console.error('❌ Error in async parent notification:', error);
       }
@@ -110,46 +320,177 @@ class ContentMonitoringService {
   }
 
   /**
-   * Monitor text content for inappropriate material (FAST VERSION)
+   * Record blocked content: hashes it now (an image file is deleted straight after),
+   * then logs the incident and notifies the parent in the background
+   * @param {Object} blocked - { content, senderId, chatId, contentType, category, score, categories, provider, action, notifyParent, field }
+   */
+  async reportBlockedContent({ content, senderId, chatId, contentType = 'text', category, score = null, categories = [], provider, action = 'blocked', notifyParent = true, field = null }) {
+    let contentHash = null;
+    try {
+      contentHash = await hashContent(content, contentType);
+    } catch (error) {
+      console.error('❌ Failed to hash blocked content:', error.message);
+    }
+
+    this.sendParentNotificationAsync(content, senderId, chatId, contentType, {
+      category,
+      score,
+      categories,
+      provider,
+      action,
+      contentHash,
+      notifyParent,
+      field
+    });
+  }
+
+  /**
+   * Check text for personal information and apply the sender's age band policy.
+   * Anything that fires is logged with the personal information hidden.
+   * @param {string} content - The text content to check
+   * @param {string} senderId - ID of the user sending the content
+   * @param {string} chatId - ID of the chat where content was sent
+   * @returns {Promise<Object>} { blocked, action, types, message, warning, maskedContent, redactedContent }
+   */
+  async checkPersonalInfo(content, senderId, chatId) {
+    const matches = detectPersonalInfo(content);
+    if (matches.length === 0) {
+      return { blocked: false, action: 'allow' };
+    }
+
+    const sender = await User.findById(senderId).select('age');
+    const rules = moderationPolicies.personalInfo[this.getAgeBand(sender?.age)] || {};
+    const actionFor = (match) => rules[match.type]?.action || 'allow';
+
+    // Never keep the personal information itself in logs
+    const redactedContent = maskPersonalInfo(content, matches);
+
+    const fired = matches.filter(match => actionFor(match) !== 'allow');
+    const action = ['block', 'mask', 'warn'].find(candidate => fired.some(match => actionFor(match) === candidate));
+    if (!action) {
+      return { blocked: false, action: 'allow', redactedContent };
+    }
+
+    const types = [...new Set(fired.map(match => match.type))];
+
+    await this.reportBlockedContent({
+      content: redactedContent,
+      senderId,
+      chatId,
+      contentType: 'text',
+      category: 'personal_info',
+      categories: types.map(type => ({ category: type, score: 1 })),
+      provider: 'pii_detector',
+      action: PERSONAL_INFO_ACTIONS[action],
+      notifyParent: fired.some(match => rules[match.type].notifyParent)
+    });
+
+    console.log(`🔏 Personal information ${action}:`, types);
+
+    const result = {
+      blocked: action === 'block',
+      action,
+      reason: 'personal_info',
+      category: 'personal_info',
+      types,
+      message: PERSONAL_INFO_MESSAGES[action],
+      redactedContent
+    };
+
+    if (action === 'mask') {
+      result.maskedContent = maskPersonalInfo(content, fired.filter(match => actionFor(match) === 'mask'));
+    }
+    if (action !== 'block') {
+      result.warning = { category: 'personal_info', types, message: result.message };
+    }
+
+    return result;
+  }
+
+  /**
+   * Monitor text content for inappropriate material and personal information (FAST VERSION)
    * @param {string} content - The text content to monitor
    * @param {string} senderId - ID of the user sending the content
    * @param {string} chatId - ID of the chat where content was sent
-   * @returns {Promise<Object>} Monitoring result
+   * @param {Object} options - { personalInfo: false } skips the personal information check
+   * @returns {Promise<Object>} Monitoring result, with maskedContent to store instead when personal information was hidden
    */
-  async monitorTextContent(content, senderId, chatId) {
+  async monitorTextContent(content, senderId, chatId, { personalInfo = true } = {}) {
     try {
       console.log('🔍 Fast monitoring text content...');
+
+      // Step 1: Personal information is found locally, so this works even when moderation is down
+      const personalInfoCheck = personalInfo
+        ? await this.checkPersonalInfo(content, senderId, chatId)
+        : { blocked: false, action: 'allow' };
+
+      if (personalInfoCheck.blocked) {
+        return personalInfoCheck;
+      }
       
-      // Step 1: Quick check and immediate block if needed
-      const quickCheck = await this.quickContentCheck(content, senderId);
+      // Step 2: Quick check and immediate block if needed
+      const quickCheck = await this.quickContentCheck(content, senderId, chatId);
+      let result = { blocked: false, approved: true, action: 'allow' };
       
-      if (quickCheck.blocked) {
-        // Step 2: Send parent notification asynchronously (doesn't block response)
-        this.sendParentNotificationAsync(content, senderId, chatId, 'text');
+      if (INCIDENT_ACTIONS[quickCheck.action]) {
+        // Step 3: Log and send parent notification asynchronously (doesn't block response)
+        await this.reportBlockedContent({
+          content: personalInfoCheck.redactedContent || content,
+          senderId,
+          chatId,
+          contentType: 'text',
+          category: quickCheck.category,
+          score: quickCheck.score,
+          categories: quickCheck.categories,
+          provider: quickCheck.provider,
+          action: INCIDENT_ACTIONS[quickCheck.action],
+          notifyParent: quickCheck.notifyParent
+        });
         
-        // Return immediately to UI
-        return quickCheck;
+        result = quickCheck;
+      } else if (quickCheck.unmoderated) {
+        result = await this.applyOutagePolicy('text', senderId, chatId);
+      } else {
+        console.log('✅ Text content approved');
       }
 
-      console.log('✅ Text content approved');
-      return { blocked: false, approved: true };
+      // Return immediately to UI
+      if (result.blocked) {
+        return result;
+      }
+
+      const warning = result.warning || personalInfoCheck.warning;
+      return {
+        ...result,
+        ...(personalInfoCheck.maskedContent && { maskedContent: personalInfoCheck.maskedContent }),
+        ...(warning && { warning })
+      };
 
     } catch (error) {
       console.error('❌ Error monitoring text content:', error);
-      return { blocked: false, error: error.message };
+      return await this.applyOutagePolicy('text', senderId, chatId);
     }
   }
 
   /**
    * Monitor image content for inappropriate material
-   * @param {string} imagePath - Path to the image file
+   * @param {Buffer|string} image - The image, or a path to the image file
    * @param {string} senderId - ID of the user sending the image
    * @param {string} chatId - ID of the chat where image was sent
+   * @param {Object} options - { field } when the image is a profile or chat picture rather than a message
    * @returns {Promise<Object>} Monitoring result
    */
-  async monitorImageContent(imagePath, senderId, chatId) {
+  async monitorImageContent(image, senderId, chatId, { field = null } = {}) {
     try {
       console.log('🔍 Monitoring image content for inappropriate material...');
+
+      const imageData = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+
+      // 🧬 Images that were blocked before are blocked without asking the remote service
+      const knownImage = await this.checkKnownImage(imageData, senderId, chatId, field);
+      if (knownImage) {
+        return knownImage;
+      }
       
       // Try to call external moderation service
       let imageModeration = {
@@ -163,13 +504,12 @@ class ContentMonitoringService {
         // Check if the moderation service is available
         const axios = (await import('axios')).default;
         const FormData = (await import('form-data')).default;
-        const fs = (await import('fs')).default;
         
         console.log('📡 Attempting to contact image moderation service...');
         
         // Create form data with the image file
         const formData = new FormData();
-        formData.append('file', fs.createReadStream(imagePath));
+        formData.append('file', imageData, { filename: 'image.jpg' });
         
         // Call the external moderation API
         const moderationResponse = await axios.post(
@@ -199,16 +539,37 @@ class ContentMonitoringService {
         
       } catch (serviceError) {
         console.error('⚠️ Image moderation service unavailable:', serviceError.message);
-        // In production, you might want to block images if the service is unavailable
-        // For now, we'll allow images when the service is down (fail-safe approach)
         imageModeration.service_available = false;
       }
 
+      if (!imageModeration.service_available) {
+        return await this.applyOutagePolicy('image', senderId, chatId);
+      }
+
       if (imageModeration.is_inappropriate) {
         console.log('🚨 Inappropriate image detected - blocking immediately');
         
-        // Send parent notification asynchronously (doesn't block response)
-        this.sendParentNotificationAsync(imagePath, senderId, chatId, 'image');
+        // Log and send parent notification asynchronously (doesn't block response)
+        await this.reportBlockedContent({
+          content: imageData,
+          senderId,
+          chatId,
+          contentType: 'image',
+          category: imageModeration.categories[0] || 'inappropriate',
+          score: imageModeration.confidence || null,
+          provider: 'image_moderation_service',
+          field
+        });
+
+        // Remember it, so the same picture is caught straight away next time
+        try {
+          await imageHashService.addImage(imageData, {
+            category: imageModeration.categories[0] || 'inappropriate',
+            source: 'blocked'
+          });
+        } catch (hashError) {
+          console.error('❌ Failed to add blocked image to the hash index:', hashError.message);
+        }
 
         return {
           blocked: true,
@@ -226,33 +587,115 @@ class ContentMonitoringService {
 
     } catch (error) {
       console.error('❌ Error monitoring image content:', error);
-      return { blocked: false, error: error.message };
+      return await this.applyOutagePolicy('image', senderId, chatId);
     }
   }
 
+  /**
+   * Block an image that looks like one in the known-bad hash index. A sender with
+   * several recent blocked images is also flagged for moderators.
+   * @param {Buffer} image - Image data
+   * @param {string} senderId - ID of the user sending the image
+   * @param {string} chatId - ID of the chat where image was sent
+   * @param {string} field - Profile or chat field the image is for, if it isn't a message
+   * @returns {Promise<Object|null>} Monitoring result, or null if the image isn't known
+   */
+  async checkKnownImage(image, senderId, chatId, field = null) {
+    let match;
+    try {
+      ({ match } = await imageHashService.findMatch(image));
+    } catch (error) {
+      console.error('⚠️ Image hash check failed:', error.message);
+      return null;
+    }
+
+    if (!match) {
+      return null;
+    }
+
+    console.log('🚨 Known inappropriate image detected - blocking immediately:', match.distance);
+
+    // Counted before this block is logged
+    const repeatOffender = await imageHashService.isRepeatOffender(senderId);
+
+    await imageHashService.recordMatch(match.id);
+    await this.reportBlockedContent({
+      content: image,
+      senderId,
+      chatId,
+      contentType: 'image',
+      category: match.category,
+      score: 1,
+      provider: 'image_hash_index',
+      field
+    });
+
+    if (repeatOffender) {
+      console.log('🚩 Repeat offender flagged:', senderId);
+      await this.logContentIncident({
+        type: 'image',
+        userId: senderId,
+        chatId,
+        category: 'repeat_offender',
+        provider: 'image_hash_index',
+        action: 'flagged',
+        contentHash: await hashContent(image, 'image'),
+        timestamp: new Date()
+      });
+    }
+
+    return {
+      blocked: true,
+      reason: 'known_inappropriate_image',
+      message: 'Your image contains inappropriate content and has been blocked.',
+      repeatOffender,
+      details: {
+        category: match.category,
+        distance: match.distance
+      }
+    };
+  }
+
   /**
    * Log content incidents for admin review and analytics
    * @param {Object} incident - Incident details
    */
-  logContentIncident(incident) {
+  async logContentIncident(incident) {
     try {
       console.log('📝 Logging content incident:', {
         type: incident.type,
         userId: incident.userId,
         chatId: incident.chatId,
+        category: incident.category,
+        provider: incident.provider,
         timestamp: incident.timestamp,
         parentNotified: incident.parentNotified
       });
+
+      const snippet = incident.type === 'text' && incident.content
+        ? (incident.content.length > SNIPPET_LENGTH
+          ? incident.content.substring(0, SNIPPET_LENGTH - 3) + '...'
+          : incident.content)
+        : null;
       
-      // TODO: Store in database for admin dashboard and analytics
-      // In production, you might want to:
-      // - Store incidents in a separate collection
-      // - Create admin dashboard for reviewing incidents
-      // - Generate analytics and reports
-      // - Track repeat offenders
+      return await ModerationIncident.create({
+        user: incident.userId,
+        chat: incident.chatId || null,
+        contentType: incident.type,
+        category: incident.category || 'unknown',
+        score: incident.score ?? null,
+        categories: incident.categories || [],
+        provider: incident.provider || 'unknown',
+        action: incident.action || 'blocked',
+        contentHash: incident.contentHash || null,
+        contentSnippet: snippet,
+        field: incident.field || null,
+        parentNotified: !!incident.parentNotified
+      });
       
     } catch (error) {
       console.error('❌ Error logging content incident:', error);
+      return null;
     }
   }
 
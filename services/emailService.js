@@ -25,6 +25,14 @@ export const generateVerificationToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
+// Escape free text typed by users before putting it in an email
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Send verification email to user
 export const sendVerificationEmail = async (email, code, name = 'User') => {
   try {
@@ -307,7 +315,8 @@ export const sendParentContentAlert = async (parentEmail, childName, childEmail,
                 <p><strong>Child:</strong> ${childName} (${childEmail})</p>
                 <p><strong>Content Type:</strong> ${contentType === 'text' ? 'Text Message' : contentType === 'image' ? 'Image' : 'Unknown'}</p>
                 <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
-                <p><strong>Action Taken:</strong> Content has been blocked and not delivered</p>
+                ${details.category ? `<p><strong>Category:</strong> ${escapeHtml(details.category.replace(/_/g, ' '))}</p>` : ''}
+                <p><strong>Action Taken:</strong> ${details.actionTaken || 'Content has been blocked and not delivered'}</p>
                 ${details.chatType ? `<p><strong>Chat Type:</strong> ${details.chatType}</p>` : ''}
                 ${details.otherParticipants ? `<p><strong>Other Participants:</strong> ${details.otherParticipants}</p>` : ''}
               </div>
@@ -356,6 +365,552 @@ export const sendParentContentAlert = async (parentEmail, childName, childEmail,
   }
 };
 
+// Send password reset code
+export const sendPasswordResetEmail = async (email, code, name = 'User') => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Reset Your Password - Chuti Safe Chat',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #007AFF, #5856FF); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { background: #007AFF; color: white; font-size: 32px; font-weight: bold; text-align: center; padding: 20px; border-radius: 10px; letter-spacing: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔑 Password Reset</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Hi ${name}!</h2>
+              <p>We received a request to reset the password for your Chuti account.</p>
+              
+              <p><strong>Your password reset code is:</strong></p>
+              <div class="code">${code}</div>
+              
+              <p>Enter this 6-digit code in the app together with your new password.</p>
+              
+              <div class="warning">
+                <strong>Important:</strong> This code will expire in 15 minutes. Never share it with anyone.
+              </div>
+              
+              <p>If you didn't ask to reset your password, you can ignore this email. Your password will not change.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Password reset email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw new Error('Failed to send password reset email');
+  }
+};
+
+// Let the parent know a password reset was requested for their child
+export const sendParentPasswordResetNotice = async (parentEmail, childName, childEmail) => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: parentEmail,
+      subject: 'Password Reset Requested - Chuti Safe Chat',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: #e3f2fd; border: 1px solid #2196f3; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔑 Password Reset Requested</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Dear Parent/Guardian,</h2>
+              <p>Someone asked to reset the password of your child's Chuti account. A reset code has been sent to your child's email address.</p>
+              
+              <div class="info-box">
+                <p><strong>Child:</strong> ${childName} (${childEmail})</p>
+                <p><strong>Requested:</strong> ${new Date().toLocaleString()}</p>
+              </div>
+              
+              <p>If your child did not ask for this, please talk to them and contact us at support@chuti.com.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children<br>
+              Contact: support@chuti.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Parent password reset notice sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending parent password reset notice:', error);
+    throw new Error('Failed to send parent password reset notice');
+  }
+};
+
+// Send parent approval code for a child's password reset or email change
+export const sendParentApprovalEmail = async (parentEmail, childName, childEmail, code, action, details = {}) => {
+  try {
+    const actionText = action === 'email_change' ? 'change the email address of' : 'reset the password of';
+
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: parentEmail,
+      subject: 'Parent Approval Required - Chuti Safe Chat',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { background: #FF6B6B; color: white; font-size: 32px; font-weight: bold; text-align: center; padding: 20px; border-radius: 10px; letter-spacing: 5px; margin: 20px 0; }
+            .info-box { background: #e3f2fd; border: 1px solid #2196f3; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>👨‍👩‍👧‍👦 Parent Approval Required</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Dear Parent/Guardian,</h2>
+              <p>Someone asked to ${actionText} your child's Chuti account. Because your child is under 13, this change needs your approval.</p>
+              
+              <div class="info-box">
+                <p><strong>Child:</strong> ${childName} (${childEmail})</p>
+                ${details.newEmail ? `<p><strong>New Email:</strong> ${details.newEmail}</p>` : ''}
+                <p><strong>Requested:</strong> ${new Date().toLocaleString()}</p>
+              </div>
+              
+              <p><strong>Your approval code is:</strong></p>
+              <div class="code">${code}</div>
+              
+              <div class="warning">
+                <strong>Important:</strong>
+                <ul>
+                  <li>This code will expire in 15 minutes</li>
+                  <li>Only enter or share this code if you made or approve this request</li>
+                  <li>All devices signed in to your child's account will be logged out afterwards</li>
+                </ul>
+              </div>
+              
+              <p>If you did not expect this request, do not share the code and contact us at support@chuti.com.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children<br>
+              Contact: support@chuti.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Parent approval email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending parent approval email:', error);
+    throw new Error('Failed to send parent approval email');
+  }
+};
+
+// Send code confirming ownership of a new email address
+export const sendEmailChangeEmail = async (newEmail, code, name = 'User') => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: newEmail,
+      subject: 'Confirm Your New Email - Chuti Safe Chat',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #007AFF, #5856FF); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { background: #007AFF; color: white; font-size: 32px; font-weight: bold; text-align: center; padding: 20px; border-radius: 10px; letter-spacing: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📧 Confirm Your New Email</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Hi ${name}!</h2>
+              <p>You asked to use this address for your Chuti account.</p>
+              
+              <p><strong>Your confirmation code is:</strong></p>
+              <div class="code">${code}</div>
+              
+              <div class="warning">
+                <strong>Important:</strong> This code will expire in 15 minutes.
+              </div>
+              
+              <p>If you didn't ask for this change, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change confirmation sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending email change confirmation:', error);
+    throw new Error('Failed to send email change confirmation');
+  }
+};
+
+// Tell the user their account was locked after too many failed logins
+export const sendAccountLockedEmail = async (email, name, lockedUntil) => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your Account Was Temporarily Locked - Chuti Safe Chat',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #007AFF, #5856FF); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Locked</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Hi ${name}!</h2>
+              <p>Someone entered the wrong password for your Chuti account too many times, so we locked it for a little while to keep it safe.</p>
+              
+              <div class="warning">
+                <strong>You can try again after:</strong> ${lockedUntil.toLocaleString()}
+              </div>
+              
+              <p>If this wasn't you, ask a parent to help you reset your password and contact us at support@chuti.com.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw new Error('Failed to send account locked email');
+  }
+};
+
+// Tell the parent their child's account was locked after too many failed logins
+export const sendParentAccountLockedEmail = async (parentEmail, childName, childEmail, lockedUntil) => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safety Alert" <${process.env.EMAIL_USER}>`,
+      to: parentEmail,
+      subject: "Your Child's Account Was Temporarily Locked - Chuti Safe Chat",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: #e3f2fd; border: 1px solid #2196f3; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Locked</h1>
+              <p>Chuti - Protecting Your Child Online</p>
+            </div>
+            <div class="content">
+              <h2>Dear Parent/Guardian,</h2>
+              <p>There were too many failed login attempts on your child's Chuti account, so we locked it temporarily.</p>
+              
+              <div class="info-box">
+                <p><strong>Child:</strong> ${childName} (${childEmail})</p>
+                <p><strong>Locked until:</strong> ${lockedUntil.toLocaleString()}</p>
+              </div>
+              
+              <p>If your child was not trying to log in, someone else may be trying to access the account. Please contact us at support@chuti.com.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Protecting children in digital spaces<br>
+              Support: support@chuti.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Parent account locked email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending parent account locked email:', error);
+    throw new Error('Failed to send parent account locked email');
+  }
+};
+
+// Send a magic sign-in link for the parent dashboard
+export const sendParentSignInEmail = async (parentEmail, signInUrl, childNames = []) => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: parentEmail,
+      subject: 'Your Parent Sign-in Link - Chuti Safe Chat',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #FF6B6B; color: white; font-size: 18px; font-weight: bold; text-decoration: none; padding: 15px 30px; border-radius: 10px; }
+            .info-box { background: #e3f2fd; border: 1px solid #2196f3; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>👨‍👩‍👧 Parent Access</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Dear Parent/Guardian,</h2>
+              <p>Use this link to sign in to your parent dashboard on Chuti:</p>
+              
+              <p style="text-align: center; margin: 30px 0;"><a class="button" href="${signInUrl}">Sign in to Chuti</a></p>
+              
+              <p>If the button doesn't work, copy this address into your browser:<br>${signInUrl}</p>
+              
+              <div class="info-box">
+                <p><strong>Children linked to this email:</strong> ${childNames.join(', ')}</p>
+              </div>
+              
+              <p>This link will expire in 15 minutes and can only be used once. If you didn't ask for it, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children<br>
+              Contact: support@chuti.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Parent sign-in email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending parent sign-in email:', error);
+    throw new Error('Failed to send parent sign-in email');
+  }
+};
+
+// Ask a parent to approve or deny a new contact for their child
+export const sendContactRequestEmail = async (parentEmail, childName, contact, { requestedByChild = false, reviewUrl } = {}) => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: parentEmail,
+      subject: `New Contact Request for ${childName} - Chuti Safe Chat`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #FF6B6B; color: white; font-size: 18px; font-weight: bold; text-decoration: none; padding: 15px 30px; border-radius: 10px; }
+            .info-box { background: #e3f2fd; border: 1px solid #2196f3; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🤝 New Contact Request</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Dear Parent/Guardian,</h2>
+              <p>${requestedByChild
+                ? `<strong>${escapeHtml(childName)}</strong> would like to chat with someone new.`
+                : `Someone would like to chat with <strong>${escapeHtml(childName)}</strong>.`}
+              They can't message each other until you approve.</p>
+              
+              <div class="info-box">
+                <p><strong>Username:</strong> ${escapeHtml(contact.username)}</p>
+                ${contact.fullName ? `<p><strong>Name:</strong> ${escapeHtml(contact.fullName)}</p>` : ''}
+                ${contact.age ? `<p><strong>Age:</strong> ${escapeHtml(contact.age)}</p>` : ''}
+              </div>
+              
+              <p style="text-align: center; margin: 30px 0;"><a class="button" href="${escapeHtml(reviewUrl)}">Review Request</a></p>
+              
+              <p>You can approve or deny this request, and change who your child can talk to, from your parent dashboard.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children<br>
+              Contact: support@chuti.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Contact request email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending contact request email:', error);
+    throw new Error('Failed to send contact request email');
+  }
+};
+
+// Tell a parent their child blocked someone
+export const sendParentBlockNotification = async (parentEmail, childName, blockedUser, reason = '') => {
+  try {
+    const mailOptions = {
+      from: `"Chuti - Safe Chat" <${process.env.EMAIL_USER}>`,
+      to: parentEmail,
+      subject: `${childName} Blocked Someone - Chuti Safe Chat`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: #e3f2fd; border: 1px solid #2196f3; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🚫 User Blocked</h1>
+              <p>Chuti - Safe Chat for Kids</p>
+            </div>
+            <div class="content">
+              <h2>Dear Parent/Guardian,</h2>
+              <p><strong>${escapeHtml(childName)}</strong> has blocked another user on Chuti. They can no longer message each other directly.</p>
+              
+              <div class="info-box">
+                <p><strong>Blocked user:</strong> ${escapeHtml(blockedUser.username)}${blockedUser.fullName ? ` (${escapeHtml(blockedUser.fullName)})` : ''}</p>
+                ${reason ? `<p><strong>Reason given:</strong> ${escapeHtml(reason)}</p>` : ''}
+                <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+              </div>
+              
+              <p>Children often block someone after an upsetting conversation. You may want to check in with your child, and you can report the user to us at support@chuti.com.</p>
+            </div>
+            <div class="footer">
+              <p>Chuti - Safe Chat for Kids<br>
+              Building safe digital spaces for children<br>
+              Contact: support@chuti.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Parent block notification sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending parent block notification:', error);
+    throw new Error('Failed to send parent block notification');
+  }
+};
+
 // Test email configuration
 export const testEmailConfig = async () => {
   try {
@@ -373,6 +928,15 @@ export default {
   sendParentVerificationEmail,
   sendWelcomeEmail,
   sendParentContentAlert,
+  sendPasswordResetEmail,
+  sendParentPasswordResetNotice,
+  sendParentApprovalEmail,
+  sendEmailChangeEmail,
+  sendAccountLockedEmail,
+  sendParentAccountLockedEmail,
+  sendParentSignInEmail,
+  sendContactRequestEmail,
+  sendParentBlockNotification,
   generateVerificationCode,
   generateVerificationToken,
   testEmailConfig
@@ -0,0 +1,181 @@
+import contentModerationService from '../middleware/moderationMiddleware.js';
+import contentMonitoringService from './contentMonitoringService.js';
+import moderationPolicies from '../config/moderationPolicies.js';
+import { detectPersonalInfo, maskPersonalInfo } from '../utils/personalInfo.js';
+
+const UNAVAILABLE_MESSAGE = 'We can\'t check this right now. Please try again in a few minutes.';
+
+/**
+ * Moderation for user-generated fields other than messages: usernames, names,
+ * chat names and descriptions, captions and pictures. They go through the same
+ * checks as messages, with the per-field policies in config/moderationPolicies.js.
+ *
+ * Checks resolve to { allowed: true } or
+ * { allowed: false, field, reason, category, statusCode, message }.
+ */
+class FieldModerationService {
+  getPolicy(field) {
+    const policy = moderationPolicies.fields[field];
+    if (!policy) {
+      throw new Error(`No moderation policy for field "${field}"`);
+    }
+    return policy;
+  }
+
+  /**
+   * Age band whose thresholds apply to a field
+   * @param {Object} policy - Field policy
+   * @param {Object} context - { chatId } of an existing chat, or { memberIds } of one being created
+   * @returns {Promise<string>} Band name
+   */
+  async getBand(policy, { chatId, memberIds } = {}) {
+    if (policy.audience === 'members' && memberIds) {
+      return contentMonitoringService.getYoungestAgeBand(memberIds);
+    }
+    if (policy.audience === 'members' && chatId) {
+      return contentMonitoringService.getChatAgeBand(chatId);
+    }
+    return moderationPolicies.ageBands[0].name;
+  }
+
+  rejection(field, { reason, category = null, statusCode = 400, message }) {
+    const { label } = this.getPolicy(field);
+    return {
+      allowed: false,
+      field,
+      reason,
+      category,
+      statusCode,
+      message: message || `This ${label} isn't allowed. Please choose a different one.`
+    };
+  }
+
+  // Log a rejected field against the user who entered it (nobody to log against at signup)
+  async report(field, content, { userId, chatId }, details) {
+    if (!userId) {
+      return;
+    }
+
+    await contentMonitoringService.reportBlockedContent({
+      content,
+      senderId: userId,
+      chatId: chatId || null,
+      field,
+      ...details
+    });
+  }
+
+  /**
+   * Check a text field
+   * @param {string} field - Field policy name, e.g. 'chatName'
+   * @param {string} value - Text entered
+   * @param {Object} context - { userId, chatId, memberIds }
+   * @returns {Promise<Object>} Check result
+   */
+  async checkText(field, value, context = {}) {
+    const policy = this.getPolicy(field);
+    if (typeof value !== 'string' || value.trim() === '') {
+      return { allowed: true };
+    }
+
+    // Personal information is found locally, so this works even when moderation is down
+    const personalInfo = detectPersonalInfo(value).filter(match => policy.personalInfo?.includes(match.type));
+    if (personalInfo.length > 0) {
+      const types = [...new Set(personalInfo.map(match => match.type))];
+      await this.report(field, maskPersonalInfo(value, personalInfo), context, {
+        category: 'personal_info',
+        categories: types.map(type => ({ category: type, score: 1 })),
+        provider: 'pii_detector'
+      });
+
+      return this.rejection(field, {
+        reason: 'personal_info',
+        category: 'personal_info',
+        message: `Your ${policy.label} can't include personal information like phone numbers, emails or addresses.`
+      });
+    }
+
+    const [moderation, band] = await Promise.all([
+      contentModerationService.checkText(value),
+      this.getBand(policy, context)
+    ]);
+    const decision = contentMonitoringService.applyTextPolicy(moderation.scores || {}, band);
+
+    if (decision.action !== 'allow') {
+      const top = decision.matches[0];
+      await this.report(field, value, context, {
+        category: top.category,
+        score: top.score,
+        categories: decision.matches.map(({ category, score }) => ({ category, score })),
+        provider: moderation.providers?.[top.category] || 'text_moderation_service',
+        notifyParent: decision.notifyParent
+      });
+
+      console.log(`❌ ${policy.label} rejected (${band}):`, top.category);
+      return this.rejection(field, { reason: 'inappropriate_content', category: top.category });
+    }
+
+    if (!moderation.available) {
+      if (policy.outage === 'closed') {
+        return this.rejection(field, { reason: 'moderation_unavailable', statusCode: 503, message: UNAVAILABLE_MESSAGE });
+      }
+      return { allowed: true, unmoderated: true };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check several text fields, stopping at the first rejection
+   * @param {Object} values - { field: value }; undefined values are skipped
+   * @param {Object} context - { userId, chatId, memberIds }
+   * @returns {Promise<Object>} Check result
+   */
+  async checkTextFields(values, context = {}) {
+    for (const [field, value] of Object.entries(values)) {
+      if (value === undefined) continue;
+
+      const check = await this.checkText(field, value, context);
+      if (!check.allowed) {
+        return check;
+      }
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Check a picture. Pictures that couldn't be checked are never accepted.
+   * @param {string} field - Field policy name, e.g. 'profilePicture'
+   * @param {Buffer} image - Processed image
+   * @param {Object} context - { userId, chatId }
+   * @returns {Promise<Object>} Check result
+   */
+  async checkImage(field, image, context = {}) {
+    this.getPolicy(field);
+
+    const result = await contentMonitoringService.monitorImageContent(image, context.userId, context.chatId || null, { field });
+
+    if (result.reason === 'moderation_unavailable' || result.held || result.unmoderated) {
+      return this.rejection(field, { reason: 'moderation_unavailable', statusCode: 503, message: UNAVAILABLE_MESSAGE });
+    }
+
+    if (result.blocked) {
+      return this.rejection(field, {
+        reason: result.reason,
+        category: result.details?.category || result.details?.categories?.[0] || 'inappropriate'
+      });
+    }
+
+    return { allowed: true };
+  }
+}
+
+// Create singleton instance
+const fieldModerationService = new FieldModerationService();
+
+export default fieldModerationService;
+
+// Named exports for convenience
+export {
+  FieldModerationService
+};
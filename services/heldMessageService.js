@@ -0,0 +1,199 @@
+import Message from '../Models/Message.js';
+import Chat from '../Models/Chat.js';
+import contentMonitoringService from './contentMonitoringService.js';
+import imageService from './imageService.js';
+
+// How often held messages are moderated again, and how many per run
+const RETRY_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+
+const MESSAGE_POPULATE = [
+  {
+    path: 'sender',
+    select: 'username fullName profilePicture'
+  },
+  {
+    path: 'replyTo',
+    select: 'content sender messageType',
+    populate: {
+      path: 'sender',
+      select: 'username fullName'
+    }
+  }
+];
+
+/**
+ * Messages held while moderation was down (see the outage policy in
+ * config/moderationPolicies.js) wait here as pending until they can be
+ * checked, then are delivered to the chat or rejected.
+ */
+class HeldMessageService {
+  constructor() {
+    this.socketService = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start moderating held messages again on an interval
+   * @param {Object} socketService - Used to deliver messages and tell senders the outcome
+   * @param {number} intervalMs - Time between runs
+   */
+  start(socketService, intervalMs = RETRY_INTERVAL_MS) {
+    this.socketService = socketService;
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.processHeldMessages(), intervalMs);
+      this.timer.unref?.();
+      console.log('⏸️ Held message service started');
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Moderate held messages again, oldest first. The run stops at the first
+   * message moderation still can't check, leaving the rest for the next run.
+   * @returns {Promise<Object>} { delivered, rejected, stillHeld }
+   */
+  async processHeldMessages() {
+    const counts = { delivered: 0, rejected: 0, stillHeld: 0 };
+
+    if (this.running) {
+      return counts;
+    }
+    this.running = true;
+
+    try {
+      const messages = await Message.find({ moderationStatus: 'pending', isDeleted: false })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE);
+
+      for (const message of messages) {
+        const result = await this.moderate(message);
+
+        if (result.unmoderated) {
+          counts.stillHeld = messages.length - counts.delivered - counts.rejected;
+          break;
+        }
+
+        if (result.blocked) {
+          await this.reject(message, result);
+          counts.rejected += 1;
+        } else {
+          await this.deliver(message, result);
+          counts.delivered += 1;
+        }
+      }
+
+      if (counts.delivered > 0 || counts.rejected > 0) {
+        console.log('✅ Held messages processed:', counts);
+      }
+    } catch (error) {
+      console.error('❌ Error processing held messages:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Run a held message through moderation again
+   * @param {Object} message - Pending message
+   * @returns {Promise<Object>} Monitoring result
+   */
+  async moderate(message) {
+    const senderId = message.sender.toString();
+
+    if (message.messageType === 'image') {
+      const image = await imageService.loadImage(message);
+
+      // Nothing left to check or deliver
+      if (!image) {
+        return { blocked: true, reason: 'file_missing', message: 'Your image could not be sent.' };
+      }
+
+      return contentMonitoringService.monitorImageContent(image, senderId, message.chat);
+    }
+
+    // Personal information was handled when the message was sent
+    return contentMonitoringService.monitorTextContent(message.content, senderId, message.chat, { personalInfo: false });
+  }
+
+  /**
+   * Deliver a held message that passed moderation
+   * @param {Object} message - Pending message
+   * @param {Object} result - Monitoring result, which may carry a warning for the sender
+   */
+  async deliver(message, result) {
+    message.moderationStatus = 'approved';
+    await message.save();
+    await message.populate(MESSAGE_POPULATE);
+
+    const chat = await Chat.findById(message.chat);
+    if (!chat) {
+      return;
+    }
+
+    // Don't replace a newer last message with one that waited in the queue
+    const lastMessage = chat.lastMessage ? await Message.findById(chat.lastMessage).select('createdAt') : null;
+    if (!lastMessage || lastMessage.createdAt < message.createdAt) {
+      chat.lastMessage = message._id;
+    }
+    chat.lastActivity = new Date();
+    await chat.save();
+
+    const io = this.socketService?.io;
+    if (!io) {
+      return;
+    }
+
+    const senderId = message.sender._id.toString();
+    chat.participants.forEach(participant => {
+      if (participant.isActive && participant.user.toString() !== senderId) {
+        io.to(`user_${participant.user}`).emit('newMessage', message);
+      }
+    });
+
+    io.to(`user_${senderId}`).emit('messageDelivered', {
+      messageId: message._id,
+      chatId: message.chat,
+      message,
+      ...(result.warning && { warning: result.warning })
+    });
+  }
+
+  /**
+   * Reject a held message that failed moderation. The incident was logged while moderating it.
+   * @param {Object} message - Pending message
+   * @param {Object} result - Monitoring result
+   */
+  async reject(message, result) {
+    message.moderationStatus = 'rejected';
+    await message.save();
+
+    await imageService.removeMessageImage(message);
+
+    this.socketService?.io.to(`user_${message.sender}`).emit('messageRejected', {
+      messageId: message._id,
+      chatId: message.chat,
+      reason: result.reason,
+      category: result.category,
+      message: result.message
+    });
+  }
+}
+
+// Create singleton instance
+const heldMessageService = new HeldMessageService();
+
+export default heldMessageService;
+
+// Named exports for convenience
+export {
+  HeldMessageService
+};
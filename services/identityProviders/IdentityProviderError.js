@@ -0,0 +1,10 @@
+// Error raised by identity providers and linking rules, carrying the HTTP status to respond with
+class IdentityProviderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'IdentityProviderError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default IdentityProviderError;
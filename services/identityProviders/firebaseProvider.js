@@ -0,0 +1,73 @@
+import { auth, isFirebaseConfigured } from '../../config/firebase.js';
+import IdentityProviderError from './IdentityProviderError.js';
+
+// Replacement for auth.verifyIdToken (tests use a stub so no Firebase project is needed)
+let tokenVerifier = null;
+
+export const setFirebaseTokenVerifier = (verifier) => {
+  tokenVerifier = verifier;
+};
+
+const verifyFirebaseIdToken = async (idToken) => {
+  if (tokenVerifier) {
+    return await tokenVerifier(idToken);
+  }
+
+  if (!isFirebaseConfigured || !auth) {
+    throw new IdentityProviderError('Sign-in with this provider is not configured on this server', 503);
+  }
+
+  return await auth.verifyIdToken(idToken);
+};
+
+/**
+ * Create a provider whose tokens are Firebase ID tokens
+ * @param {Object} options - { name, label, signInProviders, requireVerifiedEmail }
+ *   signInProviders are the values of `firebase.sign_in_provider` the provider accepts
+ * @returns {Object} Identity provider
+ */
+export const createFirebaseProvider = ({ name, label, signInProviders, requireVerifiedEmail = false }) => ({
+  name,
+  label,
+
+  isEnabled() {
+    return !!tokenVerifier || (!!isFirebaseConfigured && !!auth);
+  },
+
+  /**
+   * Verify an ID token and return the normalised identity
+   * @param {string} idToken - Token from the client SDK
+   * @returns {Promise<Object>} { provider, providerUid, email, emailVerified, name, picture }
+   */
+  async verify(idToken) {
+    let decoded;
+    try {
+      decoded = await verifyFirebaseIdToken(idToken);
+    } catch (error) {
+      if (error instanceof IdentityProviderError) throw error;
+      console.error(`${label} token verification error:`, error.message);
+      throw new IdentityProviderError('Invalid identity token', 401);
+    }
+
+    if (!signInProviders.includes(decoded.firebase?.sign_in_provider)) {
+      throw new IdentityProviderError(`This token was not issued for ${label} sign-in`);
+    }
+
+    if (!decoded.email) {
+      throw new IdentityProviderError(`${label} account has no email address`);
+    }
+
+    if (requireVerifiedEmail && !decoded.email_verified) {
+      throw new IdentityProviderError(`${label} email address is not verified`);
+    }
+
+    return {
+      provider: name,
+      providerUid: decoded.uid,
+      email: decoded.email.toLowerCase(),
+      emailVerified: !!decoded.email_verified,
+      name: decoded.name || null,
+      picture: decoded.picture || null
+    };
+  }
+});
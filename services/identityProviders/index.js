@@ -0,0 +1,56 @@
+import { createFirebaseProvider, setFirebaseTokenVerifier } from './firebaseProvider.js';
+import IdentityProviderError from './IdentityProviderError.js';
+
+/*
+ * Registry of external sign-in providers.
+ *
+ * A provider is an object with:
+ *   name         - id used in routes and stored on User.identities
+ *   label        - human readable name
+ *   isEnabled()  - whether the server is configured for it
+ *   verify(token) -> Promise<{ provider, providerUid, email, emailVerified, name, picture }>
+ *
+ * Apple or Microsoft school accounts signed in through Firebase only need another
+ * createFirebaseProvider() entry, e.g. signInProviders: ['apple.com'].
+ */
+const providers = new Map();
+
+export const registerIdentityProvider = (provider) => {
+  if (!provider?.name || typeof provider.verify !== 'function' || typeof provider.isEnabled !== 'function') {
+    throw new Error('Identity provider must have a name, verify() and isEnabled()');
+  }
+  providers.set(provider.name, provider);
+};
+
+export const getIdentityProvider = (name) => {
+  return providers.get(name) || null;
+};
+
+export const listIdentityProviders = () => {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    enabled: provider.isEnabled()
+  }));
+};
+
+// Google sign-in through Firebase
+registerIdentityProvider(createFirebaseProvider({
+  name: 'google',
+  label: 'Google',
+  signInProviders: ['google.com']
+}));
+
+// Firebase passwordless email link (Firebase reports these sign-ins as "password")
+registerIdentityProvider(createFirebaseProvider({
+  name: 'emailLink',
+  label: 'Email link',
+  signInProviders: ['emailLink', 'password'],
+  requireVerifiedEmail: true
+}));
+
+export {
+  IdentityProviderError,
+  createFirebaseProvider,
+  setFirebaseTokenVerifier
+};
@@ -0,0 +1,232 @@
+import User from '../Models/User.js';
+import Verification from '../Models/Verification.js';
+import emailService from './emailService.js';
+import fieldModerationService from './fieldModerationService.js';
+import { IdentityProviderError } from './identityProviders/index.js';
+
+class IdentityService {
+  /**
+   * Find the account to sign in for a verified provider identity.
+   * Linking rules:
+   *   - an identity already linked to an account signs in to that account
+   *   - otherwise an account with the same email is linked automatically only when
+   *     both the provider and our own verification have confirmed that email
+   *   - otherwise the user has to register (or sign in with a password and link)
+   * @param {Object} identity - Identity returned by provider.verify()
+   * @returns {Promise<Object|null>} User, or null when registration is needed
+   */
+  async resolveSignIn(identity) {
+    const linkedUser = await User.findByIdentity(identity.provider, identity.providerUid);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    const emailUser = await User.findOne({ email: identity.email });
+    if (!emailUser) {
+      return null;
+    }
+
+    if (!identity.emailVerified || !emailUser.emailVerified || emailUser.getIdentity(identity.provider)) {
+      throw new IdentityProviderError(
+        'An account with this email already exists. Sign in with your password and link this provider from your settings.',
+        409
+      );
+    }
+
+    return await this.addIdentity(emailUser, identity);
+  }
+
+  // Account already using this identity or its email address
+  async findExistingAccount(identity) {
+    return await User.findOne({
+      $or: [
+        { email: identity.email },
+        { identities: { $elemMatch: { provider: identity.provider, providerUid: identity.providerUid } } }
+      ]
+    });
+  }
+
+  /**
+   * Create a child account for a new provider identity
+   * @param {Object} identity - Identity returned by provider.verify()
+   * @param {Object} details - { age, parentEmail, fullName }
+   * @returns {Promise<Object>} { user, verificationResults }
+   */
+  async register(identity, { age, parentEmail, fullName }) {
+    if (!age || !parentEmail || !fullName) {
+      throw new IdentityProviderError('Age, parent email, and full name are required for child safety');
+    }
+
+    if (age < 5 || age > 17) {
+      throw new IdentityProviderError('This app is designed for children aged 5-17');
+    }
+
+    if (parentEmail.toLowerCase().trim() === identity.email) {
+      throw new IdentityProviderError('Parent email must be different from child email address');
+    }
+
+    const existingUser = await this.findExistingAccount(identity);
+    if (existingUser) {
+      throw new IdentityProviderError('User already exists', 409);
+    }
+
+    const nameCheck = await fieldModerationService.checkText('fullName', fullName);
+    if (!nameCheck.allowed) {
+      throw new IdentityProviderError(nameCheck.message, nameCheck.statusCode);
+    }
+
+    const user = await User.create({
+      username: await this.generateUsername(identity),
+      email: identity.email,
+      fullName,
+      age,
+      role: age < 18 ? 'children' : 'user',
+      parentEmail,
+      // The provider's photo hasn't been moderated; a picture can be uploaded once signed in
+      profilePicture: '',
+      identities: [{
+        provider: identity.provider,
+        providerUid: identity.providerUid,
+        email: identity.email
+      }],
+      isVerified: false, // User needs to verify email
+      emailVerified: false,
+      parentEmailVerified: false,
+      verificationStatus: 'pending'
+    });
+
+    const verificationResults = await this.sendRegistrationVerifications(user);
+
+    return { user, verificationResults };
+  }
+
+  /**
+   * Link a provider identity to a signed-in account
+   * @param {Object} user - Current user
+   * @param {Object} identity - Identity returned by provider.verify()
+   * @returns {Promise<Object>} Updated user
+   */
+  async link(user, identity) {
+    const owner = await User.findByIdentity(identity.provider, identity.providerUid);
+    if (owner && owner._id.toString() !== user._id.toString()) {
+      throw new IdentityProviderError('This account is already linked to another user', 409);
+    }
+
+    if (owner) {
+      return user;
+    }
+
+    if (user.getIdentity(identity.provider)) {
+      throw new IdentityProviderError('A different account from this provider is already linked. Unlink it first.');
+    }
+
+    if (user.email !== identity.email) {
+      throw new IdentityProviderError('The provider account email must match your current account email');
+    }
+
+    return await this.addIdentity(user, identity);
+  }
+
+  /**
+   * Remove a provider identity, keeping at least one way to sign in
+   * @param {string} userId - Current user id
+   * @param {string} providerName - Provider to unlink
+   * @returns {Promise<Object>} Updated user
+   */
+  async unlink(userId, providerName) {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user.getIdentity(providerName)) {
+      throw new IdentityProviderError('This provider is not linked to your account');
+    }
+
+    const otherIdentities = user.identities.filter(identity => identity.provider !== providerName);
+    if (!user.password && otherIdentities.length === 0) {
+      throw new IdentityProviderError('Cannot unlink your only sign-in method. Please set a password first.');
+    }
+
+    user.identities = otherIdentities;
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  async addIdentity(user, identity) {
+    user.identities.push({
+      provider: identity.provider,
+      providerUid: identity.providerUid,
+      email: identity.email
+    });
+
+    // The provider's photo isn't copied: it hasn't been moderated (see register)
+    await user.save({ validateBeforeSave: false });
+
+    console.log('🔗 Identity linked:', { userId: user._id.toString(), provider: identity.provider });
+
+    return user;
+  }
+
+  // Unique username derived from the provider email or name
+  async generateUsername(identity) {
+    let base = (identity.email.split('@')[0] || identity.name || 'user')
+      .replace(/[^a-zA-Z0-9_]/g, '_')
+      .slice(0, 14)
+      .padEnd(3, '_');
+
+    // Usernames are shown to other children, so one made from an unsuitable email address isn't used
+    if (!(await fieldModerationService.checkText('username', base)).allowed) {
+      base = 'user';
+    }
+
+    let username = base;
+    let counter = 1;
+    while (await User.exists({ username })) {
+      username = `${base}_${counter}`;
+      counter++;
+    }
+
+    return username;
+  }
+
+  // Send email verification codes to the new user and their parent
+  async sendRegistrationVerifications(user) {
+    const verificationResults = {};
+
+    try {
+      const userVerification = await Verification.createVerification(user.email, 'user_email', user._id);
+      await emailService.sendVerificationEmail(user.email, userVerification.code, user.fullName || user.username);
+      verificationResults.userEmail = { success: true };
+    } catch (emailError) {
+      console.error('Error sending user verification email:', emailError);
+      verificationResults.userEmail = { success: false, error: emailError.message };
+    }
+
+    if (user.parentEmail && user.age < 18) {
+      try {
+        const parentVerification = await Verification.createVerification(user.parentEmail, 'parent_email', user._id);
+        await emailService.sendParentVerificationEmail(
+          user.parentEmail,
+          user.fullName || user.username,
+          user.email,
+          parentVerification.code
+        );
+        verificationResults.parentEmail = { success: true };
+      } catch (emailError) {
+        console.error('Error sending parent verification email:', emailError);
+        verificationResults.parentEmail = { success: false, error: emailError.message };
+      }
+    }
+
+    return verificationResults;
+  }
+}
+
+// Create singleton instance
+const identityService = new IdentityService();
+
+export default identityService;
+
+// Named exports for convenience
+export {
+  IdentityService
+};
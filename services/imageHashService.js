@@ -0,0 +1,176 @@
+import ImageHash from '../Models/ImageHash.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { computeImageHashes, hammingDistance, HASH_PATTERN } from '../utils/perceptualHash.js';
+
+// Most bits that may differ for an upload to count as a known image, per hash type
+const MATCH_DISTANCE = {
+  pHash: 8,
+  dHash: 10
+};
+
+// Hashes are kept in memory and reloaded this often, so other instances' additions are picked up
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Users who have this many images blocked within the window are flagged for review
+const REPEAT_OFFENDER = {
+  blockedImages: 2,
+  windowMs: 30 * 24 * 60 * 60 * 1000
+};
+
+const HASH_TYPES = Object.keys(MATCH_DISTANCE);
+
+/**
+ * Index of perceptual hashes of known-bad images. Uploads are compared with it
+ * before the remote image check, so an image that was blocked once (or is on an
+ * imported hash list) is blocked straight away, even resized or recompressed.
+ */
+class ImageHashService {
+  constructor() {
+    this.entries = null;
+    this.loadedAt = 0;
+  }
+
+  async getEntries() {
+    if (!this.entries || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      this.entries = await ImageHash.find().select('pHash dHash category').lean();
+      this.loadedAt = Date.now();
+    }
+    return this.entries;
+  }
+
+  invalidate() {
+    this.entries = null;
+  }
+
+  /**
+   * Compare an image with the index. An entry matches when every hash it has is
+   * close enough; the closest match wins.
+   * @param {Buffer} image - Image data
+   * @returns {Promise<Object>} { hashes, match: { id, category, distance } | null }
+   */
+  async findMatch(image) {
+    const hashes = await computeImageHashes(image);
+    let match = null;
+    let best = Infinity;
+
+    for (const entry of await this.getEntries()) {
+      const types = HASH_TYPES.filter(type => entry[type]);
+      const distance = Object.fromEntries(types.map(type => [type, hammingDistance(hashes[type], entry[type])]));
+
+      if (types.length === 0 || !types.every(type => distance[type] <= MATCH_DISTANCE[type])) {
+        continue;
+      }
+
+      const total = types.reduce((sum, type) => sum + distance[type] / MATCH_DISTANCE[type], 0) / types.length;
+      if (total < best) {
+        best = total;
+        match = { id: entry._id, category: entry.category, distance };
+      }
+    }
+
+    return { hashes, match };
+  }
+
+  /**
+   * Count a match against an index entry
+   * @param {string} hashId - ImageHash ID
+   */
+  async recordMatch(hashId) {
+    await ImageHash.updateOne({ _id: hashId }, { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } });
+  }
+
+  /**
+   * Whether a user whose image is being blocked now has been blocked often enough
+   * recently to be flagged. Call before the current block is logged.
+   * @param {string} userId - Sender ID
+   * @returns {Promise<boolean>}
+   */
+  async isRepeatOffender(userId) {
+    const previous = await ModerationIncident.countDocuments({
+      user: userId,
+      contentType: 'image',
+      action: 'blocked',
+      createdAt: { $gte: new Date(Date.now() - REPEAT_OFFENDER.windowMs) }
+    });
+    return previous + 1 >= REPEAT_OFFENDER.blockedImages;
+  }
+
+  /**
+   * Add hashes to the index. Exact duplicates of an existing entry aren't added again.
+   * @param {Object} entry - { pHash, dHash, category, source, note, addedBy }
+   * @returns {Promise<Object>} { hash, created }
+   */
+  async addHashes({ pHash = null, dHash = null, category, source, note, addedBy = null }) {
+    const existing = await ImageHash.findOne({ pHash: pHash?.toLowerCase() || null, dHash: dHash?.toLowerCase() || null });
+    if (existing) {
+      return { hash: existing, created: false };
+    }
+
+    const hash = await ImageHash.create({ pHash, dHash, category, source, note, addedBy });
+    this.invalidate();
+    return { hash, created: true };
+  }
+
+  /**
+   * Hash an image and add it to the index
+   * @param {Buffer} image - Image data
+   * @param {Object} options - { category, source, note, addedBy }
+   * @returns {Promise<Object>} { hash, created }
+   */
+  async addImage(image, options) {
+    return this.addHashes({ ...(await computeImageHashes(image)), ...options });
+  }
+
+  /**
+   * Import a shared list of hashes
+   * @param {Array} list - [{ pHash, dHash, category, note }]
+   * @param {string} addedBy - Admin importing the list
+   * @returns {Promise<Object>} { added, duplicates, invalid } where invalid lists the rejected positions
+   */
+  async importHashes(list, addedBy = null) {
+    const result = { added: 0, duplicates: 0, invalid: [] };
+
+    for (const [index, item] of list.entries()) {
+      const hashes = Object.fromEntries(HASH_TYPES.map(type => [type, typeof item?.[type] === 'string' ? item[type].toLowerCase() : null]));
+      const valid = HASH_TYPES.some(type => hashes[type]) &&
+        HASH_TYPES.every(type => !hashes[type] || HASH_PATTERN.test(hashes[type]));
+
+      if (!valid) {
+        result.invalid.push(index);
+        continue;
+      }
+
+      const { created } = await this.addHashes({
+        ...hashes,
+        category: item.category,
+        note: item.note,
+        source: 'import',
+        addedBy
+      });
+      result[created ? 'added' : 'duplicates'] += 1;
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove an entry from the index
+   * @param {string} hashId - ImageHash ID
+   * @returns {Promise<Object|null>} The removed entry
+   */
+  async removeHash(hashId) {
+    const hash = await ImageHash.findByIdAndDelete(hashId);
+    this.invalidate();
+    return hash;
+  }
+}
+
+// Create singleton instance
+const imageHashService = new ImageHashService();
+
+export default imageHashService;
+
+// Named exports for convenience
+export {
+  ImageHashService
+};
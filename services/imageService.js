@@ -0,0 +1,419 @@
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import getStorageConfig from '../config/storage.js';
+import { getStorage } from './storage/index.js';
+import Chat from '../Models/Chat.js';
+import User from '../Models/User.js';
+import Message from '../Models/Message.js';
+import Report from '../Models/Report.js';
+import { generateImageToken, getTokenExpiry } from '../utils/jwt.js';
+
+// Stored images live under this prefix, named by the SHA-256 of the processed image
+const IMAGE_PREFIX = 'images';
+
+// Leading bytes of each image type we accept. WebP is a RIFF container with "WEBP" at byte 8.
+const SIGNATURES = [
+  { contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { contentType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: 'WEBP' }
+];
+
+// Uploads are re-encoded as JPEG no larger than this, plus smaller sizes for chat lists and previews
+const MAX_DIMENSION = 2048;
+const VARIANT_SIZES = {
+  preview: 1024,
+  thumbnail: 256
+};
+const JPEG_QUALITY = 85;
+
+// Refuse decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Reports still being worked on, whose evidence must be kept
+const OPEN_REPORT_STATUSES = ['open', 'in_review'];
+
+class ImageService {
+  constructor() {
+    this.retentionTimer = null;
+  }
+
+  /**
+   * Storage key of the image behind a message
+   * @param {Object} message - Image message
+   * @returns {string|null} Key, or null without a file
+   */
+  getStorageKey(message) {
+    // Older messages only have the public URL, which ends in the stored filename
+    const key = message.fileKey || (message.fileUrl?.startsWith('/uploads/') ? path.posix.basename(message.fileUrl) : null);
+    if (!key) {
+      return null;
+    }
+
+    // Files from before storage keys were saved as uploads/images/<filename>
+    return key.includes('/') ? key : `${IMAGE_PREFIX}/${key}`;
+  }
+
+  /**
+   * Storage key of one size of an image message. Messages from before thumbnails
+   * existed only have the original, which is used for every size.
+   * @param {Object} message - Image message
+   * @param {string} size - 'original', 'preview' or 'thumbnail'
+   * @returns {string|null} Key, or null without a file
+   */
+  getVariantKey(message, size = 'original') {
+    const key = size === 'original' ? null : message.imageVariants?.[size];
+    return key || this.getStorageKey(message);
+  }
+
+  /**
+   * Storage keys of every size of an image message
+   * @param {Object} message - Image message
+   * @returns {Array<string>} Keys
+   */
+  getAllImageKeys(message) {
+    return [
+      this.getStorageKey(message),
+      ...Object.keys(VARIANT_SIZES).map(size => message.imageVariants?.[size])
+    ].filter(Boolean);
+  }
+
+  /**
+   * Read one size of an image message from storage
+   * @param {Object} message - Image message
+   * @param {string} size - 'original', 'preview' or 'thumbnail'
+   * @returns {Promise<Buffer|null>} Image, or null if it isn't stored
+   */
+  async loadImage(message, size = 'original') {
+    const key = this.getVariantKey(message, size);
+    return key ? await getStorage().get(key) : null;
+  }
+
+  /**
+   * Turn an upload into safe stored images: check it really is a supported image,
+   * then re-encode it as a JPEG with all metadata (EXIF, GPS, ICC comments) removed,
+   * plus preview and thumbnail sizes. Keys come from the image's content, so the
+   * same picture sent twice is stored once.
+   * @param {Buffer} source - Uploaded file
+   * @returns {Promise<Object|null>} { key, data, size, width, height, variants: { preview, thumbnail } },
+   *   or null if the file isn't a supported image
+   */
+  async processUpload(source) {
+    if (!(await this.detectContentType(source))) {
+      return null;
+    }
+
+    // Apply the EXIF orientation before it is stripped, and drop transparency for JPEG
+    const encode = (maxDimension) => sharp(source, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' })
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const main = await encode(MAX_DIMENSION);
+    const hash = crypto.createHash('sha256').update(main.data).digest('hex');
+    const key = `${IMAGE_PREFIX}/${hash}.jpg`;
+    const outputs = [{ key, data: main.data }];
+    const variants = {};
+
+    for (const [size, maxDimension] of Object.entries(VARIANT_SIZES)) {
+      const variant = await encode(maxDimension);
+      variants[size] = `${IMAGE_PREFIX}/${hash}-${size}.jpg`;
+      outputs.push({ key: variants[size], data: variant.data });
+    }
+
+    const storage = getStorage();
+    await Promise.all(outputs.map(output => storage.put(output.key, output.data, { contentType: 'image/jpeg' })));
+
+    return {
+      key,
+      data: main.data,
+      size: main.info.size,
+      width: main.info.width,
+      height: main.info.height,
+      variants
+    };
+  }
+
+  /**
+   * Delete the stored images of an upload that was never sent, unless a sent
+   * message has the same picture
+   * @param {Object} file - Multer file, after processing
+   */
+  async discardUpload(file) {
+    if (!file?.key) {
+      return;
+    }
+
+    try {
+      if (!(await this.isStoredImageInUse(file.key))) {
+        await this.deleteKeys([file.key, ...Object.values(file.variants || {})]);
+      }
+    } catch (error) {
+      console.error('❌ Failed to discard upload:', error.message);
+    }
+  }
+
+  /**
+   * Whether another message still needs a stored image: it hasn't been removed,
+   * and the message is live or is evidence for an open report
+   * @param {string} key - Storage key of the original
+   * @param {string} exceptMessageId - Message to leave out
+   * @returns {Promise<boolean>}
+   */
+  async isStoredImageInUse(key, exceptMessageId = null) {
+    // Files from before storage keys belong to a single message
+    if (!key) {
+      return false;
+    }
+
+    const holders = await Message.find({
+      fileKey: key,
+      fileRemovedAt: null,
+      ...(exceptMessageId && { _id: { $ne: exceptMessageId } })
+    }).select('isDeleted');
+
+    if (holders.some(holder => !holder.isDeleted)) {
+      return true;
+    }
+
+    if (holders.length > 0 && await Report.exists({
+      message: { $in: holders.map(holder => holder._id) },
+      status: { $in: OPEN_REPORT_STATUSES }
+    })) {
+      return true;
+    }
+
+    // The same picture may be someone's profile picture or a chat picture
+    return !!(await User.exists({ 'profileImage.key': key }) || await Chat.exists({ 'avatarImage.key': key }));
+  }
+
+  /**
+   * Profile or chat picture fields for a processed upload
+   * @param {Object} file - Multer file, after processing
+   * @returns {Object} { key, preview, thumbnail }
+   */
+  toPicture(file) {
+    return {
+      key: file.key,
+      preview: file.variants?.preview || null,
+      thumbnail: file.variants?.thumbnail || null
+    };
+  }
+
+  /**
+   * URL a profile or chat picture is served from. The version changes with the
+   * picture, so clients don't keep showing an old one from their cache.
+   * @param {string} basePath - e.g. /api/images/profile/<userId>
+   * @param {Object} picture - { key }
+   * @returns {string} URL
+   */
+  getPictureUrl(basePath, picture) {
+    return `${basePath}?v=${path.posix.basename(picture.key, '.jpg').slice(0, 12)}`;
+  }
+
+  /**
+   * Read one size of a profile or chat picture from storage
+   * @param {Object} picture - { key, preview, thumbnail }
+   * @param {string} size - 'original', 'preview' or 'thumbnail'
+   * @returns {Promise<Buffer|null>} Image, or null if there isn't one
+   */
+  async loadPicture(picture, size = 'original') {
+    const key = (size !== 'original' && picture?.[size]) || picture?.key;
+    return key ? await getStorage().get(key) : null;
+  }
+
+  /**
+   * Delete a profile or chat picture that was replaced or removed, unless it is used elsewhere.
+   * Call once the owner no longer refers to it.
+   * @param {Object} picture - { key, preview, thumbnail }
+   */
+  async removePicture(picture) {
+    try {
+      if (picture?.key && !(await this.isStoredImageInUse(picture.key))) {
+        await this.deleteKeys([picture.key, picture.preview, picture.thumbnail].filter(Boolean));
+      }
+    } catch (error) {
+      console.error('❌ Failed to remove picture:', error.message);
+    }
+  }
+
+  // Delete keys from storage, logging failures rather than throwing
+  async deleteKeys(keys) {
+    const storage = getStorage();
+    const results = await Promise.allSettled(keys.map(key => storage.delete(key)));
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.error('❌ Failed to delete image file:', result.reason.message);
+      }
+    }
+  }
+
+  /**
+   * Work out an image's type from its first bytes rather than its name
+   * @param {Buffer} header - The image, or at least its first 12 bytes
+   * @returns {Promise<string|null>} MIME type, or null if it isn't a supported image
+   */
+  async detectContentType(header) {
+    const signature = SIGNATURES.find(({ bytes, at8 }) =>
+      bytes.every((byte, index) => header[index] === byte) &&
+      (!at8 || header.toString('ascii', 8, 12) === at8)
+    );
+    return signature?.contentType || null;
+  }
+
+  /**
+   * Check whether a user may view an image message. Participants of the chat can,
+   * except for messages still held for moderation or rejected, which only their
+   * sender sees. Admins can see everything and moderators can see reported images,
+   * but only from a session that passed two-factor authentication; a password-only
+   * session or a signed link gives them the same access as anyone else.
+   * @param {Object} message - Image message
+   * @param {Object} user - Viewing user
+   * @param {Object} session - Session the request was made with, if any
+   * @returns {Promise<boolean>}
+   */
+  async canView(message, user, session = null) {
+    const staffVerified = !!session?.mfaVerifiedAt;
+
+    if (staffVerified && user.role === 'admin') {
+      return true;
+    }
+
+    if (staffVerified && user.role === 'moderator' && await Report.exists({ message: message._id })) {
+      return true;
+    }
+
+    if (message.isDeleted) {
+      return false;
+    }
+
+    const isSender = message.sender.toString() === user.id;
+    if (message.moderationStatus !== 'approved' && !isSender) {
+      return false;
+    }
+
+    const chat = await Chat.findById(message.chat).select('participants');
+    return !!chat && chat.isParticipant(user.id);
+  }
+
+  /**
+   * Signed link to an image message for clients that can't send an auth header,
+   * such as mobile image loaders
+   * @param {string} messageId - Image message ID
+   * @param {string} userId - User the link is for
+   * @returns {Object} { url, expiresAt }
+   */
+  getSignedUrl(messageId, userId) {
+    const token = generateImageToken(messageId, userId);
+    return {
+      url: `/api/images/${messageId}?token=${token}`,
+      expiresAt: getTokenExpiry(token)
+    };
+  }
+
+  /**
+   * Delete the files behind an image message that was deleted, rejected or has
+   * expired. Files of messages with an open report are kept as evidence until
+   * the report is resolved, and files another message also uses stay in storage.
+   * @param {Object} message - Image message
+   * @returns {Promise<boolean>} Whether the message no longer holds its files
+   */
+  async removeMessageImage(message) {
+    const keys = message.messageType === 'image' && !message.fileRemovedAt ? this.getAllImageKeys(message) : [];
+    if (keys.length === 0) {
+      return false;
+    }
+
+    if (await Report.exists({ message: message._id, status: { $in: OPEN_REPORT_STATUSES } })) {
+      console.log('📌 Keeping reported image until its report is resolved:', message._id.toString());
+      return false;
+    }
+
+    if (!(await this.isStoredImageInUse(message.fileKey, message._id))) {
+      await this.deleteKeys(keys);
+      console.log('🗑️ Image files deleted:', message._id.toString());
+    }
+
+    message.fileRemovedAt = new Date();
+    await Message.updateOne({ _id: message._id }, { fileRemovedAt: message.fileRemovedAt });
+    return true;
+  }
+
+  /**
+   * Delete a reported image once its message is gone and no report needs it
+   * @param {string} messageId - Reported message ID
+   */
+  async releaseReportedImage(messageId) {
+    const message = await Message.findById(messageId);
+    if (message?.isDeleted) {
+      await this.removeMessageImage(message);
+    }
+  }
+
+  /**
+   * Delete images sent longer ago than the retention period (IMAGE_RETENTION_DAYS).
+   * Reported images are kept until their report is resolved.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of images removed
+   */
+  async purgeExpiredImages(now = new Date()) {
+    const { imageDays } = getStorageConfig().retention;
+    if (!(imageDays > 0)) {
+      return 0;
+    }
+
+    const cutoff = new Date(now.getTime() - imageDays * 24 * 60 * 60 * 1000);
+    const expired = Message.find({
+      messageType: 'image',
+      fileRemovedAt: null,
+      createdAt: { $lt: cutoff },
+      $or: [{ fileKey: { $ne: null } }, { fileUrl: /^\/uploads\// }]
+    }).cursor();
+
+    let removed = 0;
+    for await (const message of expired) {
+      try {
+        if (await this.removeMessageImage(message)) {
+          removed += 1;
+        }
+      } catch (error) {
+        console.error('❌ Failed to remove expired image:', message._id.toString(), error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired image(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove expired images on an interval
+   * @param {number} intervalMs - Time between runs
+   */
+  startRetention(intervalMs = getStorageConfig().retention.sweepIntervalMs) {
+    if (!this.retentionTimer) {
+      this.retentionTimer = setInterval(() => this.purgeExpiredImages(), intervalMs);
+      this.retentionTimer.unref?.();
+    }
+  }
+
+  stopRetention() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+  }
+}
+
+// Create singleton instance
+const imageService = new ImageService();
+
+export default imageService;
+
+// Named exports for convenience
+export {
+  ImageService
+};
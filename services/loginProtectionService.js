@@ -0,0 +1,179 @@
+import LoginAttempt from '../Models/LoginAttempt.js';
+import { sendAccountLockedEmail, sendParentAccountLockedEmail } from './emailService.js';
+
+const MINUTE = 60 * 1000;
+
+const POLICIES = {
+  account: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5
+  },
+  ip: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20
+  }
+};
+
+const LOCK_BASE_MS = (parseInt(process.env.LOGIN_LOCK_BASE_MINUTES) || 1) * MINUTE;
+const LOCK_MAX_MS = (parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60) * MINUTE;
+
+// Failures are forgotten after a day without new ones
+const FAILURE_MEMORY_MS = 24 * 60 * MINUTE;
+
+class LoginProtectionService {
+  constructor() {
+    console.log('Login Protection Service initialized');
+  }
+
+  accountKey(userId) {
+    return `account:${userId}`;
+  }
+
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Lock duration for a failure count - doubles for every failure past the limit
+   * @param {number} failures - Consecutive failed attempts
+   * @param {number} maxFailures - Failures allowed before locking
+   * @returns {number} Lock duration in ms (0 when not locked)
+   */
+  getLockDuration(failures, maxFailures) {
+    if (failures < maxFailures) {
+      return 0;
+    }
+
+    return Math.min(LOCK_BASE_MS * Math.pow(2, failures - maxFailures), LOCK_MAX_MS);
+  }
+
+  /**
+   * Check whether a login from this account or IP is currently locked
+   * @param {Object} target - { userId, ip }
+   * @returns {Promise<Object>} { locked, scope, retryAfter (seconds) }
+   */
+  async getLockStatus({ userId = null, ip = null }) {
+    const keys = [];
+    if (userId) keys.push(this.accountKey(userId));
+    if (ip) keys.push(this.ipKey(ip));
+
+    const attempts = await LoginAttempt.find({ key: { $in: keys } });
+    const active = attempts.filter(attempt => attempt.isLocked());
+
+    if (active.length === 0) {
+      return { locked: false };
+    }
+
+    const longest = active.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+
+    return {
+      locked: true,
+      scope: longest.scope,
+      lockedUntil: longest.lockedUntil,
+      retryAfter: Math.ceil((longest.lockedUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Count a failed login for the account (when known) and the IP
+   * @param {Object} target - { user, ip }
+   * @returns {Promise<Object>} { accountLocked, lockedUntil }
+   */
+  async recordFailure({ user = null, ip = null }) {
+    const expiresAt = new Date(Date.now() + FAILURE_MEMORY_MS);
+    let accountLockedUntil = null;
+
+    if (ip) {
+      const attempt = await LoginAttempt.registerFailure(this.ipKey(ip), 'ip', null, expiresAt);
+      const duration = this.getLockDuration(attempt.failures, POLICIES.ip.maxFailures);
+
+      if (duration > 0) {
+        console.warn('🔒 Too many failed logins from IP - locking:', { ip, failures: attempt.failures });
+        await LoginAttempt.lockUntil(attempt.key, new Date(Date.now() + duration));
+      }
+    }
+
+    if (user) {
+      const attempt = await LoginAttempt.registerFailure(this.accountKey(user._id), 'account', user._id, expiresAt);
+      const duration = this.getLockDuration(attempt.failures, POLICIES.account.maxFailures);
+
+      if (duration > 0) {
+        accountLockedUntil = new Date(Date.now() + duration);
+        console.warn('🔒 Too many failed logins for account - locking:', {
+          userId: user._id.toString(),
+          failures: attempt.failures,
+          lockedUntil: accountLockedUntil
+        });
+        await LoginAttempt.lockUntil(attempt.key, accountLockedUntil);
+
+        // Only email on the first lock of a streak
+        if (attempt.failures === POLICIES.account.maxFailures) {
+          this.sendLockoutNotificationAsync(user, accountLockedUntil);
+        }
+      }
+    }
+
+    return {
+      accountLocked: !!accountLockedUntil,
+      lockedUntil: accountLockedUntil
+    };
+  }
+
+  /**
+   * Forget failed attempts after a successful login
+   * @param {string} userId - ID of the user who logged in
+   */
+  async recordSuccess(userId) {
+    await LoginAttempt.deleteOne({ key: this.accountKey(userId) });
+  }
+
+  /**
+   * Clear a lock (admin action)
+   * @param {Object} target - { userId, ip }
+   * @returns {Promise<number>} Number of cleared records
+   */
+  async clearLock({ userId = null, ip = null }) {
+    const keys = [];
+    if (userId) keys.push(this.accountKey(userId));
+    if (ip) keys.push(this.ipKey(ip));
+
+    const result = await LoginAttempt.deleteMany({ key: { $in: keys } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Email the user (and parent of a child account) about the lockout in the background
+   * @param {Object} user - Locked user
+   * @param {Date} lockedUntil - End of the lock
+   */
+  sendLockoutNotificationAsync(user, lockedUntil) {
+    setImmediate(async () => {
+      try {
+        await sendAccountLockedEmail(user.email, user.fullName || user.username, lockedUntil);
+      } catch (error) {
+        console.error('❌ Failed to send account locked email:', error.message);
+      }
+
+      if (user.parentEmail && user.age < 18) {
+        try {
+          await sendParentAccountLockedEmail(
+            user.parentEmail,
+            user.fullName || user.username,
+            user.email,
+            lockedUntil
+          );
+        } catch (error) {
+          console.error('❌ Failed to send parent account locked email:', error.message);
+        }
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const loginProtectionService = new LoginProtectionService();
+
+export default loginProtectionService;
+
+// Named exports for convenience
+export {
+  LoginProtectionService
+};
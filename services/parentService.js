@@ -0,0 +1,221 @@
+import Parent from '../Models/Parent.js';
+import User from '../Models/User.js';
+import Chat from '../Models/Chat.js';
+import Verification from '../Models/Verification.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { generateVerificationToken, sendParentSignInEmail } from './emailService.js';
+
+// Page in the parent dashboard that exchanges the emailed token for a session
+const PARENT_SIGN_IN_URL = process.env.PARENT_SIGN_IN_URL || 'http://localhost:3000/parent/sign-in';
+
+const normaliseEmail = (email) => email.toLowerCase().trim();
+
+class ParentService {
+  /**
+   * Email a one-time sign-in link to a parent.
+   * Only addresses that already have a parent account or are the parentEmail of
+   * at least one child get a link; callers should not reveal which happened.
+   * @param {string} email - Parent email address
+   * @returns {Promise<boolean>} Whether a link was sent
+   */
+  async requestSignInLink(email) {
+    const parentEmail = normaliseEmail(email);
+
+    const [parent, children] = await Promise.all([
+      Parent.findOne({ email: parentEmail }),
+      User.find({ parentEmail }).select('username fullName')
+    ]);
+
+    if (children.length === 0 && !parent) {
+      return false;
+    }
+
+    if (parent && !parent.isActive) {
+      return false;
+    }
+
+    const verification = await Verification.resendVerification(parentEmail, 'parent_login', null, {
+      code: generateVerificationToken()
+    });
+
+    const signInUrl = `${PARENT_SIGN_IN_URL}?email=${encodeURIComponent(parentEmail)}&token=${verification.code}`;
+    await sendParentSignInEmail(parentEmail, signInUrl, children.map(child => child.fullName || child.username));
+
+    console.log('🔗 Parent sign-in link sent:', { email: parentEmail, children: children.length });
+
+    return true;
+  }
+
+  /**
+   * Exchange a sign-in link token for a parent account, creating the account
+   * on first sign-in
+   * @param {string} email - Parent email address
+   * @param {string} token - Token from the emailed link
+   * @returns {Promise<Object>} Signed-in parent
+   */
+  async completeSignIn(email, token) {
+    const parentEmail = normaliseEmail(email);
+
+    await Verification.verifyCode(parentEmail, token, 'parent_login', null);
+
+    let parent = await Parent.findOne({ email: parentEmail });
+    if (!parent) {
+      parent = await Parent.create({ email: parentEmail });
+      console.log('👨‍👩‍👧 Parent account created:', { parentId: parent._id.toString() });
+    }
+
+    if (!parent.isActive) {
+      throw new Error('This parent account has been disabled');
+    }
+
+    parent.lastLoginAt = new Date();
+    await parent.save();
+
+    return parent;
+  }
+
+  // End every parent session issued so far
+  async signOut(parent) {
+    parent.tokenVersion += 1;
+    await parent.save();
+  }
+
+  // Dashboard summary of one child account
+  formatChild(child) {
+    return {
+      id: child._id,
+      username: child.username,
+      fullName: child.fullName,
+      age: child.age,
+      profilePicture: child.profilePicture,
+      isOnline: child.isOnline,
+      lastSeen: child.lastSeen
+    };
+  }
+
+  // Account settings a parent can see for their child
+  getChildSettings(child) {
+    return {
+      email: child.email,
+      role: child.role,
+      isActive: child.isActive,
+      isBanned: child.isBanned,
+      isVerified: child.isVerified,
+      emailVerified: child.emailVerified,
+      parentEmailVerified: child.parentEmailVerified,
+      verificationStatus: child.verificationStatus,
+      presenceStatus: child.presenceStatus,
+      contactPolicy: child.contactPolicy,
+      linkedProviders: child.identities.map(identity => identity.provider),
+      twoFactorEnabled: !!child.twoFactor?.enabled,
+      createdAt: child.createdAt
+    };
+  }
+
+  /**
+   * People the child talks to one-on-one, most recent first
+   * @param {string} childId - Child user id
+   * @returns {Promise<Array>} Contacts with the last activity in their chat
+   */
+  async getChildContacts(childId) {
+    const chats = await Chat.find({
+      chatType: 'direct',
+      participants: { $elemMatch: { user: childId, isActive: true } },
+      isActive: true
+    })
+      .populate('participants.user', 'username fullName profilePicture age role isOnline lastSeen')
+      .sort({ lastActivity: -1 });
+
+    const contacts = [];
+    for (const chat of chats) {
+      const other = chat.participants.find(p => p.user && p.user._id.toString() !== childId.toString());
+      if (!other) continue;
+
+      contacts.push({
+        id: other.user._id,
+        username: other.user.username,
+        fullName: other.user.fullName,
+        profilePicture: other.user.profilePicture,
+        age: other.user.age,
+        role: other.user.role,
+        isOnline: other.user.isOnline,
+        chatId: chat._id,
+        lastActivity: chat.lastActivity
+      });
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Chats the child is in, without message content
+   * @param {string} childId - Child user id
+   * @returns {Promise<Array>} Chat summaries
+   */
+  async getChildChats(childId) {
+    const chats = await Chat.find({
+      participants: { $elemMatch: { user: childId, isActive: true } },
+      isActive: true
+    })
+      .populate('participants.user', 'username fullName')
+      .sort({ lastActivity: -1 });
+
+    return chats.map(chat => ({
+      id: chat._id,
+      name: chat.name,
+      chatType: chat.chatType,
+      participants: chat.participants
+        .filter(p => p.isActive && p.user)
+        .map(p => ({
+          id: p.user._id,
+          username: p.user.username,
+          fullName: p.user.fullName,
+          role: p.role
+        })),
+      lastActivity: chat.lastActivity,
+      createdAt: chat.createdAt
+    }));
+  }
+
+  /**
+   * Page of moderation incidents involving content the child sent
+   * @param {string} childId - Child user id
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { incidents, total }
+   */
+  async getChildIncidents(childId, page = 1, limit = 20) {
+    const [incidents, total] = await Promise.all([
+      ModerationIncident.getIncidentsForUser(childId, page, limit),
+      ModerationIncident.countDocuments({ user: childId })
+    ]);
+
+    return {
+      incidents: incidents.map(incident => ({
+        id: incident._id,
+        contentType: incident.contentType,
+        category: incident.category,
+        action: incident.action,
+        contentSnippet: incident.contentSnippet,
+        parentNotified: incident.parentNotified,
+        chat: incident.chat ? {
+          id: incident.chat._id,
+          name: incident.chat.name,
+          chatType: incident.chat.chatType
+        } : null,
+        createdAt: incident.createdAt
+      })),
+      total
+    };
+  }
+}
+
+// Create singleton instance
+const parentService = new ParentService();
+
+export default parentService;
+
+// Named exports for convenience
+export {
+  ParentService
+};
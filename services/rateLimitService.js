@@ -0,0 +1,132 @@
+import rateLimitPolicies from '../config/rateLimits.js';
+
+/**
+ * In-memory fixed-window counter store.
+ *
+ * Any store can be plugged in with setStore() as long as it implements:
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *   reset(key)               -> Promise<void>
+ * Use a shared store (e.g. Redis) when running more than one instance.
+ */
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.windows = new Map(); // key -> { count, resetAt }
+
+    // Drop finished windows so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref?.();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+class RateLimitService {
+  constructor(store = new MemoryStore(), policies = rateLimitPolicies) {
+    this.store = store;
+    this.policies = policies;
+  }
+
+  /**
+   * Replace the counter store (e.g. with a shared store for multiple instances)
+   * @param {Object} store - Object implementing increment() and reset()
+   */
+  setStore(store) {
+    if (!store || typeof store.increment !== 'function' || typeof store.reset !== 'function') {
+      throw new Error('Rate limit store must implement increment() and reset()');
+    }
+    this.store = store;
+  }
+
+  getPolicy(policyName) {
+    const policy = this.policies[policyName];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Count a hit against a policy for the given user and IP
+   * @param {string} policyName - Name of the policy in config/rateLimits.js
+   * @param {Object} identity - { userId, ip }
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetAt, retryAfter (seconds) }
+   */
+  async consume(policyName, { userId = null, ip = null }) {
+    const policy = this.getPolicy(policyName);
+    const checks = [];
+
+    if (policy.perUser && userId) {
+      checks.push({ key: `${policyName}:user:${userId}`, limit: policy.perUser });
+    }
+    if (policy.perIp && ip) {
+      checks.push({ key: `${policyName}:ip:${ip}`, limit: policy.perIp });
+    }
+
+    let result = { allowed: true, limit: null, remaining: null, resetAt: null, retryAfter: 0 };
+
+    for (const check of checks) {
+      const { count, resetAt } = await this.store.increment(check.key, policy.windowMs);
+      const remaining = Math.max(check.limit - count, 0);
+
+      // Report the most restrictive counter
+      if (result.remaining === null || remaining < result.remaining) {
+        result = { ...result, limit: check.limit, remaining, resetAt };
+      }
+
+      if (count > check.limit) {
+        result = {
+          ...result,
+          allowed: false,
+          retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Reset counters of a policy for the given user and IP
+   * @param {string} policyName - Name of the policy
+   * @param {Object} identity - { userId, ip }
+   */
+  async reset(policyName, { userId = null, ip = null }) {
+    if (userId) await this.store.reset(`${policyName}:user:${userId}`);
+    if (ip) await this.store.reset(`${policyName}:ip:${ip}`);
+  }
+}
+
+// Create singleton instance
+const rateLimitService = new RateLimitService();
+
+export default rateLimitService;
+
+// Named exports for convenience
+export {
+  RateLimitService,
+  MemoryStore
+};
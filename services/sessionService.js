@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import Session from '../Models/Session.js';
+
+class SessionService {
+  /**
+   * Shape a session for the device list
+   * @param {Object} session - Session document
+   * @param {Object} options - { currentSessionId, socketService }
+   * @returns {Object} Public session data
+   */
+  formatSession(session, { currentSessionId = null, socketService = null } = {}) {
+    const connections = socketService?.getSessionConnections(session.jti) || [];
+
+    return {
+      id: session._id,
+      deviceLabel: session.deviceLabel,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session.jti === currentSessionId,
+      socketConnected: connections.length > 0,
+      connections: connections.map(connection => ({
+        connectedAt: connection.connectedAt,
+        ipAddress: connection.ipAddress,
+        userAgent: connection.userAgent,
+        transport: connection.transport
+      }))
+    };
+  }
+
+  /**
+   * List the active sessions of a user
+   * @param {string} userId - Owner of the sessions
+   * @param {Object} options - { currentSessionId, socketService }
+   * @returns {Promise<Object[]>} Formatted sessions, most recently seen first
+   */
+  async listActiveSessions(userId, options = {}) {
+    const sessions = await Session.findActiveForUser(userId);
+    return sessions.map(session => this.formatSession(session, options));
+  }
+
+  /**
+   * Revoke one session of a user and drop its sockets
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session id from the device list
+   * @param {string} reason - Revocation reason stored on the session
+   * @param {Object} socketService - Socket service, if running
+   * @returns {Promise<Object|null>} Revoked session or null if not found
+   */
+  async revokeUserSession(userId, sessionId, reason, socketService = null) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    const revoked = await Session.revokeSession(session.jti, reason);
+    socketService?.disconnectSession(session.jti);
+
+    console.log('🔒 Session revoked:', { userId: userId.toString(), sessionId, reason });
+
+    return revoked;
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
+
+// Named exports for convenience
+export {
+  SessionService
+};
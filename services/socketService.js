@@ -1,10 +1,17 @@
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
 import User from '../Models/User.js';
+import Session from '../Models/Session.js';
+import { verifyToken } from '../utils/jwt.js';
 import Chat from '../Models/Chat.js';
 import Message from '../Models/Message.js';
-import { moderateSocketMessage } from '../middleware/moderationMiddleware.js';
+import Contact from '../Models/Contact.js';
+import Block from '../Models/Block.js';
+import Mute from '../Models/Mute.js';
+import { checkSocketRateLimit } from '../middleware/rateLimit.js';
 import contentMonitoringService from './contentMonitoringService.js';
+import contactPolicyService from './contactPolicyService.js';
+import blockService from './blockService.js';
+import fieldModerationService from './fieldModerationService.js';
 
 class SocketService {
   constructor(server) {
@@ -31,6 +38,7 @@ class SocketService {
 
     this.connectedUsers = new Map(); // userId -> socketId
     this.userSockets = new Map(); // socketId -> userId
+    this.sessionSockets = new Map(); // sessionId -> Map(socketId -> connection details)
     
     console.log('✅ Socket.IO Server initialized with CORS origins:', [
       "http://localhost:8082",
@@ -74,6 +82,10 @@ class SocketService {
       socket.join(`user_${socket.userId}`);
       console.log(`🏠 User joined personal room: user_${socket.userId}`);
 
+      // Join session room so revoking the session can drop this socket
+      socket.join(`session_${socket.sessionId}`);
+      this.trackSessionSocket(socket);
+
       // Join user to their chat rooms
       this.joinUserChats(socket);
 
@@ -141,25 +153,34 @@ class SocketService {
       }
 
       console.log('🔍 Verifying JWT token...');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyToken(token.replace(/^Bearer\s+/i, ''));
       console.log('✅ JWT decoded successfully:', { userId: decoded.userId || decoded.id });
       
       const userId = decoded.userId || decoded.id; // Handle both userId and id fields
+
+      console.log('🔍 Checking session...');
+      const session = await Session.findActive(decoded.jti);
+
+      if (!session || session.userId.toString() !== userId) {
+        console.log('❌ Authentication failed: Session expired or revoked');
+        return next(new Error('Session expired or revoked'));
+      }
       
       console.log('🔍 Finding user in database...');
-      const user = await User.findById(userId).select('_id username fullName isActive');
+      const user = await User.findById(userId).select('_id username fullName isActive isBanned');
       
       if (!user) {
         console.log('❌ Authentication failed: User not found in database');
         return next(new Error('User not found'));
       }
 
-      if (!user.isActive) {
+      if (!user.isActive || user.isBanned) {
         console.log('❌ Authentication failed: User account is not active');
         return next(new Error('User account not active'));
       }
 
       socket.userId = user._id.toString();
+      socket.sessionId = session.jti;
       socket.user = user;
       
       console.log('✅ Socket authentication successful:');
@@ -212,6 +233,12 @@ class SocketService {
       });
 
       try {
+        // Throttle message floods before doing any work
+        if (!(await checkSocketRateLimit(socket, 'socket:sendMessage', 'sendMessage'))) {
+          console.log('⏱️ sendMessage rate limited:', { userId: socket.userId });
+          return;
+        }
+
         const { chatId, content, messageType = 'text', replyTo = null } = data;
 
         // Validate input
@@ -221,7 +248,18 @@ class SocketService {
           return;
         }
 
-        // 🔒 FAST SEXUAL CONTENT MODERATION CHECK WITH ASYNC PARENT NOTIFICATION
+        // Check chat access before moderating, so non-members can't log incidents against the chat
+        const chat = await Chat.findById(chatId);
+        if (!chat || !chat.isActive || !chat.isParticipant(socket.userId)) {
+          console.log('❌ Chat access denied:', { chatId, userId: socket.userId });
+          socket.emit('error', { message: 'Chat not found or access denied' });
+          return;
+        }
+
+        // 🔒 FAST CONTENT MODERATION CHECK WITH ASYNC PARENT NOTIFICATION
+        let moderationWarning = null;
+        let held = null;
+        let messageContent = content;
         if (messageType === 'text') {
           try {
             console.log('⚡ Fast content check for immediate UI response...');
@@ -236,44 +274,68 @@ class SocketService {
               
               socket.emit('messageBlocked', {
                 reason: monitoring.reason,
+                category: monitoring.category,
                 message: monitoring.message,
                 blocked: true
               });
               return;
             }
-            console.log('✅ Content approved in fast check');
+            moderationWarning = monitoring.warning || null;
+            // Personal information is hidden before the message is stored or broadcast
+            messageContent = monitoring.maskedContent || content;
+            // Moderation is down, so the message waits until it has been checked
+            held = monitoring.held ? { message: monitoring.message } : null;
+            console.log(held ? '⏸️ Content held until moderation recovers' : '✅ Content approved in fast check');
           } catch (monitoringError) {
-            console.error('⚠️ Fast content monitoring failed, using fallback moderation:', monitoringError);
-            
-            // Fallback to basic moderation if monitoring service fails
-            const moderation = await moderateSocketMessage(content);
-            if (moderation.is_sexual) {
-              console.log('❌ Sexual content blocked by fallback moderation');
+            console.error('⚠️ Fast content monitoring failed:', monitoringError);
+
+            // Treat it like an outage so the chat's age band still decides what happens
+            const outage = await contentMonitoringService.applyOutagePolicy('text', socket.userId, chatId);
+            if (outage.blocked) {
               socket.emit('messageBlocked', {
-                reason: 'sexual_content',
-                message: 'Your message contains inappropriate content and has been blocked. Please keep conversations appropriate.',
+                reason: outage.reason,
+                message: outage.message,
                 blocked: true
               });
               return;
             }
+            held = outage.held ? { message: outage.message } : null;
           }
         }
 
-        // Check chat access
-        const chat = await Chat.findById(chatId);
-        if (!chat || !chat.isActive || !chat.isParticipant(socket.userId)) {
-          console.log('❌ Chat access denied:', { chatId, userId: socket.userId });
-          socket.emit('error', { message: 'Chat not found or access denied' });
+        const blockCheck = await blockService.checkChatSend(chat, socket.userId);
+        if (!blockCheck.allowed) {
+          console.log('🚫 Message to blocking user rejected:', { chatId, userId: socket.userId });
+          socket.emit('messageBlocked', {
+            reason: 'user_blocked',
+            code: blockCheck.code,
+            message: blockCheck.message,
+            blocked: true
+          });
+          return;
+        }
+
+        // Children may only message contacts their parent allowed
+        const contactCheck = await contactPolicyService.checkChatRecipients(chat, socket.userId);
+        if (!contactCheck.allowed) {
+          console.log('🚫 Message to unapproved contact rejected:', { chatId, userId: socket.userId, code: contactCheck.code });
+          socket.emit('messageBlocked', {
+            reason: 'contact_not_approved',
+            code: contactCheck.code,
+            message: contactCheck.message,
+            blocked: true
+          });
           return;
         }
 
         // Create and save message
         const newMessage = new Message({
-          content: content.trim(),
+          content: messageContent.trim(),
           messageType,
           sender: socket.userId,
           chat: chatId,
-          replyTo: replyTo || null
+          replyTo: replyTo || null,
+          moderationStatus: held ? 'pending' : 'approved'
         });
 
         await newMessage.save();
@@ -298,6 +360,16 @@ class SocketService {
           sender: newMessage.sender.username
         });
 
+        // Only the sender hears about a held message until it is delivered
+        if (held) {
+          socket.emit('messageHeld', {
+            messageId: newMessage._id,
+            chatId,
+            message: held.message
+          });
+          return;
+        }
+
         // Update chat
         chat.lastMessage = newMessage._id;
         chat.lastActivity = new Date();
@@ -309,6 +381,11 @@ class SocketService {
 
         // 🏠 EMIT CHAT LIST UPDATE TO ALL PARTICIPANTS
         // Send chat list update to all participants for home page real-time updates
+        const muterIds = await Mute.getMutersAmong(
+          socket.userId,
+          chat.participants.map(participant => participant.user)
+        );
+
         chat.participants.forEach(participant => {
           if (participant.isActive) {
             console.log(`📋 Sending chat list update to user: ${participant.user}`);
@@ -327,7 +404,9 @@ class SocketService {
               },
               lastActivity: chat.lastActivity,
               // Don't increment unread count for the sender
-              incrementUnread: participant.user.toString() !== socket.userId
+              incrementUnread: participant.user.toString() !== socket.userId,
+              // Muters still get the message, but without a notification
+              muted: muterIds.includes(participant.user.toString())
             });
           }
         });
@@ -335,6 +414,14 @@ class SocketService {
         // Send confirmation to sender
         socket.emit('messageSent', { messageId: newMessage._id });
 
+        // Delivered, but the sender's age band policy asks for a warning
+        if (moderationWarning) {
+          socket.emit('moderationWarning', {
+            messageId: newMessage._id,
+            ...moderationWarning
+          });
+        }
+
       } catch (error) {
         console.error('❌ Send message error:', error);
         socket.emit('error', { message: 'Failed to send message' });
@@ -485,11 +572,42 @@ class SocketService {
           return;
         }
 
+        // Same rules as the settings endpoint: admins and moderators only, and
+        // pictures go through the upload endpoint
+        if (!chat.canModerate(socket.userId)) {
+          socket.emit('error', { message: 'Only admins and moderators can update chat settings' });
+          return;
+        }
+
+        const allowedUpdates = ['name', 'description', 'settings'];
+        const updateData = {};
+        for (const key of allowedUpdates) {
+          if (updates?.[key] !== undefined) {
+            updateData[key] = updates[key];
+          }
+        }
+
+        const fieldCheck = await fieldModerationService.checkTextFields(
+          { chatName: updateData.name, chatDescription: updateData.description },
+          { userId: socket.userId, chatId }
+        );
+        if (!fieldCheck.allowed) {
+          socket.emit('error', {
+            message: fieldCheck.message,
+            moderation: {
+              field: fieldCheck.field,
+              reason: fieldCheck.reason,
+              category: fieldCheck.category
+            }
+          });
+          return;
+        }
+
         // Update the chat
         const updatedChat = await Chat.findByIdAndUpdate(
           chatId, 
-          updates, 
-          { new: true }
+          updateData, 
+          { new: true, runValidators: true }
         ).populate('participants.user', 'username fullName profilePicture');
 
         // Broadcast the update to all chat participants
@@ -506,7 +624,11 @@ class SocketService {
 
   setupTypingHandlers(socket) {
     // Handle typing indicators - fixed to use consistent event names
-    socket.on('typing', (data) => {
+    socket.on('typing', async (data) => {
+      if (!(await checkSocketRateLimit(socket, 'socket:typing', 'typing'))) {
+        return;
+      }
+
       const { chatId, isTyping } = data;
       
       console.log('⌨️ Typing event received:', {
@@ -517,8 +639,8 @@ class SocketService {
       });
       
       if (chatId) {
-        // Broadcast typing status to OTHER users in chat (not the sender)
-        socket.to(`chat_${chatId}`).emit(isTyping ? 'userTyping' : 'userStoppedTyping', {
+        // Broadcast typing status to OTHER users in chat (not the sender or anyone who muted them)
+        socket.to(`chat_${chatId}`).except(await this.getMuterRooms(socket.userId)).emit(isTyping ? 'userTyping' : 'userStoppedTyping', {
           userId: socket.userId,
           username: socket.user.username,
           chatId,
@@ -530,10 +652,14 @@ class SocketService {
     });
 
     // Legacy support for startTyping/stopTyping events
-    socket.on('startTyping', (data) => {
+    socket.on('startTyping', async (data) => {
+      if (!(await checkSocketRateLimit(socket, 'socket:typing', 'startTyping'))) {
+        return;
+      }
+
       const { chatId } = data;
       if (chatId) {
-        socket.to(`chat_${chatId}`).emit('userTyping', {
+        socket.to(`chat_${chatId}`).except(await this.getMuterRooms(socket.userId)).emit('userTyping', {
           userId: socket.userId,
           username: socket.user.username,
           chatId,
@@ -543,10 +669,10 @@ class SocketService {
       }
     });
 
-    socket.on('stopTyping', (data) => {
+    socket.on('stopTyping', async (data) => {
       const { chatId } = data;
       if (chatId) {
-        socket.to(`chat_${chatId}`).emit('userStoppedTyping', {
+        socket.to(`chat_${chatId}`).except(await this.getMuterRooms(socket.userId)).emit('userStoppedTyping', {
           userId: socket.userId,
           username: socket.user.username,
           chatId,
@@ -568,21 +694,8 @@ class SocketService {
           lastSeen: new Date()
         });
 
-        // Emit to all user's contacts/chats
-        const userChats = await Chat.find({
-          'participants.user': socket.userId,
-          'participants.isActive': true,
-          isActive: true
-        }).populate('participants.user', '_id');
-
-        const contactIds = new Set();
-        userChats.forEach(chat => {
-          chat.participants.forEach(participant => {
-            if (participant.user._id.toString() !== socket.userId) {
-              contactIds.add(participant.user._id.toString());
-            }
-          });
-        });
+        // Emit to the user's accepted contacts
+        const contactIds = await this.getPresenceAudience(socket.userId);
 
         contactIds.forEach(contactId => {
           socket.to(`user_${contactId}`).emit('presenceUpdate', {
@@ -598,6 +711,26 @@ class SocketService {
     });
   }
 
+  // Contacts who should see a user's presence: not blocked either way and not muting them
+  async getPresenceAudience(userId) {
+    const [contactIds, hiddenIds, muterIds] = await Promise.all([
+      Contact.getContactIds(userId),
+      Block.getHiddenUserIds(userId),
+      Mute.getMuterIds(userId)
+    ]);
+
+    const excluded = new Set([...hiddenIds, ...muterIds]);
+    return contactIds
+      .map(id => id.toString())
+      .filter(id => !excluded.has(id));
+  }
+
+  // Personal rooms of everyone who muted a user, for leaving them out of broadcasts
+  async getMuterRooms(userId) {
+    const muterIds = await Mute.getMuterIds(userId);
+    return muterIds.map(id => `user_${id}`);
+  }
+
   async updateUserOnlineStatus(userId, isOnline) {
     try {
       await User.findByIdAndUpdate(userId, {
@@ -605,21 +738,8 @@ class SocketService {
         lastSeen: new Date()
       });
 
-      // Emit presence update to contacts
-      const userChats = await Chat.find({
-        'participants.user': userId,
-        'participants.isActive': true,
-        isActive: true
-      }).populate('participants.user', '_id');
-
-      const contactIds = new Set();
-      userChats.forEach(chat => {
-        chat.participants.forEach(participant => {
-          if (participant.user._id.toString() !== userId) {
-            contactIds.add(participant.user._id.toString());
-          }
-        });
-      });
+      // Emit presence update to accepted contacts
+      const contactIds = await this.getPresenceAudience(userId);
 
       contactIds.forEach(contactId => {
         this.io.to(`user_${contactId}`).emit('presenceUpdate', {
@@ -638,6 +758,7 @@ class SocketService {
     // Remove from connected users
     this.connectedUsers.delete(socket.userId);
     this.userSockets.delete(socket.id);
+    this.untrackSessionSocket(socket);
 
     // Update offline status
     this.updateUserOnlineStatus(socket.userId, false);
@@ -687,6 +808,52 @@ class SocketService {
   notifyChatListUpdate(userId, updateData) {
     this.emitToUser(userId, 'chatListUpdate', updateData);
   }
+
+  // Remember which sockets belong to which login session (for the device list)
+  trackSessionSocket(socket) {
+    if (!this.sessionSockets.has(socket.sessionId)) {
+      this.sessionSockets.set(socket.sessionId, new Map());
+    }
+
+    this.sessionSockets.get(socket.sessionId).set(socket.id, {
+      socketId: socket.id,
+      connectedAt: new Date(),
+      ipAddress: socket.handshake.address || null,
+      userAgent: socket.handshake.headers?.['user-agent'] || null,
+      transport: socket.conn?.transport?.name || null
+    });
+
+    Session.touch(socket.sessionId, 0).catch(() => {});
+  }
+
+  untrackSessionSocket(socket) {
+    const sockets = this.sessionSockets.get(socket.sessionId);
+    if (!sockets) return;
+
+    sockets.delete(socket.id);
+    if (sockets.size === 0) {
+      this.sessionSockets.delete(socket.sessionId);
+    }
+  }
+
+  // Live socket connections for a login session
+  getSessionConnections(sessionId) {
+    return Array.from(this.sessionSockets.get(sessionId)?.values() || []);
+  }
+
+  // Disconnect sockets opened with a revoked session
+  disconnectSession(sessionId) {
+    console.log('🔒 Disconnecting sockets for revoked session:', sessionId);
+    this.io.to(`session_${sessionId}`).emit('sessionRevoked', { sessionId });
+    this.io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+
+  // Disconnect every socket of a user (logout all devices, ban, deletion)
+  disconnectUser(userId) {
+    console.log('🔒 Disconnecting all sockets for user:', userId);
+    this.io.to(`user_${userId}`).emit('sessionRevoked', { userId });
+    this.io.in(`user_${userId}`).disconnectSockets(true);
+  }
 }
 
 export default SocketService;
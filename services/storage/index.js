@@ -0,0 +1,51 @@
+import getStorageConfig from '../../config/storage.js';
+import { createLocalStorage } from './localStorage.js';
+import { createS3Storage, signRequest } from './s3Storage.js';
+
+/*
+ * Storage for uploaded files, shared by every server instance when a shared
+ * backend such as S3 is used.
+ *
+ * A backend is an object with:
+ *   name
+ *   put(key, data, { contentType }) -> Promise
+ *   get(key)    -> Promise<Buffer|null>   null when the key doesn't exist
+ *   exists(key) -> Promise<boolean>
+ *   delete(key) -> Promise                deleting a missing key is not an error
+ *
+ * Keys are relative paths such as "images/<sha256>.jpg".
+ */
+const drivers = {
+  local: (config) => createLocalStorage(config.local),
+  s3: (config) => createS3Storage(config.s3)
+};
+
+let storage = null;
+
+export const createStorage = (config = getStorageConfig()) => {
+  const driver = drivers[config.driver];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${config.driver}" (expected ${Object.keys(drivers).join(' or ')})`);
+  }
+  return driver(config);
+};
+
+// Backend from the environment, created on first use
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`🗄️ Using ${storage.name} storage for uploads`);
+  }
+  return storage;
+};
+
+// Replace the backend, e.g. with a test double or a store configured in code
+export const setStorage = (backend) => {
+  storage = backend;
+};
+
+export {
+  createLocalStorage,
+  createS3Storage,
+  signRequest
+};
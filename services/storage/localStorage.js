@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Create a backend that keeps files under a directory on this server
+ * @param {Object} options - { root }
+ * @returns {Object} Storage backend
+ */
+export const createLocalStorage = ({ root }) => {
+  const resolvedRoot = path.resolve(root);
+
+  // Keys are relative paths that must stay inside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(resolvedRoot, key);
+    if (!key || !filePath.startsWith(resolvedRoot + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write beside the target and rename, so readers never see half a file
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+export default createLocalStorage;
@@ -0,0 +1,127 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 wants each path segment encoded per RFC 3986
+const encodePath = (pathname) => pathname
+  .split('/')
+  .map(segment => encodeURIComponent(decodeURIComponent(segment)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, date }
+ * @returns {Object} Headers to send, including Authorization
+ */
+export const signRequest = ({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) => {
+  const { host, pathname } = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const signed = {
+    ...headers,
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    encodePath(pathname),
+    '',
+    names.map(name => `${name}:${values[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host: _host, ...rest } = signed;
+  return {
+    ...rest,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+/**
+ * Create a backend for AWS S3 or an S3-compatible store such as MinIO
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, timeoutMs }
+ * @returns {Object} Storage backend
+ */
+export const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true, timeoutMs = 10000 }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (key) => {
+    const url = new URL(base);
+    if (forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${key}`;
+    } else {
+      url.host = `${bucket}.${url.host}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${key}`;
+    }
+    return url.toString();
+  };
+
+  const send = async (method, key, { data, headers = {} } = {}) => {
+    const url = objectUrl(key);
+    const response = await axios({
+      method,
+      url,
+      data,
+      headers: signRequest({
+        method,
+        url,
+        headers,
+        payloadHash: sha256(data || ''),
+        region,
+        accessKeyId,
+        secretAccessKey
+      }),
+      responseType: 'arraybuffer',
+      timeout: timeoutMs,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 300 && response.status !== 404) {
+      throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+      await send('PUT', key, { data, headers: { 'content-type': contentType } });
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      return response.status === 404 ? null : Buffer.from(response.data);
+    },
+
+    async exists(key) {
+      const response = await send('HEAD', key);
+      return response.status !== 404;
+    },
+
+    // S3 reports success for keys that don't exist
+    async delete(key) {
+      await send('DELETE', key);
+    }
+  };
+};
+
+export default createS3Storage;
@@ -0,0 +1,172 @@
+import User from '../Models/User.js';
+import {
+  generateSecret,
+  verifyTOTP,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Chuti';
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  constructor() {
+    console.log('Two-Factor Service initialized');
+  }
+
+  // Load the user together with the hidden two-factor fields
+  async loadUser(userId) {
+    return await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  }
+
+  /**
+   * Start enrolment - store a pending secret until the first code confirms it
+   * @param {string} userId - ID of the enrolling user
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginEnrollment(userId) {
+    const user = await this.loadUser(userId);
+    const secret = generateSecret();
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: ISSUER })
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @param {string} userId - ID of the enrolling user
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<string[]|null>} Plain recovery codes (shown once) or null if the code is wrong
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.loadUser(userId);
+    const pendingSecret = user.twoFactor.pendingSecret;
+
+    if (!pendingSecret) {
+      return null;
+    }
+
+    const step = verifyTOTP(pendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    console.log('🔐 Two-factor authentication enabled:', { userId: user._id.toString() });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a single-use recovery code
+   * @param {string} userId - ID of the user
+   * @param {Object} credentials - { code, recoveryCode }
+   * @returns {Promise<Object>} { valid, method: 'totp' | 'recovery_code', remainingRecoveryCodes }
+   */
+  async verifyChallenge(userId, { code, recoveryCode } = {}) {
+    const user = await this.loadUser(userId);
+
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+      return { valid: false };
+    }
+
+    if (code) {
+      const step = verifyTOTP(user.twoFactor.secret, code);
+
+      // Reject codes from a time step that was already used
+      if (step === null || (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep)) {
+        return { valid: false };
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      await user.save({ validateBeforeSave: false });
+
+      return { valid: true, method: 'totp' };
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const index = user.twoFactor.recoveryCodes.indexOf(hash);
+
+      if (index === -1) {
+        return { valid: false };
+      }
+
+      // Each recovery code works once
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      await user.save({ validateBeforeSave: false });
+
+      console.warn('🔐 Recovery code used:', {
+        userId: user._id.toString(),
+        remaining: user.twoFactor.recoveryCodes.length
+      });
+
+      return {
+        valid: true,
+        method: 'recovery_code',
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+      };
+    }
+
+    return { valid: false };
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - ID of the user
+   * @returns {Promise<string[]>} New plain recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const user = await this.loadUser(userId);
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret
+   * @param {string} userId - ID of the user
+   */
+  async disable(userId) {
+    const user = await this.loadUser(userId);
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.enabledAt = null;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('🔓 Two-factor authentication disabled:', { userId: user._id.toString() });
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+export default twoFactorService;
+
+// Named exports for convenience
+export {
+  TwoFactorService
+};
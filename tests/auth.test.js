@@ -1,9 +1,15 @@
 import request from 'supertest';
 import express from 'express';
 import mongoose from 'mongoose';
-import { signup, login } from '../Controllers/authController.js';
+import { signup, login, logout, logoutAll, getMe, refreshToken, forgotPassword, resetPassword, requestEmailChange } from '../Controllers/authController.js';
+import { protect } from '../middleware/auth.js';
 import User from '../Models/User.js';
 import Verification from '../Models/Verification.js';
+import Session from '../Models/Session.js';
+import AccountRecovery from '../Models/AccountRecovery.js';
+import LoginAttempt from '../Models/LoginAttempt.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import { createSessionToken, verifyToken } from '../utils/jwt.js';
 
 // Create Express app for testing
 const app = express();
@@ -12,13 +18,20 @@ app.use(express.json());
 // Add routes for testing
 app.post('/auth/signup', signup);
 app.post('/auth/login', login);
+app.get('/auth/me', protect, getMe);
+app.post('/auth/logout', protect, logout);
+app.post('/auth/logout-all', protect, logoutAll);
+app.post('/auth/refresh-token', refreshToken);
+app.post('/auth/forgot-password', forgotPassword);
+app.post('/auth/reset-password', resetPassword);
+app.post('/auth/change-email', protect, requestEmailChange);
 
 describe('Auth Controller', () => {
   describe('POST /auth/signup', () => {
     const validUserData = {
       username: 'testuser',
       email: 'test@example.com',
-      password: 'password123',
+      password: 'Purple-Otter-72',
       fullName: 'Test User',
       age: 12,
       parentEmail: 'parent@example.com'
@@ -141,6 +154,19 @@ describe('Auth Controller', () => {
       expect(response.body.status).toBe('fail');
     });
 
+    it('should reject a weak password with field errors', async () => {
+      const response = await request(app)
+        .post('/auth/signup')
+        .send({ ...validUserData, password: '123456' })
+        .expect(400);
+
+      expect(response.body.status).toBe('fail');
+      expect(response.body.errors.map(error => error.code)).toEqual(
+        expect.arrayContaining(['too_short', 'too_common'])
+      );
+      expect(await User.findOne({ email: validUserData.email })).toBeNull();
+    });
+
     it('should create verification record for new user', async () => {
       await request(app)
         .post('/auth/signup')
@@ -263,4 +289,517 @@ describe('Auth Controller', () => {
       expect(response.body.status).toBe('fail');
     });
   });
+
+  describe('Session revocation', () => {
+    const loginAs = async (deviceLabel) => {
+      const response = await request(app)
+        .post('/auth/login')
+        .send({
+          emailOrUsername: 'test@example.com',
+          password: 'password123',
+          deviceLabel
+        })
+        .expect(200);
+
+      return response.body.token;
+    };
+
+    beforeEach(async () => {
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        fullName: 'Test User',
+        age: 12,
+        role: 'children',
+        parentEmail: 'parent@example.com',
+        isVerified: true,
+        emailVerified: true
+      });
+    });
+
+    it('should create a session per login', async () => {
+      await loginAs('Phone');
+      await loginAs('Tablet');
+
+      const sessions = await Session.find({});
+      expect(sessions).toHaveLength(2);
+      expect(sessions.map(s => s.deviceLabel).sort()).toEqual(['Phone', 'Tablet']);
+    });
+
+    it('should reject a token after logout', async () => {
+      const token = await loginAs('Phone');
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.status).toBe('fail');
+    });
+
+    it('should only revoke the current device on logout', async () => {
+      const phoneToken = await loginAs('Phone');
+      const tabletToken = await loginAs('Tablet');
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${tabletToken}`)
+        .expect(200);
+    });
+
+    it('should revoke every device on logout-all', async () => {
+      const phoneToken = await loginAs('Phone');
+      const tabletToken = await loginAs('Tablet');
+
+      const response = await request(app)
+        .post('/auth/logout-all')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBe(2);
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${tabletToken}`)
+        .expect(401);
+    });
+
+    it('should reject tokens of a banned user', async () => {
+      const token = await loginAs('Phone');
+      await User.updateOne({ email: 'test@example.com' }, { isBanned: true });
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /auth/refresh-token', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        fullName: 'Test User',
+        age: 12,
+        role: 'children',
+        parentEmail: 'parent@example.com',
+        isVerified: true,
+        emailVerified: true
+      });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      tokens = response.body;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/auth/refresh-token')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeTruthy();
+      expect(response.body.refreshToken).toBeTruthy();
+      expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+
+    it('should keep the session\'s claims on the rotated token', async () => {
+      const user = await User.findOne({ email: 'test@example.com' });
+      const adminTokens = await createSessionToken(user._id, { ip: '127.0.0.1' }, { claims: { role: 'admin', type: 'admin' } });
+
+      const response = await request(app)
+        .post('/auth/refresh-token')
+        .send({ refreshToken: adminTokens.refreshToken })
+        .expect(200);
+
+      expect(verifyToken(response.body.token)).toEqual(expect.objectContaining({ role: 'admin', type: 'admin' }));
+      expect(verifyToken(tokens.token).type).toBeUndefined();
+    });
+
+    it('should revoke the session when a refresh token is replayed', async () => {
+      const rotated = await request(app)
+        .post('/auth/refresh-token')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      // Replaying the first token kills the whole family
+      await request(app)
+        .post('/auth/refresh-token')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/auth/refresh-token')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.token}`)
+        .expect(401);
+
+      const session = await Session.findOne({});
+      expect(session.revokedReason).toBe('refresh_token_reuse');
+    });
+
+    it('should not accept a refresh token as an access token', async () => {
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${tokens.refreshToken}`)
+        .expect(401);
+    });
+
+    it('should not accept an access token as a refresh token', async () => {
+      await request(app)
+        .post('/auth/refresh-token')
+        .send({ refreshToken: tokens.token })
+        .expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    let testUser;
+    const originalResend = Verification.resendVerification;
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        fullName: 'Test User',
+        age: 14,
+        role: 'children',
+        parentEmail: 'parent@example.com',
+        isVerified: true,
+        emailVerified: true
+      });
+    });
+
+    afterEach(() => {
+      Verification.resendVerification = originalResend;
+    });
+
+    it('should create a password reset code for an existing account', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body.status).toBe('success');
+
+      const verification = await Verification.findOne({ userId: testUser._id, type: 'password_reset' });
+      expect(verification).toBeTruthy();
+      expect(verification.email).toBe('test@example.com');
+    });
+
+    it('should not reveal whether an account exists', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toBe('If an account exists for this email, a password reset code has been sent.');
+      expect(await Verification.countDocuments({ type: 'password_reset' })).toBe(0);
+    });
+
+    it('should keep the first code when asked again straight away', async () => {
+      await request(app).post('/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      await request(app).post('/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+
+      expect(await Verification.countDocuments({ userId: testUser._id, type: 'password_reset' })).toBe(1);
+    });
+
+    it('should report other failures while creating the code', async () => {
+      Verification.resendVerification = async () => {
+        throw new Error('connection lost');
+      };
+
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(500);
+
+      expect(response.body.status).toBe('error');
+    });
+
+    it('should reset the password with a valid code and revoke sessions', async () => {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      const verification = await Verification.createVerification('test@example.com', 'password_reset', testUser._id);
+
+      await request(app)
+        .post('/auth/reset-password')
+        .send({
+          email: 'test@example.com',
+          code: verification.code,
+          newPassword: 'newpassword456',
+          confirmPassword: 'newpassword456'
+        })
+        .expect(200);
+
+      await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ emailOrUsername: 'test@example.com', password: 'newpassword456' })
+        .expect(200);
+    });
+
+    it('should reject an invalid reset code', async () => {
+      await Verification.createVerification('test@example.com', 'password_reset', testUser._id);
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({
+          email: 'test@example.com',
+          code: '000000',
+          newPassword: 'newpassword456',
+          confirmPassword: 'newpassword456'
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid verification code');
+    });
+
+    it('should reject a weak new password without using up the code', async () => {
+      const verification = await Verification.createVerification('test@example.com', 'password_reset', testUser._id);
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({
+          email: 'test@example.com',
+          code: verification.code,
+          newPassword: 'letmein',
+          confirmPassword: 'letmein'
+        })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('password');
+
+      const unused = await Verification.findById(verification._id);
+      expect(unused.verified).toBe(false);
+      expect(unused.attempts).toBe(0);
+    });
+
+    it('should check the code before the password policy', async () => {
+      await Verification.createVerification('test@example.com', 'password_reset', testUser._id);
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({
+          email: 'test@example.com',
+          code: '000000',
+          newPassword: 'letmein',
+          confirmPassword: 'letmein'
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid verification code');
+      expect(response.body.errors).toBeUndefined();
+    });
+  });
+
+  describe('Parent-approved recovery for children under 13', () => {
+    let childUser;
+
+    beforeEach(async () => {
+      childUser = await User.create({
+        username: 'younguser',
+        email: 'young@example.com',
+        password: 'password123',
+        fullName: 'Young User',
+        age: 9,
+        role: 'children',
+        parentEmail: 'parent@example.com',
+        isVerified: true,
+        emailVerified: true,
+        parentEmailVerified: true
+      });
+    });
+
+    it('should send the password reset code to the parent', async () => {
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'young@example.com' })
+        .expect(200);
+
+      const verification = await Verification.findOne({ userId: childUser._id, type: 'password_reset' });
+      expect(verification.email).toBe('parent@example.com');
+
+      const recovery = await AccountRecovery.findOne({ userId: childUser._id });
+      expect(recovery.approver).toBe('parent');
+      expect(recovery.status).toBe('pending');
+    });
+
+    it('should record the parent approval after the reset', async () => {
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'young@example.com' })
+        .expect(200);
+
+      const verification = await Verification.findOne({ userId: childUser._id, type: 'password_reset' });
+
+      await request(app)
+        .post('/auth/reset-password')
+        .send({
+          email: 'young@example.com',
+          code: verification.code,
+          newPassword: 'newpassword456',
+          confirmPassword: 'newpassword456'
+        })
+        .expect(200);
+
+      const recovery = await AccountRecovery.findOne({ userId: childUser._id });
+      expect(recovery.status).toBe('completed');
+      expect(recovery.approverEmail).toBe('parent@example.com');
+      expect(recovery.approvedAt).toBeTruthy();
+    });
+
+    it('should not let the child approve changes before the parent email is verified', async () => {
+      await User.updateOne({ _id: childUser._id }, { parentEmailVerified: false });
+
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'young@example.com' })
+        .expect(200);
+      expect(await Verification.countDocuments({ userId: childUser._id })).toBe(0);
+
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ emailOrUsername: 'young@example.com', password: 'password123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/auth/change-email')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ newEmail: 'new@example.com', password: 'password123' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Your parent needs to verify their email address before this can be changed.');
+      expect(await Verification.countDocuments({ userId: childUser._id, type: 'email_change' })).toBe(0);
+    });
+  });
+
+  describe('Login lockout', () => {
+    let testUser;
+
+    const attemptLogin = (password) => request(app)
+      .post('/auth/login')
+      .send({ emailOrUsername: 'test@example.com', password });
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        fullName: 'Test User',
+        age: 12,
+        role: 'children',
+        parentEmail: 'parent@example.com',
+        isVerified: true,
+        emailVerified: true
+      });
+    });
+
+    it('should lock the account after repeated failures', async () => {
+      for (let i = 0; i < 5; i++) {
+        await attemptLogin('wrongpassword').expect(401);
+      }
+
+      // Even the correct password is refused while locked
+      const response = await attemptLogin('password123').expect(401);
+
+      expect(response.body.status).toBe('fail');
+
+      const attempt = await LoginAttempt.findOne({ userId: testUser._id });
+      expect(attempt.failures).toBe(5);
+      expect(attempt.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should answer a locked account like an unknown one', async () => {
+      for (let i = 0; i < 5; i++) {
+        await attemptLogin('wrongpassword').expect(401);
+      }
+
+      const locked = await attemptLogin('password123').expect(401);
+      const unknown = await request(app)
+        .post('/auth/login')
+        .send({ emailOrUsername: 'nobody@example.com', password: 'password123' })
+        .expect(401);
+
+      expect(locked.body).toEqual(unknown.body);
+      expect(locked.headers['retry-after']).toBeUndefined();
+    });
+
+    it('should keep a lock record until the lock ends', async () => {
+      const key = `account:${testUser._id}`;
+      const windowEnd = new Date(Date.now() + 60 * 60 * 1000);
+      const lockEnd = new Date(Date.now() + 48 * 60 * 60 * 1000);
+
+      await LoginAttempt.registerFailure(key, 'account', testUser._id, windowEnd);
+      await LoginAttempt.lockUntil(key, lockEnd);
+      const attempt = await LoginAttempt.registerFailure(key, 'account', testUser._id, windowEnd);
+
+      expect(attempt.expiresAt.getTime()).toBe(lockEnd.getTime());
+    });
+
+    it('should back off exponentially', () => {
+      expect(loginProtectionService.getLockDuration(4, 5)).toBe(0);
+      expect(loginProtectionService.getLockDuration(5, 5)).toBe(60 * 1000);
+      expect(loginProtectionService.getLockDuration(6, 5)).toBe(2 * 60 * 1000);
+      expect(loginProtectionService.getLockDuration(8, 5)).toBe(8 * 60 * 1000);
+    });
+
+    it('should reset the counter after a successful login', async () => {
+      await attemptLogin('wrongpassword').expect(401);
+      await attemptLogin('password123').expect(200);
+
+      expect(await LoginAttempt.findOne({ userId: testUser._id })).toBeNull();
+    });
+
+    it('should allow login again once an admin clears the lock', async () => {
+      for (let i = 0; i < 5; i++) {
+        await attemptLogin('wrongpassword').expect(401);
+      }
+      await attemptLogin('password123').expect(401);
+
+      await loginProtectionService.clearLock({ userId: testUser._id });
+
+      await attemptLogin('password123').expect(200);
+    });
+  });
 });
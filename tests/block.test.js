@@ -0,0 +1,214 @@
+import request from 'supertest';
+import express from 'express';
+import {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  getMutedUsers,
+  muteUser,
+  unmuteUser
+} from '../Controllers/blockController.js';
+import { createDirectChat, addParticipants } from '../Controllers/chatController.js';
+import { sendMessage } from '../Controllers/messageController.js';
+import { sendContactRequest } from '../Controllers/contactController.js';
+import Chat from '../Models/Chat.js';
+import Contact from '../Models/Contact.js';
+import Block from '../Models/Block.js';
+import Mute from '../Models/Mute.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use(mockAuthMiddleware);
+
+// Add routes for testing
+app.get('/users/blocked', getBlockedUsers);
+app.get('/users/muted', getMutedUsers);
+app.post('/users/:id/block', blockUser);
+app.delete('/users/:id/block', unblockUser);
+app.post('/users/:id/mute', muteUser);
+app.delete('/users/:id/mute', unmuteUser);
+app.post('/chat/direct', createDirectChat);
+app.post('/chat/:chatId/participants', addParticipants);
+app.post('/message/:chatId', sendMessage);
+app.post('/contacts/requests', sendContactRequest);
+
+describe('Block and mute', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  const block = (from, to, reason) => request(app)
+    .post(`/users/${to._id}/block`)
+    .set('user-id', from._id.toString())
+    .send(reason ? { reason } : {});
+
+  beforeEach(async () => {
+    alice = await createUser('alice', { contactPolicy: 'open' });
+    bob = await createUser('bob', { contactPolicy: 'open' });
+    carol = await createUser('carol', { contactPolicy: 'open' });
+
+    await Contact.create({
+      requester: alice._id,
+      recipient: bob._id,
+      pairKey: Contact.getPairKey(alice._id, bob._id),
+      status: 'accepted'
+    });
+  });
+
+  it('should block a user and list them', async () => {
+    await block(alice, bob, 'Keeps being mean').expect(201);
+    await block(alice, bob).expect(200);
+
+    const response = await request(app)
+      .get('/users/blocked')
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    expect(response.body.results).toBe(1);
+    expect(response.body.data.blocked[0].user.username).toBe('bob');
+    expect(response.body.data.blocked[0].reason).toBe('Keeps being mean');
+  });
+
+  it('should not block yourself or an unknown user', async () => {
+    await block(alice, alice).expect(404);
+    await block(alice, { _id: '507f1f77bcf86cd799439011' }).expect(404);
+  });
+
+  it('should remove the contact when blocking', async () => {
+    await block(alice, bob).expect(201);
+
+    expect(await Contact.areContacts(alice._id, bob._id)).toBe(false);
+  });
+
+  it('should stop direct messages in both directions', async () => {
+    const chat = await Chat.createDirectChat(alice._id, bob._id);
+    await block(alice, bob).expect(201);
+
+    const response = await request(app)
+      .post(`/message/${chat._id}`)
+      .set('user-id', bob._id.toString())
+      .send({ content: 'Hello?' })
+      .expect(403);
+
+    expect(response.body.code).toBe('USER_BLOCKED');
+
+    await request(app)
+      .post(`/message/${chat._id}`)
+      .set('user-id', alice._id.toString())
+      .send({ content: 'Hello?' })
+      .expect(403);
+  });
+
+  it('should not start a direct chat or contact request with a blocked user', async () => {
+    await block(bob, alice).expect(201);
+
+    const response = await request(app)
+      .post('/chat/direct')
+      .set('user-id', alice._id.toString())
+      .send({ participantId: bob._id.toString() })
+      .expect(403);
+
+    expect(response.body.code).toBe('USER_BLOCKED');
+
+    await request(app)
+      .post('/contacts/requests')
+      .set('user-id', alice._id.toString())
+      .send({ userId: bob._id.toString() })
+      .expect(404);
+  });
+
+  it('should not add a blocked user to a group', async () => {
+    const group = await Chat.create({
+      name: 'Study Group',
+      chatType: 'group',
+      participants: [
+        { user: alice._id, role: 'admin' },
+        { user: carol._id, role: 'member' }
+      ],
+      createdBy: alice._id
+    });
+
+    await block(carol, bob).expect(201);
+
+    const response = await request(app)
+      .post(`/chat/${group._id}/participants`)
+      .set('user-id', alice._id.toString())
+      .send({ participants: [bob._id.toString()] })
+      .expect(403);
+
+    expect(response.body.code).toBe('USER_BLOCKED');
+  });
+
+  it('should allow messages again after unblocking', async () => {
+    const chat = await Chat.createDirectChat(alice._id, bob._id);
+    await block(alice, bob).expect(201);
+
+    await request(app)
+      .delete(`/users/${bob._id}/block`)
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    await request(app)
+      .post(`/message/${chat._id}`)
+      .set('user-id', bob._id.toString())
+      .send({ content: 'Sorry!' })
+      .expect(201);
+
+    expect(await Block.countDocuments()).toBe(0);
+  });
+
+  it('should mute for a limited time and still deliver messages', async () => {
+    const chat = await Chat.createDirectChat(alice._id, bob._id);
+
+    const response = await request(app)
+      .post(`/users/${bob._id}/mute`)
+      .set('user-id', alice._id.toString())
+      .send({ durationMinutes: 60 })
+      .expect(200);
+
+    expect(new Date(response.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(await Mute.getMuterIds(bob._id)).toEqual([alice._id.toString()]);
+
+    await request(app)
+      .post(`/message/${chat._id}`)
+      .set('user-id', bob._id.toString())
+      .send({ content: 'Still here' })
+      .expect(201);
+
+    const muted = await request(app)
+      .get('/users/muted')
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    expect(muted.body.data.muted[0].user.username).toBe('bob');
+
+    await request(app)
+      .delete(`/users/${bob._id}/mute`)
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    expect(await Mute.getMuterIds(bob._id)).toEqual([]);
+  });
+
+  it('should ignore expired mutes', async () => {
+    await Mute.create({ muter: alice._id, muted: bob._id, expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await Mute.getMuterIds(bob._id)).toEqual([]);
+  });
+
+  it('should reject an invalid mute duration', async () => {
+    await request(app)
+      .post(`/users/${bob._id}/mute`)
+      .set('user-id', alice._id.toString())
+      .send({ durationMinutes: -5 })
+      .expect(400);
+  });
+});
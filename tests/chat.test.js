@@ -41,6 +41,7 @@ describe('Chat Controller', () => {
       age: 12,
       parentEmail: 'parent1@example.com',
       role: 'children',
+      contactPolicy: 'open',
       isVerified: true
     });
 
@@ -52,6 +53,7 @@ describe('Chat Controller', () => {
       fullName: 'Test User 2',
       age: 13,
       role: 'children',
+      contactPolicy: 'open',
       isVerified: true
     });
 
@@ -63,6 +65,7 @@ describe('Chat Controller', () => {
       fullName: 'Test User 3',
       age: 14,
       role: 'children',
+      contactPolicy: 'open',
       isVerified: true
     });
   });
@@ -248,6 +251,7 @@ describe('Chat Controller', () => {
         age: 12,
         parentEmail: 'newparent@example.com',
         role: 'children',
+        contactPolicy: 'open',
         isVerified: true
       });
 
@@ -0,0 +1,213 @@
+import request from 'supertest';
+import express from 'express';
+import {
+  getContacts,
+  getContactRequests,
+  sendContactRequest,
+  acceptContactRequest,
+  declineContactRequest,
+  cancelContactRequest,
+  removeContact
+} from '../Controllers/contactController.js';
+import { createDirectChat } from '../Controllers/chatController.js';
+import Contact from '../Models/Contact.js';
+import ContactApproval from '../Models/ContactApproval.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use(mockAuthMiddleware);
+
+// Add routes for testing
+app.get('/contacts', getContacts);
+app.get('/contacts/requests', getContactRequests);
+app.post('/contacts/requests', sendContactRequest);
+app.post('/contacts/requests/:requestId/accept', acceptContactRequest);
+app.post('/contacts/requests/:requestId/decline', declineContactRequest);
+app.delete('/contacts/requests/:requestId', cancelContactRequest);
+app.delete('/contacts/:userId', removeContact);
+app.post('/chat/direct', createDirectChat);
+
+// Stand-in for the socket service that records emitted events
+const emitted = [];
+app.set('socketService', {
+  emitToUser: (userId, event, data) => emitted.push({ userId, event, data })
+});
+
+describe('Contacts', () => {
+  let alice;
+  let bob;
+
+  const sendRequest = (from, to) => request(app)
+    .post('/contacts/requests')
+    .set('user-id', from._id.toString())
+    .send({ username: to.username, message: 'Hi, it\'s me from class' });
+
+  beforeEach(async () => {
+    emitted.length = 0;
+    alice = await createUser('alice', { contactPolicy: 'open' });
+    bob = await createUser('bob', { contactPolicy: 'open' });
+  });
+
+  it('should send a request and notify the recipient', async () => {
+    const response = await sendRequest(alice, bob).expect(201);
+
+    expect(response.body.data.request.status).toBe('pending');
+    expect(response.body.data.parentApprovalPending).toBe(false);
+    expect(emitted).toContainEqual(expect.objectContaining({
+      userId: bob._id.toString(),
+      event: 'contactRequestReceived'
+    }));
+
+    const incoming = await request(app)
+      .get('/contacts/requests')
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    expect(incoming.body.data.requests).toHaveLength(1);
+    expect(incoming.body.data.requests[0].requester.username).toBe('alice');
+
+    const outgoing = await request(app)
+      .get('/contacts/requests?direction=outgoing')
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    expect(outgoing.body.data.requests).toHaveLength(1);
+  });
+
+  it('should not send duplicate or self requests', async () => {
+    await sendRequest(alice, bob).expect(201);
+    await sendRequest(alice, bob).expect(400);
+    await sendRequest(alice, alice).expect(400);
+  });
+
+  it('should make users contacts once accepted', async () => {
+    const { body } = await sendRequest(alice, bob).expect(201);
+
+    // Only the recipient can accept
+    await request(app)
+      .post(`/contacts/requests/${body.data.request.id}/accept`)
+      .set('user-id', alice._id.toString())
+      .expect(404);
+
+    await request(app)
+      .post(`/contacts/requests/${body.data.request.id}/accept`)
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    expect(await Contact.areContacts(alice._id, bob._id)).toBe(true);
+    expect(emitted).toContainEqual(expect.objectContaining({
+      userId: alice._id.toString(),
+      event: 'contactRequestAccepted'
+    }));
+
+    const contacts = await request(app)
+      .get('/contacts')
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    expect(contacts.body.data.contacts[0].user.username).toBe('bob');
+  });
+
+  it('should accept when both users ask each other', async () => {
+    await sendRequest(alice, bob).expect(201);
+    await sendRequest(bob, alice).expect(200);
+
+    expect(await Contact.areContacts(alice._id, bob._id)).toBe(true);
+  });
+
+  it('should stop the requester asking again straight after a decline', async () => {
+    const { body } = await sendRequest(alice, bob).expect(201);
+
+    await request(app)
+      .post(`/contacts/requests/${body.data.request.id}/decline`)
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    await sendRequest(alice, bob).expect(429);
+
+    // The person who declined can still change their mind
+    await sendRequest(bob, alice).expect(201);
+  });
+
+  it('should let the requester cancel', async () => {
+    const { body } = await sendRequest(alice, bob).expect(201);
+
+    await request(app)
+      .delete(`/contacts/requests/${body.data.request.id}`)
+      .set('user-id', alice._id.toString())
+      .expect(200);
+
+    const incoming = await request(app)
+      .get('/contacts/requests')
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    expect(incoming.body.data.requests).toHaveLength(0);
+    expect(emitted).toContainEqual(expect.objectContaining({
+      userId: bob._id.toString(),
+      event: 'contactRequestCancelled'
+    }));
+  });
+
+  it('should require an accepted contact to start a direct chat', async () => {
+    const response = await request(app)
+      .post('/chat/direct')
+      .set('user-id', alice._id.toString())
+      .send({ participantId: bob._id.toString() })
+      .expect(403);
+
+    expect(response.body.code).toBe('CONTACT_REQUIRED');
+
+    const { body } = await sendRequest(alice, bob).expect(201);
+    await request(app)
+      .post(`/contacts/requests/${body.data.request.id}/accept`)
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    await request(app)
+      .post('/chat/direct')
+      .set('user-id', alice._id.toString())
+      .send({ participantId: bob._id.toString() })
+      .expect(200);
+  });
+
+  it('should remove a contact', async () => {
+    const { body } = await sendRequest(alice, bob).expect(201);
+    await request(app)
+      .post(`/contacts/requests/${body.data.request.id}/accept`)
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    await request(app)
+      .delete(`/contacts/${alice._id}`)
+      .set('user-id', bob._id.toString())
+      .expect(200);
+
+    expect(await Contact.areContacts(alice._id, bob._id)).toBe(false);
+  });
+
+  it('should ask the parent when a child needs contact approval', async () => {
+    const child = await createUser('carol', { contactPolicy: 'approval_required' });
+
+    const response = await sendRequest(alice, child).expect(201);
+
+    expect(response.body.data.parentApprovalPending).toBe(true);
+    expect(await ContactApproval.countDocuments({ child: child._id, status: 'pending' })).toBe(1);
+  });
+
+  it('should refuse requests to children on allowlist only', async () => {
+    const child = await createUser('dave', { contactPolicy: 'allowlist_only' });
+
+    const response = await sendRequest(alice, child).expect(403);
+
+    expect(response.body.code).toBe('CONTACT_NOT_ALLOWED');
+  });
+});
@@ -0,0 +1,231 @@
+import request from 'supertest';
+import express from 'express';
+import { createDirectChat, addParticipants } from '../Controllers/chatController.js';
+import { sendMessage } from '../Controllers/messageController.js';
+import {
+  requestSignInLink,
+  verifySignInLink,
+  updateChildSettings,
+  getContactRequests,
+  approveContactRequest,
+  denyContactRequest,
+  addApprovedContact,
+  removeApprovedContact
+} from '../Controllers/parentController.js';
+import { protectParent } from '../middleware/auth.js';
+import User from '../Models/User.js';
+import Chat from '../Models/Chat.js';
+import Contact from '../Models/Contact.js';
+import ContactApproval from '../Models/ContactApproval.js';
+import Verification from '../Models/Verification.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware for user routes
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+
+// Add routes for testing
+app.post('/chat/direct', mockAuthMiddleware, createDirectChat);
+app.post('/chat/:chatId/participants', mockAuthMiddleware, addParticipants);
+app.post('/message/:chatId', mockAuthMiddleware, sendMessage);
+app.post('/parent/auth/request-link', requestSignInLink);
+app.post('/parent/auth/verify', verifySignInLink);
+app.patch('/parent/children/:childId/settings', protectParent, updateChildSettings);
+app.get('/parent/children/:childId/contact-requests', protectParent, getContactRequests);
+app.post('/parent/children/:childId/contact-requests/:requestId/approve', protectParent, approveContactRequest);
+app.post('/parent/children/:childId/contact-requests/:requestId/deny', protectParent, denyContactRequest);
+app.post('/parent/children/:childId/approved-contacts', protectParent, addApprovedContact);
+app.delete('/parent/children/:childId/approved-contacts/:contactId', protectParent, removeApprovedContact);
+
+// Stand-in for the socket service that records what each user is sent
+const socketEvents = [];
+app.set('socketService', {
+  emitToUser: (userId, event, data) => socketEvents.push({ userId, event, data })
+});
+
+describe('Contact approval', () => {
+  let child;
+  let stranger;
+  let adult;
+
+  const signInParent = async (email) => {
+    await request(app).post('/parent/auth/request-link').send({ email }).expect(200);
+    const verification = await Verification.findOne({ email, type: 'parent_login' });
+    const response = await request(app)
+      .post('/parent/auth/verify')
+      .send({ email, token: verification.code })
+      .expect(200);
+    return response.body.token;
+  };
+
+  const openDirectChat = (fromUser, toUser) => request(app)
+    .post('/chat/direct')
+    .set('user-id', fromUser._id.toString())
+    .send({ participantId: toUser._id.toString() });
+
+  beforeEach(async () => {
+    child = await createUser('kiddo');
+    stranger = await createUser('stranger', { contactPolicy: 'open' });
+    adult = await createUser('grownup', { age: 17, role: 'user', contactPolicy: 'open' });
+
+    // Direct chats also need an accepted contact request
+    await Contact.create({
+      requester: stranger._id,
+      recipient: child._id,
+      pairKey: Contact.getPairKey(stranger._id, child._id),
+      status: 'accepted'
+    });
+  });
+
+  it('should default child accounts to approval required', () => {
+    expect(child.contactPolicy).toBe('approval_required');
+    expect(child.requiresContactApproval()).toBe(true);
+    expect(adult.requiresContactApproval()).toBe(false);
+  });
+
+  it('should hold a new contact until the parent approves it', async () => {
+    const response = await openDirectChat(stranger, child).expect(403);
+
+    expect(response.body.code).toBe('CONTACT_APPROVAL_PENDING');
+    expect(await Chat.countDocuments()).toBe(0);
+
+    const pending = await ContactApproval.findOne({ child: child._id, contact: stranger._id });
+    expect(pending.status).toBe('pending');
+    expect(pending.requestedBy.toString()).toBe(stranger._id.toString());
+
+    // Asking again doesn't create a second request
+    await openDirectChat(stranger, child).expect(403);
+    expect(await ContactApproval.countDocuments()).toBe(1);
+
+    const parentToken = await signInParent('kiddo.parent@example.com');
+
+    const list = await request(app)
+      .get(`/parent/children/${child._id}/contact-requests`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .expect(200);
+
+    expect(list.body.results).toBe(1);
+    expect(list.body.data.requests[0].contact.username).toBe('stranger');
+
+    await request(app)
+      .post(`/parent/children/${child._id}/contact-requests/${pending._id}/approve`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .expect(200);
+
+    // Sent under the new and the original event name
+    const sentToStranger = socketEvents.filter(sent => sent.userId === stranger._id.toString());
+    expect(sentToStranger.map(sent => sent.event)).toEqual(['contactApprovalUpdated', 'contactRequestUpdated']);
+    expect(sentToStranger[1].data.status).toBe('approved');
+
+    await openDirectChat(stranger, child).expect(200);
+  });
+
+  it('should keep a denied contact blocked', async () => {
+    await openDirectChat(child, stranger).expect(403);
+    const pending = await ContactApproval.findOne({ child: child._id });
+
+    const parentToken = await signInParent('kiddo.parent@example.com');
+    await request(app)
+      .post(`/parent/children/${child._id}/contact-requests/${pending._id}/deny`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .expect(200);
+
+    const response = await openDirectChat(child, stranger).expect(403);
+    expect(response.body.code).toBe('CONTACT_DENIED');
+  });
+
+  it('should only allow contacts the parent added under allowlist only', async () => {
+    const parentToken = await signInParent('kiddo.parent@example.com');
+
+    await request(app)
+      .patch(`/parent/children/${child._id}/settings`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .send({ contactPolicy: 'allowlist_only' })
+      .expect(200);
+
+    const response = await openDirectChat(stranger, child).expect(403);
+    expect(response.body.code).toBe('CONTACT_NOT_ALLOWED');
+    expect(await ContactApproval.countDocuments()).toBe(0);
+
+    await request(app)
+      .post(`/parent/children/${child._id}/approved-contacts`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .send({ username: 'stranger' })
+      .expect(200);
+
+    await openDirectChat(stranger, child).expect(200);
+
+    await request(app)
+      .delete(`/parent/children/${child._id}/approved-contacts/${stranger._id}`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .expect(200);
+
+    await openDirectChat(stranger, child).expect(403);
+  });
+
+  it('should reject an invalid policy', async () => {
+    const parentToken = await signInParent('kiddo.parent@example.com');
+
+    await request(app)
+      .patch(`/parent/children/${child._id}/settings`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .send({ contactPolicy: 'anything_goes' })
+      .expect(400);
+  });
+
+  it('should let children on the open policy chat with anyone', async () => {
+    await User.updateOne({ _id: child._id }, { contactPolicy: 'open' });
+
+    await openDirectChat(stranger, child).expect(200);
+  });
+
+  it('should reject messages once a contact is no longer approved', async () => {
+    await ContactApproval.create({ child: child._id, contact: stranger._id, status: 'approved', source: 'parent' });
+    const chat = await Chat.createDirectChat(stranger._id, child._id);
+
+    await request(app)
+      .post(`/message/${chat._id}`)
+      .set('user-id', stranger._id.toString())
+      .send({ content: 'Hello!' })
+      .expect(201);
+
+    await User.updateOne({ _id: child._id }, { contactPolicy: 'allowlist_only' });
+    await ContactApproval.deleteMany({});
+
+    const response = await request(app)
+      .post(`/message/${chat._id}`)
+      .set('user-id', stranger._id.toString())
+      .send({ content: 'Hello again!' })
+      .expect(403);
+
+    expect(response.body.code).toBe('CONTACT_NOT_ALLOWED');
+  });
+
+  it('should not add an unapproved child to a group', async () => {
+    const group = await Chat.create({
+      name: 'Study Group',
+      chatType: 'group',
+      participants: [
+        { user: stranger._id, role: 'admin' },
+        { user: adult._id, role: 'member' }
+      ],
+      createdBy: stranger._id
+    });
+
+    const response = await request(app)
+      .post(`/chat/${group._id}/participants`)
+      .set('user-id', stranger._id.toString())
+      .send({ participants: [child._id.toString()] })
+      .expect(403);
+
+    expect(response.body.code).toBe('CONTACT_APPROVAL_PENDING');
+    // The child's parent is asked about both group members
+    expect(await ContactApproval.countDocuments({ child: child._id, status: 'pending' })).toBe(2);
+  });
+});
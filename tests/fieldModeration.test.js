@@ -0,0 +1,287 @@
+import request from 'supertest';
+import express from 'express';
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { signup, updateMe, uploadProfilePicture } from '../Controllers/authController.js';
+import { createGroupChat, updateChatSettings, uploadChatAvatar } from '../Controllers/chatController.js';
+import { getProfilePicture } from '../Controllers/imageController.js';
+import upload, { processImageUpload } from '../middleware/upload.js';
+import fieldModerationService from '../services/fieldModerationService.js';
+import imageHashService from '../services/imageHashService.js';
+import { createLocalStorage, setStorage } from '../services/storage/index.js';
+import User from '../Models/User.js';
+import Chat from '../Models/Chat.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createUser } from './fixtures.js';
+
+// Stand in for the remote text and image checks
+const originalPost = axios.post;
+let textScores;
+let imageBlocked;
+
+const mockRemote = () => {
+  axios.post = async (url) => {
+    if (url.endsWith('/check-image')) {
+      return { data: imageBlocked ? { result: true, confidence: 0.95, categories: ['sexual'] } : { result: false } };
+    }
+    return { data: { categories: textScores } };
+  };
+};
+
+const remoteDown = () => {
+  axios.post = async () => {
+    throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  };
+};
+
+describe('Field moderation policies', () => {
+  beforeEach(() => {
+    textScores = {};
+    mockRemote();
+  });
+
+  afterEach(() => {
+    axios.post = originalPost;
+  });
+
+  it('should reject personal information the field does not allow', async () => {
+    const check = await fieldModerationService.checkText('username', 'kid 0771234567');
+
+    expect(check).toEqual(expect.objectContaining({ allowed: false, field: 'username', reason: 'personal_info', statusCode: 400 }));
+    expect((await fieldModerationService.checkText('caption', 'see https://example.com')).allowed).toBe(true);
+    expect((await fieldModerationService.checkText('chatName', 'see https://example.com')).allowed).toBe(false);
+  });
+
+  it('should reject anything a message would be warned about', async () => {
+    textScores = { bullying: 0.75 };
+
+    const check = await fieldModerationService.checkText('fullName', 'Some Name');
+
+    expect(check).toEqual(expect.objectContaining({ allowed: false, reason: 'inappropriate_content', category: 'bullying' }));
+    expect(check.message).toBe('This name isn\'t allowed. Please choose a different one.');
+  });
+
+  it('should accept text that passed the local rules while the service is down', async () => {
+    remoteDown();
+
+    expect(await fieldModerationService.checkText('fullName', 'Sam Perera')).toEqual({ allowed: true, unmoderated: true });
+    expect((await fieldModerationService.checkText('fullName', 'you idiot')).allowed).toBe(false);
+  });
+
+  it('should accept usernames that only look like a listed word', async () => {
+    expect((await fieldModerationService.checkText('username', 'bobs_world')).allowed).toBe(true);
+  });
+
+  it('should stop at the first rejected field', async () => {
+    const check = await fieldModerationService.checkTextFields({ username: 'kid_one', fullName: 'mail me kid@example.com', chatName: undefined });
+
+    expect(check.field).toBe('fullName');
+  });
+});
+
+// A photo to upload
+const createPhoto = () => sharp({
+  create: { width: 300, height: 200, channels: 3, background: { r: 40, g: 120, b: 200 } }
+}).jpeg().toBuffer();
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.set('io', { to: () => ({ emit: () => {} }) });
+app.post('/auth/signup', signup);
+app.use(mockAuthMiddleware);
+app.patch('/auth/updateMe', updateMe);
+app.post('/auth/profile-picture', upload.single('image'), processImageUpload, uploadProfilePicture);
+app.post('/chats/group', createGroupChat);
+app.put('/chats/:chatId/settings', updateChatSettings);
+app.post('/chats/:chatId/avatar', upload.single('image'), processImageUpload, uploadChatAvatar);
+app.get('/images/profile/:userId', getProfilePicture);
+
+// Incidents are logged in the background
+const waitForIncidents = () => new Promise(resolve => setTimeout(resolve, 200));
+
+describe('Moderated profile and chat fields', () => {
+  let dir;
+  let child;
+  let teen;
+  let otherTeen;
+
+  beforeEach(async () => {
+    textScores = {};
+    imageBlocked = false;
+    mockRemote();
+    imageHashService.invalidate();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chuti-fields-'));
+    setStorage(createLocalStorage({ root: dir }));
+
+    child = await createUser('child', { age: 9 });
+    teen = await createUser('teen', { age: 16, contactPolicy: 'open' });
+    otherTeen = await createUser('otherteen', { age: 17, contactPolicy: 'open' });
+  });
+
+  afterEach(() => {
+    axios.post = originalPost;
+    setStorage(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should reject an unsuitable username at signup', async () => {
+    const response = await request(app)
+      .post('/auth/signup')
+      .send({
+        username: 'stupid_loser',
+        email: 'new@example.com',
+        password: 'Purple-Otter-72',
+        fullName: 'New User',
+        age: 12,
+        parentEmail: 'parent@example.com'
+      })
+      .expect(400);
+
+    expect(response.body.status).toBe('fail');
+    expect(response.body.moderation).toEqual(expect.objectContaining({ field: 'username', reason: 'inappropriate_content' }));
+    expect(await User.exists({ email: 'new@example.com' })).toBeNull();
+  });
+
+  it('should check names on update and log the rejection against the field', async () => {
+    textScores = { bullying: 0.8 };
+
+    await request(app)
+      .patch('/auth/updateMe')
+      .set('user-id', child._id.toString())
+      .send({ fullName: 'Some Name' })
+      .expect(400);
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: child._id });
+    expect(incident.field).toBe('fullName');
+    expect((await User.findById(child._id)).fullName).toBe('child');
+  });
+
+  it('should only let a profile picture be set by uploading it', async () => {
+    const response = await request(app)
+      .patch('/auth/updateMe')
+      .set('user-id', child._id.toString())
+      .send({ profilePicture: 'https://example.com/anything.jpg' })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/profile-picture/);
+  });
+
+  it('should keep a blocked profile picture off the profile', async () => {
+    imageBlocked = true;
+
+    const response = await request(app)
+      .post('/auth/profile-picture')
+      .set('user-id', child._id.toString())
+      .attach('image', await createPhoto(), 'me.jpg')
+      .expect(400);
+
+    expect(response.body.moderation.field).toBe('profilePicture');
+    const user = await User.findById(child._id);
+    expect(user.profilePicture).toBe('');
+    expect(user.profileImage.key).toBeNull();
+    expect(fs.readdirSync(path.join(dir, 'images'))).toHaveLength(0);
+  });
+
+  it('should set, serve and remove an approved profile picture', async () => {
+    const response = await request(app)
+      .post('/auth/profile-picture')
+      .set('user-id', child._id.toString())
+      .attach('image', await createPhoto(), 'me.jpg')
+      .expect(200);
+
+    expect(response.body.data.user.profilePicture).toMatch(new RegExp(`^/api/images/profile/${child._id}\\?v=[0-9a-f]{12}$`));
+
+    const image = await request(app)
+      .get(`/images/profile/${child._id}?size=thumbnail`)
+      .set('user-id', teen._id.toString())
+      .expect(200);
+    expect(image.headers['content-type']).toBe('image/jpeg');
+
+    await request(app)
+      .patch('/auth/updateMe')
+      .set('user-id', child._id.toString())
+      .send({ profilePicture: '' })
+      .expect(200);
+
+    expect(fs.readdirSync(path.join(dir, 'images'))).toHaveLength(0);
+    await request(app)
+      .get(`/images/profile/${child._id}`)
+      .set('user-id', teen._id.toString())
+      .expect(404);
+  });
+
+  it('should judge chat names by the youngest member', async () => {
+    textScores = { bullying: 0.65 };
+
+    await request(app)
+      .post('/chats/group')
+      .set('user-id', teen._id.toString())
+      .send({ name: 'Rough crowd', participants: [otherTeen._id.toString()] })
+      .expect(201);
+
+    const check = await fieldModerationService.checkText('chatName', 'Rough crowd', { memberIds: [teen._id, child._id] });
+    expect(check).toEqual(expect.objectContaining({ allowed: false, field: 'chatName', category: 'bullying' }));
+  });
+
+  it('should check chat descriptions and pictures on update', async () => {
+    const chat = await Chat.create({
+      name: 'Book club',
+      chatType: 'group',
+      createdBy: teen._id,
+      participants: [{ user: teen._id, role: 'admin' }, { user: otherTeen._id, role: 'member' }]
+    });
+
+    const rejected = await request(app)
+      .put(`/chats/${chat._id}/settings`)
+      .set('user-id', teen._id.toString())
+      .send({ description: 'Text me on 077 123 4567' })
+      .expect(400);
+    expect(rejected.body).toEqual(expect.objectContaining({ success: false, moderation: expect.objectContaining({ field: 'chatDescription', reason: 'personal_info' }) }));
+
+    await request(app)
+      .put(`/chats/${chat._id}/settings`)
+      .set('user-id', teen._id.toString())
+      .send({ avatar: 'https://example.com/anything.jpg' })
+      .expect(400);
+
+    // Only admins and moderators can change the picture
+    await request(app)
+      .post(`/chats/${chat._id}/avatar`)
+      .set('user-id', otherTeen._id.toString())
+      .attach('image', await createPhoto(), 'club.jpg')
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/chats/${chat._id}/avatar`)
+      .set('user-id', teen._id.toString())
+      .attach('image', await createPhoto(), 'club.jpg')
+      .expect(200);
+
+    expect(response.body.data.avatar).toMatch(new RegExp(`^/api/images/chat/${chat._id}\\?v=`));
+    expect((await Chat.findById(chat._id)).description).toBeUndefined();
+  });
+
+  it('should refuse pictures while image moderation is down', async () => {
+    remoteDown();
+
+    const response = await request(app)
+      .post('/auth/profile-picture')
+      .set('user-id', teen._id.toString())
+      .attach('image', await createPhoto(), 'me.jpg')
+      .expect(503);
+
+    expect(response.body.status).toBe('error');
+    expect(response.body.moderation.reason).toBe('moderation_unavailable');
+  });
+});
@@ -0,0 +1,15 @@
+import User from '../Models/User.js';
+
+// A verified child account. The User model only allows ages 5-17, so staff
+// accounts in tests are created with an age in that range too.
+export const createUser = (username, extra = {}) => User.create({
+  username,
+  email: `${username}@example.com`,
+  password: 'password123',
+  fullName: username,
+  age: 12,
+  role: 'children',
+  parentEmail: `${username}.parent@example.com`,
+  isVerified: true,
+  ...extra
+});
@@ -0,0 +1,210 @@
+import request from 'supertest';
+import express from 'express';
+import { login } from '../Controllers/authController.js';
+import {
+  getIdentityProviders,
+  identityLogin,
+  registerWithIdentity,
+  linkIdentity,
+  unlinkIdentity
+} from '../Controllers/identityController.js';
+import { protect } from '../middleware/auth.js';
+import { setFirebaseTokenVerifier } from '../services/identityProviders/index.js';
+import User from '../Models/User.js';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+
+// Add routes for testing
+app.post('/auth/login', login);
+app.get('/identity/providers', getIdentityProviders);
+app.post('/identity/:provider/login', identityLogin);
+app.post('/identity/:provider/register', registerWithIdentity);
+app.post('/identity/:provider/link', protect, linkIdentity);
+app.delete('/identity/:provider/link', protect, unlinkIdentity);
+
+// Stubbed Firebase verifier - tokens are looked up instead of verified
+const tokens = {
+  'google-new': {
+    uid: 'google-uid-1',
+    email: 'newkid@example.com',
+    email_verified: true,
+    name: 'New Kid',
+    firebase: { sign_in_provider: 'google.com' }
+  },
+  'google-existing': {
+    uid: 'google-uid-2',
+    email: 'test@example.com',
+    email_verified: true,
+    firebase: { sign_in_provider: 'google.com' }
+  },
+  'email-link': {
+    uid: 'firebase-uid-3',
+    email: 'test@example.com',
+    email_verified: true,
+    firebase: { sign_in_provider: 'password' }
+  }
+};
+
+describe('Identity providers', () => {
+  let testUser;
+
+  beforeAll(() => {
+    setFirebaseTokenVerifier(async (idToken) => {
+      if (!tokens[idToken]) {
+        throw new Error('Invalid token');
+      }
+      return tokens[idToken];
+    });
+  });
+
+  afterAll(() => {
+    setFirebaseTokenVerifier(null);
+  });
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123',
+      fullName: 'Test User',
+      age: 12,
+      role: 'children',
+      parentEmail: 'parent@example.com',
+      isVerified: true,
+      emailVerified: true
+    });
+  });
+
+  const loginWithPassword = () => request(app)
+    .post('/auth/login')
+    .send({ emailOrUsername: 'test@example.com', password: 'password123' })
+    .expect(200);
+
+  it('should list registered providers', async () => {
+    const response = await request(app).get('/identity/providers').expect(200);
+    const names = response.body.data.providers.map(provider => provider.name);
+
+    expect(names).toEqual(expect.arrayContaining(['google', 'emailLink']));
+  });
+
+  it('should reject unknown providers and invalid tokens', async () => {
+    await request(app).post('/identity/myspace/login').send({ idToken: 'google-new' }).expect(404);
+    await request(app).post('/identity/google/login').send({ idToken: 'forged' }).expect(401);
+  });
+
+  it('should reject a token issued for a different provider', async () => {
+    const response = await request(app)
+      .post('/identity/google/login')
+      .send({ idToken: 'email-link' })
+      .expect(400);
+
+    expect(response.body.message).toContain('Google');
+  });
+
+  it('should ask new users to register, then create the account', async () => {
+    const login = await request(app)
+      .post('/identity/google/login')
+      .send({ idToken: 'google-new' })
+      .expect(400);
+
+    expect(login.body.needsRegistration).toBe(true);
+
+    const register = await request(app)
+      .post('/identity/google/register')
+      .send({ idToken: 'google-new', age: 10, parentEmail: 'parent@example.com', fullName: 'New Kid' })
+      .expect(201);
+
+    expect(register.body.token).toBeDefined();
+    expect(register.body.data.user.identities[0].provider).toBe('google');
+
+    const user = await User.findByIdentity('google', 'google-uid-1');
+    expect(user.email).toBe('newkid@example.com');
+    expect(user.role).toBe('children');
+
+    await request(app)
+      .post('/identity/google/login')
+      .send({ idToken: 'google-new' })
+      .expect(200);
+  });
+
+  it('should link to an existing account only when both sides verified the email', async () => {
+    await User.updateOne({ _id: testUser._id }, { emailVerified: false });
+
+    await request(app)
+      .post('/identity/google/login')
+      .send({ idToken: 'google-existing' })
+      .expect(409);
+
+    await User.updateOne({ _id: testUser._id }, { emailVerified: true });
+
+    await request(app)
+      .post('/identity/google/login')
+      .send({ idToken: 'google-existing' })
+      .expect(200);
+
+    const user = await User.findById(testUser._id);
+    expect(user.getIdentity('google').providerUid).toBe('google-uid-2');
+  });
+
+  it('should link and unlink providers for a signed-in user', async () => {
+    const { body } = await loginWithPassword();
+
+    await request(app)
+      .post('/identity/emailLink/link')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ idToken: 'email-link' })
+      .expect(200);
+
+    await request(app)
+      .post('/identity/emailLink/login')
+      .send({ idToken: 'email-link' })
+      .expect(200);
+
+    await request(app)
+      .delete('/identity/emailLink/link')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(200);
+
+    const user = await User.findById(testUser._id);
+    expect(user.identities).toHaveLength(0);
+  });
+
+  it('should not link an identity that belongs to another user', async () => {
+    await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123',
+      age: 12,
+      parentEmail: 'parent@example.com',
+      identities: [{ provider: 'google', providerUid: 'google-uid-2', email: 'test@example.com' }]
+    });
+    const { body } = await loginWithPassword();
+
+    await request(app)
+      .post('/identity/google/link')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ idToken: 'google-existing' })
+      .expect(409);
+  });
+
+  it('should not unlink the only sign-in method', async () => {
+    await request(app)
+      .post('/identity/google/register')
+      .send({ idToken: 'google-new', age: 10, parentEmail: 'parent@example.com', fullName: 'New Kid' })
+      .expect(201);
+
+    const { body } = await request(app)
+      .post('/identity/google/login')
+      .send({ idToken: 'google-new' })
+      .expect(200);
+
+    const response = await request(app)
+      .delete('/identity/google/link')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(400);
+
+    expect(response.body.message).toContain('only sign-in method');
+  });
+});
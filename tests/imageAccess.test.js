@@ -0,0 +1,178 @@
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { getImage, getImageUrl } from '../Controllers/imageController.js';
+import { deleteMessage } from '../Controllers/messageController.js';
+import { resolveReport } from '../Controllers/reportController.js';
+import { protectImage } from '../middleware/auth.js';
+import imageService from '../services/imageService.js';
+import User from '../Models/User.js';
+import Chat from '../Models/Chat.js';
+import Message from '../Models/Message.js';
+import Report from '../Models/Report.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware; signed links go through the real one
+const mockAuthMiddleware = async (req, res, next) => {
+  if (req.query.token) {
+    return protectImage(req, res, next);
+  }
+  const user = await User.findById(req.headers['user-id']);
+  req.user = { id: user.id, _id: user._id, role: user.role };
+  // Sessions have passed two-factor unless the test says otherwise
+  req.authSession = { mfaVerifiedAt: req.headers['password-only'] ? null : new Date() };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use(mockAuthMiddleware);
+app.get('/images/:messageId/url', getImageUrl);
+app.get('/images/:messageId', getImage);
+app.delete('/messages/:id', deleteMessage);
+app.post('/admin/reports/:reportId/resolve', resolveReport);
+
+const IMAGES_DIR = path.join(process.cwd(), 'uploads', 'images');
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+describe('Image access', () => {
+  let sender;
+  let friend;
+  let stranger;
+  let moderator;
+  let chat;
+  let message;
+  let fileKey;
+
+  const getAs = (user, url) => request(app).get(url).set('user-id', user._id.toString());
+
+  beforeEach(async () => {
+    sender = await createUser('sender');
+    friend = await createUser('friend');
+    stranger = await createUser('stranger');
+    moderator = await createUser('moderator', { age: 17, role: 'moderator' });
+    chat = await Chat.createDirectChat(sender._id, friend._id);
+
+    // Named .jpg, but really a PNG
+    fileKey = `photo-${Date.now()}.jpg`;
+    fs.mkdirSync(IMAGES_DIR, { recursive: true });
+    fs.writeFileSync(path.join(IMAGES_DIR, fileKey), PNG_BYTES);
+
+    message = new Message({
+      content: 'photo.jpg',
+      messageType: 'image',
+      sender: sender._id,
+      chat: chat._id,
+      fileKey
+    });
+    message.fileUrl = `/api/images/${message._id}`;
+    await message.save();
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.join(IMAGES_DIR, fileKey), { force: true });
+  });
+
+  it('should serve images to chat participants with their real type', async () => {
+    const response = await getAs(friend, `/images/${message._id}`).expect(200);
+
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(response.headers['cache-control']).toBe('private, max-age=300');
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  it('should hide images from everyone else', async () => {
+    await getAs(stranger, `/images/${message._id}`).expect(404);
+
+    // Moderators only see reported images
+    await getAs(moderator, `/images/${message._id}`).expect(404);
+    await Report.create({
+      reporter: friend._id,
+      targetType: 'message',
+      message: message._id,
+      reportedUser: sender._id,
+      chat: chat._id,
+      category: 'inappropriate_content'
+    });
+    await getAs(moderator, `/images/${message._id}`).expect(200);
+
+    // Not without two-factor on the session
+    await getAs(moderator, `/images/${message._id}`).set('password-only', '1').expect(404);
+  });
+
+  it('should hide held images from everyone but the sender', async () => {
+    await Message.updateOne({ _id: message._id }, { moderationStatus: 'pending' });
+
+    await getAs(sender, `/images/${message._id}`).expect(200);
+    await getAs(friend, `/images/${message._id}`).expect(404);
+  });
+
+  it('should still find images by their old filename URL', async () => {
+    await Message.updateOne({ _id: message._id }, { fileKey: null, fileUrl: `/uploads/images/${fileKey}` });
+
+    await getAs(friend, `/images/${fileKey}`).expect(200);
+    await getAs(stranger, `/images/${fileKey}`).expect(404);
+  });
+
+  it('should load images through a signed link for that message only', async () => {
+    const response = await getAs(friend, `/images/${message._id}/url`).expect(200);
+    const { url, expiresAt } = response.body.data;
+
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const signed = await request(app).get(url.replace('/api', '')).expect(200);
+    expect(signed.headers['content-type']).toBe('image/png');
+
+    const token = new URL(url, 'http://localhost').searchParams.get('token');
+    const other = await Message.create({ content: 'other.jpg', messageType: 'image', sender: friend._id, chat: chat._id });
+    await request(app).get(`/images/${other._id}?token=${token}`).expect(401);
+
+    await getAs(stranger, `/images/${message._id}/url`).expect(404);
+  });
+
+  it('should delete the file with its message', async () => {
+    await request(app)
+      .delete(`/messages/${message._id}`)
+      .set('user-id', sender._id.toString())
+      .expect(200);
+
+    expect(fs.existsSync(path.join(IMAGES_DIR, fileKey))).toBe(false);
+  });
+
+  it('should keep a reported image until the report is resolved', async () => {
+    const report = await Report.create({
+      reporter: friend._id,
+      targetType: 'message',
+      message: message._id,
+      reportedUser: sender._id,
+      chat: chat._id,
+      category: 'inappropriate_content',
+      status: 'in_review',
+      assignedTo: moderator._id
+    });
+
+    await request(app)
+      .delete(`/messages/${message._id}`)
+      .set('user-id', sender._id.toString())
+      .expect(200);
+
+    expect(fs.existsSync(path.join(IMAGES_DIR, fileKey))).toBe(true);
+    await getAs(moderator, `/images/${message._id}`).expect(200);
+
+    await request(app)
+      .post(`/admin/reports/${report._id}/resolve`)
+      .set('user-id', moderator._id.toString())
+      .send({ status: 'dismissed' })
+      .expect(200);
+
+    expect(fs.existsSync(path.join(IMAGES_DIR, fileKey))).toBe(false);
+  });
+
+  it('should detect image types from their bytes', async () => {
+    expect(await imageService.detectContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(await imageService.detectContentType(Buffer.from('RIFF\0\0\0\0WEBP'))).toBe('image/webp');
+    expect(await imageService.detectContentType(Buffer.from('<svg></svg>'))).toBeNull();
+  });
+});
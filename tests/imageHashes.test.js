@@ -0,0 +1,184 @@
+import request from 'supertest';
+import express from 'express';
+import axios from 'axios';
+import sharp from 'sharp';
+import { getImageHashes, addImageHash, importImageHashes, deleteImageHash } from '../Controllers/imageHashController.js';
+import contentMonitoringService from '../services/contentMonitoringService.js';
+import imageHashService from '../services/imageHashService.js';
+import { computeImageHashes, hammingDistance } from '../utils/perceptualHash.js';
+import Chat from '../Models/Chat.js';
+import ImageHash from '../Models/ImageHash.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createUser } from './fixtures.js';
+
+// A picture with some structure to it, different for each seed
+const createPicture = (seed, width = 200, height = 150) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      pixels[i] = Math.sin(x / (10 + seed)) * 127 + 128;
+      pixels[i + 1] = Math.cos(y / (7 + seed * 2)) * 127 + 128;
+      pixels[i + 2] = (x * y * seed) % 256;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+};
+
+// The same picture as someone might send it again
+const resend = (image) => sharp(image).resize(120).jpeg({ quality: 40 }).toBuffer();
+
+describe('Perceptual hashes', () => {
+  it('should stay close for a resized, recompressed copy', async () => {
+    const original = await computeImageHashes(await createPicture(1));
+    const copy = await computeImageHashes(await resend(await createPicture(1)));
+    const other = await computeImageHashes(await createPicture(3));
+
+    expect(hammingDistance(original.pHash, copy.pHash)).toBeLessThanOrEqual(4);
+    expect(hammingDistance(original.dHash, copy.dHash)).toBeLessThanOrEqual(4);
+    expect(hammingDistance(original.pHash, other.pHash)).toBeGreaterThan(16);
+  });
+
+  it('should count differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+});
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use(mockAuthMiddleware);
+app.get('/admin/moderation/image-hashes', getImageHashes);
+app.post('/admin/moderation/image-hashes', addImageHash);
+app.post('/admin/moderation/image-hashes/import', importImageHashes);
+app.delete('/admin/moderation/image-hashes/:hashId', deleteImageHash);
+
+// Incidents are logged in the background
+const waitForIncidents = () => new Promise(resolve => setTimeout(resolve, 200));
+
+describe('Known-bad image index', () => {
+  const originalPost = axios.post;
+  let admin;
+  let sender;
+  let chat;
+  let remoteCalls;
+
+  // The remote check says every image is inappropriate
+  const remoteBlocksEverything = () => {
+    axios.post = async () => {
+      remoteCalls += 1;
+      return { data: { result: true, confidence: 0.97, categories: ['sexual'] } };
+    };
+  };
+
+  beforeEach(async () => {
+    remoteCalls = 0;
+    imageHashService.invalidate();
+    admin = await createUser('admin', { age: 17, role: 'admin' });
+    sender = await createUser('sender');
+    const friend = await createUser('friend');
+    chat = await Chat.createDirectChat(sender._id, friend._id);
+  });
+
+  afterEach(() => {
+    axios.post = originalPost;
+  });
+
+  it('should block a re-upload of a blocked image without asking the remote service', async () => {
+    remoteBlocksEverything();
+    const first = await contentMonitoringService.monitorImageContent(await createPicture(1), sender._id.toString(), chat._id);
+
+    expect(first.reason).toBe('inappropriate_image');
+    expect(remoteCalls).toBe(1);
+    expect(await ImageHash.countDocuments({ source: 'blocked', category: 'sexual' })).toBe(1);
+
+    await waitForIncidents();
+    const again = await contentMonitoringService.monitorImageContent(await resend(await createPicture(1)), sender._id.toString(), chat._id);
+
+    expect(again).toEqual(expect.objectContaining({ blocked: true, reason: 'known_inappropriate_image', repeatOffender: true }));
+    expect(remoteCalls).toBe(1);
+    expect((await ImageHash.findOne()).matchCount).toBe(1);
+
+    await waitForIncidents();
+    const flagged = await ModerationIncident.findOne({ user: sender._id, action: 'flagged' });
+    expect(flagged.category).toBe('repeat_offender');
+    expect(await ModerationIncident.countDocuments({ user: sender._id, provider: 'image_hash_index', action: 'blocked' })).toBe(1);
+  });
+
+  it('should let other images through to the remote check', async () => {
+    await imageHashService.addImage(await createPicture(1), { source: 'admin' });
+    axios.post = async () => {
+      remoteCalls += 1;
+      return { data: { result: false } };
+    };
+
+    const result = await contentMonitoringService.monitorImageContent(await createPicture(3), sender._id.toString(), chat._id);
+
+    expect(result.blocked).toBe(false);
+    expect(remoteCalls).toBe(1);
+  });
+
+  it('should import hash lists, skipping duplicates and bad entries', async () => {
+    const { pHash, dHash } = await computeImageHashes(await createPicture(2));
+
+    const response = await request(app)
+      .post('/admin/moderation/image-hashes/import')
+      .set('user-id', admin._id.toString())
+      .send({
+        hashes: [
+          { pHash, dHash, category: 'violence' },
+          { pHash: pHash.toUpperCase(), dHash },
+          { pHash: 'not-a-hash' },
+          { note: 'no hashes' },
+          { dHash: '00ff00ff00ff00ff' }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.data).toEqual({ added: 2, duplicates: 1, invalid: [2, 3] });
+
+    const result = await contentMonitoringService.monitorImageContent(await resend(await createPicture(2)), sender._id.toString(), chat._id);
+    expect(result.details.category).toBe('violence');
+
+    const list = await request(app)
+      .get('/admin/moderation/image-hashes?source=import')
+      .set('user-id', admin._id.toString())
+      .expect(200);
+    expect(list.body.data.pagination.totalHashes).toBe(2);
+  });
+
+  it('should let admins add and remove hashes', async () => {
+    const { pHash } = await computeImageHashes(await createPicture(1));
+
+    await request(app)
+      .post('/admin/moderation/image-hashes')
+      .set('user-id', admin._id.toString())
+      .send({ pHash: 'xyz' })
+      .expect(400);
+
+    const added = await request(app)
+      .post('/admin/moderation/image-hashes')
+      .set('user-id', admin._id.toString())
+      .send({ pHash, note: 'reported by a school' })
+      .expect(201);
+
+    expect(added.body.data.source).toBe('admin');
+    expect((await contentMonitoringService.monitorImageContent(await createPicture(1), sender._id.toString(), chat._id)).blocked).toBe(true);
+
+    await request(app)
+      .delete(`/admin/moderation/image-hashes/${added.body.data._id}`)
+      .set('user-id', admin._id.toString())
+      .expect(200);
+
+    axios.post = async () => ({ data: { result: false } });
+    expect((await contentMonitoringService.monitorImageContent(await createPicture(1), sender._id.toString(), chat._id)).blocked).toBe(false);
+  });
+});
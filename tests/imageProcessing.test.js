@@ -0,0 +1,173 @@
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { getImage } from '../Controllers/imageController.js';
+import { processImageUpload } from '../middleware/upload.js';
+import imageService from '../services/imageService.js';
+import { createLocalStorage, setStorage } from '../services/storage/index.js';
+import Chat from '../Models/Chat.js';
+import Message from '../Models/Message.js';
+import { createUser } from './fixtures.js';
+
+// A photo with a location and camera details in its EXIF data
+const createPhoto = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } }
+})
+  .jpeg()
+  .withExifMerge({
+    IFD0: { Make: 'PhoneCam', Model: 'Kid Phone 3' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '6/1 55/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '79/1 51/1 0/1' }
+  })
+  .toBuffer();
+
+describe('Image processing', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chuti-images-'));
+    setStorage(createLocalStorage({ root: dir }));
+  });
+
+  afterEach(() => {
+    setStorage(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const stored = (key) => path.join(dir, key);
+
+  it('should strip metadata and record the dimensions', async () => {
+    const photo = await createPhoto(3000, 1500);
+    expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+    const processed = await imageService.processUpload(photo);
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(stored(processed.key))).digest('hex');
+
+    expect(processed).toMatchObject({
+      key: `images/${hash}.jpg`,
+      width: 2048,
+      height: 1024,
+      variants: { preview: `images/${hash}-preview.jpg`, thumbnail: `images/${hash}-thumbnail.jpg` }
+    });
+
+    const metadata = await sharp(stored(processed.key)).metadata();
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.exif).toBeUndefined();
+    expect(fs.statSync(stored(processed.key)).size).toBe(processed.size);
+
+    const thumbnail = await sharp(stored(processed.variants.thumbnail)).metadata();
+    expect([thumbnail.width, thumbnail.height]).toEqual([256, 128]);
+    expect(thumbnail.exif).toBeUndefined();
+  });
+
+  it('should not enlarge small images', async () => {
+    const processed = await imageService.processUpload(await createPhoto(200, 100));
+    const preview = await sharp(stored(processed.variants.preview)).metadata();
+
+    expect([processed.width, processed.height]).toEqual([200, 100]);
+    expect([preview.width, preview.height]).toEqual([200, 100]);
+  });
+
+  it('should reject files that are not really images', async () => {
+    const app = express();
+    app.post('/upload', express.raw({ type: '*/*' }), (req, res, next) => {
+      req.file = { buffer: req.body };
+      next();
+    }, processImageUpload, (req, res) => res.status(201).json({ success: true }));
+
+    await request(app).post('/upload').send(Buffer.from('<svg onload="alert(1)"></svg>')).expect(400);
+
+    // Right magic bytes, broken image
+    await request(app).post('/upload').send(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0])).expect(400);
+
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.get('/images/:messageId', mockAuthMiddleware, getImage);
+
+describe('Image sizes', () => {
+  let dir;
+  let sender;
+  let message;
+  let keys;
+
+  beforeEach(async () => {
+    sender = await createUser('sender');
+    const friend = await createUser('friend');
+    const chat = await Chat.createDirectChat(sender._id, friend._id);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chuti-images-'));
+    setStorage(createLocalStorage({ root: dir }));
+    const processed = await imageService.processUpload(await createPhoto(1600, 1200));
+    keys = [processed.key, ...Object.values(processed.variants)];
+
+    message = await Message.create({
+      content: 'photo.jpg',
+      messageType: 'image',
+      sender: sender._id,
+      chat: chat._id,
+      fileKey: processed.key,
+      imageWidth: processed.width,
+      imageHeight: processed.height,
+      imageVariants: processed.variants
+    });
+  });
+
+  afterEach(() => {
+    setStorage(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const getSize = async (query) => {
+    const response = await request(app)
+      .get(`/images/${message._id}${query}`)
+      .set('user-id', sender._id.toString())
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    const { width, height } = await sharp(response.body).metadata();
+    return [width, height];
+  };
+
+  it('should serve the size that was asked for', async () => {
+    expect(await getSize('')).toEqual([1600, 1200]);
+    expect(await getSize('?size=preview')).toEqual([1024, 768]);
+    expect(await getSize('?size=thumbnail')).toEqual([256, 192]);
+  });
+
+  it('should reject unknown sizes', async () => {
+    await request(app)
+      .get(`/images/${message._id}?size=huge`)
+      .set('user-id', sender._id.toString())
+      .expect(400);
+  });
+
+  it('should serve the original for images without smaller sizes', async () => {
+    await Message.updateOne({ _id: message._id }, { imageVariants: { preview: null, thumbnail: null } });
+
+    expect(await getSize('?size=thumbnail')).toEqual([1600, 1200]);
+  });
+
+  it('should delete every size with the message', async () => {
+    expect(await imageService.removeMessageImage(message)).toBe(true);
+
+    keys.forEach(key => expect(fs.existsSync(path.join(dir, key))).toBe(false));
+  });
+});
@@ -40,6 +40,7 @@ describe('Message Controller', () => {
       age: 12,
       parentEmail: 'parent1@example.com',
       role: 'children',
+      contactPolicy: 'open',
       isVerified: true
     });
 
@@ -51,6 +52,7 @@ describe('Message Controller', () => {
       fullName: 'Test User 2',
       age: 13,
       role: 'children',
+      contactPolicy: 'open',
       isVerified: true
     });
 
@@ -151,6 +153,7 @@ describe('Message Controller', () => {
         age: 12,
         parentEmail: 'parent_non@example.com',
         role: 'children',
+        contactPolicy: 'open',
         isVerified: true
       });
 
@@ -255,6 +258,7 @@ describe('Message Controller', () => {
         age: 12,
         parentEmail: 'parent_non@example.com',
         role: 'children',
+        contactPolicy: 'open',
         isVerified: true
       });
 
@@ -0,0 +1,134 @@
+import request from 'supertest';
+import express from 'express';
+import crypto from 'crypto';
+import {
+  getModerationIncidents,
+  getModerationIncident,
+  getAnalytics
+} from '../Controllers/adminController.js';
+import contentMonitoringService from '../services/contentMonitoringService.js';
+import Chat from '../Models/Chat.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createUser } from './fixtures.js';
+
+// Create Express app for testing (admin auth is covered elsewhere)
+const app = express();
+app.use(express.json());
+app.get('/admin/moderation/incidents', getModerationIncidents);
+app.get('/admin/moderation/incidents/:incidentId', getModerationIncident);
+app.get('/admin/analytics', getAnalytics);
+
+describe('Moderation incidents', () => {
+  let child;
+  let friend;
+  let chat;
+
+  const logIncident = (overrides = {}) => contentMonitoringService.logContentIncident({
+    type: 'text',
+    userId: child._id,
+    chatId: chat._id,
+    content: 'something rude',
+    category: 'sexual',
+    score: 0.92,
+    provider: 'text_moderation_service',
+    parentNotified: false,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    child = await createUser('child', { age: 11 });
+    friend = await createUser('friend', { age: 11 });
+    chat = await Chat.createDirectChat(child._id, friend._id);
+  });
+
+  it('should store the category, score, provider and a short snippet', async () => {
+    const incident = await logIncident({ content: 'a'.repeat(300) });
+
+    expect(incident.category).toBe('sexual');
+    expect(incident.score).toBe(0.92);
+    expect(incident.provider).toBe('text_moderation_service');
+    expect(incident.action).toBe('blocked');
+    expect(incident.contentSnippet).toHaveLength(120);
+    expect(incident.contentSnippet.endsWith('...')).toBe(true);
+  });
+
+  it('should hash blocked content when reporting it', async () => {
+    await contentMonitoringService.reportBlockedContent({
+      content: 'something rude',
+      senderId: child._id.toString(),
+      chatId: chat._id,
+      contentType: 'text',
+      category: 'sexual',
+      provider: 'text_moderation_service'
+    });
+
+    // Logging runs in the background
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const incident = await ModerationIncident.findOne({ user: child._id });
+    expect(incident.contentHash).toBe(crypto.createHash('sha256').update('something rude').digest('hex'));
+    expect(incident.contentSnippet).toBe('something rude');
+  });
+
+  it('should filter and paginate incidents for admins', async () => {
+    await logIncident();
+    await logIncident({ type: 'image', content: null, category: 'violence', provider: 'image_moderation_service' });
+    await logIncident({ userId: friend._id, parentNotified: true });
+
+    const all = await request(app)
+      .get('/admin/moderation/incidents?limit=2')
+      .expect(200);
+
+    expect(all.body.data.incidents).toHaveLength(2);
+    expect(all.body.data.pagination.totalIncidents).toBe(3);
+    expect(all.body.data.pagination.hasNext).toBe(true);
+
+    const images = await request(app)
+      .get('/admin/moderation/incidents?contentType=image')
+      .expect(200);
+
+    expect(images.body.data.incidents).toHaveLength(1);
+    expect(images.body.data.incidents[0].category).toBe('violence');
+
+    const forChild = await request(app)
+      .get(`/admin/moderation/incidents?user=${child._id}&category=sexual`)
+      .expect(200);
+
+    expect(forChild.body.data.pagination.totalIncidents).toBe(1);
+
+    const notified = await request(app)
+      .get('/admin/moderation/incidents?parentNotified=true')
+      .expect(200);
+
+    expect(notified.body.data.incidents[0].user.username).toBe('friend');
+
+    await request(app)
+      .get('/admin/moderation/incidents?user=not-an-id')
+      .expect(400);
+  });
+
+  it('should count repeats of the same content', async () => {
+    const first = await logIncident({ contentHash: 'abc123' });
+    await logIncident({ contentHash: 'abc123', userId: friend._id });
+
+    const response = await request(app)
+      .get(`/admin/moderation/incidents/${first._id}`)
+      .expect(200);
+
+    expect(response.body.data.repeatCount).toBe(1);
+  });
+
+  it('should report incidents in analytics', async () => {
+    await logIncident();
+    await logIncident({ type: 'image', content: null, category: 'violence' });
+
+    const response = await request(app)
+      .get('/admin/analytics')
+      .expect(200);
+
+    expect(response.body.data.overview.flaggedMessages).toBe(2);
+    expect(response.body.data.moderationLast30Days.byCategory).toEqual({ sexual: 1, violence: 1 });
+    expect(response.body.data.trends.moderationIncidents).toHaveLength(7);
+    expect(response.body.data.trends.moderationIncidents[6].count).toBe(2);
+  });
+});
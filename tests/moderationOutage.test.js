@@ -0,0 +1,197 @@
+import request from 'supertest';
+import express from 'express';
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import contentModerationService, { contentModerationMiddleware } from '../middleware/moderationMiddleware.js';
+import contentMonitoringService from '../services/contentMonitoringService.js';
+import heldMessageService from '../services/heldMessageService.js';
+import moderationPolicies from '../config/moderationPolicies.js';
+import { sendMessage, getChatMessages, getUnreadCount } from '../Controllers/messageController.js';
+import Chat from '../Models/Chat.js';
+import Message from '../Models/Message.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use(mockAuthMiddleware);
+app.post('/message/:chatId', contentModerationMiddleware, sendMessage);
+app.get('/messages/:chatId', getChatMessages);
+app.get('/unread', getUnreadCount);
+
+// Stand in for the moderation service being down or back up
+const originalCheckText = contentModerationService.checkText;
+const originalMonitorText = contentMonitoringService.monitorTextContent;
+const originalPost = axios.post;
+const originalOutage = JSON.parse(JSON.stringify(moderationPolicies.outage));
+
+const moderationDown = () => {
+  contentModerationService.checkText = async () => ({ scores: {}, available: false, error: 'service_unavailable' });
+  axios.post = async () => {
+    throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  };
+};
+
+const moderationUp = (scores = {}) => {
+  contentModerationService.checkText = async () => ({ scores, available: true });
+};
+
+// Incidents are logged in the background
+const waitForIncidents = () => new Promise(resolve => setTimeout(resolve, 200));
+
+describe('Moderation outage policy', () => {
+  let users;
+  let teenChat;
+  let familyChat;
+
+  const send = (user, chat, content = 'see you at practice') => request(app)
+    .post(`/message/${chat._id}`)
+    .set('user-id', user._id.toString())
+    .send({ content });
+
+  const messagesFor = async (user, chat) => {
+    const response = await request(app)
+      .get(`/messages/${chat._id}`)
+      .set('user-id', user._id.toString())
+      .expect(200);
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    users = {
+      young: await createUser('young', { age: 8, contactPolicy: 'open' }),
+      teen: await createUser('teen', { age: 16, contactPolicy: 'open' }),
+      other: await createUser('other', { age: 17, contactPolicy: 'open' })
+    };
+
+    teenChat = await Chat.createDirectChat(users.teen._id, users.other._id);
+    familyChat = await Chat.createDirectChat(users.teen._id, users.young._id);
+  });
+
+  afterEach(() => {
+    contentModerationService.checkText = originalCheckText;
+    contentMonitoringService.monitorTextContent = originalMonitorText;
+    axios.post = originalPost;
+    moderationPolicies.outage = JSON.parse(JSON.stringify(originalOutage));
+  });
+
+  it('should use the youngest participant\'s band', async () => {
+    expect(await contentMonitoringService.getChatAgeBand(teenChat._id, users.teen._id)).toBe('teen');
+    expect(await contentMonitoringService.getChatAgeBand(familyChat._id, users.teen._id)).toBe('under10');
+  });
+
+  it('should never send unchecked images to under-10s', () => {
+    moderationPolicies.outage.image.under10 = 'open';
+    moderationPolicies.outage.image.adult = 'open';
+
+    expect(contentMonitoringService.getOutageAction('image', 'under10')).toBe('hold');
+    expect(contentMonitoringService.getOutageAction('image', 'adult')).toBe('open');
+  });
+
+  it('should deliver unchecked text between teens when the policy is fail-open', async () => {
+    moderationDown();
+
+    await send(users.teen, teenChat).expect(201);
+
+    const [message] = await messagesFor(users.other, teenChat);
+    expect(message.moderationStatus).toBe('approved');
+  });
+
+  it('should reject unchecked text when the policy is fail-closed', async () => {
+    moderationDown();
+    moderationPolicies.outage.text.teen = 'closed';
+
+    const response = await send(users.teen, teenChat).expect(503);
+
+    expect(response.body.moderation.reason).toBe('moderation_unavailable');
+    expect(await Message.countDocuments()).toBe(0);
+  });
+
+  it('should hold unchecked text in a chat with an under-10', async () => {
+    moderationDown();
+
+    const response = await send(users.teen, familyChat).expect(202);
+    expect(response.body.held).toBe(true);
+
+    // Only the sender sees it
+    expect(await messagesFor(users.teen, familyChat)).toHaveLength(1);
+    expect(await messagesFor(users.young, familyChat)).toHaveLength(0);
+
+    const unread = await request(app)
+      .get('/unread')
+      .set('user-id', users.young._id.toString())
+      .expect(200);
+    expect(unread.body.data.unreadCount).toBe(0);
+  });
+
+  it('should apply the outage policy when moderation fails with an error', async () => {
+    contentMonitoringService.monitorTextContent = async () => {
+      throw new Error('Unexpected moderation error');
+    };
+    moderationPolicies.outage.text.teen = 'closed';
+
+    const held = await send(users.teen, familyChat).expect(202);
+    expect(held.body.held).toBe(true);
+
+    const rejected = await send(users.teen, teenChat).expect(503);
+    expect(rejected.body.moderation.reason).toBe('moderation_unavailable');
+    expect(await Message.countDocuments({ chat: teenChat._id })).toBe(0);
+  });
+
+  it('should deliver held messages once moderation recovers', async () => {
+    moderationDown();
+    await send(users.teen, familyChat).expect(202);
+
+    // Still down
+    expect(await heldMessageService.processHeldMessages()).toEqual({ delivered: 0, rejected: 0, stillHeld: 1 });
+
+    moderationUp({ bullying: 0.01 });
+    expect(await heldMessageService.processHeldMessages()).toEqual({ delivered: 1, rejected: 0, stillHeld: 0 });
+
+    const [message] = await messagesFor(users.young, familyChat);
+    expect(message.moderationStatus).toBe('approved');
+
+    const chat = await Chat.findById(familyChat._id);
+    expect(chat.lastMessage.toString()).toBe(message._id);
+  });
+
+  it('should reject held messages that fail moderation', async () => {
+    moderationDown();
+    await send(users.teen, familyChat, 'something nasty').expect(202);
+
+    moderationUp({ sexual: 0.95 });
+    expect(await heldMessageService.processHeldMessages()).toEqual({ delivered: 0, rejected: 1, stillHeld: 0 });
+
+    const message = await Message.findOne();
+    expect(message.moderationStatus).toBe('rejected');
+    expect(await messagesFor(users.young, familyChat)).toHaveLength(0);
+
+    await waitForIncidents();
+    expect(await ModerationIncident.countDocuments({ user: users.teen._id })).toBe(1);
+  });
+
+  it('should hold images for a chat with an under-10 when image moderation is down', async () => {
+    moderationDown();
+    const imagePath = path.join(os.tmpdir(), 'outage-test.jpg');
+    fs.writeFileSync(imagePath, 'not really an image');
+
+    const forChild = await contentMonitoringService.monitorImageContent(imagePath, users.teen._id.toString(), familyChat._id);
+    expect(forChild).toEqual(expect.objectContaining({ blocked: false, held: true, unmoderated: true }));
+
+    // Older chats can be set to get unchecked images
+    moderationPolicies.outage.image.teen = 'open';
+    const forTeens = await contentMonitoringService.monitorImageContent(imagePath, users.teen._id.toString(), teenChat._id);
+    expect(forTeens).toEqual(expect.objectContaining({ blocked: false, approved: true, unmoderated: true }));
+
+    fs.unlinkSync(imagePath);
+  });
+});
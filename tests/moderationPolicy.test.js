@@ -0,0 +1,139 @@
+import request from 'supertest';
+import express from 'express';
+import contentModerationService, { contentModerationMiddleware } from '../middleware/moderationMiddleware.js';
+import contentMonitoringService from '../services/contentMonitoringService.js';
+import { sendMessage } from '../Controllers/messageController.js';
+import Chat from '../Models/Chat.js';
+import Message from '../Models/Message.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.post('/message/:chatId', mockAuthMiddleware, contentModerationMiddleware, sendMessage);
+
+// Stand in for the moderation service with fixed scores
+const originalCheckText = contentModerationService.checkText;
+const mockScores = (scores) => {
+  contentModerationService.checkText = async () => ({ scores, available: true });
+};
+
+// Incidents are logged in the background
+const waitForIncidents = () => new Promise(resolve => setTimeout(resolve, 200));
+
+describe('Multi-category moderation', () => {
+  let chat;
+  let youngChat;
+  let users;
+
+  const send = (user, target = chat, content = 'some message') => request(app)
+    .post(`/message/${target._id}`)
+    .set('user-id', user._id.toString())
+    .send({ content });
+
+  beforeEach(async () => {
+    users = {
+      young: await createUser('young', { age: 8, contactPolicy: 'open' }),
+      teen: await createUser('teen', { age: 15, contactPolicy: 'open' }),
+      older: await createUser('older', { age: 17, contactPolicy: 'open' })
+    };
+
+    chat = await Chat.create({
+      name: 'Teens',
+      chatType: 'group',
+      participants: [users.teen, users.older].map(user => ({ user: user._id })),
+      createdBy: users.older._id
+    });
+    youngChat = await Chat.createDirectChat(users.teen._id, users.young._id);
+  });
+
+  afterEach(() => {
+    contentModerationService.checkText = originalCheckText;
+  });
+
+  it('should put users in the right age band', () => {
+    expect(contentMonitoringService.getAgeBand(7)).toBe('under10');
+    expect(contentMonitoringService.getAgeBand(10)).toBe('under13');
+    expect(contentMonitoringService.getAgeBand(17)).toBe('teen');
+    expect(contentMonitoringService.getAgeBand(40)).toBe('adult');
+    expect(contentMonitoringService.getAgeBand(undefined)).toBe('under10');
+  });
+
+  it('should pick the most severe action of every category that fires', () => {
+    const policy = contentMonitoringService.applyTextPolicy({ drugs: 0.9, hate: 0.8, bullying: 0.1 }, 'teen');
+
+    expect(policy.action).toBe('block');
+    expect(policy.matches.map(match => match.category)).toEqual(['hate', 'drugs']);
+
+    expect(contentMonitoringService.applyTextPolicy({ bullying: 0.2 }, 'teen').action).toBe('allow');
+  });
+
+  it('should block bullying from a young child', async () => {
+    mockScores({ bullying: 0.9 });
+
+    const response = await send(users.young, youngChat).expect(400);
+
+    expect(response.body.moderation.category).toBe('bullying');
+    expect(await Message.countDocuments()).toBe(0);
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: users.young._id });
+    expect(incident.action).toBe('blocked');
+    expect(incident.categories).toEqual([expect.objectContaining({ category: 'bullying', score: 0.9 })]);
+  });
+
+  it('should deliver bullying from a teen with a warning', async () => {
+    mockScores({ bullying: 0.9 });
+
+    const response = await send(users.teen).expect(201);
+
+    expect(response.body.warning.category).toBe('bullying');
+    expect(await Message.countDocuments()).toBe(1);
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: users.teen._id });
+    expect(incident.action).toBe('warned');
+  });
+
+  it('should use the under-10 band when a teen messages a young child', async () => {
+    mockScores({ bullying: 0.9 });
+
+    const response = await send(users.teen, youngChat).expect(400);
+
+    expect(response.body.moderation.category).toBe('bullying');
+    expect(await Message.countDocuments()).toBe(0);
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: users.teen._id });
+    expect(incident.action).toBe('blocked');
+  });
+
+  it('should flag drugs from an older teen without a warning', async () => {
+    mockScores({ drugs: 0.95 });
+
+    const response = await send(users.older).expect(201);
+
+    expect(response.body.warning).toBeUndefined();
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: users.older._id });
+    expect(incident.action).toBe('flagged');
+    expect(incident.category).toBe('drugs');
+  });
+
+  it('should let clean messages through without an incident', async () => {
+    mockScores({ sexual: 0.01, bullying: 0.02 });
+
+    await send(users.young, youngChat).expect(201);
+
+    await waitForIncidents();
+    expect(await ModerationIncident.countDocuments()).toBe(0);
+  });
+});
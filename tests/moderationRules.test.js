@@ -0,0 +1,134 @@
+import axios from 'axios';
+import contentModerationService from '../middleware/moderationMiddleware.js';
+import { normalizeText, checkTextRules } from '../utils/moderationRules.js';
+
+const categoriesFor = (text, rules) => Object.keys(checkTextRules(text, rules).scores).sort();
+
+const customRules = {
+  enabled: true,
+  languages: ['en'],
+  wordScore: 0.8,
+  skipRemoteScore: 0.9,
+  wordlists: {
+    en: { spam: ['free robux'] },
+    si: { bullying: ['modaya'] }
+  },
+  patterns: [
+    { category: 'scam', pattern: '\\bgift ?card\\b', score: 0.75 }
+  ]
+};
+
+describe('Local moderation rules', () => {
+  it('should normalise case, leetspeak, lookalike letters and accents', () => {
+    expect(normalizeText('Y0u 1D10T!')).toBe('you idiot');
+    expect(normalizeText('ѕех')).toBe('sex');
+    expect(normalizeText('Stüpid')).toBe('stupid');
+    expect(normalizeText("Don't")).toBe('dont');
+  });
+
+  it('should catch disguised words', () => {
+    expect(categoriesFor('you are STUUUUPID')).toEqual(['bullying']);
+    expect(categoriesFor('y0u l0$er')).toEqual(['bullying']);
+    expect(categoriesFor('s e x')).toEqual(['sexual']);
+    expect(categoriesFor('s.e.x')).toEqual(['sexual']);
+    expect(categoriesFor('you idiot!!')).toEqual(['bullying']);
+  });
+
+  it('should check other languages', () => {
+    expect(categoriesFor('oya modaya')).toEqual(['bullying']);
+    expect(categoriesFor('ඔයා මෝඩයා')).toEqual(['bullying']);
+
+    const { matches } = checkTextRules('oya modaya');
+    expect(matches[0]).toEqual(expect.objectContaining({ type: 'word', language: 'si' }));
+  });
+
+  it('should match patterns', () => {
+    expect(categoriesFor("Don't tell your mom about this")).toEqual(['grooming']);
+    expect(categoriesFor('r u home alone?')).toEqual(['grooming']);
+    expect(categoriesFor("I'm gonna kill myself")).toEqual(['self_harm']);
+  });
+
+  it('should leave clean text alone', () => {
+    expect(categoriesFor('I have 3 cats and a dog')).toEqual([]);
+    expect(categoriesFor('We have an assessment in Sussex tomorrow')).toEqual([]);
+    expect(categoriesFor('')).toEqual([]);
+    expect(categoriesFor(null)).toEqual([]);
+  });
+
+  it('should keep doubled letters in listed words', () => {
+    expect(categoriesFor("We'd love to come")).toEqual([]);
+    expect(categoriesFor("That is Bob's book")).toEqual([]);
+    expect(categoriesFor('We went to Pisa on holiday')).toEqual([]);
+    expect(categoriesFor('She got wed last year')).toEqual([]);
+    expect(categoriesFor('bobs_world')).toEqual([]);
+
+    expect(categoriesFor('w e e d')).toEqual(['drugs']);
+    expect(categoriesFor('oya pissa')).toEqual(['bullying']);
+  });
+
+  it('should use the rules it is given', () => {
+    const { scores } = checkTextRules('FREE R0BUX and a giftcard', customRules);
+    expect(scores).toEqual({ spam: 0.8, scam: 0.75 });
+
+    // Only enabled languages are checked
+    expect(categoriesFor('oya modaya', customRules)).toEqual([]);
+    expect(categoriesFor('you idiot', { ...customRules, enabled: false })).toEqual([]);
+  });
+
+  it('should skip invalid patterns', () => {
+    const rules = { ...customRules, patterns: [{ category: 'scam', pattern: '(', score: 0.9 }] };
+    expect(categoriesFor('gift card', rules)).toEqual([]);
+  });
+});
+
+describe('Moderation service fallback', () => {
+  // Stand in for the remote moderation service
+  const originalPost = axios.post;
+  let remoteCalls;
+
+  const mockRemote = (respond) => {
+    remoteCalls = 0;
+    axios.post = async () => {
+      remoteCalls += 1;
+      return respond();
+    };
+  };
+
+  afterEach(() => {
+    axios.post = originalPost;
+  });
+
+  it('should not call the service for a confident local match', async () => {
+    mockRemote(() => ({ data: { categories: {} } }));
+
+    const result = await contentModerationService.checkText('send nudes');
+
+    expect(remoteCalls).toBe(0);
+    expect(result.scores.sexual).toBe(0.9);
+    expect(result.providers.sexual).toBe('rule_engine');
+  });
+
+  it('should fall back to local rules when the service is down', async () => {
+    mockRemote(() => {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    });
+
+    const result = await contentModerationService.checkText('are you home alone');
+
+    expect(result.available).toBe(false);
+    expect(result.localOnly).toBe(true);
+    expect(result.scores).toEqual({ grooming: 0.7 });
+
+    const sexual = await contentModerationService.checkSexualContent('s3xy pics');
+    expect(sexual.is_sexual).toBe(true);
+  });
+
+  it('should keep the higher score from either source', async () => {
+    mockRemote(() => ({ data: { categories: { grooming: 0.4, bullying: 0.8 } } }));
+
+    const result = await contentModerationService.checkText('are you home alone');
+
+    expect(result.scores).toEqual({ grooming: 0.7, bullying: 0.8 });
+    expect(result.providers).toEqual({ grooming: 'rule_engine', bullying: 'text_moderation_service' });
+  });
+});
@@ -0,0 +1,226 @@
+import request from 'supertest';
+import express from 'express';
+import {
+  requestSignInLink,
+  verifySignInLink,
+  signOut,
+  getMe,
+  getChildren,
+  getChild,
+  getChildContacts,
+  getChildChats,
+  getChildIncidents
+} from '../Controllers/parentController.js';
+import { protectParent } from '../middleware/auth.js';
+import contentMonitoringService from '../services/contentMonitoringService.js';
+import User from '../Models/User.js';
+import Chat from '../Models/Chat.js';
+import Parent from '../Models/Parent.js';
+import Verification from '../Models/Verification.js';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+
+// Add routes for testing
+app.post('/parent/auth/request-link', requestSignInLink);
+app.post('/parent/auth/verify', verifySignInLink);
+app.post('/parent/auth/logout', protectParent, signOut);
+app.get('/parent/me', protectParent, getMe);
+app.get('/parent/children', protectParent, getChildren);
+app.get('/parent/children/:childId', protectParent, getChild);
+app.get('/parent/children/:childId/contacts', protectParent, getChildContacts);
+app.get('/parent/children/:childId/chats', protectParent, getChildChats);
+app.get('/parent/children/:childId/incidents', protectParent, getChildIncidents);
+
+describe('Parent dashboard', () => {
+  let child;
+  let friend;
+
+  const signIn = async (email = 'parent@example.com') => {
+    await request(app)
+      .post('/parent/auth/request-link')
+      .send({ email })
+      .expect(200);
+
+    const verification = await Verification.findOne({ email, type: 'parent_login' });
+
+    return await request(app)
+      .post('/parent/auth/verify')
+      .send({ email, token: verification.code })
+      .expect(200);
+  };
+
+  beforeEach(async () => {
+    child = await User.create({
+      username: 'childuser',
+      email: 'child@example.com',
+      password: 'password123',
+      fullName: 'Child User',
+      age: 10,
+      role: 'children',
+      parentEmail: 'parent@example.com',
+      isVerified: true,
+      emailVerified: true
+    });
+
+    friend = await User.create({
+      username: 'frienduser',
+      email: 'friend@example.com',
+      password: 'password123',
+      fullName: 'Friend User',
+      age: 11,
+      role: 'children',
+      parentEmail: 'friendparent@example.com'
+    });
+  });
+
+  describe('Magic-link sign-in', () => {
+    it('should create a parent account on first sign-in and list linked children', async () => {
+      const response = await signIn();
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.data.parent.email).toBe('parent@example.com');
+      expect(response.body.data.children).toHaveLength(1);
+      expect(response.body.data.children[0].username).toBe('childuser');
+
+      expect(await Parent.countDocuments({ email: 'parent@example.com' })).toBe(1);
+    });
+
+    it('should only accept a sign-in link once', async () => {
+      await request(app)
+        .post('/parent/auth/request-link')
+        .send({ email: 'parent@example.com' })
+        .expect(200);
+
+      const verification = await Verification.findOne({ email: 'parent@example.com', type: 'parent_login' });
+      expect(verification.code).toHaveLength(64);
+
+      await request(app)
+        .post('/parent/auth/verify')
+        .send({ email: 'parent@example.com', token: verification.code })
+        .expect(200);
+
+      await request(app)
+        .post('/parent/auth/verify')
+        .send({ email: 'parent@example.com', token: verification.code })
+        .expect(400);
+    });
+
+    it('should reject a wrong token', async () => {
+      await request(app)
+        .post('/parent/auth/request-link')
+        .send({ email: 'parent@example.com' })
+        .expect(200);
+
+      await request(app)
+        .post('/parent/auth/verify')
+        .send({ email: 'parent@example.com', token: 'not-the-token' })
+        .expect(400);
+
+      expect(await Parent.countDocuments()).toBe(0);
+    });
+
+    it('should end every parent session on sign-out', async () => {
+      const { body } = await signIn();
+
+      await request(app)
+        .post('/parent/auth/logout')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/parent/me')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('Child views', () => {
+    it('should show a child\'s settings, contacts and chats', async () => {
+      await Chat.createDirectChat(child._id, friend._id);
+      const { body } = await signIn();
+
+      const details = await request(app)
+        .get(`/parent/children/${child._id}`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(details.body.data.settings.email).toBe('child@example.com');
+      expect(details.body.data.settings.isVerified).toBe(true);
+
+      const contacts = await request(app)
+        .get(`/parent/children/${child._id}/contacts`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(contacts.body.results).toBe(1);
+      expect(contacts.body.data.contacts[0].username).toBe('frienduser');
+
+      const chats = await request(app)
+        .get(`/parent/children/${child._id}/chats`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(chats.body.results).toBe(1);
+      expect(chats.body.data.chats[0].chatType).toBe('direct');
+      expect(chats.body.data.chats[0].participants).toHaveLength(2);
+    });
+
+    it('should list moderation incidents for the child', async () => {
+      const chat = await Chat.createDirectChat(child._id, friend._id);
+      await contentMonitoringService.logContentIncident({
+        type: 'text',
+        userId: child._id,
+        chatId: chat._id,
+        content: 'blocked message...',
+        parentNotified: true
+      });
+      await contentMonitoringService.logContentIncident({
+        type: 'text',
+        userId: friend._id,
+        chatId: chat._id,
+        content: 'someone else...',
+        parentNotified: false
+      });
+      const { body } = await signIn();
+
+      const response = await request(app)
+        .get(`/parent/children/${child._id}/incidents`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(response.body.results).toBe(1);
+      expect(response.body.data.incidents[0].contentSnippet).toBe('blocked message...');
+      expect(response.body.data.incidents[0].chat.chatType).toBe('direct');
+      expect(response.body.data.pagination.totalIncidents).toBe(1);
+    });
+
+    it('should not show children linked to another parent', async () => {
+      const { body } = await signIn();
+
+      await request(app)
+        .get(`/parent/children/${friend._id}/chats`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(404);
+    });
+
+    it('should drop a child whose parent email changes', async () => {
+      const { body } = await signIn();
+
+      await User.updateOne({ _id: child._id }, { parentEmail: 'someoneelse@example.com' });
+
+      const response = await request(app)
+        .get('/parent/children')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(response.body.results).toBe(0);
+
+      await request(app)
+        .get(`/parent/children/${child._id}`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(404);
+    });
+  });
+});
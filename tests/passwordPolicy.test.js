@@ -0,0 +1,74 @@
+import { validatePassword, isCommonPassword } from '../utils/passwordPolicy.js';
+
+const userInfo = {
+  username: 'skyrunner',
+  email: 'maya.k@example.com',
+  fullName: 'Maya Kumari'
+};
+
+const codesFor = (password, policy) => validatePassword(password, userInfo, policy).map(error => error.code);
+
+describe('Password policy', () => {
+  it('should accept a strong password', () => {
+    expect(validatePassword('Purple-Otter-72', userInfo)).toEqual([]);
+  });
+
+  it('should require a password', () => {
+    expect(codesFor(undefined)).toEqual(['required']);
+    expect(codesFor('')).toEqual(['required']);
+  });
+
+  it('should enforce length and character classes', () => {
+    expect(codesFor('ab12')).toContain('too_short');
+    expect(codesFor('onlylettershere')).toContain('missing_number');
+    expect(codesFor('2468013579')).toContain('missing_letter');
+  });
+
+  it('should return structured field errors', () => {
+    const [error] = validatePassword('ab12', userInfo);
+
+    expect(error).toEqual({
+      field: 'password',
+      code: 'too_short',
+      message: 'Password must be at least 8 characters long'
+    });
+  });
+
+  it('should reject passwords containing the username, email or name', () => {
+    expect(codesFor('skyrunner2024')).toContain('contains_personal_info');
+    expect(codesFor('MAYA.K-secret9')).toContain('contains_personal_info');
+    expect(codesFor('kumari-rocks-1')).toContain('contains_personal_info');
+  });
+
+  it('should only match whole words of the full name', () => {
+    expect(codesFor('Mayapple-tree7')).not.toContain('contains_personal_info');
+    expect(validatePassword('planning-ahead7', { fullName: 'Ann Perera' })).toEqual([]);
+    expect(validatePassword('ann-perera-99', { fullName: 'Ann Perera' }).map(error => error.code))
+      .toContain('contains_personal_info');
+  });
+
+  it('should reject common passwords, including simple suffixes', () => {
+    expect(codesFor('123456')).toContain('too_common');
+    expect(codesFor('password123')).toContain('too_common');
+    expect(codesFor('Pokemon2015!')).toContain('too_common');
+    expect(isCommonPassword('Purple-Otter-72')).toBe(false);
+  });
+
+  it('should follow a custom policy', () => {
+    const strictPolicy = {
+      minLength: 12,
+      maxLength: 64,
+      requireLetter: true,
+      requireNumber: true,
+      requireUppercase: true,
+      requireSymbol: true,
+      disallowPersonalInfo: true,
+      disallowCommon: true
+    };
+
+    expect(codesFor('purpleotter72', strictPolicy)).toEqual(
+      expect.arrayContaining(['missing_uppercase', 'missing_symbol'])
+    );
+    expect(codesFor('Purple-Otter-72', strictPolicy)).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+import request from 'supertest';
+import express from 'express';
+import contentModerationService, { contentModerationMiddleware } from '../middleware/moderationMiddleware.js';
+import { detectPersonalInfo, maskPersonalInfo } from '../utils/personalInfo.js';
+import { sendMessage } from '../Controllers/messageController.js';
+import Chat from '../Models/Chat.js';
+import Message from '../Models/Message.js';
+import ModerationIncident from '../Models/ModerationIncident.js';
+import { createUser } from './fixtures.js';
+
+const typesIn = (text) => detectPersonalInfo(text).map(match => match.type);
+
+describe('Personal information detection', () => {
+  it('should find phone numbers, emails and URLs', () => {
+    expect(typesIn('call me on 077 123 4567')).toEqual(['phone']);
+    expect(typesIn('my number is +94 (77) 123-4567')).toEqual(['phone']);
+    expect(typesIn('email me at kid.123@gmail.com')).toEqual(['email']);
+    expect(typesIn('look at www.example.com/page or bit.ly/abc')).toEqual(['url', 'url']);
+  });
+
+  it('should find addresses, schools and social handles', () => {
+    expect(typesIn('I live at No. 12, Temple Road, Colombo')).toEqual(['address']);
+    expect(typesIn('come to 5 Park Close, Kandy')).toEqual(['address']);
+    expect(typesIn('I go to Royal College')).toEqual(['school']);
+    expect(typesIn('follow me @cool_kid12')).toEqual(['social_handle']);
+    expect(typesIn('snap: coolkid')).toEqual(['social_handle']);
+    expect(typesIn('my insta is cool_kid12')).toEqual(['social_handle']);
+  });
+
+  it('should leave ordinary messages alone', () => {
+    expect(typesIn('I have 3 cats and 2 dogs')).toEqual([]);
+    expect(typesIn('see you at 2024-10-18 10:30')).toEqual([]);
+    expect(typesIn('meet at 5 pm')).toEqual([]);
+    expect(typesIn('my insta is broken')).toEqual([]);
+    expect(typesIn('My School is fun')).toEqual([]);
+    expect(typesIn('See you at 5 on the way')).toEqual([]);
+    expect(typesIn('I read it in 2 days, by the way')).toEqual([]);
+    expect(typesIn('We won 3 to 1 at the court')).toEqual([]);
+  });
+
+  it('should mask only the personal information', () => {
+    const text = 'my snap is cool_kid12 and my number is 0771234567';
+
+    expect(maskPersonalInfo(text, detectPersonalInfo(text)))
+      .toBe('my snap is [social handle hidden] and my number is [phone hidden]');
+  });
+});
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.post('/message/:chatId', mockAuthMiddleware, contentModerationMiddleware, sendMessage);
+
+// Incidents are logged in the background
+const waitForIncidents = () => new Promise(resolve => setTimeout(resolve, 200));
+
+describe('Personal information policy', () => {
+  const originalCheckText = contentModerationService.checkText;
+  let chat;
+  let users;
+
+  const send = (user, content) => request(app)
+    .post(`/message/${chat._id}`)
+    .set('user-id', user._id.toString())
+    .send({ content });
+
+  beforeEach(async () => {
+    // Nothing else in these messages is a problem
+    contentModerationService.checkText = async () => ({ scores: {}, available: true });
+
+    users = {
+      young: await createUser('young', { age: 8, contactPolicy: 'open' }),
+      tween: await createUser('tween', { age: 11, contactPolicy: 'open' }),
+      teen: await createUser('teen', { age: 15, contactPolicy: 'open' })
+    };
+
+    chat = await Chat.create({
+      name: 'Everyone',
+      chatType: 'group',
+      participants: Object.values(users).map(user => ({ user: user._id })),
+      createdBy: users.teen._id
+    });
+  });
+
+  afterEach(() => {
+    contentModerationService.checkText = originalCheckText;
+  });
+
+  it('should block a young child sharing their phone number', async () => {
+    const response = await send(users.young, 'call me 0771234567').expect(400);
+
+    expect(response.body.moderation.category).toBe('personal_info');
+    expect(await Message.countDocuments()).toBe(0);
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: users.young._id });
+    expect(incident.action).toBe('blocked');
+    expect(incident.provider).toBe('pii_detector');
+    expect(incident.categories.map(category => category.category)).toEqual(['phone']);
+    // The number itself is never logged
+    expect(incident.contentSnippet).toBe('call me [phone hidden]');
+  });
+
+  it('should mask it for an older child and tell them', async () => {
+    const response = await send(users.tween, 'text me on 0771234567').expect(201);
+
+    expect(response.body.data.message.content).toBe('text me on [phone hidden]');
+    expect(response.body.warning.category).toBe('personal_info');
+
+    const message = await Message.findOne();
+    expect(message.content).toBe('text me on [phone hidden]');
+
+    await waitForIncidents();
+    const incident = await ModerationIncident.findOne({ user: users.tween._id });
+    expect(incident.action).toBe('masked');
+  });
+
+  it('should warn a teen but deliver the message', async () => {
+    const response = await send(users.teen, 'my email is teen@example.com').expect(201);
+
+    expect(response.body.data.message.content).toBe('my email is teen@example.com');
+    expect(response.body.warning.types).toEqual(['email']);
+  });
+
+  it('should let a teen share a link without a warning', async () => {
+    const response = await send(users.teen, 'the match is on https://example.com/live').expect(201);
+
+    expect(response.body.warning).toBeUndefined();
+
+    await waitForIncidents();
+    expect(await ModerationIncident.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,161 @@
+import request from 'supertest';
+import express from 'express';
+import rateLimitService, { RateLimitService, MemoryStore } from '../services/rateLimitService.js';
+import { rateLimit, checkSocketRateLimit } from '../middleware/rateLimit.js';
+
+const testPolicies = {
+  perUserOnly: { windowMs: 60 * 1000, perUser: 2 },
+  perIpOnly: { windowMs: 60 * 1000, perIp: 3 },
+  both: { windowMs: 60 * 1000, perUser: 5, perIp: 2 }
+};
+
+describe('Rate Limiting', () => {
+  describe('RateLimitService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new RateLimitService(new MemoryStore(), testPolicies);
+    });
+
+    it('should allow requests up to the per-user limit', async () => {
+      const first = await service.consume('perUserOnly', { userId: 'user1' });
+      const second = await service.consume('perUserOnly', { userId: 'user1' });
+      const third = await service.consume('perUserOnly', { userId: 'user1' });
+
+      expect(first.allowed).toBe(true);
+      expect(first.remaining).toBe(1);
+      expect(second.allowed).toBe(true);
+      expect(third.allowed).toBe(false);
+      expect(third.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should count users separately', async () => {
+      await service.consume('perUserOnly', { userId: 'user1' });
+      await service.consume('perUserOnly', { userId: 'user1' });
+
+      const other = await service.consume('perUserOnly', { userId: 'user2' });
+      expect(other.allowed).toBe(true);
+    });
+
+    it('should apply the most restrictive of the user and IP limits', async () => {
+      await service.consume('both', { userId: 'user1', ip: '10.0.0.1' });
+      await service.consume('both', { userId: 'user2', ip: '10.0.0.1' });
+
+      const blocked = await service.consume('both', { userId: 'user3', ip: '10.0.0.1' });
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.limit).toBe(2);
+    });
+
+    it('should start a new window after the previous one ends', async () => {
+      const policies = { short: { windowMs: 20, perIp: 1 } };
+      service = new RateLimitService(new MemoryStore(), policies);
+
+      await service.consume('short', { ip: '10.0.0.1' });
+      expect((await service.consume('short', { ip: '10.0.0.1' })).allowed).toBe(false);
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect((await service.consume('short', { ip: '10.0.0.1' })).allowed).toBe(true);
+    });
+
+    it('should reset counters', async () => {
+      await service.consume('perUserOnly', { userId: 'user1' });
+      await service.consume('perUserOnly', { userId: 'user1' });
+      await service.reset('perUserOnly', { userId: 'user1' });
+
+      const result = await service.consume('perUserOnly', { userId: 'user1' });
+      expect(result.allowed).toBe(true);
+    });
+
+    it('should use a plugged-in store', async () => {
+      const calls = [];
+      service.setStore({
+        increment: async (key) => {
+          calls.push(key);
+          return { count: 1, resetAt: Date.now() + 1000 };
+        },
+        reset: async () => {}
+      });
+
+      await service.consume('perIpOnly', { ip: '10.0.0.1' });
+      expect(calls).toEqual(['perIpOnly:ip:10.0.0.1']);
+    });
+
+    it('should reject a store without the required methods', () => {
+      expect(() => service.setStore({ increment: async () => {} })).toThrow();
+    });
+
+    it('should throw for an unknown policy', async () => {
+      await expect(service.consume('missing', { ip: '10.0.0.1' })).rejects.toThrow('Unknown rate limit policy');
+    });
+  });
+
+  describe('rateLimit middleware', () => {
+    const app = express();
+    app.set('trust proxy', true);
+    app.get('/limited', rateLimit('verificationCodes'), (req, res) => {
+      res.status(200).json({ status: 'success' });
+    });
+    app.get('/sign-in-link', rateLimit('parentSignInLink'), (req, res) => {
+      res.status(200).json({ status: 'success' });
+    });
+
+    beforeEach(async () => {
+      await rateLimitService.reset('verificationCodes', { ip: '203.0.113.5' });
+      await rateLimitService.reset('parentSignInLink', { ip: '203.0.113.5' });
+    });
+
+    it('should return 429 with Retry-After once the limit is reached', async () => {
+      for (let i = 0; i < 5; i++) {
+        const response = await request(app)
+          .get('/limited')
+          .set('X-Forwarded-For', '203.0.113.5')
+          .expect(200);
+
+        expect(response.headers['ratelimit-remaining']).toBe(String(4 - i));
+      }
+
+      const response = await request(app)
+        .get('/limited')
+        .set('X-Forwarded-For', '203.0.113.5')
+        .expect(429);
+
+      expect(response.body.status).toBe('fail');
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should count each policy separately', async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app).get('/limited').set('X-Forwarded-For', '203.0.113.5').expect(200);
+      }
+      await request(app).get('/limited').set('X-Forwarded-For', '203.0.113.5').expect(429);
+
+      await request(app).get('/sign-in-link').set('X-Forwarded-For', '203.0.113.5').expect(200);
+    });
+  });
+
+  describe('checkSocketRateLimit', () => {
+    beforeEach(async () => {
+      await rateLimitService.reset('socket:typing', { userId: 'socket-user' });
+    });
+
+    it('should emit rateLimited and return false when over the limit', async () => {
+      const emitted = [];
+      const socket = {
+        userId: 'socket-user',
+        handshake: { address: '10.0.0.2' },
+        emit: (event, data) => emitted.push({ event, data })
+      };
+
+      const limit = rateLimitService.getPolicy('socket:typing').perUser;
+      for (let i = 0; i < limit; i++) {
+        expect(await checkSocketRateLimit(socket, 'socket:typing', 'typing')).toBe(true);
+      }
+
+      expect(await checkSocketRateLimit(socket, 'socket:typing', 'typing')).toBe(false);
+      expect(emitted).toHaveLength(1);
+      expect(emitted[0].event).toBe('rateLimited');
+      expect(emitted[0].data.event).toBe('typing');
+    });
+  });
+});
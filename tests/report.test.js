@@ -0,0 +1,201 @@
+import request from 'supertest';
+import express from 'express';
+import {
+  createReport,
+  getMyReports,
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport
+} from '../Controllers/reportController.js';
+import { deleteMessage } from '../Controllers/messageController.js';
+import Chat from '../Models/Chat.js';
+import Message from '../Models/Message.js';
+import Report from '../Models/Report.js';
+import { createUser } from './fixtures.js';
+
+// Mock the auth middleware
+const mockAuthMiddleware = (req, res, next) => {
+  req.user = { id: req.headers['user-id'], _id: req.headers['user-id'] };
+  next();
+};
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use(mockAuthMiddleware);
+
+// Add routes for testing
+app.post('/reports', createReport);
+app.get('/reports/mine', getMyReports);
+app.delete('/messages/:id', deleteMessage);
+app.get('/admin/reports', getReports);
+app.get('/admin/reports/:reportId', getReport);
+app.post('/admin/reports/:reportId/claim', claimReport);
+app.post('/admin/reports/:reportId/resolve', resolveReport);
+
+describe('Reports', () => {
+  let reporter;
+  let sender;
+  let moderator;
+  let otherModerator;
+  let chat;
+  let message;
+
+  const reportMessage = () => request(app)
+    .post('/reports')
+    .set('user-id', reporter._id.toString())
+    .send({
+      targetType: 'message',
+      targetId: message._id.toString(),
+      category: 'bullying',
+      details: 'They keep saying this to me'
+    });
+
+  beforeEach(async () => {
+    reporter = await createUser('reporter');
+    sender = await createUser('sender');
+    moderator = await createUser('moderator', { age: 17, role: 'moderator' });
+    otherModerator = await createUser('othermod', { age: 17, role: 'moderator' });
+
+    chat = await Chat.createDirectChat(reporter._id, sender._id);
+    message = await Message.create({
+      content: 'You are so stupid',
+      sender: sender._id,
+      chat: chat._id
+    });
+  });
+
+  it('should report a message with a snapshot', async () => {
+    const response = await reportMessage().expect(201);
+
+    expect(response.body.data.report.status).toBe('open');
+
+    const report = await Report.findById(response.body.data.report.id);
+    expect(report.reportedUser.toString()).toBe(sender._id.toString());
+    expect(report.messageSnapshot.content).toBe('You are so stupid');
+    expect(report.messageSnapshot.senderUsername).toBe('sender');
+  });
+
+  it('should keep the snapshot after the sender deletes the message', async () => {
+    const { body } = await reportMessage().expect(201);
+
+    await request(app)
+      .delete(`/messages/${message._id}`)
+      .set('user-id', sender._id.toString())
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/admin/reports/${body.data.report.id}`)
+      .set('user-id', moderator._id.toString())
+      .expect(200);
+
+    expect(response.body.data.report.messageSnapshot.content).toBe('You are so stupid');
+    expect(response.body.data.report.message.isDeleted).toBe(true);
+  });
+
+  it('should not duplicate an open report', async () => {
+    await reportMessage().expect(201);
+    await reportMessage().expect(200);
+
+    expect(await Report.countDocuments()).toBe(1);
+
+    const mine = await request(app)
+      .get('/reports/mine')
+      .set('user-id', reporter._id.toString())
+      .expect(200);
+
+    expect(mine.body.data.reports).toHaveLength(1);
+  });
+
+  it('should reject invalid reports', async () => {
+    // Unknown category
+    await request(app)
+      .post('/reports')
+      .set('user-id', reporter._id.toString())
+      .send({ targetType: 'user', targetId: sender._id.toString(), category: 'boring' })
+      .expect(400);
+
+    // Yourself
+    await request(app)
+      .post('/reports')
+      .set('user-id', reporter._id.toString())
+      .send({ targetType: 'user', targetId: reporter._id.toString(), category: 'spam' })
+      .expect(400);
+
+    // A chat the reporter isn't in
+    await request(app)
+      .post('/reports')
+      .set('user-id', moderator._id.toString())
+      .send({ targetType: 'message', targetId: message._id.toString(), category: 'spam' })
+      .expect(404);
+  });
+
+  it('should report a user and a chat', async () => {
+    await request(app)
+      .post('/reports')
+      .set('user-id', reporter._id.toString())
+      .send({ targetType: 'user', targetId: sender._id.toString(), category: 'impersonation' })
+      .expect(201);
+
+    await request(app)
+      .post('/reports')
+      .set('user-id', reporter._id.toString())
+      .send({ targetType: 'chat', targetId: chat._id.toString(), category: 'spam' })
+      .expect(201);
+
+    expect(await Report.countDocuments()).toBe(2);
+  });
+
+  it('should let one moderator claim and resolve a report', async () => {
+    const { body } = await reportMessage().expect(201);
+    const reportId = body.data.report.id;
+
+    const queue = await request(app)
+      .get('/admin/reports?assigned=unassigned')
+      .set('user-id', moderator._id.toString())
+      .expect(200);
+
+    expect(queue.body.data.pagination.totalReports).toBe(1);
+
+    await request(app)
+      .post(`/admin/reports/${reportId}/claim`)
+      .set('user-id', moderator._id.toString())
+      .expect(200);
+
+    // Someone else can't take it over
+    await request(app)
+      .post(`/admin/reports/${reportId}/claim`)
+      .set('user-id', otherModerator._id.toString())
+      .expect(409);
+
+    await request(app)
+      .post(`/admin/reports/${reportId}/resolve`)
+      .set('user-id', otherModerator._id.toString())
+      .send({ status: 'dismissed' })
+      .expect(409);
+
+    // Actioned reports need to say what was done
+    await request(app)
+      .post(`/admin/reports/${reportId}/resolve`)
+      .set('user-id', moderator._id.toString())
+      .send({ status: 'actioned' })
+      .expect(400);
+
+    const resolved = await request(app)
+      .post(`/admin/reports/${reportId}/resolve`)
+      .set('user-id', moderator._id.toString())
+      .send({ status: 'actioned', action: 'user_warned', note: 'Warned about name calling' })
+      .expect(200);
+
+    expect(resolved.body.data.report.status).toBe('actioned');
+    expect(resolved.body.data.report.resolution.action).toBe('user_warned');
+
+    const open = await request(app)
+      .get('/admin/reports')
+      .set('user-id', moderator._id.toString())
+      .expect(200);
+
+    expect(open.body.data.reports).toHaveLength(0);
+  });
+});
@@ -0,0 +1,198 @@
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import { login } from '../Controllers/authController.js';
+import { getMySessions, revokeMySession, getChildSessions, revokeChildSession } from '../Controllers/sessionController.js';
+import { requestSignInLink, verifySignInLink } from '../Controllers/parentController.js';
+import { protect, protectParent } from '../middleware/auth.js';
+import User from '../Models/User.js';
+import Session from '../Models/Session.js';
+import Verification from '../Models/Verification.js';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+
+// Add routes for testing
+app.post('/auth/login', login);
+app.get('/auth/sessions', protect, getMySessions);
+app.delete('/auth/sessions/:id', protect, revokeMySession);
+app.post('/parent/auth/request-link', requestSignInLink);
+app.post('/parent/auth/verify', verifySignInLink);
+app.get('/parent/children/:childId/sessions', protectParent, getChildSessions);
+app.delete('/parent/children/:childId/sessions/:sessionId', protectParent, revokeChildSession);
+
+// Stand-in for the socket service with one connected session
+const connectedSessions = new Set();
+const revokedSockets = [];
+app.set('socketService', {
+  getSessionConnections: (sessionId) => (connectedSessions.has(sessionId)
+    ? [{ connectedAt: new Date(), ipAddress: '127.0.0.1', userAgent: 'jest', transport: 'websocket' }]
+    : []),
+  disconnectSession: (sessionId) => revokedSockets.push(sessionId)
+});
+
+describe('Session management', () => {
+  let child;
+
+  const loginAs = (deviceLabel) => request(app)
+    .post('/auth/login')
+    .set('User-Agent', `${deviceLabel}-agent`)
+    .send({ emailOrUsername: 'child@example.com', password: 'password123', deviceLabel })
+    .expect(200);
+
+  beforeEach(async () => {
+    connectedSessions.clear();
+    revokedSockets.length = 0;
+
+    child = await User.create({
+      username: 'childuser',
+      email: 'child@example.com',
+      password: 'password123',
+      fullName: 'Child User',
+      age: 12,
+      role: 'children',
+      parentEmail: 'parent@example.com',
+      isVerified: true,
+      emailVerified: true
+    });
+  });
+
+  describe('GET /auth/sessions', () => {
+    it('should list active sessions with device details', async () => {
+      const phone = await loginAs('Phone');
+      await loginAs('Tablet');
+
+      const phoneSession = await Session.findOne({ deviceLabel: 'Phone' });
+      connectedSessions.add(phoneSession.jti);
+
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(200);
+
+      expect(response.body.results).toBe(2);
+
+      const listed = response.body.data.sessions.find(session => session.deviceLabel === 'Phone');
+      expect(listed.isCurrent).toBe(true);
+      expect(listed.userAgent).toBe('Phone-agent');
+      expect(listed.socketConnected).toBe(true);
+
+      const other = response.body.data.sessions.find(session => session.deviceLabel === 'Tablet');
+      expect(other.isCurrent).toBe(false);
+      expect(other.socketConnected).toBe(false);
+    });
+  });
+
+  describe('DELETE /auth/sessions/:id', () => {
+    it('should revoke another device and disconnect its sockets', async () => {
+      const phone = await loginAs('Phone');
+      const tablet = await loginAs('Tablet');
+
+      const tabletSession = await Session.findOne({ deviceLabel: 'Tablet' });
+
+      await request(app)
+        .delete(`/auth/sessions/${tabletSession._id}`)
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(200);
+
+      const revoked = await Session.findById(tabletSession._id);
+      expect(revoked.revokedReason).toBe('revoked_by_user');
+      expect(revokedSockets).toContain(tabletSession.jti);
+
+      await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${tablet.body.token}`)
+        .expect(401);
+    });
+
+    it('should not revoke sessions of another user', async () => {
+      const phone = await loginAs('Phone');
+      const otherSession = await Session.createSession(new mongoose.Types.ObjectId(), 'other-jti', {
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await request(app)
+        .delete(`/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(404);
+
+      expect((await Session.findById(otherSession._id)).revokedAt).toBeNull();
+    });
+  });
+
+  describe('Parent access', () => {
+    const getParentToken = async () => {
+      await request(app)
+        .post('/parent/auth/request-link')
+        .send({ email: 'parent@example.com' })
+        .expect(200);
+
+      const verification = await Verification.findOne({ email: 'parent@example.com', type: 'parent_login' });
+
+      const response = await request(app)
+        .post('/parent/auth/verify')
+        .send({ email: 'parent@example.com', token: verification.code })
+        .expect(200);
+
+      return response.body.token;
+    };
+
+    it('should not reveal whether an email is linked to a child', async () => {
+      const response = await request(app)
+        .post('/parent/auth/request-link')
+        .send({ email: 'stranger@example.com' })
+        .expect(200);
+
+      expect(response.body.status).toBe('success');
+      expect(await Verification.countDocuments({ type: 'parent_login' })).toBe(0);
+    });
+
+    it('should let a parent list and revoke their child\'s sessions', async () => {
+      await loginAs('Phone');
+      const parentToken = await getParentToken();
+
+      const list = await request(app)
+        .get(`/parent/children/${child._id}/sessions`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(200);
+
+      expect(list.body.results).toBe(1);
+      const sessionId = list.body.data.sessions[0].id;
+
+      await request(app)
+        .delete(`/parent/children/${child._id}/sessions/${sessionId}`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(200);
+
+      const revoked = await Session.findById(sessionId);
+      expect(revoked.revokedReason).toBe('revoked_by_parent');
+    });
+
+    it('should not let a parent manage children linked to another email', async () => {
+      const otherChild = await User.create({
+        username: 'otherchild',
+        email: 'other@example.com',
+        password: 'password123',
+        age: 9,
+        role: 'children',
+        parentEmail: 'someone@example.com'
+      });
+      const parentToken = await getParentToken();
+
+      await request(app)
+        .get(`/parent/children/${otherChild._id}/sessions`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(404);
+    });
+
+    it('should reject a user access token on parent routes', async () => {
+      const phone = await loginAs('Phone');
+
+      await request(app)
+        .get(`/parent/children/${child._id}/sessions`)
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(401);
+    });
+  });
+});
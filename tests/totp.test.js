@@ -0,0 +1,105 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+
+// Seeds from RFC 6238 Appendix B
+const SHA1_SEED = Buffer.from('12345678901234567890');
+const SHA256_SEED = Buffer.from('12345678901234567890123456789012');
+const SHA512_SEED = Buffer.from('1234567890123456789012345678901234567890123456789012345678901234');
+
+const RFC_6238_VECTORS = [
+  { time: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+  { time: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+  { time: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+  { time: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+  { time: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+  { time: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+
+describe('TOTP', () => {
+  describe('RFC 6238 test vectors', () => {
+    it.each(RFC_6238_VECTORS)('should match the vectors at T=$time', ({ time, sha1, sha256, sha512 }) => {
+      expect(generateTOTP(SHA1_SEED, { time, digits: 8, algorithm: 'sha1' })).toBe(sha1);
+      expect(generateTOTP(SHA256_SEED, { time, digits: 8, algorithm: 'sha256' })).toBe(sha256);
+      expect(generateTOTP(SHA512_SEED, { time, digits: 8, algorithm: 'sha512' })).toBe(sha512);
+    });
+
+    it('should accept a base32 encoded secret', () => {
+      const secret = base32Encode(SHA1_SEED);
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(generateTOTP(secret, { time: 59, digits: 8 })).toBe('94287082');
+    });
+  });
+
+  describe('base32', () => {
+    it('should round trip random secrets', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('verifyTOTP', () => {
+    const secret = generateSecret();
+    const time = 1700000000;
+
+    it('should return the matched time step for a valid code', () => {
+      const code = generateTOTP(secret, { time });
+      expect(verifyTOTP(secret, code, { time })).toBe(getTimeStep(time));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      const previous = generateTOTP(secret, { time: time - 30 });
+      expect(verifyTOTP(secret, previous, { time })).toBe(getTimeStep(time) - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = generateTOTP(secret, { time: time - 120 });
+      expect(verifyTOTP(secret, old, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTOTP(secret, '12345', { time })).toBeNull();
+      expect(verifyTOTP(secret, 'abcdef', { time })).toBeNull();
+      expect(verifyTOTP(secret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('provisioning and recovery codes', () => {
+    it('should build an otpauth URI for authenticator apps', () => {
+      const uri = buildOtpAuthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'admin@example.com' });
+
+      expect(uri.startsWith('otpauth://totp/Chuti%3Aadmin%40example.com?')).toBe(true);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Chuti');
+    });
+
+    it('should generate unique recovery codes', () => {
+      const codes = generateRecoveryCodes(10);
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    it('should hash recovery codes case-insensitively', () => {
+      expect(hashRecoveryCode(' ABCDE-12345 ')).toBe(hashRecoveryCode('abcde-12345'));
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import request from 'supertest';
+import express from 'express';
+import { adminLogin, getAllUsers, deleteUser } from '../Controllers/adminController.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  stepUpTwoFactor
+} from '../Controllers/twoFactorController.js';
+import { protect, adminOnly, requireStepUp } from '../middleware/auth.js';
+import { generateTOTP } from '../utils/totp.js';
+import { createSessionToken } from '../utils/jwt.js';
+import User from '../Models/User.js';
+import Session from '../Models/Session.js';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+
+// Add routes for testing
+app.post('/admin/login', adminLogin);
+app.get('/admin/users', protect, adminOnly, getAllUsers);
+app.delete('/admin/users/:userId', protect, adminOnly, requireStepUp, deleteUser);
+app.post('/auth/2fa/setup', protect, setupTwoFactor);
+app.post('/auth/2fa/enable', protect, enableTwoFactor);
+app.post('/auth/2fa/verify', protect, verifyTwoFactor);
+app.post('/auth/2fa/step-up', protect, stepUpTwoFactor);
+
+describe('Two-factor authentication', () => {
+  let admin;
+
+  const loginAdmin = (extra = {}) => request(app)
+    .post('/admin/login')
+    .send({ email: 'admin@example.com', password: 'password123', ...extra });
+
+  // Enrol the admin and return the secret and a two-factor verified token
+  const enrolAdmin = async () => {
+    const login = await loginAdmin().expect(200);
+    const token = login.body.data.token;
+
+    const setup = await request(app)
+      .post('/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123' })
+      .expect(200);
+
+    const secret = setup.body.data.secret;
+
+    const enable = await request(app)
+      .post('/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTOTP(secret) })
+      .expect(200);
+
+    return { secret, token, recoveryCodes: enable.body.data.recoveryCodes };
+  };
+
+  // Codes can't be reused, so take one from the next time step
+  const nextCode = (secret) => generateTOTP(secret, { time: Date.now() / 1000 + 30 });
+
+  beforeEach(async () => {
+    admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      fullName: 'Admin User',
+      age: 17,
+      parentEmail: 'parent@example.com',
+      role: 'admin',
+      isVerified: true
+    });
+  });
+
+  it('should keep admin routes closed until two-factor is set up', async () => {
+    const login = await loginAdmin().expect(200);
+    expect(login.body.data.twoFactorSetupRequired).toBe(true);
+
+    const response = await request(app)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${login.body.data.token}`)
+      .expect(403);
+
+    expect(response.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+  });
+
+  it('should enrol with a provisioning URI and return recovery codes', async () => {
+    const { token, recoveryCodes } = await enrolAdmin();
+
+    expect(recoveryCodes).toHaveLength(10);
+
+    const user = await User.findById(admin._id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.secret).toBeTruthy();
+    expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+
+    // The enrolling session counts as verified
+    await request(app)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should require a code at admin login once enrolled', async () => {
+    const { secret } = await enrolAdmin();
+
+    const withoutCode = await loginAdmin().expect(401);
+    expect(withoutCode.body.twoFactorRequired).toBe(true);
+
+    await loginAdmin({ totpCode: '000000' }).expect(401);
+
+    const login = await loginAdmin({ totpCode: nextCode(secret) }).expect(200);
+
+    const session = await Session.findOne({ userId: admin._id }).sort({ createdAt: -1 });
+    expect(session.mfaVerifiedAt).toBeTruthy();
+
+    await request(app)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${login.body.data.token}`)
+      .expect(200);
+  });
+
+  it('should reject a replayed code', async () => {
+    const { secret } = await enrolAdmin();
+    const code = nextCode(secret);
+
+    await loginAdmin({ totpCode: code }).expect(200);
+    await loginAdmin({ totpCode: code }).expect(401);
+  });
+
+  it('should accept each recovery code only once', async () => {
+    const { recoveryCodes } = await enrolAdmin();
+
+    await loginAdmin({ recoveryCode: recoveryCodes[0] }).expect(200);
+    await loginAdmin({ recoveryCode: recoveryCodes[0] }).expect(401);
+  });
+
+  it('should require a step-up challenge before deleting a user', async () => {
+    const { secret, token } = await enrolAdmin();
+    const child = await User.create({
+      username: 'childuser',
+      email: 'child@example.com',
+      password: 'password123',
+      age: 10,
+      parentEmail: 'parent@example.com',
+      role: 'children'
+    });
+
+    const blocked = await request(app)
+      .delete(`/admin/users/${child._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+    expect(blocked.body.code).toBe('STEP_UP_REQUIRED');
+
+    await request(app)
+      .post('/auth/2fa/step-up')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: nextCode(secret) })
+      .expect(200);
+
+    await request(app)
+      .delete(`/admin/users/${child._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should lock the account after too many wrong codes', async () => {
+    const { secret } = await enrolAdmin();
+    const { token } = await createSessionToken(admin._id);
+
+    const verify = (code) => request(app)
+      .post('/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code });
+
+    for (let i = 0; i < 5; i++) {
+      await verify('000000').expect(401);
+    }
+
+    // Even the right code is refused while locked
+    const locked = await verify(nextCode(secret)).expect(429);
+    expect(locked.body.retryAfter).toBeGreaterThan(0);
+
+    await loginAdmin({ totpCode: nextCode(secret) }).expect(401);
+  });
+
+  it('should not offer enrolment to child accounts', async () => {
+    const child = await User.create({
+      username: 'childuser',
+      email: 'child@example.com',
+      password: 'password123',
+      age: 10,
+      parentEmail: 'parent@example.com',
+      role: 'children'
+    });
+    const { token } = await createSessionToken(child._id);
+
+    await request(app)
+      .post('/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123' })
+      .expect(403);
+  });
+});
@@ -1,53 +1,179 @@
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import Session from '../Models/Session.js';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-here';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '30d';
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || `${JWT_SECRET}-refresh`;
+const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+const PARENT_TOKEN_EXPIRE = process.env.PARENT_TOKEN_EXPIRE || '12h';
+const IMAGE_TOKEN_EXPIRE = process.env.IMAGE_TOKEN_EXPIRE || '10m';
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRE,
+// Separate audiences so a refresh token can never be used as an access token
+const ACCESS_AUDIENCE = 'chuti:access';
+const REFRESH_AUDIENCE = 'chuti:refresh';
+const PARENT_AUDIENCE = 'chuti:parent';
+const IMAGE_AUDIENCE = 'chuti:image';
+
+// Generate short-lived access token for a login session
+export const generateToken = (userId, sessionId, expiresIn = JWT_EXPIRE, claims = {}) => {
+  return jwt.sign({ userId, ...claims }, JWT_SECRET, {
+    expiresIn,
+    audience: ACCESS_AUDIENCE,
+    jwtid: sessionId
   });
 };
 
-// Verify JWT token
+// Verify access token
 export const verifyToken = (token) => {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return jwt.verify(token, JWT_SECRET, { audience: ACCESS_AUDIENCE });
   } catch (error) {
     throw new Error('Invalid token');
   }
 };
 
-// Generate refresh token (longer expiry)
-export const generateRefreshToken = (userId) => {
+// Generate single-use refresh token (longer expiry)
+export const generateRefreshToken = (userId, sessionId, refreshTokenId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_REFRESH_SECRET, {
+    expiresIn: JWT_REFRESH_EXPIRE,
+    audience: REFRESH_AUDIENCE,
+    jwtid: refreshTokenId
+  });
+};
+
+// Verify refresh token
+export const verifyRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_REFRESH_SECRET, { audience: REFRESH_AUDIENCE });
+  } catch (error) {
+    throw new Error('Invalid refresh token');
+  }
+};
+
+// Generate token for a parent account signed in with a magic link
+export const generateParentToken = (parent) => {
+  return jwt.sign({ parentId: parent._id, ver: parent.tokenVersion }, JWT_SECRET, {
+    expiresIn: PARENT_TOKEN_EXPIRE,
+    audience: PARENT_AUDIENCE
+  });
+};
+
+// Verify parent token
+export const verifyParentToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: PARENT_AUDIENCE });
+  } catch (error) {
+    throw new Error('Invalid parent token');
+  }
+};
+
+// Generate short-lived token for loading one image message without an auth header
+export const generateImageToken = (messageId, userId) => {
   return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: '7d', // 7 days for refresh token
+    expiresIn: IMAGE_TOKEN_EXPIRE,
+    audience: IMAGE_AUDIENCE,
+    subject: messageId.toString()
+  });
+};
+
+// Verify image token for the given message
+export const verifyImageToken = (token, messageId) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: IMAGE_AUDIENCE, subject: messageId.toString() });
+  } catch (error) {
+    throw new Error('Invalid image token');
+  }
+};
+
+// Expiry date encoded in a signed token
+export const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Device details recorded on a session, taken from the login request
+export const getSessionDetails = (req) => ({
+  deviceLabel: req?.body?.deviceLabel || null,
+  userAgent: req?.get ? req.get('User-Agent') || null : null,
+  ipAddress: req?.ip || null
+});
+
+// Start a new server-side session and sign its token pair
+export const createSessionToken = async (userId, req, { expiresIn = JWT_EXPIRE, claims = {}, mfaVerified = false } = {}) => {
+  const sessionId = Session.generateJti();
+  const refreshTokenId = Session.generateJti();
+
+  const token = generateToken(userId, sessionId, expiresIn, claims);
+  const refreshToken = generateRefreshToken(userId, sessionId, refreshTokenId);
+
+  await Session.createSession(userId, sessionId, {
+    ...getSessionDetails(req),
+    refreshTokenId,
+    claims,
+    mfaVerifiedAt: mfaVerified ? new Date() : null,
+    expiresAt: getTokenExpiry(refreshToken)
   });
+
+  return { token, refreshToken, sessionId };
 };
 
-// Create and send token response
-export const createSendToken = (user, statusCode, res) => {
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+/**
+ * Exchange a refresh token for a new token pair.
+ * Each refresh token can be used once; presenting an already rotated
+ * token revokes the whole session (token family).
+ * @returns {Promise<Object>} { status: 'rotated' | 'reused' | 'invalid', ... }
+ */
+export const rotateSessionTokens = async (refreshToken) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  const nextRefreshTokenId = Session.generateJti();
+  const nextRefreshToken = generateRefreshToken(decoded.userId, decoded.sid, nextRefreshTokenId);
+
+  const rotation = await Session.rotateRefreshToken(
+    decoded.sid,
+    decoded.jti,
+    nextRefreshTokenId,
+    getTokenExpiry(nextRefreshToken)
+  );
+
+  if (rotation.status !== 'rotated') {
+    return { status: rotation.status, userId: decoded.userId, sessionId: decoded.sid };
+  }
+
+  return {
+    status: 'rotated',
+    userId: decoded.userId,
+    sessionId: decoded.sid,
+    // Same claims as the token the session started with
+    token: generateToken(decoded.userId, decoded.sid, JWT_EXPIRE, rotation.session.claims || {}),
+    refreshToken: nextRefreshToken
+  };
+};
 
-  // Cookie options
+// Set auth cookies matching the lifetime of each token
+const setAuthCookies = (res, token, refreshToken) => {
   const cookieOptions = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: 'lax'
   };
 
-  // Send token as cookie
-  res.cookie('jwt', token, cookieOptions);
+  res.cookie('jwt', token, {
+    ...cookieOptions,
+    expires: getTokenExpiry(token)
+  });
   res.cookie('refreshToken', refreshToken, {
     ...cookieOptions,
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+    expires: getTokenExpiry(refreshToken)
   });
+};
+
+// Create and send token response, reusing an already rotated token pair when given
+export const createSendToken = async (user, statusCode, res, tokens = null) => {
+  const { token, refreshToken, sessionId } = tokens || await createSessionToken(user._id, res.req);
+
+  // Send tokens as cookies
+  setAuthCookies(res, token, refreshToken);
 
   // Remove password from output
   user.password = undefined;
@@ -60,27 +186,16 @@ export const createSendToken = (user, statusCode, res) => {
       user: user.getPublicProfile()
     }
   });
+
+  return sessionId;
 };
 
 // Create and send token response with verification info
-export const createSendTokenWithVerification = (user, statusCode, res, verificationInfo = {}) => {
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+export const createSendTokenWithVerification = async (user, statusCode, res, verificationInfo = {}) => {
+  const { token, refreshToken, sessionId } = await createSessionToken(user._id, res.req);
 
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'lax'
-  };
-
-  // Send token as cookie
-  res.cookie('jwt', token, cookieOptions);
-  res.cookie('refreshToken', refreshToken, {
-    ...cookieOptions,
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-  });
+  // Send tokens as cookies
+  setAuthCookies(res, token, refreshToken);
 
   // Remove password from output
   user.password = undefined;
@@ -97,4 +212,6 @@ export const createSendTokenWithVerification = (user, statusCode, res, verificat
     requiresParentVerification: verificationInfo.needsParentVerification || false,
     verificationStatus: verificationInfo.verificationStatus || 'complete'
   });
+
+  return sessionId;
 };
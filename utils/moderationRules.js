@@ -0,0 +1,160 @@
+import defaultRules from '../config/moderationRules.js';
+
+// Lookalike letters from other scripts, mapped to the Latin letter they imitate
+const HOMOGLYPHS = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'к': 'k', 'м': 'm', 'т': 't',
+  'в': 'b', 'н': 'h', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g', 'ո': 'n',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+// Digits and symbols used in place of letters
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+// Letters, combining marks (Sinhala vowel signs) and digits count as part of a word
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalise text for matching: lowercase, lookalike and leetspeak letters replaced,
+ * Latin accents and apostrophes removed, other punctuation turned into spaces
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+export const normalizeText = (text) => {
+  const lowered = String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/./gsu, char => HOMOGLYPHS[char] || char)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .replace(/['’‘`]/g, '');
+
+  // Only swap digits and symbols inside words, so "3 cats" keeps its number
+  // and a trailing "!" stays punctuation
+  const unleeted = lowered.replace(/[\p{L}\p{M}\p{N}@$!|+]*[\p{L}\p{M}\p{N}@$]/gu, token => (
+    /\p{L}/u.test(token) ? token.replace(/[0134578@$!|+]/g, char => LEET[char]) : token
+  ));
+
+  return unleeted
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+// Runs of a repeated letter become one, so "stuuupid" matches "stupid"
+export const collapseRepeats = (text) => text.replace(/(.)\1+/gu, '$1');
+
+// "s e x" (after "s.e.x" lost its dots) becomes "sex"
+const joinSpacedLetters = (text) => text.replace(
+  new RegExp(`(?<!${WORD_CHAR})(?:[\\p{L}\\p{N}] ){2,}[\\p{L}\\p{N}](?!${WORD_CHAR})`, 'gu'),
+  match => match.replace(/ /g, '')
+);
+
+// Compiled matchers, cached per rules object
+const compiled = new WeakMap();
+
+const compileRules = (rules) => {
+  if (compiled.has(rules)) {
+    return compiled.get(rules);
+  }
+
+  // Longest first so phrases win over the words inside them
+  const toRegex = (terms) => (terms.length === 0 ? null : new RegExp(
+    `(?<!${WORD_CHAR})(?:${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?!${WORD_CHAR})`,
+    'u'
+  ));
+
+  const wordMatchers = [];
+  for (const language of rules.languages) {
+    for (const [category, words] of Object.entries(rules.wordlists[language] || {})) {
+      const terms = [...new Set(words.map(word => normalizeText(word)).filter(Boolean))];
+      if (terms.length === 0) continue;
+
+      // Terms are kept as written. Ones with a doubled letter ("weed") are only checked
+      // against the text as typed, since collapsing them would match ordinary words ("wed")
+      wordMatchers.push({
+        language,
+        category,
+        single: toRegex(terms.filter(term => collapseRepeats(term) === term)),
+        doubled: toRegex(terms.filter(term => collapseRepeats(term) !== term))
+      });
+    }
+  }
+
+  const patternMatchers = [];
+  for (const rule of rules.patterns) {
+    try {
+      patternMatchers.push({ ...rule, regex: new RegExp(rule.pattern, 'u') });
+    } catch (error) {
+      console.error('❌ Invalid moderation pattern skipped:', rule.pattern, error.message);
+    }
+  }
+
+  const result = { wordMatchers, patternMatchers };
+  compiled.set(rules, result);
+  return result;
+};
+
+/**
+ * Check text against the local wordlists and patterns
+ * @param {string} text - Text to check
+ * @param {Object} rules - Rules to apply (defaults to config/moderationRules.js)
+ * @returns {Object} { scores: { category: score }, matches: [{ category, type, language, term, score }] }
+ */
+export const checkTextRules = (text, rules = defaultRules) => {
+  const scores = {};
+  const matches = [];
+
+  if (!rules.enabled || !text || typeof text !== 'string') {
+    return { scores, matches };
+  }
+
+  const { wordMatchers, patternMatchers } = compileRules(rules);
+  const normalized = normalizeText(text);
+  const asTyped = [...new Set([normalized, joinSpacedLetters(normalized)])];
+  const collapsed = [...new Set(asTyped.map(collapseRepeats))];
+
+  const addMatch = (match) => {
+    matches.push(match);
+    scores[match.category] = Math.max(scores[match.category] || 0, match.score);
+  };
+
+  const findWord = (regex, variants) => {
+    for (const variant of regex ? variants : []) {
+      const found = variant.match(regex);
+      if (found) return found[0];
+    }
+    return null;
+  };
+
+  for (const matcher of wordMatchers) {
+    const term = findWord(matcher.single, collapsed) || findWord(matcher.doubled, asTyped);
+    if (term) {
+      addMatch({
+        category: matcher.category,
+        type: 'word',
+        language: matcher.language,
+        term,
+        score: rules.wordScore
+      });
+    }
+  }
+
+  for (const matcher of patternMatchers) {
+    const found = normalized.match(matcher.regex);
+    if (found) {
+      addMatch({
+        category: matcher.category,
+        type: 'pattern',
+        term: found[0],
+        score: matcher.score ?? rules.wordScore
+      });
+    }
+  }
+
+  return { scores, matches };
+};
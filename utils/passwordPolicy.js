@@ -0,0 +1,95 @@
+import fs from 'fs';
+import defaultPolicy from '../config/passwordPolicy.js';
+
+// Bundled list, loaded once so the check works offline
+const commonPasswords = new Set(
+  fs.readFileSync(new URL('../config/commonPasswords.txt', import.meta.url), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// Whether the password contains the username or email name anywhere, or a part of the
+// full name as a whole word. Name parts need 4+ letters, so "Ann" doesn't rule out "planning".
+const containsPersonalInfo = (password, { username, email, fullName } = {}) => {
+  const lowered = password.toLowerCase();
+
+  const accountNames = [username, email?.split('@')[0]]
+    .filter(Boolean)
+    .map(term => term.toLowerCase())
+    .filter(term => term.length >= 3);
+  const nameParts = (fullName?.toLowerCase().match(/\p{L}+/gu) || [])
+    .filter(part => part.length >= 4);
+
+  return accountNames.some(term => lowered.includes(term))
+    || nameParts.some(part => new RegExp(`(?<!\\p{L})${part}(?!\\p{L})`, 'u').test(lowered));
+};
+
+// "Monkey2024!" is as weak as "monkey"
+export const isCommonPassword = (password) => {
+  const normalized = password.toLowerCase();
+  const withoutSuffix = normalized.replace(/[\d\W_]+$/, '');
+  return commonPasswords.has(normalized) || (withoutSuffix.length >= 4 && commonPasswords.has(withoutSuffix));
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} userInfo - { username, email, fullName } of the account
+ * @param {Object} policy - Policy to apply (defaults to config/passwordPolicy.js)
+ * @returns {Object[]} Field errors: [{ field, code, message }] (empty when valid)
+ */
+export const validatePassword = (password, userInfo = {}, policy = defaultPolicy) => {
+  const errors = [];
+  const addError = (code, message) => errors.push({ field: 'password', code, message });
+
+  if (!password || typeof password !== 'string') {
+    addError('required', 'Password is required');
+    return errors;
+  }
+
+  if (password.length < policy.minLength) {
+    addError('too_short', `Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (password.length > policy.maxLength) {
+    addError('too_long', `Password cannot exceed ${policy.maxLength} characters`);
+  }
+
+  if (policy.requireLetter && !/[a-zA-Z]/.test(password)) {
+    addError('missing_letter', 'Password must contain at least one letter');
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    addError('missing_number', 'Password must contain at least one number');
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    addError('missing_uppercase', 'Password must contain at least one uppercase letter');
+  }
+
+  if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+    addError('missing_symbol', 'Password must contain at least one symbol');
+  }
+
+  if (policy.disallowPersonalInfo) {
+    if (containsPersonalInfo(password, userInfo)) {
+      addError('contains_personal_info', 'Password must not contain your username, email or name');
+    }
+  }
+
+  if (policy.disallowCommon && isCommonPassword(password)) {
+    addError('too_common', 'This password is too common. Please choose something harder to guess');
+  }
+
+  return errors;
+};
+
+// Standard 400 response for a rejected password
+export const sendPasswordPolicyErrors = (res, errors) => {
+  return res.status(400).json({
+    status: 'fail',
+    message: 'Password does not meet the requirements',
+    errors
+  });
+};
@@ -0,0 +1,94 @@
+import sharp from 'sharp';
+
+// Hashes are 64 bits, written as 16 hex characters
+export const HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+const PHASH_SIZE = 32;
+const PHASH_BITS = 8;
+
+const bitsToHex = (bits) => BigInt(`0b${bits.map(bit => (bit ? 1 : 0)).join('')}`).toString(16).padStart(16, '0');
+
+// Greyscale pixels of an image squashed to width x height
+const greyscalePixels = (image, width, height) => sharp(image, { failOn: 'error' })
+  .rotate()
+  .greyscale()
+  .resize(width, height, { fit: 'fill' })
+  .raw()
+  .toBuffer();
+
+/**
+ * Difference hash: each bit says whether a pixel is brighter than its right-hand
+ * neighbour in a 9x8 thumbnail. Survives resizing and recompression.
+ * @param {Buffer} image - Image data
+ * @returns {Promise<string>} Hex hash
+ */
+export const dHash = async (image) => {
+  const pixels = await greyscalePixels(image, 9, 8);
+  const bits = [];
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+    }
+  }
+  return bitsToHex(bits);
+};
+
+/**
+ * Perceptual hash: the lowest frequencies of a 32x32 thumbnail's discrete cosine
+ * transform, compared with their median. Also survives small edits and colour changes.
+ * @param {Buffer} image - Image data
+ * @returns {Promise<string>} Hex hash
+ */
+export const pHash = async (image) => {
+  const pixels = await greyscalePixels(image, PHASH_SIZE, PHASH_SIZE);
+
+  // Only the top-left 8x8 of the transform is needed
+  const cosines = Array.from({ length: PHASH_BITS }, (_, u) =>
+    Array.from({ length: PHASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE)))
+  );
+
+  const coefficients = [];
+  for (let u = 0; u < PHASH_BITS; u++) {
+    for (let v = 0; v < PHASH_BITS; v++) {
+      let sum = 0;
+      for (let y = 0; y < PHASH_SIZE; y++) {
+        for (let x = 0; x < PHASH_SIZE; x++) {
+          sum += cosines[u][y] * cosines[v][x] * pixels[y * PHASH_SIZE + x];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The first coefficient is overall brightness, which says nothing about the picture
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map(coefficient => coefficient > median));
+};
+
+/**
+ * Both hashes of an image
+ * @param {Buffer} image - Image data
+ * @returns {Promise<Object>} { pHash, dHash }
+ */
+export const computeImageHashes = async (image) => {
+  const [p, d] = await Promise.all([pHash(image), dHash(image)]);
+  return { pHash: p, dHash: d };
+};
+
+/**
+ * Number of bits that differ between two hex hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} 0 (same picture) to 64
+ */
+export const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
@@ -0,0 +1,110 @@
+// Personal information that children commonly share in chat. Each type has one or
+// more patterns; `group` lists capture groups to report instead of the whole match,
+// so "my snap is coolkid_12" reports and masks only the handle.
+const PLATFORMS = 'insta(?:gram)?|ig|snap(?:chat)?|sc|tik ?tok|discord|telegram|kik|twitter|facebook|fb|roblox';
+const HANDLE = '[a-z0-9_][a-z0-9_.]{1,28}[a-z0-9_]';
+// Street types are matched capitalised or not ("Road", "road")
+const streetTypes = (types) => types.map(type => `[${type[0].toUpperCase()}${type[0]}]${type.slice(1)}`).join('|');
+const STREET_TYPES = streetTypes(['street', 'road', 'rd', 'avenue', 'ave', 'lane', 'ln', 'drive', 'dr', 'mawatha', 'pl', 'ct', 'boulevard', 'blvd', 'terrace', 'crescent', 'gardens']);
+// Also everyday words ("by the way"), so only counted when a comma or postcode follows
+const IDIOMATIC_STREET_TYPES = streetTypes(['st', 'place', 'close', 'court', 'way']);
+const SCHOOL_TYPES = 'College|School|Vidyalaya|Vidyalayam|Academy|Kindergarten';
+const URL_TLDS = 'com|net|org|io|me|lk|co|app|gg|tv|info|xyz|link|ly|us|uk|in';
+
+const DETECTORS = [
+  {
+    type: 'email',
+    regex: /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi
+  },
+  {
+    type: 'url',
+    regex: new RegExp(`(?:\\bhttps?:\\/\\/|\\bwww\\.)[^\\s<>]+|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${URL_TLDS})\\b(?:\\/[^\\s<>]*)?`, 'gi')
+  },
+  {
+    // 9 to 15 digits, allowing spaces, dots, dashes and brackets between them.
+    // Dates and times ("2024-10-18 10:30") are left alone.
+    type: 'phone',
+    regex: /(?<![\w+:/])\+?\d(?:[\s().-]{0,2}\d){8,14}(?![\w:/])/g
+  },
+  {
+    // A house number, a capitalised street name of one to three words and a street type:
+    // "No. 12, Temple Road", "5 Park Close, Kandy"
+    type: 'address',
+    regex: new RegExp(`\\b(?:[Nn]o\\.?\\s*)?\\d{1,5}[a-zA-Z]?(?:\\/\\d+)?(?!\\s*[aApP]\\.?[mM]\\b),?\\s+(?:[A-Z][\\w'.-]*\\s+){1,3}(?:(?:${STREET_TYPES})\\b\\.?|(?:${IDIOMATIC_STREET_TYPES})\\b\\.?(?=\\s*,|\\s+\\d{5}\\b))`, 'g')
+  },
+  {
+    type: 'social_handle',
+    regex: new RegExp(`(?<![\\w@.])@${HANDLE}`, 'gi')
+  },
+  {
+    // "snap: coolkid", or "my insta is cool_kid12" when the handle looks like one
+    type: 'social_handle',
+    regex: new RegExp(`\\b(?:${PLATFORMS})\\s*(?:id|name|handle|username)?\\s*(?:[:=]\\s*@?(?<handle>${HANDLE})|(?:is|-)\\s*@?(?<handle2>(?=[a-z0-9_.]*[\\d_.])${HANDLE}))`, 'gi'),
+    group: ['handle', 'handle2']
+  },
+  {
+    // Capitalised names ending in a school type: "Royal College", "St. Mary's Vidyalaya"
+    type: 'school',
+    regex: new RegExp(`\\b(?!(?:My|Our|Your|The|This|That|His|Her|Their|At|In|To|From|After|Before|Go|Going)\\b)(?:[A-Z][\\w'.-]*\\s+){1,4}(?:${SCHOOL_TYPES})\\b`, 'g')
+  }
+];
+
+// Compile with match indices so capture groups can be located
+const MATCHERS = DETECTORS.map(detector => ({
+  ...detector,
+  regex: new RegExp(detector.regex.source, `${detector.regex.flags}d`)
+}));
+
+/**
+ * Find personal information in text. Overlapping matches are resolved in favour
+ * of the one that starts first, then the longer one.
+ * @param {string} text - Text to check
+ * @returns {Array} [{ type, value, start, end }] in text order
+ */
+export const detectPersonalInfo = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const found = [];
+  for (const matcher of MATCHERS) {
+    for (const match of text.matchAll(matcher.regex)) {
+      const group = (matcher.group || []).find(name => match.groups?.[name]);
+      const [start, end] = group ? match.indices.groups[group] : match.indices[0];
+
+      // Phone numbers need 9 to 15 actual digits
+      if (matcher.type === 'phone') {
+        const digits = match[0].replace(/\D/g, '').length;
+        if (digits < 9 || digits > 15) continue;
+      }
+
+      found.push({ type: matcher.type, value: text.slice(start, end), start, end });
+    }
+  }
+
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const matches = [];
+  for (const match of found) {
+    if (matches.length === 0 || match.start >= matches[matches.length - 1].end) {
+      matches.push(match);
+    }
+  }
+  return matches;
+};
+
+/**
+ * Replace personal information with a placeholder such as "[phone hidden]"
+ * @param {string} text - Original text
+ * @param {Array} matches - Matches from detectPersonalInfo to hide
+ * @returns {string} Masked text
+ */
+export const maskPersonalInfo = (text, matches) => {
+  let masked = text;
+
+  // Work backwards so earlier positions stay valid
+  for (const match of [...matches].sort((a, b) => b.start - a.start)) {
+    masked = `${masked.slice(0, match.start)}[${match.type.replace(/_/g, ' ')} hidden]${masked.slice(match.end)}`;
+  }
+  return masked;
+};
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238) built on HOTP (RFC 4226)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+const DEFAULT_ALGORITHM = 'sha1';
+
+// Encode a buffer as unpadded base32 (the format authenticator apps expect)
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string (case, spaces and padding are ignored)
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (20 bytes = 160 bits, as recommended for SHA-1)
+export const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+/**
+ * HMAC-based one-time password (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} Zero-padded code
+ */
+export const generateHOTP = (key, counter, { digits = DEFAULT_DIGITS, algorithm = DEFAULT_ALGORITHM } = {}) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+// Time step number for a unix time in seconds
+export const getTimeStep = (time = Date.now() / 1000, step = DEFAULT_STEP_SECONDS) => {
+  return Math.floor(time / step);
+};
+
+/**
+ * Time-based one-time password (RFC 6238)
+ * @param {string|Buffer} secret - Base32 secret or raw key
+ * @param {Object} options - { time (seconds), step, digits, algorithm }
+ * @returns {string} Code for the time step containing `time`
+ */
+export const generateTOTP = (secret, { time = Date.now() / 1000, step = DEFAULT_STEP_SECONDS, digits, algorithm } = {}) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  return generateHOTP(key, getTimeStep(time, step), { digits, algorithm });
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either side
+ * @param {string|Buffer} secret - Base32 secret or raw key
+ * @param {string} token - Code entered by the user
+ * @param {Object} options - { time, step, window, digits, algorithm }
+ * @returns {number|null} Matched time step (use it to reject replays) or null
+ */
+export const verifyTOTP = (secret, token, { time = Date.now() / 1000, step = DEFAULT_STEP_SECONDS, window = 1, digits = DEFAULT_DIGITS, algorithm } = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(key, currentStep + offset, { digits, algorithm });
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// Provisioning URI rendered as a QR code by authenticator apps
+export const buildOtpAuthUri = ({ secret, accountName, issuer = 'Chuti' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULT_ALGORITHM.toUpperCase(),
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate one-time recovery codes like "a1b2c-3d4e5"
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Recovery codes are stored hashed, like passwords
+export const hashRecoveryCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+};